@@ -28,12 +28,12 @@ const testKey2 = `${uniquePrefix}__e2e_test_state_key2`
 
 jest.setTimeout(60000) // 1 minute per test
 
-const initStateEnv = async (n = 1) => {
+const initStateEnv = async (n = 1, options = {}) => {
   delete process.env.__OW_API_KEY
   delete process.env.__OW_NAMESPACE
   process.env.__OW_API_KEY = process.env[`TEST_AUTH_${n}`]
   process.env.__OW_NAMESPACE = process.env[`TEST_NAMESPACE_${n}`]
-  const state = await stateLib.init()
+  const state = await stateLib.init(options)
   // make sure we cleanup the namespace, note that delete might fail as it is an op under test
   await state.deleteAll({ match: `${uniquePrefix}*` })
   return state
@@ -321,6 +321,16 @@ describe('e2e tests using OpenWhisk credentials (as env vars)', () => {
       }))
   })
 
+  test('value bigger than 1MB with chunking test', async () => {
+    const state = await initStateEnv(1, { chunking: {} })
+    const bigValue = ('a').repeat(3 * 1024 * 1024)
+
+    expect(await state.put(testKey, bigValue, { ttl: 60 })).toEqual(testKey)
+    expect(await state.get(testKey)).toEqual(expect.objectContaining({ value: bigValue }))
+    expect(await state.delete(testKey)).toEqual(testKey)
+    expect(await state.get(testKey)).toEqual(undefined)
+  })
+
   // this test is slow to execute uncomment if needed (we could also pre-load the data set in the future)
   // eslint-disable-next-line jest/no-commented-out-tests
   // test('list while having a large dataset stored', async () => {
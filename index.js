@@ -13,6 +13,7 @@ const { MAX_TTL_SECONDS } = require('./lib/constants')
 require('./lib/AdobeState')
 
 module.exports = require('./lib/init')
+module.exports.migrate = require('./lib/migrate').migrate
 
 /**
  * Max supported TTL, 365 days in seconds
@@ -12,23 +12,44 @@ governing permissions and limitations under the License.
 /* eslint-disable jsdoc/no-undefined-types */
 const cloneDeep = require('lodash.clonedeep')
 const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
-const { HttpExponentialBackoff } = require('@adobe/aio-lib-core-networking')
+const { HttpExponentialBackoff, parseRetryAfterHeader } = require('@adobe/aio-lib-core-networking')
 const url = require('node:url')
+const { randomUUID } = require('node:crypto')
+const { setTimeout: sleep } = require('node:timers/promises')
 const { getCliEnv } = require('@adobe/aio-lib-env')
-const Ajv = require('ajv')
 
 const { codes, logAndThrow } = require('./StateError')
+const { StateCache } = require('./StateCache')
+const { RateLimiter } = require('./RateLimiter')
+const { Telemetry } = require('./Telemetry')
+const compression = require('./compression')
+const encryption = require('./encryption')
+const chunking = require('./chunking')
+const { createScope } = require('./scope')
+const { LOCK_KEY_PREFIX, acquireLock } = require('./lock')
+const { IDEMPOTENCY_KEY_PREFIX, runIdempotent } = require('./idempotency')
+const { startWatching } = require('./watch')
+const { exportEntries, importEntries } = require('./transfer')
+const { reencryptKeys } = require('./reencrypt')
+const keyEncoding = require('./keyEncoding')
+const envelope = require('./envelope')
 const utils = require('./utils')
 const {
   REGEX_PATTERN_STORE_KEY,
   HEADER_KEY_EXPIRES,
+  HEADER_ETAG,
+  HEADER_CONTENT_LENGTH,
   CUSTOM_ENDPOINT,
   ENDPOINTS,
   ALLOWED_REGIONS,
   REQUEST_ID_HEADER,
   REGEX_PATTERN_MATCH_KEY,
   MAX_TTL_SECONDS,
-  ALLOWED_STAGE_REGION
+  ALLOWED_STAGE_REGION,
+  DEFAULT_CONCURRENCY,
+  MAX_LIST_PAGE_SIZE,
+  MAX_VALUE_SIZE,
+  MAX_KEY_SIZE
 } = require('./constants')
 
 /* *********************************** typedefs *********************************** */
@@ -43,6 +64,263 @@ const {
  * @property {('amer'|'apac'|'emea'|'aus')} region the region for the Adobe State Store. defaults to 'amer'
  */
 
+/**
+ * AdobeState cache options. The cache keeps `get` results in memory, so that
+ * reading the same keys again, e.g. in a warm Runtime container, does not
+ * call the State service. Entries are invalidated by put, delete and
+ * deleteAll calls on the same instance, but not by other instances.
+ *
+ * @typedef AdobeStateCacheOptions
+ * @type {object}
+ * @property {number} [maxEntries] the maximum number of cached keys, the least
+ *   recently used key is evicted first. Defaults to 1000.
+ * @property {number} [maxAgeMs] the maximum time in milliseconds a value is
+ *   served from the cache, which bounds how stale a value changed by another
+ *   instance can be. Values are never served past their expiration. Defaults
+ *   to 60000.
+ */
+
+/**
+ * AdobeState compression options. Values of at least `thresholdBytes` bytes
+ * are compressed before they are stored, if that makes them smaller, which
+ * allows storing values larger than 1MB. Compressed values are stored in a
+ * self-describing envelope and decompressed by get, also by instances
+ * without compression options.
+ *
+ * @typedef AdobeStateCompressionOptions
+ * @type {object}
+ * @property {number} [thresholdBytes] the minimum size of the values to
+ *   compress, defaults to 1024
+ * @property {('gzip'|'brotli')} [algorithm] the compression algorithm,
+ *   defaults to gzip
+ */
+
+/**
+ * AdobeState encryption options, set either a key or a key provider. Values
+ * are encrypted with AES-256-GCM, along with the id of the key, so that
+ * values encrypted with a previous key can still be decrypted once the key
+ * is rotated.
+ *
+ * @typedef AdobeStateEncryptionOptions
+ * @type {object}
+ * @property {string} [key] a base64 encoded 256-bit key, its id is derived from its hash
+ * @property {function(string): Promise<{ keyId: string, key: (Buffer|string) }>} [keyProvider]
+ *   called without argument to get the current key, and with a key id to get the key
+ *   that encrypted a value. Key ids may contain letters, digits, '_', '.' and '-'.
+ *   The current key is requested on every put, keys requested by id are cached.
+ */
+
+/**
+ * AdobeState chunking options. Values larger than `chunkSizeBytes` are
+ * stored in chunk keys, `<key>.__chunk.<id>.<index>`, and the key holds a
+ * manifest of the chunks. Chunk keys are not returned by list, but are
+ * counted by stats.
+ *
+ * @typedef AdobeStateChunkingOptions
+ * @type {object}
+ * @property {number} [chunkSizeBytes] the maximum size of a chunk, from 1KB
+ *   to 1MB, defaults to 1MB
+ */
+
+/**
+ * AdobeState key encoding. Keys are encoded before being sent, and decoded
+ * before being returned, so that keys can contain any character, e.g. emails
+ * or URLs. The built-in encodings are:
+ *
+ * - `'escape'`: characters other than letters, digits, '.' and '-' are
+ *   escaped as `_XX`, the hexadecimal value of each of their UTF-8 bytes, e.g.
+ *   'user@example.com' is stored as 'user_40example.com'. Match patterns work on
+ *   the decoded keys.
+ * - `'base64url'`: keys are stored in base64url. Only the '*' match pattern is
+ *   supported, in scopes too.
+ *
+ * A custom encoding must be reversible and its encoded keys valid state keys.
+ * Keys listed that are not in the encoding are skipped.
+ *
+ * @typedef AdobeStateKeyEncoding
+ * @type {object}
+ * @property {function(string): string} encode encodes a key
+ * @property {function(string): string} decode decodes a key, it may throw for
+ *   keys that are not in the encoding
+ * @property {function(string): string} [encodeMatch] encodes a glob pattern
+ *   to match encoded keys, without it only the '*' match pattern is supported
+ */
+
+/**
+ * AdobeState rate limit options. Requests of the instance, from all
+ * operations and retries included, are queued so that at most `burst`
+ * requests are sent at once, and `requestsPerSecond` on average. After a 429 response with a
+ * Retry-After header, no request is sent until the Retry-After delay passed.
+ *
+ * @typedef AdobeStateRateLimitOptions
+ * @type {object}
+ * @property {number} requestsPerSecond the maximum sustained rate of requests
+ * @property {number} [burst] the maximum number of requests sent at once,
+ *   defaults to requestsPerSecond rounded up
+ * @property {function(AdobeStateThrottleEvent): void} [onThrottle] called
+ *   when a request is queued, or when requests are paused by a Retry-After header
+ */
+
+/**
+ * AdobeState throttling event, see {@link AdobeStateRateLimitOptions}
+ *
+ * @typedef AdobeStateThrottleEvent
+ * @type {object}
+ * @property {('rate'|'retry-after')} reason 'rate' when a request is queued
+ *   because of the rate limit, 'retry-after' when requests are paused after a 429 response
+ * @property {number} waitMs the time in milliseconds until the next request can be sent
+ * @property {number} queueDepth the number of queued requests
+ */
+
+/**
+ * AdobeState rate limit metrics, counted since the instance was created
+ *
+ * @typedef AdobeStateRateLimitMetrics
+ * @type {object}
+ * @property {number} sent the number of requests sent
+ * @property {number} throttled the number of requests that were queued
+ * @property {number} pauses the number of pauses caused by Retry-After headers
+ * @property {number} queueDepth the number of queued requests
+ * @property {number} maxQueueDepth the maximum number of queued requests
+ */
+
+/**
+ * AdobeState telemetry options. Each operation is recorded as a span named
+ * after it, e.g. `state.incr`, with the `aio_state.operation` and
+ * `aio_state.region` attributes. Its requests to the State service, retries
+ * included, are child client spans named after the HTTP method, with the
+ * `aio_state.operation`, `aio_state.region`, `aio_state.key_count`,
+ * `aio_state.request.size`, `aio_state.response.size`,
+ * `aio_state.request_id`, `aio_state.retries` and `http.response.status_code`
+ * attributes. An operation run by another one, e.g. the get and put of incr,
+ * is part of it. list records a span per page, watch a span per poll, and
+ * idempotent the operations it runs. Operation spans are children of the
+ * active span, e.g. the span of the action, which requires an OpenTelemetry
+ * context manager, as set up by the OpenTelemetry Node SDK. The meter records the `aio_state.requests`, `aio_state.retries` and
+ * `aio_state.throttled` counters and the `aio_state.request.duration`
+ * histogram, in milliseconds. Failing hooks are ignored.
+ *
+ * @example
+ *  const { trace, metrics } = require('@opentelemetry/api')
+ *  const state = await stateLib.init({
+ *    telemetry: { tracer: trace.getTracer('my-action'), meter: metrics.getMeter('my-action') }
+ *  })
+ * @typedef AdobeStateTelemetryOptions
+ * @type {object}
+ * @property {object} [tracer] an OpenTelemetry Tracer, e.g. `trace.getTracer(name)`
+ * @property {object} [meter] an OpenTelemetry Meter, e.g. `metrics.getMeter(name)`
+ * @property {function(AdobeStateRequestEvent): void} [onRequest] called before a request is sent
+ * @property {function(AdobeStateRequestEvent): void} [onResponse] called once a request
+ *   completed or failed, with the response details
+ */
+
+/**
+ * AdobeState request event, see {@link AdobeStateTelemetryOptions}
+ *
+ * @typedef AdobeStateRequestEvent
+ * @type {object}
+ * @property {string} operation the operation sending the request, e.g. 'get' or 'list'
+ * @property {string} region the region of the State service
+ * @property {string} method the HTTP method
+ * @property {number} [keyCount] the number of keys addressed by the request, not set for list,
+ *   deleteAll, any and stats requests
+ * @property {number} [requestSize] the size of the request body in bytes
+ * @property {number} [status] the response status, only in onResponse, not set if the request failed
+ * @property {string} [requestId] the `x-request-id` of the request, only in onResponse
+ * @property {number} [responseSize] the size of the response body in bytes, only in onResponse
+ * @property {number} [durationMs] the duration of the request in milliseconds, retries and
+ *   rate limiting included, only in onResponse
+ * @property {number} [retries] the number of retries, only in onResponse
+ * @property {Error} [error] the error of a failed request, only in onResponse
+ */
+
+/**
+ * AdobeState client options, set in init
+ *
+ * @typedef AdobeStateOptions
+ * @type {object}
+ * @property {AdobeStateCacheOptions} [cache] enables a cache of get results
+ * @property {AdobeStateCompressionOptions} [compression] enables the compression of large values
+ * @property {AdobeStateEncryptionOptions} [encryption] enables the encryption of values
+ * @property {AdobeStateChunkingOptions} [chunking] enables values larger than 1MB
+ * @property {string|AdobeStateKeyEncoding} [keyEncoding] enables keys with any character,
+ *   see {@link AdobeStateKeyEncoding}
+ * @property {AdobeStateRateLimitOptions} [rateLimit] limits the rate of requests
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of all
+ *   requests, `false` disables retries
+ * @property {number} [timeoutMs] the maximum time in milliseconds of each
+ *   request, retries included, no timeout by default
+ * @property {AdobeStateTelemetryOptions} [telemetry] records the requests as
+ *   OpenTelemetry spans and metrics, or reports them to hooks
+ */
+
+/**
+ * AdobeState head return value
+ *
+ * @typedef AdobeStateHeadReturnValue
+ * @type {object}
+ * @property {boolean} exists false if the key doesn't exist
+ * @property {string} [expiration] the ISO-8601 date string of the expiration time
+ * @property {number} [size] the size of the value as stored in bytes, like in
+ *   stats. It is not the size of the value if the value is compressed or encrypted.
+ *   The size of a chunked value is the size of its chunks.
+ * @property {string} [version] the version (ETag) of the key-value pair
+ */
+
+/**
+ * AdobeState list entry, yielded by list with the includeValues or
+ * includeExpiration options
+ *
+ * @typedef AdobeStateListEntry
+ * @type {object}
+ * @property {string} key the state key
+ * @property {string} [value] the value, set with includeValues
+ * @property {string} [expiration] the ISO-8601 date string of the expiration time, set with includeExpiration
+ */
+
+/**
+ * AdobeState exportAll options
+ *
+ * @typedef AdobeStateExportOptions
+ * @type {object}
+ * @property {string} [match] a glob pattern that supports '*' to filter keys,
+ *   defaults to all keys
+ * @property {number} [cursor] the cursor reported by onProgress to resume an
+ *   interrupted export, defaults to 0
+ * @property {number} [concurrency] the maximum number of values fetched at
+ *   the same time, defaults to 10
+ * @property {function({ exported: number, cursor: number }): void} [onProgress]
+ *   called after each exported page, with the number of entries exported so
+ *   far and the cursor to resume from
+ */
+
+/**
+ * AdobeState importAll options
+ *
+ * @typedef AdobeStateImportOptions
+ * @type {object}
+ * @property {boolean} [overwrite] replace existing keys, defaults to false,
+ *   existing keys are skipped
+ * @property {boolean} [preserveTtl] use the ttl stored with each entry,
+ *   defaults to true. If false, entries get the default ttl of 24 hours.
+ * @property {number} [skipLines] the number of lines reported by onProgress
+ *   to resume an interrupted import, defaults to 0
+ * @property {number} [concurrency] the maximum number of puts running at
+ *   the same time, defaults to 10
+ * @property {function({ lines: number, imported: number, skipped: number }): void} [onProgress]
+ *   called after each imported batch, with the number of lines processed,
+ *   entries imported and existing keys skipped so far
+ */
+
+/**
+ * AdobeState importAll result
+ *
+ * @typedef AdobeStateImportResult
+ * @type {object}
+ * @property {number} imported the number of entries written
+ * @property {number} skipped the number of entries skipped because the key exists
+ */
+
 /**
  * AdobeState put options
  *
@@ -52,6 +330,52 @@ const {
  *   defined or set to 0, defaults to 24 hours (86400s). Max TTL is one year
  *   (31536000s), `require('@adobe/aio-lib-state').MAX_TTL`. A TTL of 0 defaults
  *   to 24 hours.
+ * @property {string} [ifMatch] only update the key-value pair if its current
+ *   version is this one, as returned by get. Otherwise the put fails with
+ *   ERROR_PRECONDITION_FAILED.
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of this call,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] aborts the requests of this call
+ */
+
+/**
+ * AdobeState retry options. Failed requests are retried after an exponential
+ * backoff, `initialDelayMs * 2 ^ attempt`, or after the delay of the
+ * Retry-After header of the response, capped at `maxDelayMs`.
+ *
+ * Conditional writes are not idempotent: a write may be applied even though
+ * its response is lost, and its retry then fails as if another client had
+ * written the key. Unless the call passes its own `retry` policy, the
+ * conditional writes of put with `ifMatch`, putIfAbsent, compareAndSwap,
+ * incr, decr, lock and idempotent are only retried on 429 responses.
+ *
+ * @typedef AdobeStateRetryOptions
+ * @type {object}
+ * @property {number} [maxRetries] the maximum number of retries, defaults to 3
+ * @property {number} [initialDelayMs] the delay before the first retry in milliseconds, defaults to 100
+ * @property {number} [maxDelayMs] the maximum delay between two attempts in milliseconds, defaults to no maximum
+ * @property {Array<number>|function(number, Error, Response): boolean} [retryOn] the
+ *   response status codes to retry, or a function called with the attempt
+ *   number, starting at 0, and the network error or the response, that returns
+ *   true to retry. Defaults to network errors, 429 and 5xx responses.
+ */
+
+/**
+ * AdobeState request options, accepted by every operation
+ *
+ * @typedef AdobeStateRequestOptions
+ * @type {object}
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of this
+ *   call, merged into the retry option of init. `false` disables retries, e.g.
+ *   to fail fast in latency-sensitive actions.
+ * @property {number} [timeoutMs] the maximum time in milliseconds of each
+ *   request, retries included, overrides the timeoutMs option of init. A
+ *   request that takes longer is aborted and fails with ERROR_TIMEOUT.
+ * @property {AbortSignal} [signal] aborts the requests of this call, they
+ *   fail with the abort reason of the signal. A list iteration stops
+ *   fetching pages once the signal is aborted.
  */
 
 /**
@@ -61,24 +385,424 @@ const {
  * @type {object}
  * @property {string} expiration the ISO-8601 date string of the expiration time for the key-value pair
  * @property {string} value the value set by put
+ * @property {string} version the version (ETag) of the key-value pair, changes on every put
+ */
+
+/**
+ * AdobeState putJSON options
+ *
+ * @typedef AdobeStatePutJSONOptions
+ * @type {object}
+ * @property {number} [ttl] Time-To-Live for key-value pair in seconds, see
+ *   {@link AdobeStatePutOptions}
+ * @property {object} [schema] a JSON schema the value must match, formats such
+ *   as 'email' are not supported
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of this call,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] aborts the requests of this call
+ */
+
+/**
+ * AdobeState getJSON options
+ *
+ * @typedef AdobeStateGetJSONOptions
+ * @type {object}
+ * @property {object} [schema] a JSON schema the stored value must match, formats
+ *   such as 'email' are not supported
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of this call,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] aborts the requests of this call
+ */
+
+/**
+ * AdobeState getJSON return object
+ *
+ * @typedef AdobeStateGetJSONReturnValue
+ * @type {object}
+ * @property {string} expiration the ISO-8601 date string of the expiration time for the key-value pair
+ * @property {any} value the parsed value set by putJSON
+ * @property {string} version the version (ETag) of the key-value pair, changes on every put
+ */
+
+/**
+ * AdobeState compareAndSwap options
+ *
+ * @typedef AdobeStateCompareAndSwapOptions
+ * @type {object}
+ * @property {number} [retries] the number of retries when another request
+ *   changed the key concurrently, defaults to 3
+ * @property {number} [ttl] Time-To-Live in seconds, see {@link AdobeStatePutOptions}.
+ *   Defaults to the remaining TTL of the key, or to 24 hours if the key doesn't exist.
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}. Conflicts are retried
+ *   according to `retries`, not to this policy.
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] aborts the requests of this call
+ */
+
+/**
+ * AdobeState reencrypt result
+ *
+ * @typedef AdobeStateReencryptResult
+ * @type {object}
+ * @property {number} reencrypted the number of values encrypted with the current key
+ * @property {number} unchanged the number of values that were already encrypted with the current key
+ * @property {Array<{ key: string, error: Error }>} failed the keys that could not be reencrypted
+ */
+
+/**
+ * AdobeState batch options
+ *
+ * @typedef AdobeStateBatchOptions
+ * @type {object}
+ * @property {number} [concurrency] the maximum number of requests running at
+ *   the same time, defaults to 10
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] aborts the requests of this call
+ */
+
+/**
+ * AdobeState batch put options
+ *
+ * @typedef AdobeStatePutManyOptions
+ * @type {object}
+ * @property {number} [ttl] Time-To-Live for all key-value pairs in seconds,
+ *   see {@link AdobeStatePutOptions}
+ * @property {number} [concurrency] the maximum number of requests running at
+ *   the same time, defaults to 10
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] aborts the requests of this call
+ */
+
+/**
+ * AdobeState batch operation result, one per key. Failures are reported per
+ * key, the batch operation itself does not throw once keys are validated.
+ *
+ * @typedef AdobeStateBatchResult
+ * @type {object}
+ * @property {string} key the state key
+ * @property {string} [value] getMany only, the value or undefined if the key doesn't exist
+ * @property {string} [expiration] getMany only, the ISO-8601 date string of the expiration time
+ * @property {string} [version] getMany only, the version (ETag) of the key-value pair
+ * @property {boolean} [deleted] deleteMany only, false if the key doesn't exist
+ * @property {Error} [error] set if the operation failed for this key
+ */
+
+/**
+ * AdobeState lock options
+ *
+ * @typedef AdobeStateLockOptions
+ * @type {object}
+ * @property {number} [ttl] the time in seconds after which the lock is
+ *   released if it was not released or extended, e.g. because the action
+ *   holding it crashed. Defaults to 60 seconds.
+ * @property {number} [waitMs] the maximum time to wait for a lock held by
+ *   another owner, defaults to 0, i.e. fail immediately
+ */
+
+/**
+ * A lock acquired with {@link AdobeState.lock}.
+ *
+ * @typedef AdobeStateLock
+ * @type {object}
+ * @property {string} name the lock name
+ * @property {function(): Promise<void>} release releases the lock. Throws
+ *   ERROR_LOCK_NOT_HELD if the lock expired, was released, or was acquired by another owner.
+ * @property {function(number=): Promise<void>} extend resets the lock TTL, to
+ *   the given number of seconds or to the lock ttl. Throws ERROR_LOCK_NOT_HELD like release.
+ */
+
+/**
+ * AdobeState idempotent options
+ *
+ * @typedef AdobeStateIdempotentOptions
+ * @type {object}
+ * @property {number} [ttl] the time in seconds the result is kept, retries
+ *   after that run the function again. Defaults to 24 hours.
+ * @property {number} [pendingTtl] the time in seconds after which a run that
+ *   did not complete, e.g. because the action crashed, is considered failed
+ *   and can be retried. Defaults to 60 seconds.
+ * @property {boolean} [wait] whether a call with the same request id as a
+ *   running one waits for its result, or fails immediately with
+ *   ERROR_IN_PROGRESS. Defaults to true.
+ */
+
+/**
+ * AdobeState watch options, also accepts the {@link AdobeStateRequestOptions}
+ * of the polling requests. Aborting the signal stops watching.
+ *
+ * @typedef AdobeStateWatchOptions
+ * @type {object}
+ * @property {number} [intervalMs] the time in milliseconds between two polls,
+ *   at least 100, defaults to 1000
+ * @property {boolean|AdobeStateRetryOptions} [retry] the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}
+ * @property {number} [timeoutMs] the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property {AbortSignal} [signal] stops watching, and aborts the pending poll
+ */
+
+/**
+ * A change of a watched key, see {@link AdobeState.watch}
+ *
+ * @typedef AdobeStateWatchEvent
+ * @type {object}
+ * @property {('put'|'delete'|'expired')} type 'put' when the key was created
+ *   or written, 'delete' when it was deleted, 'expired' when it was removed
+ *   after its expiration
+ * @property {string} key the key
+ * @property {string} [version] the new version of the key, only for put events
+ * @property {string} [expiration] the ISO-8601 date string of the new
+ *   expiration of the key, only for put events
+ */
+
+/**
+ * A watch started with {@link AdobeState.watch}.
+ *
+ * @typedef AdobeStateWatcher
+ * @type {object}
+ * @property {function(): void} unsubscribe stops watching, no event is
+ *   emitted afterwards
  */
 
 /* *********************************** helpers *********************************** */
 
+// shared schemas of the batch operations
+const batchKeysSchema = {
+  type: 'array',
+  items: { type: 'string', pattern: REGEX_PATTERN_STORE_KEY }
+}
+const concurrencySchema = { type: 'integer', minimum: 1 }
+
+// retry policy of init and of every operation, retryOn is checked by validateRetryOn
+const retrySchema = {
+  anyOf: [
+    { type: 'boolean' },
+    {
+      type: 'object',
+      properties: {
+        maxRetries: { type: 'integer', minimum: 0 },
+        initialDelayMs: { type: 'integer', minimum: 0 },
+        maxDelayMs: { type: 'integer', minimum: 0 }
+      }
+    }
+  ]
+}
+const retryOnSchema = { type: 'array', items: { type: 'integer', minimum: 100, maximum: 599 } }
+const timeoutSchema = { type: 'integer', minimum: 1 }
+
+// options of every operation, retryOn and signal are checked by validateRequestOptions
+const requestOptionsSchema = {
+  type: 'object',
+  properties: {
+    retry: retrySchema,
+    timeoutMs: timeoutSchema
+  }
+}
+
+// client options accepted by init, for all providers
+const optionsSchema = {
+  type: 'object',
+  properties: {
+    cache: {
+      type: 'object',
+      properties: {
+        maxEntries: { type: 'integer', minimum: 1 },
+        maxAgeMs: { type: 'integer', minimum: 0 }
+      }
+    },
+    compression: {
+      type: 'object',
+      properties: {
+        thresholdBytes: { type: 'integer', minimum: 0 },
+        algorithm: { type: 'string', enum: compression.COMPRESSION_ALGORITHMS }
+      }
+    },
+    // the key and keyProvider values are checked in validateOptions
+    encryption: {
+      type: 'object',
+      properties: {
+        key: { type: 'string' }
+      }
+    },
+    chunking: {
+      type: 'object',
+      properties: {
+        chunkSizeBytes: { type: 'integer', minimum: 1024, maximum: MAX_VALUE_SIZE }
+      }
+    },
+    // the encoding name or functions are checked in validateOptions
+    keyEncoding: { anyOf: [{ type: 'string' }, { type: 'object' }] },
+    retry: retrySchema,
+    timeoutMs: timeoutSchema,
+    // the tracer, meter and hooks are checked in validateOptions
+    telemetry: { type: 'object' },
+    rateLimit: {
+      type: 'object',
+      properties: {
+        requestsPerSecond: { type: 'number', exclusiveMinimum: 0 },
+        burst: { type: 'integer', minimum: 1 }
+      },
+      required: ['requestsPerSecond']
+    }
+  }
+}
+
+const CLIENT_OPTIONS = Object.keys(optionsSchema.properties)
+
+// put option set by putIfAbsent, not part of the public put options
+const IF_ABSENT = Symbol('ifAbsent')
+// list option set by deleteAll to count the keys as stored, not part of the public list options
+const STORED_KEYS = Symbol('storedKeys')
+// list option set by reencrypt to list the reserved keys too, not part of the public list options
+const RESERVED_KEYS = Symbol('reservedKeys')
+const DEFAULT_CAS_RETRIES = 3
+// counters are typically updated by concurrent requests
+const DEFAULT_COUNTER_RETRIES = 10
+// compareAndSwap waits a random delay before retrying a conflict, in a window
+// doubling with each attempt from CAS_INITIAL_DELAY_MS up to CAS_MAX_DELAY_MS
+const CAS_INITIAL_DELAY_MS = 50
+const CAS_MAX_DELAY_MS = 1000
+// defaults of HttpExponentialBackoff
+const DEFAULT_MAX_RETRIES = 3
+const DEFAULT_INITIAL_DELAY_MS = 100
+// prefixes of the keys written by the library, that list and exportAll skip
+const RESERVED_KEY_PREFIXES = [IDEMPOTENCY_KEY_PREFIX, LOCK_KEY_PREFIX]
+// number of matching keys returned by a deleteAll dry run
+const DELETE_ALL_SAMPLE_SIZE = 10
+const DEFAULT_WATCH_INTERVAL_MS = 1000
+const MIN_WATCH_INTERVAL_MS = 100
+
 /**
- * Validates json according to a schema.
+ * Compiles a schema given by the caller, e.g. the schema of getJSON. Invalid
+ * schemas, and schemas using formats unknown to Ajv, are bad arguments.
  *
  * @param {object} schema the AJV schema
- * @param {object} data the json data to test
- * @returns {object} the result
+ * @param {object} sdkDetails the details to attach to the error
+ * @returns {Function} the AJV validate function
+ * @private
+ */
+function compileValueSchema (schema, sdkDetails) {
+  try {
+    return utils.compileSchema(schema)
+  } catch (e) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: `invalid schema: ${e.message}`,
+      sdkDetails
+    }))
+  }
+}
+
+/**
+ * Format the AJV errors of a value validation, paths are relative to the value.
+ *
+ * @param {Array<object>} errors the AJV errors
+ * @returns {string} the human readable errors
+ * @private
+ */
+function formatValueErrors (errors) {
+  return errors.map(({ instancePath, message }) => `value${instancePath} ${message}`).join(', ')
+}
+
+/**
+ * Validates the retryOn option of a retry policy, which Ajv can't type check
+ * as it may be a function.
+ *
+ * @param {boolean|AdobeStateRetryOptions} [retry] the retry policy, already validated against retrySchema
+ * @param {string} path the path of the policy in the error message, e.g. '/retry'
+ * @param {object} sdkDetails the details to attach to the error
+ * @private
+ */
+function validateRetryOn (retry, path, sdkDetails) {
+  const retryOn = retry?.retryOn
+  if (retryOn !== undefined && !Array.isArray(retryOn) && typeof retryOn !== 'function') {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: `${path}/retryOn must be an array of status codes or a function`,
+      sdkDetails
+    }))
+  }
+  if (Array.isArray(retryOn)) {
+    const { valid, errors } = utils.validate(retryOnSchema, retryOn)
+    if (!valid) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: utils.formatAjvErrors(errors.map(error => ({ ...error, instancePath: `${path}/retryOn${error.instancePath}` }))),
+        sdkDetails: { ...sdkDetails, errors }
+      }))
+    }
+  }
+}
+
+/**
+ * Validates the request options of an operation.
+ *
+ * @param {AdobeStateRequestOptions} options the request options
+ * @param {object} sdkDetails the details to attach to the error
+ * @private
+ */
+function validateRequestOptions ({ retry, timeoutMs, signal }, sdkDetails) {
+  const { valid, errors } = utils.validate(requestOptionsSchema, { retry, timeoutMs })
+  if (!valid) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: utils.formatAjvErrors(errors),
+      sdkDetails: { ...sdkDetails, errors }
+    }))
+  }
+  validateRetryOn(retry, '/retry', sdkDetails)
+  if (signal !== undefined && !(signal instanceof AbortSignal)) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({ messageValues: '/signal must be an AbortSignal', sdkDetails }))
+  }
+}
+
+/**
+ * Picks the request options out of the options of an operation, to pass
+ * them to the operations it calls.
+ *
+ * @param {object} options the operation options
+ * @returns {AdobeStateRequestOptions} the request options
+ * @private
+ */
+function requestOptionsOf ({ retry, timeoutMs, signal }) {
+  return { retry, timeoutMs, signal }
+}
+
+/**
+ * Computes the delay before retrying a compareAndSwap conflict. The delay is
+ * random, so that the writers of a key spread out instead of colliding again.
+ *
+ * @param {number} attempt the failed attempt, from 0
+ * @returns {number} the delay in milliseconds
  * @private
  */
-function validate (schema, data) {
-  const ajv = new Ajv({ allErrors: true })
-  const validate = ajv.compile(schema)
-  const valid = validate(data)
+function conflictDelay (attempt) {
+  return Math.round(Math.random() * Math.min(CAS_INITIAL_DELAY_MS * 2 ** attempt, CAS_MAX_DELAY_MS))
+}
 
-  return { valid, errors: validate.errors }
+/**
+ * Validates the range of a ttl, its type is validated by the caller schema.
+ *
+ * @param {number} [ttl] the ttl in seconds
+ * @param {object} sdkDetails the details to attach to the error
+ * @private
+ */
+function validateTtl (ttl, sdkDetails) {
+  if (ttl !== undefined && (ttl < 0 || ttl > MAX_TTL_SECONDS)) {
+    // error message is nicer like this than for
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: 'ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.',
+      sdkDetails
+    }))
+  }
 }
 
 /** @private */
@@ -117,6 +841,8 @@ async function handleResponse (response, params) {
       return logAndThrow(new codes.ERROR_UNAUTHORIZED({ messageValues: ['State service'], sdkDetails: copyParams }))
     case 403:
       return logAndThrow(new codes.ERROR_BAD_CREDENTIALS({ messageValues: ['State service'], sdkDetails: copyParams }))
+    case 412:
+      return logAndThrow(new codes.ERROR_PRECONDITION_FAILED({ sdkDetails: copyParams }))
     case 413:
       return logAndThrow(new codes.ERROR_PAYLOAD_TOO_LARGE({ messageValues: ['State service'], sdkDetails: copyParams }))
     case 429:
@@ -149,8 +875,9 @@ class AdobeState {
    * @param {('amer'|'apac'|'emea'|'aus')} [region] the region for the Adobe State Store. defaults to 'amer'
    * @param {string} [logLevel] the log level for the HttpExponentialBackoff instance
    * @param {number} [logRetryAfterSeconds] if the request has to retry because of a 429, it will log the retry attempt as a warning if the Retry-After value is greater than this number. Set to 0 to disable.
+   * @param {AdobeStateOptions} options client options, see {@link AdobeState.validateOptions}
    */
-  constructor (namespace, apikey, env, region, logLevel, logRetryAfterSeconds) {
+  constructor (namespace, apikey, env, region, logLevel, logRetryAfterSeconds, options) {
     /** @private */
     this.namespace = namespace
     /** @private */
@@ -163,14 +890,471 @@ class AdobeState {
     this.endpoint = this.getRegionalEndpoint(ENDPOINTS[env], region)
     /** @private */
     this.fetchRetry = new HttpExponentialBackoff({ logLevel, logRetryAfterSeconds })
+    /** @private */
+    this.logRetryAfterSeconds = logRetryAfterSeconds
+    /** @private */
+    this.retry = options.retry
+    /** @private */
+    this.timeoutMs = options.timeoutMs
+    /** @private */
+    this.cache = options.cache && new StateCache(options.cache)
+    /** @private */
+    this.compression = options.compression
+    /** @private */
+    this.keyring = options.encryption && encryption.createKeyring(options.encryption)
+    /** @private */
+    this.chunking = options.chunking && { chunkSizeBytes: MAX_VALUE_SIZE, ...options.chunking }
+    // the prefix of the scope as stored, see scope()
+    /** @private */
+    this.keyPrefix = ''
+    /** @private */
+    this.keyCodec = options.keyEncoding && keyEncoding.createKeyCodec(options.keyEncoding)
+    /** @private */
+    this.rateLimiter = options.rateLimit && new RateLimiter(options.rateLimit)
+    /** @private */
+    this.telemetry = options.telemetry && new Telemetry(options.telemetry)
   }
 
   /**
-   * Gets the regional endpoint for an endpoint.
+   * Runs an operation in a telemetry span, see Telemetry.operation. The span
+   * holds the spans of the requests of the operation. The operations built
+   * on list, e.g. exportAll, record a span per page. idempotent is not an
+   * operation, as it runs the function of the caller.
    *
-   * @param {string} endpoint the endpoint to test
-   * @param {string} region the region to set
-   * @returns {string} the endpoint, with the correct region
+   * @private
+   * @param {string} operation the operation name, e.g. 'incr'
+   * @param {Function} fn runs the operation
+   * @returns {Promise<any>} the result of fn
+   */
+  traced (operation, fn) {
+    return this.telemetry ? this.telemetry.operation({ name: operation, region: this.region }, fn) : fn()
+  }
+
+  /**
+   * Sends a request to the State service, once the rate limit allows it.
+   * Requests with a timeout or a signal are sent with a request id, so that
+   * an aborted request can be traced.
+   *
+   * @private
+   * @param {{ operation: string, keyCount: number }} request the operation
+   *   sending the request and the number of keys it addresses, for telemetry
+   * @param {string} url the request url
+   * @param {object} requestOptions the fetch request options
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @returns {Promise<Response>} the response
+   */
+  async send ({ operation, keyCount }, url, requestOptions, callOptions = {}) {
+    const { retry, timeoutMs = this.timeoutMs, signal } = callOptions
+    if (retry !== undefined || callOptions.timeoutMs !== undefined || signal !== undefined) {
+      validateRequestOptions(callOptions, { retry, timeoutMs: callOptions.timeoutMs })
+    }
+    signal?.throwIfAborted()
+
+    const timeout = timeoutMs && new AbortController()
+    const signals = [signal, timeout?.signal].filter(Boolean)
+    const abortSignal = signals.length > 1 ? AbortSignal.any(signals) : signals[0]
+    const record = this.telemetry?.start({
+      operation,
+      region: this.region,
+      method: requestOptions.method,
+      keyCount,
+      requestSize: requestOptions.body !== undefined ? Buffer.byteLength(requestOptions.body) : undefined
+    })
+    const onRetry = record && (status => this.telemetry.retry(record, status))
+    const conditional = requestOptions.headers['If-Match'] !== undefined || requestOptions.headers['If-None-Match'] !== undefined
+    const retryArgs = this.retryArgs(retry, abortSignal, onRetry, conditional)
+    if (abortSignal) {
+      requestOptions = {
+        ...requestOptions,
+        headers: { ...requestOptions.headers, [REQUEST_ID_HEADER]: randomUUID() },
+        signal: abortSignal
+      }
+    }
+
+    const timer = timeout && setTimeout(() => timeout.abort(), timeoutMs)
+    let response, error
+    try {
+      const request = async () => {
+        await this.rateLimiter?.acquire(abortSignal)
+        return this.fetchRetry.exponentialBackoff(url, requestOptions, ...retryArgs)
+      }
+      response = await utils.abortable(request(), abortSignal)
+      if (this.rateLimiter && response.status === 429) {
+        // hold all requests of the instance, retrying them earlier would fail too
+        this.rateLimiter.pause(parseRetryAfterHeader(response.headers.get('Retry-After')))
+      }
+      return response
+    } catch (e) {
+      error = e
+      if (timeout?.signal.aborted && !signal?.aborted) {
+        error = new codes.ERROR_TIMEOUT({
+          messageValues: [timeoutMs],
+          sdkDetails: { requestId: requestOptions.headers[REQUEST_ID_HEADER], timeoutMs }
+        })
+        logAndThrow(error)
+      }
+      throw e
+    } finally {
+      clearTimeout(timer)
+      if (record) {
+        const contentLength = Number.parseInt(response?.headers.get(HEADER_CONTENT_LENGTH))
+        this.telemetry.end(record, {
+          status: response?.status,
+          requestId: response?.headers.get(REQUEST_ID_HEADER) ?? requestOptions.headers[REQUEST_ID_HEADER],
+          responseSize: Number.isNaN(contentLength) ? undefined : contentLength,
+          error
+        })
+      }
+    }
+  }
+
+  /**
+   * Builds the retry arguments of `exponentialBackoff` from the retry policy
+   * of the instance and of the call. Without any policy, signal, telemetry
+   * or rate limit, the defaults of HttpExponentialBackoff apply. With a rate
+   * limit, a retry takes a token once it is decided, before its delay.
+   *
+   * A conditional write may be applied even though its response is lost or
+   * is a 5xx, its retry would then fail with 412, and e.g. incr would add its
+   * delta twice. Unless the call has its own retry policy, conditional writes
+   * are only retried on 429 responses, which are never applied.
+   *
+   * @private
+   * @param {boolean|AdobeStateRetryOptions} [retry] the validated retry policy of the call
+   * @param {AbortSignal} [signal] the signal of the request, an aborted request is not retried
+   * @param {function(number): void} [onRetry] called with the response status before each retry
+   * @param {boolean} [conditional] the request is a conditional write, e.g. If-Match
+   * @returns {Array} the retryOptions, retryOn and retryDelay arguments, or no argument
+   */
+  retryArgs (retry, signal, onRetry, conditional) {
+    if (retry === undefined && this.retry === undefined && !signal && !onRetry && !this.rateLimiter && !conditional) {
+      return []
+    }
+
+    const policy = retry === false || (retry === undefined && this.retry === false)
+      ? { maxRetries: 0 }
+      : { ...this.retry, ...(typeof retry === 'object' && retry) }
+    const {
+      maxRetries = DEFAULT_MAX_RETRIES,
+      initialDelayMs = DEFAULT_INITIAL_DELAY_MS,
+      maxDelayMs = Infinity,
+      retryOn
+    } = policy
+
+    const onlyThrottled = conditional && retry === undefined
+    const isRetried = (attempt, error, response) => {
+      if (attempt >= maxRetries || signal?.aborted) {
+        return false
+      }
+      if (onlyThrottled) {
+        return response?.status === 429
+      }
+      if (typeof retryOn === 'function') {
+        return Boolean(retryOn(attempt, error, response))
+      }
+      if (error) {
+        return true
+      }
+      return retryOn ? retryOn.includes(response.status) : (response.status === 429 || response.status >= 500)
+    }
+    const shouldRetry = async (attempt, error, response) => {
+      const retried = isRetried(attempt, error, response)
+      if (retried) {
+        // retries share the rate limit of the instance
+        await this.rateLimiter?.acquire(signal)
+      }
+      return retried
+    }
+    const retryDelay = (attempt, error, response) => {
+      onRetry?.(response?.status)
+      const retryAfterMs = parseRetryAfterHeader(response?.headers.get('Retry-After'))
+      if (response?.status === 429) {
+        this.rateLimiter?.pause(retryAfterMs)
+      }
+      const delayMs = Math.min(isNaN(retryAfterMs) ? initialDelayMs * 2 ** attempt : retryAfterMs, maxDelayMs)
+      if (this.logRetryAfterSeconds && delayMs > this.logRetryAfterSeconds * 1000) {
+        logger.warn(`request will be retried after ${delayMs} ms`)
+      } else {
+        logger.debug(`request will be retried after ${delayMs} ms`)
+      }
+      return delayMs
+    }
+    return [{ maxRetries, initialDelayInMillis: initialDelayMs }, shouldRetry, retryDelay]
+  }
+
+  /**
+   * Transforms a value before it is stored, e.g. compresses it. Encryption
+   * is applied last, as encrypted data does not compress.
+   *
+   * @private
+   * @param {string} key the key
+   * @param {string} value the value
+   * @returns {Promise<string>} the value to store
+   */
+  async encodeValue (key, value) {
+    let encoded = this.compression && await compression.compress(value, this.compression)
+    if (!encoded) {
+      // escape plain values that would read as an envelope
+      encoded = value.startsWith(envelope.ENVELOPE_PREFIX) ? envelope.wrap(envelope.ENVELOPE_TYPE_RAW, value) : value
+    }
+    if (this.keyring) {
+      try {
+        encoded = await encryption.encrypt(encoded, this.keyring, key)
+      } catch (e) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: `cannot encrypt value: ${e.message}`,
+          sdkDetails: { key }
+        }))
+      }
+    }
+    return encoded
+  }
+
+  /**
+   * Reverts the transformations of encodeValue. Values stored without
+   * transformation, including values written by previous versions of this
+   * library, are returned as is.
+   *
+   * @private
+   * @param {string} key the key, for errors
+   * @param {string} value the stored value
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation, for chunk requests
+   * @returns {Promise<string>} the value
+   */
+  async decodeValue (key, value, callOptions) {
+    const { type, payload } = envelope.unwrap(value) ?? {}
+    if (type === undefined) {
+      return value
+    }
+    if (type === envelope.ENVELOPE_TYPE_RAW) {
+      return payload
+    }
+    if (type === encryption.ENVELOPE_TYPE_ENCRYPTED) {
+      let decrypted
+      try {
+        if (!this.keyring) {
+          throw new Error('the encryption option is not set')
+        }
+        decrypted = await encryption.decrypt(payload, this.keyring, key)
+      } catch (e) {
+        logAndThrow(new codes.ERROR_DECRYPTION_FAILED({
+          messageValues: [key, e.message],
+          sdkDetails: { key, keyId: encryption.keyIdOf(value) }
+        }))
+      }
+      // the encrypted value may be compressed
+      return this.decodeValue(key, decrypted, callOptions)
+    }
+    if (type === chunking.ENVELOPE_TYPE_CHUNKED) {
+      const manifest = chunking.parseManifest(payload)
+      if (!manifest) {
+        logAndThrow(new codes.ERROR_INVALID_VALUE({
+          messageValues: [key, 'invalid chunk manifest'],
+          sdkDetails: { key, type }
+        }))
+      }
+      // the chunks hold the encoded value, e.g. encrypted
+      return this.decodeValue(key, await this.readChunks(key, manifest, callOptions), callOptions)
+    }
+    if (compression.isCompressed(type)) {
+      try {
+        return await compression.decompress(type, payload)
+      } catch (e) {
+        logAndThrow(new codes.ERROR_INVALID_VALUE({
+          messageValues: [key, `cannot decompress value: ${e.message}`],
+          sdkDetails: { key, type }
+        }))
+      }
+    }
+    logAndThrow(new codes.ERROR_INVALID_VALUE({
+      messageValues: [key, `unknown value encoding '${type}'`],
+      sdkDetails: { key, type }
+    }))
+  }
+
+  /**
+   * Encodes a key with the key encoding and prefixes it with the scope prefix.
+   * Invalid keys are returned as is, for the validation to reject them.
+   *
+   * @private
+   * @param {string} key the key
+   * @returns {string} the key as stored
+   */
+  encodeKey (key) {
+    if (typeof key !== 'string' || key === '') {
+      return key
+    }
+    return `${this.keyPrefix}${this.keyCodec ? this.keyCodec.encode(key) : key}`
+  }
+
+  /**
+   * @private
+   * @param {Array<string>} keys the keys
+   * @returns {Array<string>} the keys as stored, for validation
+   */
+  encodeKeys (keys) {
+    return Array.isArray(keys) ? keys.map(key => this.encodeKey(key)) : keys
+  }
+
+  /**
+   * @private
+   * @param {string} storedKey a key as stored
+   * @returns {string|undefined} the decoded key, or undefined if the key is
+   *   outside the scope or was not written with the key encoding
+   */
+  decodeKey (storedKey) {
+    if (!storedKey.startsWith(this.keyPrefix) || storedKey === this.keyPrefix) {
+      return undefined
+    }
+    const key = storedKey.slice(this.keyPrefix.length)
+    if (!this.keyCodec) {
+      return key
+    }
+    try {
+      const decoded = this.keyCodec.decode(key)
+      return this.keyCodec.encode(decoded) === key ? decoded : undefined
+    } catch (e) {
+      return undefined
+    }
+  }
+
+  /**
+   * @private
+   * @param {Array<string>} storedKeys keys as stored
+   * @param {boolean} [includeReserved] keep the keys of idempotency records
+   *   and locks
+   * @returns {Array<string>} the decoded keys, chunks are part of the value of
+   *   another key and keys not written with the key encoding are skipped, as
+   *   well as reserved keys
+   */
+  userKeys (storedKeys, includeReserved = false) {
+    return storedKeys
+      .filter(key => !chunking.isChunkKey(key))
+      .map(key => this.decodeKey(key))
+      .filter(key => key !== undefined)
+      .filter(key => includeReserved || !RESERVED_KEY_PREFIXES.some(prefix => key.startsWith(prefix)))
+  }
+
+  /**
+   * Encodes the literal parts of a match pattern with the key encoding, and
+   * prefixes it with the scope prefix.
+   *
+   * @private
+   * @param {string} match the glob pattern
+   * @returns {string} the pattern matching the stored keys
+   */
+  encodeMatch (match) {
+    if (typeof match !== 'string') {
+      return match
+    }
+    if (!this.keyCodec || match === '*') {
+      return `${this.keyPrefix}${match}`
+    }
+    if (!this.keyCodec.encodeMatch) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `the key encoding does not support match patterns other than '*', got '${match}'`,
+        sdkDetails: { match }
+      }))
+    }
+    return `${this.keyPrefix}${this.keyCodec.encodeMatch(match)}`
+  }
+
+  /**
+   * Fetches the chunk manifest stored in a key, manifests are small so larger
+   * values are not downloaded.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @param {AdobeStateHeadReturnValue} [head] the metadata of the key, if already fetched
+   * @returns {Promise<object>} the manifest or undefined if the key doesn't hold one
+   */
+  async getManifest (key, callOptions, head) {
+    const { exists, size } = head ?? await this.headStored(key, callOptions)
+    if (!exists || size > chunking.MAX_MANIFEST_SIZE) {
+      return undefined
+    }
+    const { type, payload } = envelope.unwrap((await this.getStored(key, callOptions))?.value ?? '') ?? {}
+    return type === chunking.ENVELOPE_TYPE_CHUNKED ? chunking.parseManifest(payload) : undefined
+  }
+
+  /**
+   * Runs a task for every chunk of a manifest. After a failure no other task
+   * is started, and the first error is thrown once the running tasks are done.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {object} manifest the chunk manifest
+   * @param {function(string, number): Promise} fn the task, called with the chunk key and index
+   * @returns {Promise<Array>} the task results, by chunk index
+   */
+  async forEachChunk (key, manifest, fn) {
+    let failure
+    const indexes = Array.from({ length: manifest.chunks }, (_, index) => index)
+    const results = await utils.mapWithConcurrency(indexes, DEFAULT_CONCURRENCY, async (index) => {
+      try {
+        return failure ? undefined : await fn(chunking.chunkKey(key, manifest.id, index), index)
+      } catch (e) {
+        failure = failure ?? e
+      }
+    })
+    if (failure) {
+      throw failure
+    }
+    return results
+  }
+
+  /**
+   * Reassembles a chunked value and verifies its checksum.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {object} manifest the chunk manifest
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @returns {Promise<string>} the value, as encoded by encodeValue
+   */
+  async readChunks (key, manifest, callOptions) {
+    const chunks = await this.forEachChunk(key, manifest, async (chunk) => (await this.getStored(chunk, callOptions))?.value)
+    const missing = chunks.indexOf(undefined)
+    if (missing >= 0) {
+      logAndThrow(new codes.ERROR_INVALID_VALUE({
+        messageValues: [key, `chunk ${missing} of ${manifest.chunks} is missing`],
+        sdkDetails: { key, manifest }
+      }))
+    }
+    const value = chunks.join('')
+    if (chunking.checksum(value) !== manifest.sha256) {
+      logAndThrow(new codes.ERROR_INVALID_VALUE({
+        messageValues: [key, 'the checksum of the chunks does not match the manifest'],
+        sdkDetails: { key, manifest }
+      }))
+    }
+    return value
+  }
+
+  /**
+   * Deletes the chunks of a manifest. Failures are ignored, as chunks expire
+   * with their TTL anyway.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {object} manifest the chunk manifest
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   */
+  async deleteChunks (key, manifest, callOptions) {
+    try {
+      await this.forEachChunk(key, manifest, chunk => this.deleteStored(chunk, callOptions))
+    } catch (e) {
+      logger.debug(`cannot delete the chunks of '${key}': ${e.message}`)
+    }
+  }
+
+  /**
+   * Gets the regional endpoint for an endpoint.
+   *
+   * @param {string} endpoint the endpoint to test
+   * @param {string} region the region to set
+   * @returns {string} the endpoint, with the correct region
    */
   getRegionalEndpoint (endpoint, region) {
     if (CUSTOM_ENDPOINT) {
@@ -227,7 +1411,7 @@ class AdobeState {
       credentials.apikey = process.env.__OW_API_KEY
     }
 
-    const cloned = utils.withHiddenFields(credentials, ['apikey'])
+    const cloned = utils.withHiddenFields(credentials, ['apikey', 'encryption.key'])
     logger.debug(`init AdobeState with ${JSON.stringify(cloned, null, 2)}`)
 
     const env = getCliEnv()
@@ -257,7 +1441,7 @@ class AdobeState {
       required: ['apikey', 'namespace']
     }
 
-    const { valid, errors } = validate(schema, credentials)
+    const { valid, errors } = utils.validate(schema, credentials)
     if (!valid) {
       logAndThrow(new codes.ERROR_BAD_ARGUMENT({
         messageValues: utils.formatAjvErrors(errors),
@@ -265,16 +1449,84 @@ class AdobeState {
       }))
     }
 
+    this.validateOptions(credentials, cloned)
+
     return new AdobeState(
       credentials.namespace,
       credentials.apikey,
       env,
       credentials.region,
       credentials.logLevel,
-      credentials.logRetryAfterSeconds
+      credentials.logRetryAfterSeconds,
+      Object.fromEntries(CLIENT_OPTIONS.map(name => [name, credentials[name]]))
     )
   }
 
+  /**
+   * Validates the client options, shared by all providers.
+   *
+   * @static
+   * @param {AdobeStateOptions} options the client options
+   * @param {object} sdkDetails the details to attach to the error
+   * @memberof AdobeState
+   * @private
+   */
+  static validateOptions (options, sdkDetails) {
+    const { valid, errors } = utils.validate(optionsSchema, options)
+    if (!valid) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: utils.formatAjvErrors(errors),
+        sdkDetails
+      }))
+    }
+
+    if (options.encryption) {
+      const { key, keyProvider } = options.encryption
+      let message
+      if ((key === undefined) === (keyProvider === undefined)) {
+        message = '/encryption must have either a key or a keyProvider'
+      } else if (key !== undefined && !encryption.toKey(key)) {
+        message = '/encryption/key must be a base64 encoded 256-bit key'
+      } else if (keyProvider !== undefined && typeof keyProvider !== 'function') {
+        message = '/encryption/keyProvider must be a function'
+      }
+      if (message) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({ messageValues: message, sdkDetails }))
+      }
+    }
+
+    validateRetryOn(options.retry, '/retry', sdkDetails)
+
+    if (options.rateLimit?.onThrottle !== undefined && typeof options.rateLimit.onThrottle !== 'function') {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({ messageValues: '/rateLimit/onThrottle must be a function', sdkDetails }))
+    }
+
+    if (options.telemetry) {
+      const { tracer, meter, onRequest, onResponse } = options.telemetry
+      let message
+      if (tracer !== undefined && (typeof tracer?.startSpan !== 'function' || typeof tracer.startActiveSpan !== 'function')) {
+        message = '/telemetry/tracer must be an OpenTelemetry Tracer'
+      } else if (meter !== undefined && (typeof meter?.createCounter !== 'function' || typeof meter.createHistogram !== 'function')) {
+        message = '/telemetry/meter must be an OpenTelemetry Meter'
+      } else if (onRequest !== undefined && typeof onRequest !== 'function') {
+        message = '/telemetry/onRequest must be a function'
+      } else if (onResponse !== undefined && typeof onResponse !== 'function') {
+        message = '/telemetry/onResponse must be a function'
+      }
+      if (message) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({ messageValues: message, sdkDetails }))
+      }
+    }
+
+    const codec = options.keyEncoding && keyEncoding.createKeyCodec(options.keyEncoding)
+    if (options.keyEncoding && (typeof codec?.encode !== 'function' || typeof codec.decode !== 'function')) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `/keyEncoding must be one of ${keyEncoding.KEY_ENCODINGS.join(', ')}, or an object with encode and decode functions`,
+        sdkDetails
+      }))
+    }
+  }
+
   /* **************************** ADOBE STATE STORE OPERATORS ***************************** */
 
   /**
@@ -282,28 +1534,56 @@ class AdobeState {
    * If the key doesn't exist returns undefined.
    *
    * @param {string} key state key identifier
+   * @param {AdobeStateRequestOptions} [options] request options
    * @returns {Promise<AdobeStateGetReturnValue>} get response holding value and additional info
    * @memberof AdobeState
    */
-  async get (key) {
-    const schema = {
-      type: 'object',
-      properties: {
-        key: {
-          type: 'string',
-          pattern: REGEX_PATTERN_STORE_KEY
+  async get (key, options = {}) {
+    return this.traced('get', async () => {
+      const storedKey = this.encodeKey(key)
+      const schema = {
+        type: 'object',
+        properties: {
+          key: {
+            type: 'string',
+            pattern: REGEX_PATTERN_STORE_KEY
+          }
         }
       }
-    }
 
-    const { valid, errors } = validate(schema, { key })
-    if (!valid) {
-      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
-        messageValues: utils.formatAjvErrors(errors),
-        sdkDetails: { key, errors }
-      }))
-    }
+      const { valid, errors } = utils.validate(schema, { key: storedKey })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, errors }
+        }))
+      }
+
+      const cached = this.cache?.get(storedKey)
+      if (cached) {
+        logger.debug(`get '${key}' from cache`)
+        return cached
+      }
+      const generation = this.cache?.generation
+
+      const stored = await this.getStored(storedKey, options)
+      if (stored) {
+        const result = { ...stored, value: await this.decodeValue(storedKey, stored.value, options) }
+        this.cache?.set(storedKey, result, generation)
+        return result
+      }
+    })
+  }
 
+  /**
+   * Fetches a key-value pair as stored, without decoding the value.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @returns {Promise<AdobeStateGetReturnValue>} the stored key-value pair or undefined
+   */
+  async getStored (key, callOptions) {
     const requestOptions = {
       method: 'GET',
       headers: {
@@ -314,239 +1594,805 @@ class AdobeState {
     const url = this.createRequestUrl(`/data/${key}`)
     logDebug('get', url, requestOptions)
 
-    const promise = this.fetchRetry.exponentialBackoff(url, requestOptions)
+    const promise = this.send({ operation: 'get', keyCount: 1 }, url, requestOptions, callOptions)
     const response = await _wrap(promise, { key })
     if (response.ok) {
       // we only expect string values
       const value = await response.text()
       const expiration = new Date(Number(response.headers.get(HEADER_KEY_EXPIRES))).toISOString()
-
-      return { value, expiration }
+      const version = response.headers.get(HEADER_ETAG)
+      return { value, expiration, version }
     }
   }
 
   /**
-   * Creates or updates a state key-value pair
+   * Retrieves the metadata of a state key-value pair, without downloading
+   * the value.
    *
    * @param {string} key state key identifier
-   * @param {string} value state value
-   * @param {AdobeStatePutOptions} [options] put options
-   * @returns {Promise<string>} key
+   * @param {AdobeStateRequestOptions} [options] request options
+   * @returns {Promise<AdobeStateHeadReturnValue>} the key metadata
    * @memberof AdobeState
    */
-  async put (key, value, options = {}) {
-    logger.debug(`put '${key}' with options ${JSON.stringify(options)}`)
-
-    const schema = {
-      type: 'object',
-      properties: {
-        key: {
-          type: 'string',
-          pattern: REGEX_PATTERN_STORE_KEY
-        },
-        value: {
-          type: 'string'
-        },
-        ttl: {
-          type: 'integer'
+  async head (key, options = {}) {
+    return this.traced('head', async () => {
+      const storedKey = this.encodeKey(key)
+      const schema = {
+        type: 'object',
+        properties: {
+          key: {
+            type: 'string',
+            pattern: REGEX_PATTERN_STORE_KEY
+          }
         }
       }
-    }
-
-    // validation
-    const { ttl } = options
-    const { valid, errors } = validate(schema, { key, value, ttl })
-    if (!valid) {
-      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
-        messageValues: utils.formatAjvErrors(errors),
-        sdkDetails: { key, valueLength: value.length, options, errors }
-      }))
-    }
-    if (ttl !== undefined && (ttl < 0 || ttl > MAX_TTL_SECONDS)) {
-      // error message is nicer like this than for
-      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
-        messageValues: 'ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.',
-        sdkDetails: { key, valueLength: value.length, options }
-      }))
-    }
-
-    const queryParams = ttl !== undefined ? { ttl } : {}
-    const requestOptions = {
-      method: 'PUT',
-      headers: {
-        ...this.getAuthorizationHeaders(),
-        'Content-Type': 'application/octet-stream'
-      },
-      body: value
-    }
 
-    const url = this.createRequestUrl(`/data/${key}`, queryParams)
+      const { valid, errors } = utils.validate(schema, { key: storedKey })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, errors }
+        }))
+      }
 
-    logDebug('put', url, requestOptions)
-    const promise = this.fetchRetry.exponentialBackoff(
-      url,
-      requestOptions
-    )
-    await _wrap(promise, { key, value, ...options }, true)
-    return key
+      const head = await this.headStored(storedKey, options)
+      // the key of a chunked value holds the manifest, its size is the size of the chunks
+      const manifest = this.chunking && await this.getManifest(storedKey, options, head)
+      return manifest ? { ...head, size: manifest.size } : head
+    })
   }
 
   /**
-   * Deletes a state key-value pair
+   * Sends a head request.
    *
+   * @private
    * @param {string} key state key identifier
-   * @returns {Promise<string|null>} key of deleted state or `null` if state does not exist
-   * @memberof AdobeState
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @returns {Promise<AdobeStateHeadReturnValue>} the key metadata
    */
-  async delete (key) {
-    logger.debug(`delete '${key}'`)
-
+  async headStored (key, callOptions) {
     const requestOptions = {
-      method: 'DELETE',
+      method: 'HEAD',
       headers: {
         ...this.getAuthorizationHeaders()
       }
     }
 
-    const schema = {
-      type: 'object',
-      properties: {
-        key: {
-          type: 'string',
-          pattern: REGEX_PATTERN_STORE_KEY
-        }
-      }
-    }
-    const { valid, errors } = validate(schema, { key })
-    if (!valid) {
-      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
-        messageValues: utils.formatAjvErrors(errors),
-        sdkDetails: { key, errors }
-      }))
-    }
-
     const url = this.createRequestUrl(`/data/${key}`)
+    logDebug('head', url, requestOptions)
 
-    logDebug('delete', url, requestOptions)
-    const promise = this.fetchRetry.exponentialBackoff(url, requestOptions)
+    const promise = this.send({ operation: 'head', keyCount: 1 }, url, requestOptions, callOptions)
     const response = await _wrap(promise, { key })
     if (response.status === 404) {
-      return null
-    } else {
-      return key
+      return { exists: false }
+    }
+    return {
+      exists: true,
+      expiration: new Date(Number(response.headers.get(HEADER_KEY_EXPIRES))).toISOString(),
+      size: Number(response.headers.get(HEADER_CONTENT_LENGTH)),
+      version: response.headers.get(HEADER_ETAG)
     }
   }
 
   /**
-   * Deletes multiple key-values. The match option is required as a safeguard.
-   * CAUTION: use `{ match: '*' }` to delete all key-values.
+   * Refreshes the expiration of a state key-value pair, without sending the
+   * value again.
+   *
    * @example
-   *  await state.deleteAll({ match: 'abc*' })
-   * @param {object} options deleteAll options.
-   * @param {string} options.match REQUIRED, a glob pattern to specify which keys to delete.
-   * @returns {Promise<{ keys: number }>} returns an object with the number of deleted keys.
+   *  await state.touch('session', 3600) // expires in one hour from now
+   * @param {string} key state key identifier
+   * @param {number} [ttl] Time-To-Live in seconds, see {@link AdobeStatePutOptions}
+   * @param {AdobeStateRequestOptions} [options] request options
+   * @returns {Promise<string|null>} key or `null` if the key does not exist
    * @memberof AdobeState
    */
-  async deleteAll (options = {}) {
+  async touch (key, ttl, options = {}) {
+    return this.traced('touch', async () => {
+      const storedKey = this.encodeKey(key)
+      logger.debug(`touch '${key}' with ttl ${ttl}`)
+
+      const schema = {
+        type: 'object',
+        properties: {
+          key: {
+            type: 'string',
+            pattern: REGEX_PATTERN_STORE_KEY
+          },
+          ttl: {
+            type: 'integer'
+          }
+        }
+      }
+
+      const { valid, errors } = utils.validate(schema, { key: storedKey, ttl })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, ttl, errors }
+        }))
+      }
+      validateTtl(ttl, { key, ttl })
+
+      let touched
+      try {
+        const manifest = this.chunking && await this.getManifest(storedKey, options)
+        if (manifest) {
+          // chunks first, they must outlive the manifest
+          await this.forEachChunk(storedKey, manifest, chunk => this.touchStored(chunk, chunking.chunkTtl(ttl), options))
+        }
+        touched = await this.touchStored(storedKey, ttl, options)
+      } finally {
+        this.cache?.delete(storedKey)
+      }
+      return touched ? key : null
+    })
+  }
+
+  /**
+   * Sends a touch request.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {number} [ttl] the new Time-To-Live in seconds
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @returns {Promise<boolean>} false if the key doesn't exist
+   */
+  async touchStored (key, ttl, callOptions) {
+    const queryParams = ttl !== undefined ? { ttl } : {}
     const requestOptions = {
-      method: 'DELETE',
+      method: 'PATCH',
       headers: {
         ...this.getAuthorizationHeaders()
       }
     }
 
-    const schema = {
-      type: 'object',
-      properties: {
-        match: { type: 'string', pattern: REGEX_PATTERN_MATCH_KEY }
+    const url = this.createRequestUrl(`/data/${key}`, queryParams)
+    logDebug('touch', url, requestOptions)
+
+    const promise = this.send({ operation: 'touch', keyCount: 1 }, url, requestOptions, callOptions)
+    const response = await _wrap(promise, { key, ttl })
+    return response.status !== 404
+  }
+
+  /**
+   * Creates or updates a state key-value pair
+   *
+   * @param {string} key state key identifier
+   * @param {string} value state value
+   * @param {AdobeStatePutOptions} [options] put options
+   * @returns {Promise<string>} key
+   * @memberof AdobeState
+   */
+  async put (key, value, options = {}) {
+    return this.traced('put', async () => {
+      const storedKey = this.encodeKey(key)
+      logger.debug(`put '${key}' with options ${JSON.stringify(options)}`)
+
+      const schema = {
+        type: 'object',
+        properties: {
+          key: {
+            type: 'string',
+            pattern: REGEX_PATTERN_STORE_KEY
+          },
+          value: {
+            type: 'string'
+          },
+          ttl: {
+            type: 'integer'
+          },
+          ifMatch: {
+            type: 'string'
+          }
+        }
+      }
+
+      // validation
+      const { ttl, ifMatch } = options
+      const { valid, errors } = utils.validate(schema, { key: storedKey, value, ttl, ifMatch })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, valueLength: value.length, options, errors }
+        }))
+      }
+      validateTtl(ttl, { key, valueLength: value.length, options })
+
+      const encoded = await this.encodeValue(storedKey, value)
+      let previous
+      try {
+        previous = this.chunking && await this.getManifest(storedKey, options)
+        if (this.chunking && Buffer.byteLength(encoded) > this.chunking.chunkSizeBytes) {
+          await this.putChunked(storedKey, encoded, options)
+        } else {
+          await this.putStored(storedKey, encoded, options)
+        }
+      } finally {
+        // also on failure, e.g. a failed conditional put means the cached value is stale
+        this.cache?.delete(storedKey)
+      }
+      if (previous) {
+        await this.deleteChunks(storedKey, previous, options)
+      }
+      return key
+    })
+  }
+
+  /**
+   * Sends a put request.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {string} body the value to store, as encoded by encodeValue
+   * @param {AdobeStatePutOptions} options put options
+   */
+  async putStored (key, body, options) {
+    const { ttl, ifMatch } = options
+    const queryParams = ttl !== undefined ? { ttl } : {}
+    const requestOptions = {
+      method: 'PUT',
+      headers: {
+        ...this.getAuthorizationHeaders(),
+        'Content-Type': 'application/octet-stream'
       },
-      required: ['match'] // safeguard, you cannot call deleteAll without matching specific keys!
+      body
     }
-    const { valid, errors } = validate(schema, options)
-    if (!valid) {
+    if (ifMatch !== undefined) {
+      requestOptions.headers['If-Match'] = ifMatch
+    }
+    if (options[IF_ABSENT]) {
+      requestOptions.headers['If-None-Match'] = '*'
+    }
+
+    const url = this.createRequestUrl(`/data/${key}`, queryParams)
+
+    logDebug('put', url, requestOptions)
+    const promise = this.send({ operation: 'put', keyCount: 1 }, url, requestOptions, options)
+    // no value, it may be confidential
+    await _wrap(promise, { key, valueLength: body.length, ...options })
+  }
+
+  /**
+   * Stores a value in chunks, then the manifest of the chunks in the key.
+   * Conditional put options apply to the manifest, the chunks are deleted if
+   * the manifest cannot be stored.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {string} encoded the value to store, as encoded by encodeValue
+   * @param {AdobeStatePutOptions} options put options
+   */
+  async putChunked (key, encoded, options) {
+    const chunks = chunking.split(encoded, this.chunking.chunkSizeBytes)
+    let manifest
+    try {
+      manifest = chunking.createManifest(key, encoded, chunks.length)
+    } catch (e) {
       logAndThrow(new codes.ERROR_BAD_ARGUMENT({
-        messageValues: utils.formatAjvErrors(errors),
-        sdkDetails: { options, errors }
+        messageValues: e.message,
+        sdkDetails: { key, options }
       }))
     }
+    logger.debug(`put '${key}' in ${chunks.length} chunks`)
+
+    try {
+      const ttl = chunking.chunkTtl(options.ttl)
+      await this.forEachChunk(key, manifest, (chunk, index) => this.putStored(chunk, chunks[index], { ...requestOptionsOf(options), ttl }))
+      // the manifest is stored last, a partially stored value is never read
+      await this.putStored(key, envelope.wrap(chunking.ENVELOPE_TYPE_CHUNKED, JSON.stringify(manifest)), options)
+    } catch (e) {
+      await this.deleteChunks(key, manifest, options)
+      throw e
+    }
+  }
+
+  /**
+   * Creates a state key-value pair, only if the key doesn't exist yet.
+   * Otherwise the put fails with ERROR_PRECONDITION_FAILED.
+   *
+   * @param {string} key state key identifier
+   * @param {string} value state value
+   * @param {AdobeStatePutOptions} [options] put options, `ifMatch` is not supported
+   * @returns {Promise<string>} key
+   * @memberof AdobeState
+   */
+  async putIfAbsent (key, value, options = {}) {
+    return this.traced('putIfAbsent', async () => {
+      const { ifMatch, ...putOptions } = options
+      if (ifMatch !== undefined) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: 'putIfAbsent does not support the ifMatch option',
+          sdkDetails: { key, options }
+        }))
+      }
+      return this.put(key, value, { ...putOptions, [IF_ABSENT]: true })
+    })
+  }
+
+  /**
+   * Updates a state value with a function, without losing concurrent updates.
+   * The function gets the current value, or undefined if the key doesn't
+   * exist, and returns the new value. If another request changes the key in
+   * the meantime the function is called again with the newer value, up to
+   * `retries` times before failing with ERROR_PRECONDITION_FAILED. Each retry
+   * waits a random delay, in a window doubling from 50 ms up to 1 second, so
+   * that concurrent writers spread out.
+   *
+   * @example
+   *  await state.compareAndSwap('counter', value => String(Number(value ?? 0) + 1))
+   * @param {string} key state key identifier
+   * @param {function(string): (string|Promise<string>)} updaterFn computes the new value from the current one
+   * @param {AdobeStateCompareAndSwapOptions} [options] compareAndSwap options
+   * @returns {Promise<string>} the new value
+   * @memberof AdobeState
+   */
+  async compareAndSwap (key, updaterFn, options = {}) {
+    return this.traced('compareAndSwap', async () => {
+      const { retries = DEFAULT_CAS_RETRIES, ttl } = options
+      const callOptions = requestOptionsOf(options)
+      const schema = {
+        type: 'object',
+        properties: {
+          retries: { type: 'integer', minimum: 0 }
+        }
+      }
+      const { valid, errors } = utils.validate(schema, { retries })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, options, errors }
+        }))
+      }
+      if (typeof updaterFn !== 'function') {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: 'updaterFn must be a function',
+          sdkDetails: { key, options }
+        }))
+      }
 
-    const queryParams = { matchData: options.match }
-    const url = this.createRequestUrl('', queryParams)
+      for (let attempt = 0; ; ++attempt) {
+        const current = await this.get(key, callOptions)
+        const value = await updaterFn(current?.value)
+        try {
+          if (current) {
+            // keep the remaining ttl, a put without ttl would reset it to 24 hours
+            await this.put(key, value, { ...callOptions, ttl: ttl ?? utils.remainingTtl(current.expiration), ifMatch: current.version })
+          } else {
+            await this.putIfAbsent(key, value, { ...callOptions, ttl })
+          }
+          return value
+        } catch (e) {
+          if (e.code !== 'ERROR_PRECONDITION_FAILED' || attempt >= retries) {
+            throw e
+          }
+          const delayMs = conflictDelay(attempt)
+          logger.debug(`compareAndSwap '${key}' conflict, retrying in ${delayMs} ms (${attempt + 1}/${retries})`)
+          await utils.abortable(sleep(delayMs), callOptions.signal)
+        }
+      }
+    })
+  }
 
-    logDebug('deleteAll', url, requestOptions)
+  /**
+   * Atomically increments an integer state value and returns the new value.
+   * A missing key counts as 0. The key keeps its remaining TTL unless a new
+   * `ttl` is given. Throws ERROR_BAD_REQUEST if the stored value is not an
+   * integer. Conflicts with concurrent updates are retried up to 10 times by
+   * default, see compareAndSwap.
+   *
+   * @example
+   *  const visits = await state.incr('visits')
+   * @param {string} key state key identifier
+   * @param {number} [delta] the integer to add, defaults to 1
+   * @param {AdobeStateCompareAndSwapOptions} [options] incr options
+   * @returns {Promise<number>} the new value
+   * @memberof AdobeState
+   */
+  async incr (key, delta = 1, options = {}) {
+    return this.traced('incr', async () => {
+      const { valid, errors } = utils.validate({ type: 'object', properties: { delta: { type: 'integer' } } }, { delta })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, delta, options, errors }
+        }))
+      }
 
-    // ! be extra cautious, if the `matchData` param is not specified the whole container will be deleted
-    const promise = this.fetchRetry.exponentialBackoff(url, requestOptions)
-    const response = await _wrap(promise, {})
+      const value = await this.compareAndSwap(key, (current = '0') => {
+        const number = Number(current)
+        if (!/^-?\d+$/.test(current) || !Number.isSafeInteger(number)) {
+          logAndThrow(new codes.ERROR_BAD_REQUEST({
+            messageValues: `cannot increment key '${key}', its value is not an integer`,
+            sdkDetails: { key, delta, valueLength: current.length }
+          }))
+        }
+        if (!Number.isSafeInteger(number + delta)) {
+          logAndThrow(new codes.ERROR_BAD_REQUEST({
+            messageValues: `cannot increment key '${key}', the new value is not a safe integer`,
+            sdkDetails: { key, delta }
+          }))
+        }
+        return String(number + delta)
+      }, { ...options, retries: options.retries ?? DEFAULT_COUNTER_RETRIES })
+      return Number(value)
+    })
+  }
 
-    if (response.status === 404) {
-      return { keys: 0 }
-    } else {
-      const { keys } = await response.json()
-      return { keys }
-    }
+  /**
+   * Atomically decrements an integer state value and returns the new value,
+   * see incr.
+   *
+   * @example
+   *  const remaining = await state.decr('quota', 5)
+   * @param {string} key state key identifier
+   * @param {number} [delta] the integer to subtract, defaults to 1
+   * @param {AdobeStateCompareAndSwapOptions} [options] decr options
+   * @returns {Promise<number>} the new value
+   * @memberof AdobeState
+   */
+  async decr (key, delta = 1, options = {}) {
+    return this.traced('decr', () => this.incr(key, -delta, options))
   }
 
   /**
-   * There exists key-values in the region.
+   * Retrieves and parses a JSON state value set by putJSON.
+   * If the key doesn't exist returns undefined. Throws ERROR_INVALID_VALUE if
+   * the stored value is not JSON or does not match the schema, and
+   * ERROR_BAD_ARGUMENT if the schema is invalid.
    *
-   * @returns {Promise<boolean>} true if exists, false if not
+   * @example
+   *  const { value } = await state.getJSON('config', { schema: { type: 'object' } })
+   * @param {string} key state key identifier
+   * @param {AdobeStateGetJSONOptions} [options] getJSON options
+   * @returns {Promise<AdobeStateGetJSONReturnValue>} get response holding the parsed value and additional info
    * @memberof AdobeState
    */
-  async any () {
+  async getJSON (key, options = {}) {
+    return this.traced('getJSON', async () => {
+      // a bad schema fails before the request
+      const validateValue = options.schema && compileValueSchema(options.schema, { key, options })
+      const res = await this.get(key, requestOptionsOf(options))
+      if (!res) {
+        return undefined
+      }
+
+      let value
+      try {
+        value = JSON.parse(res.value)
+      } catch (e) {
+        // the parse error quotes the value, which may be confidential
+        logAndThrow(new codes.ERROR_INVALID_VALUE({
+          messageValues: [key, 'value is not valid JSON'],
+          sdkDetails: { key, valueLength: res.value.length }
+        }))
+      }
+
+      if (validateValue && !validateValue(value)) {
+        logAndThrow(new codes.ERROR_INVALID_VALUE({
+          messageValues: [key, formatValueErrors(validateValue.errors)],
+          sdkDetails: { key, errors: validateValue.errors }
+        }))
+      }
+
+      return { value, expiration: res.expiration, version: res.version }
+    })
+  }
+
+  /**
+   * Serializes a value to JSON and stores it, see put.
+   *
+   * @example
+   *  await state.putJSON('config', { retries: 3 }, { ttl: 3600, schema: { type: 'object' } })
+   * @param {string} key state key identifier
+   * @param {any} value a JSON serializable value
+   * @param {AdobeStatePutJSONOptions} [options] putJSON options
+   * @returns {Promise<string>} key
+   * @memberof AdobeState
+   */
+  async putJSON (key, value, options = {}) {
+    return this.traced('putJSON', async () => {
+      const { schema, ...putOptions } = options
+
+      const validateValue = schema && compileValueSchema(schema, { key, options: putOptions })
+      if (validateValue && !validateValue(value)) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: formatValueErrors(validateValue.errors),
+          sdkDetails: { key, options: putOptions, errors: validateValue.errors }
+        }))
+      }
+
+      let serialized
+      try {
+        serialized = JSON.stringify(value)
+      } catch (e) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: `value must be JSON serializable: ${e.message}`,
+          sdkDetails: { key, options: putOptions }
+        }))
+      }
+      if (serialized === undefined) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: 'value must be JSON serializable',
+          sdkDetails: { key, options: putOptions }
+        }))
+      }
+
+      return this.put(key, serialized, putOptions)
+    })
+  }
+
+  /**
+   * Deletes a state key-value pair
+   *
+   * @param {string} key state key identifier
+   * @param {AdobeStateRequestOptions} [options] request options
+   * @returns {Promise<string|null>} key of deleted state or `null` if state does not exist
+   * @memberof AdobeState
+   */
+  async delete (key, options = {}) {
+    return this.traced('delete', async () => {
+      const storedKey = this.encodeKey(key)
+      logger.debug(`delete '${key}'`)
+
+      const schema = {
+        type: 'object',
+        properties: {
+          key: {
+            type: 'string',
+            pattern: REGEX_PATTERN_STORE_KEY
+          }
+        }
+      }
+      const { valid, errors } = utils.validate(schema, { key: storedKey })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { key, errors }
+        }))
+      }
+
+      let manifest
+      let deleted
+      try {
+        manifest = this.chunking && await this.getManifest(storedKey, options)
+        deleted = await this.deleteStored(storedKey, options)
+      } finally {
+        this.cache?.delete(storedKey)
+      }
+      if (manifest) {
+        await this.deleteChunks(storedKey, manifest, options)
+      }
+      return deleted ? key : null
+    })
+  }
+
+  /**
+   * Sends a delete request.
+   *
+   * @private
+   * @param {string} key state key identifier
+   * @param {AdobeStateRequestOptions} [callOptions] the options of the operation
+   * @returns {Promise<boolean>} false if the key doesn't exist
+   */
+  async deleteStored (key, callOptions) {
     const requestOptions = {
-      method: 'HEAD',
+      method: 'DELETE',
       headers: {
         ...this.getAuthorizationHeaders()
       }
     }
 
-    const url = this.createRequestUrl()
-    logDebug('any', url, requestOptions)
+    const url = this.createRequestUrl(`/data/${key}`)
 
-    const promise = this.fetchRetry.exponentialBackoff(url, requestOptions)
-    const response = await _wrap(promise, {})
-    return (response.status !== 404)
+    logDebug('delete', url, requestOptions)
+    const promise = this.send({ operation: 'delete', keyCount: 1 }, url, requestOptions, callOptions)
+    const response = await _wrap(promise, { key })
+    return response.status !== 404
   }
 
   /**
-   * Get stats.
+   * Deletes multiple key-values. The match option is required as a safeguard.
+   * CAUTION: use `{ match: '*' }` to delete all key-values.
    *
+   * Use `dryRun` to preview which keys match, and `confirmCount` to abort
+   * with ERROR_BAD_REQUEST if more keys match than expected. Keys are counted
+   * with list before deleting, keys written in the meantime are not counted.
+   * All the stored keys are counted, as they are all deleted: the chunks of
+   * chunked values, and the idempotency records and locks, count as keys, in
+   * a dry run and in the deleted count. They are not in the sample.
+   * @example
+   *  await state.deleteAll({ match: 'abc*' })
+   * @example
+   *  const { keys, sample } = await state.deleteAll({ match: 'abc*', dryRun: true })
+   *  await state.deleteAll({ match: 'abc*', confirmCount: keys })
+   * @param {object} options deleteAll options.
+   * @param {string} options.match REQUIRED, a glob pattern to specify which keys to delete.
+   * @param {boolean} [options.dryRun] count the matching keys without deleting them,
+   *   the result holds a sample of up to 10 matching keys
+   * @param {number} [options.confirmCount] the maximum number of keys expected to match
+   * @param {boolean|AdobeStateRetryOptions} [options.retry] the retry policy of the requests,
+   *   see {@link AdobeStateRequestOptions}
+   * @param {number} [options.timeoutMs] the timeout of each request in milliseconds,
+   *   see {@link AdobeStateRequestOptions}
+   * @param {AbortSignal} [options.signal] aborts the requests of this call
+   * @returns {Promise<{ keys: number, sample: string[] }>} returns an object with the number
+   *   of deleted keys, or of matching keys in a dry run. `sample` is only set in a dry run.
+   * @memberof AdobeState
+   */
+  async deleteAll (options = {}) {
+    return this.traced('deleteAll', async () => {
+      const requestOptions = {
+        method: 'DELETE',
+        headers: {
+          ...this.getAuthorizationHeaders()
+        }
+      }
+
+      const schema = {
+        type: 'object',
+        properties: {
+          match: { type: 'string', pattern: REGEX_PATTERN_MATCH_KEY },
+          dryRun: { type: 'boolean' },
+          confirmCount: { type: 'integer', minimum: 0 }
+        },
+        required: ['match'] // safeguard, you cannot call deleteAll without matching specific keys!
+      }
+      const match = this.encodeMatch(options.match)
+      const { valid, errors } = utils.validate(schema, { ...options, match })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { options, errors }
+        }))
+      }
+
+      if (options.dryRun || options.confirmCount !== undefined) {
+        let keys = 0
+        const sample = []
+        for await (const page of this.list({ ...requestOptionsOf(options), match: options.match, [STORED_KEYS]: true })) {
+          keys += page.keys.length
+          sample.push(...this.userKeys(page.keys).slice(0, DELETE_ALL_SAMPLE_SIZE - sample.length))
+        }
+
+        if (options.dryRun) {
+          return { keys, sample }
+        }
+        if (keys > options.confirmCount) {
+          logAndThrow(new codes.ERROR_BAD_REQUEST({
+            messageValues: `deleteAll aborted, ${keys} keys match '${options.match}' but confirmCount is ${options.confirmCount}`,
+            sdkDetails: { options, keys, sample }
+          }))
+        }
+      }
+
+      const queryParams = { matchData: match }
+      const url = this.createRequestUrl('', queryParams)
+
+      logDebug('deleteAll', url, requestOptions)
+
+      // ! be extra cautious, if the `matchData` param is not specified the whole container will be deleted
+      const promise = this.send({ operation: 'deleteAll' }, url, requestOptions, options)
+      let response
+      try {
+        response = await _wrap(promise, {})
+      } finally {
+        this.cache?.deleteMatching(match)
+      }
+
+      if (response.status === 404) {
+        return { keys: 0 }
+      } else {
+        const { keys } = await response.json()
+        return { keys }
+      }
+    })
+  }
+
+  /**
+   * There exists key-values in the region. Idempotency records and locks
+   * are key-values too.
+   *
+   * @param {AdobeStateRequestOptions} [options] request options
+   * @returns {Promise<boolean>} true if exists, false if not
+   * @memberof AdobeState
+   */
+  async any (options = {}) {
+    return this.traced('any', async () => {
+      const requestOptions = {
+        method: 'HEAD',
+        headers: {
+          ...this.getAuthorizationHeaders()
+        }
+      }
+
+      const url = this.createRequestUrl()
+      logDebug('any', url, requestOptions)
+
+      const promise = this.send({ operation: 'any' }, url, requestOptions, options)
+      const response = await _wrap(promise, {})
+      return (response.status !== 404)
+    })
+  }
+
+  /**
+   * Get stats. The State service counts all the stored keys, including the
+   * chunks of chunked values, and idempotency records and locks.
+   *
+   * @param {AdobeStateRequestOptions} [options] request options
    * @returns {Promise<{ bytesKeys: number, bytesValues: number, keys: number }>} State container stats.
    * @memberof AdobeState
    */
-  async stats () {
-    const requestOptions = {
-      method: 'GET',
-      headers: {
-        ...this.getAuthorizationHeaders()
+  async stats (options = {}) {
+    return this.traced('stats', async () => {
+      const requestOptions = {
+        method: 'GET',
+        headers: {
+          ...this.getAuthorizationHeaders()
+        }
       }
-    }
 
-    const url = this.createRequestUrl()
-    logDebug('stats', url, requestOptions)
+      const url = this.createRequestUrl()
+      logDebug('stats', url, requestOptions)
 
-    const promise = this.fetchRetry.exponentialBackoff(url, requestOptions)
-    const response = await _wrap(promise, {})
-    if (response.status === 404) {
-      return { keys: 0, bytesKeys: 0, bytesValues: 0 }
-    } else {
-      const { keys, bytesKeys, bytesValues } = await response.json()
-      return { keys, bytesKeys, bytesValues }
-    }
+      const promise = this.send({ operation: 'stats' }, url, requestOptions, options)
+      const response = await _wrap(promise, {})
+      if (response.status === 404) {
+        return { keys: 0, bytesKeys: 0, bytesValues: 0 }
+      } else {
+        const { keys, bytesKeys, bytesValues } = await response.json()
+        return { keys, bytesKeys, bytesValues }
+      }
+    })
   }
 
   /**
-   * List keys, returns an iterator. Every call scans 1000 keys.
+   * List keys, returns an iterator. Every call scans 1000 keys, or
+   * `pageSize` keys.
+   *
+   * Each page holds the `cursor` of the next page, 0 after the last page.
+   * Pass it to a later `list({ cursor })` call to resume the scan, e.g. in
+   * the next invocation of an action.
+   *
+   * With `includeValues` or `includeExpiration`, the iterator yields
+   * `{ entries }` instead, holding the requested fields for each key. The
+   * State service only lists keys, so values are fetched with one get per
+   * key, and expirations with one head per key if values are not requested.
+   * Keys that expire or are deleted meanwhile are left out.
+   *
+   * The keys of idempotency records and locks, which start with
+   * `__idempotent.` and `__lock.`, are reserved and never listed.
    * @example
    *  for await (const { keys } of state.list({ match: 'abc*' })) {
    *    console.log(keys)
    *  }
+   * @example
+   *  for await (const { entries } of state.list({ match: 'abc*', includeValues: true, includeExpiration: true })) {
+   *    entries.forEach(({ key, value, expiration }) => console.log(key, value, expiration))
+   *  }
+   * @example
+   *  // scan one page per invocation, resuming from the previous one
+   *  const saved = await state.getJSON('scan-cursor')
+   *  const { value: page } = await state.list({ cursor: saved?.value ?? 0, pageSize: 100 }).next()
+   *  await state.putJSON('scan-cursor', page.cursor)
    * @param {object} options list options
    * @param {string} options.match a glob pattern that supports '*' to filter
    *   keys.
-   * @returns {AsyncGenerator<{ keys: string[] }>} an async generator which yields a
-   *   { keys } object at every iteration.
+   * @param {number} [options.cursor] the cursor of a page yielded by a
+   *   previous list call to resume from, defaults to 0 to start a new scan
+   * @param {number} [options.pageSize] the number of keys scanned by each
+   *   call, from 1 to 1000, defaults to 1000
+   * @param {boolean} [options.includeValues] yield entries with values
+   * @param {boolean} [options.includeExpiration] yield entries with expirations
+   * @param {number} [options.concurrency] the maximum number of values or
+   *   expirations fetched at the same time, defaults to 10
+   * @param {boolean|AdobeStateRetryOptions} [options.retry] the retry policy of the requests,
+   *   see {@link AdobeStateRequestOptions}
+   * @param {number} [options.timeoutMs] the timeout of each request in milliseconds,
+   *   see {@link AdobeStateRequestOptions}
+   * @param {AbortSignal} [options.signal] aborts the requests of this call
+   * @returns {AsyncGenerator<{ keys: string[], cursor: number }|{ entries: AdobeStateListEntry[], cursor: number }>}
+   *   an async generator which yields a { keys, cursor } or an
+   *   { entries, cursor } object at every iteration.
    * @memberof AdobeState
    */
   list (options = {}) {
@@ -566,48 +2412,502 @@ class AdobeState {
 
     const queryParams = {}
     if (options.match) {
-      queryParams.match = options.match
+      queryParams.match = this.encodeMatch(options.match)
+    }
+    if (options.pageSize !== undefined) {
+      queryParams.limit = options.pageSize
     }
 
     const schema = {
       type: 'object',
       properties: {
-        match: { type: 'string', pattern: REGEX_PATTERN_MATCH_KEY }
+        match: { type: 'string', pattern: REGEX_PATTERN_MATCH_KEY },
+        cursor: { type: 'integer', minimum: 0 },
+        pageSize: { type: 'integer', minimum: 1, maximum: MAX_LIST_PAGE_SIZE },
+        includeValues: { type: 'boolean' },
+        includeExpiration: { type: 'boolean' },
+        concurrency: concurrencySchema
       }
     }
 
-    const { valid, errors } = validate(schema, queryParams)
+    const { cursor: startCursor = 0, pageSize, includeValues = false, includeExpiration = false, concurrency = DEFAULT_CONCURRENCY } = options
+    const { valid, errors } = utils.validate(schema, { match: queryParams.match, cursor: startCursor, pageSize, includeValues, includeExpiration, concurrency })
     if (!valid) {
       logAndThrow(new codes.ERROR_BAD_ARGUMENT({
         messageValues: utils.formatAjvErrors(errors),
         sdkDetails: { queryParams, errors }
       }))
     }
+    const callOptions = requestOptionsOf(options)
+    validateRequestOptions(callOptions, { queryParams })
 
     const stateInstance = this
+    const fetchEntries = async (keys) => {
+      const entries = await utils.mapWithConcurrency(keys, concurrency, async (key) => {
+        if (includeValues) {
+          const res = await stateInstance.get(key, callOptions)
+          return res && { key, value: res.value, ...(includeExpiration && { expiration: res.expiration }) }
+        }
+        const res = await stateInstance.head(key, callOptions)
+        return res.exists ? { key, expiration: res.expiration } : undefined
+      })
+      return entries.filter(entry => entry)
+    }
+    const toPage = async (keys, cursor) => (includeValues || includeExpiration)
+      ? { entries: await fetchEntries(keys), cursor }
+      : { keys, cursor }
+
     return (async function * iter () {
-      let cursor = 0
+      let cursor = startCursor
 
       do {
-        const url = stateInstance.createRequestUrl('/data', { ...queryParams, cursor })
-        logDebug('list', url, requestOptions)
-
-        const promise = stateInstance.fetchRetry.exponentialBackoff(
-          url,
-          requestOptions
-        )
-        const response = await _wrap(promise, { ...queryParams, cursor })
-        if (response.status === 404) {
-          yield { keys: [] }
-          return
-        }
-        const res = await response.json()
-        cursor = res.cursor
-
-        yield { keys: res.keys }
+        // each page is an operation, a generator has no end if it is not read to the end
+        const page = await stateInstance.traced('list', async () => {
+          const url = stateInstance.createRequestUrl('/data', { ...queryParams, cursor })
+          logDebug('list', url, requestOptions)
+
+          const promise = stateInstance.send({ operation: 'list' }, url, requestOptions, callOptions)
+          const response = await _wrap(promise, { ...queryParams, cursor })
+          if (response.status === 404) {
+            return toPage([], 0)
+          }
+          const res = await response.json()
+          const keys = options[STORED_KEYS] ? res.keys : stateInstance.userKeys(res.keys, options[RESERVED_KEYS])
+          return toPage(keys, res.cursor)
+        })
+        cursor = page.cursor
+        yield page
       } while (cursor !== 0)
     }())
   }
+
+  /* **************************** BATCH OPERATIONS ***************************** */
+
+  /**
+   * Retrieves the state values for multiple keys. All keys are validated
+   * before any request is sent.
+   *
+   * @example
+   *  const results = await state.getMany(['a', 'b'])
+   *  results.forEach(({ key, value, error }) => console.log(key, value, error))
+   * @param {Array<string>} keys state key identifiers
+   * @param {AdobeStateBatchOptions} [options] batch options
+   * @returns {Promise<Array<AdobeStateBatchResult>>} one `{ key, value, expiration }`
+   *   result per key, in the same order as the keys
+   * @memberof AdobeState
+   */
+  async getMany (keys, options = {}) {
+    return this.traced('getMany', async () => {
+      logger.debug(`getMany ${JSON.stringify(keys)} with options ${JSON.stringify(options)}`)
+
+      const { concurrency = DEFAULT_CONCURRENCY } = options
+      const schema = {
+        type: 'object',
+        properties: {
+          keys: batchKeysSchema,
+          concurrency: concurrencySchema
+        },
+        required: ['keys']
+      }
+      const { valid, errors } = utils.validate(schema, { keys: this.encodeKeys(keys), concurrency })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { keys, options, errors }
+        }))
+      }
+
+      return utils.mapWithConcurrency(keys, concurrency, async (key) => {
+        try {
+          const { value, expiration, version } = (await this.get(key, requestOptionsOf(options))) ?? {}
+          return { key, value, expiration, version }
+        } catch (error) {
+          return { key, error }
+        }
+      })
+    })
+  }
+
+  /**
+   * Creates or updates multiple state key-value pairs. All keys and values
+   * are validated before any request is sent.
+   *
+   * @example
+   *  const results = await state.putMany([{ key: 'a', value: '1' }, { key: 'b', value: '2' }], { ttl: 60 })
+   *  const failed = results.filter(({ error }) => error)
+   * @param {Array<{ key: string, value: string }>} entries the key-value pairs
+   * @param {AdobeStatePutManyOptions} [options] put options
+   * @returns {Promise<Array<AdobeStateBatchResult>>} one `{ key }` result per
+   *   entry, in the same order as the entries
+   * @memberof AdobeState
+   */
+  async putMany (entries, options = {}) {
+    return this.traced('putMany', async () => {
+      const { ttl, concurrency = DEFAULT_CONCURRENCY } = options
+      const schema = {
+        type: 'object',
+        properties: {
+          entries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                key: { type: 'string', pattern: REGEX_PATTERN_STORE_KEY },
+                value: { type: 'string' }
+              },
+              required: ['key', 'value']
+            }
+          },
+          ttl: { type: 'integer' },
+          concurrency: concurrencySchema
+        },
+        required: ['entries']
+      }
+      const storedEntries = Array.isArray(entries)
+        ? entries.map(entry => entry && typeof entry === 'object' ? { ...entry, key: this.encodeKey(entry.key) } : entry)
+        : entries
+      const { valid, errors } = utils.validate(schema, { entries: storedEntries, ttl, concurrency })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { options, errors }
+        }))
+      }
+      validateTtl(ttl, { entriesLength: entries.length, options })
+      logger.debug(`putMany ${JSON.stringify(entries.map(({ key }) => key))} with options ${JSON.stringify(options)}`)
+
+      return utils.mapWithConcurrency(entries, concurrency, async ({ key, value }) => {
+        try {
+          await this.put(key, value, { ...requestOptionsOf(options), ttl })
+          return { key }
+        } catch (error) {
+          return { key, error }
+        }
+      })
+    })
+  }
+
+  /**
+   * Deletes multiple state key-value pairs. All keys are validated before
+   * any request is sent.
+   *
+   * @example
+   *  const results = await state.deleteMany(['a', 'b'])
+   * @param {Array<string>} keys state key identifiers
+   * @param {AdobeStateBatchOptions} [options] batch options
+   * @returns {Promise<Array<AdobeStateBatchResult>>} one `{ key, deleted }`
+   *   result per key, in the same order as the keys
+   * @memberof AdobeState
+   */
+  async deleteMany (keys, options = {}) {
+    return this.traced('deleteMany', async () => {
+      logger.debug(`deleteMany ${JSON.stringify(keys)} with options ${JSON.stringify(options)}`)
+
+      const { concurrency = DEFAULT_CONCURRENCY } = options
+      const schema = {
+        type: 'object',
+        properties: {
+          keys: batchKeysSchema,
+          concurrency: concurrencySchema
+        },
+        required: ['keys']
+      }
+      const { valid, errors } = utils.validate(schema, { keys: this.encodeKeys(keys), concurrency })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { keys, options, errors }
+        }))
+      }
+
+      return utils.mapWithConcurrency(keys, concurrency, async (key) => {
+        try {
+          return { key, deleted: (await this.delete(key, requestOptionsOf(options))) !== null }
+        } catch (error) {
+          return { key, error }
+        }
+      })
+    })
+  }
+
+  /* **************************** EXPORT AND IMPORT ***************************** */
+
+  /**
+   * Exports key-values as a stream of JSON lines (NDJSON), one
+   * `{ key, value, ttl }` object per line, where `ttl` is the remaining
+   * Time-To-Live in seconds. Use importAll to write them back, in this or
+   * another namespace. Idempotency records and locks are not exported.
+   *
+   * @example
+   *  await pipeline(state.exportAll({ match: 'config.*' }), fs.createWriteStream('backup.ndjson'))
+   * @param {AdobeStateExportOptions} [options] exportAll options
+   * @returns {NodeJS.ReadableStream} a readable stream of JSON lines
+   * @memberof AdobeState
+   */
+  exportAll (options = {}) {
+    const { match, cursor, concurrency, onProgress } = options
+    if (onProgress !== undefined && typeof onProgress !== 'function') {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: 'onProgress must be a function',
+        sdkDetails: { options }
+      }))
+    }
+    return exportEntries(this, { match, cursor, concurrency, onProgress })
+  }
+
+  /**
+   * Imports key-values from a stream of JSON lines written by exportAll.
+   * Empty lines are ignored.
+   *
+   * @example
+   *  await prodState.importAll(devState.exportAll(), { overwrite: true })
+   * @param {NodeJS.ReadableStream} stream a readable stream of JSON lines
+   * @param {AdobeStateImportOptions} [options] importAll options
+   * @returns {Promise<AdobeStateImportResult>} the number of imported and skipped entries
+   * @memberof AdobeState
+   */
+  async importAll (stream, options = {}) {
+    return this.traced('importAll', async () => {
+      const { overwrite = false, preserveTtl = true, skipLines = 0, concurrency = DEFAULT_CONCURRENCY, onProgress } = options
+      const schema = {
+        type: 'object',
+        properties: {
+          overwrite: { type: 'boolean' },
+          preserveTtl: { type: 'boolean' },
+          skipLines: { type: 'integer', minimum: 0 },
+          concurrency: concurrencySchema
+        }
+      }
+      const { valid, errors } = utils.validate(schema, { overwrite, preserveTtl, skipLines, concurrency })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { options, errors }
+        }))
+      }
+      if (onProgress !== undefined && typeof onProgress !== 'function') {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: 'onProgress must be a function',
+          sdkDetails: { options }
+        }))
+      }
+
+      return importEntries(this, stream, { overwrite, preserveTtl, skipLines, concurrency, onProgress })
+    })
+  }
+
+  /**
+   * Encrypts the matching values with the current encryption key, e.g. after
+   * a key rotation. Values that are not encrypted yet are encrypted too. Keys
+   * keep their remaining TTL, and a key changed by another request meanwhile
+   * is reported as failed rather than overwritten.
+   *
+   * @example
+   *  const { reencrypted, failed } = await state.reencrypt({ match: 'token.*' })
+   * @param {object} [options] reencrypt options
+   * @param {string} [options.match] a glob pattern that supports '*' to filter keys, defaults to all keys
+   * @param {number} [options.concurrency] the maximum number of keys reencrypted at the same time, defaults to 10
+   * @returns {Promise<AdobeStateReencryptResult>} the number of reencrypted and unchanged values
+   * @memberof AdobeState
+   */
+  async reencrypt (options = {}) {
+    return this.traced('reencrypt', async () => {
+      const { match = '*', concurrency = DEFAULT_CONCURRENCY } = options
+      const schema = {
+        type: 'object',
+        properties: {
+          match: { type: 'string', pattern: REGEX_PATTERN_MATCH_KEY },
+          concurrency: concurrencySchema
+        }
+      }
+      const { valid, errors } = utils.validate(schema, { match: this.encodeMatch(match), concurrency })
+      if (!valid) {
+        logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+          messageValues: utils.formatAjvErrors(errors),
+          sdkDetails: { options, errors }
+        }))
+      }
+      if (!this.keyring) {
+        logAndThrow(new codes.ERROR_BAD_REQUEST({
+          messageValues: 'reencrypt requires the encryption option',
+          sdkDetails: { options }
+        }))
+      }
+      logger.debug(`reencrypt with options ${JSON.stringify(options)}`)
+      // idempotency records and locks are encrypted too
+      return reencryptKeys(this, this.list({ match, [RESERVED_KEYS]: true }), concurrency)
+    })
+  }
+
+  /* **************************** RATE LIMIT ***************************** */
+
+  /**
+   * Returns the metrics of the rate limiter, e.g. to size the concurrency of
+   * batch operations.
+   *
+   * @example
+   *  const { throttled, maxQueueDepth } = state.rateLimitMetrics()
+   * @returns {AdobeStateRateLimitMetrics} the metrics, or undefined if the
+   *   rateLimit option is not set
+   * @memberof AdobeState
+   */
+  rateLimitMetrics () {
+    return this.rateLimiter?.getMetrics()
+  }
+
+  /* **************************** SCOPES ***************************** */
+
+  /**
+   * Returns a view of this instance where every key is prefixed, e.g. to
+   * share a namespace between features without key collisions. Keys passed
+   * to the view are prefixed, keys returned by the view are stripped of the
+   * prefix, and list, deleteAll, any and stats only see the keys of the
+   * scope. Scopes can be nested, their prefixes add up. With a key encoding,
+   * the prefix and the keys are encoded separately, e.g. a key of a 'cart.'
+   * scope is stored as the encoded prefix followed by the encoded key, so
+   * that the keys of the scope can be listed with any key encoding.
+   *
+   * @example
+   *  const cart = state.scope('cart.')
+   *  await cart.put('items', '[]') // stored in 'cart.items'
+   * @param {string} prefix the key prefix, allowed characters are alphanumerical with _ - .
+   * @returns {AdobeState} the scoped view
+   * @memberof AdobeState
+   */
+  scope (prefix) {
+    const schema = {
+      type: 'object',
+      properties: {
+        prefix: { type: 'string', pattern: REGEX_PATTERN_STORE_KEY }
+      },
+      required: ['prefix']
+    }
+    const { valid, errors } = utils.validate(schema, { prefix })
+    if (!valid) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: utils.formatAjvErrors(errors),
+        sdkDetails: { prefix, errors }
+      }))
+    }
+    // leave room for at least one key character
+    const keyPrefix = `${this.keyPrefix}${this.keyCodec ? this.keyCodec.encode(prefix) : prefix}`
+    if (keyPrefix.length >= MAX_KEY_SIZE) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `the scope prefix must be shorter than ${MAX_KEY_SIZE} characters as stored, including the prefixes of parent scopes`,
+        sdkDetails: { prefix, keyPrefix }
+      }))
+    }
+    return createScope(this, keyPrefix)
+  }
+
+  /* **************************** LOCKS AND IDEMPOTENCY ***************************** */
+
+  /**
+   * Runs a function once per request id, e.g. to ignore the retries of a
+   * webhook. The result of the first call is stored as JSON in the
+   * `__idempotent.<requestId>` key and returned by the next calls with the
+   * same request id, without running the function again.
+   *
+   * While the function runs, calls with the same request id wait for its
+   * result, or fail with ERROR_IN_PROGRESS if `wait` is false. If the
+   * function throws, nothing is stored and the next call runs it again. The
+   * same goes for a result that is not JSON serializable, the call then
+   * fails with ERROR_BAD_ARGUMENT.
+   *
+   * @example
+   *  const order = await state.idempotent(params.deliveryId, () => createOrder(params))
+   * @param {string} requestId the request id, allowed characters are alphanumerical with _ - .
+   * @param {function(): (any|Promise<any>)} fn the function, its result must be JSON serializable
+   * @param {AdobeStateIdempotentOptions} [options] idempotent options
+   * @returns {Promise<any>} the result of the function, from this call or the first one
+   * @memberof AdobeState
+   */
+  async idempotent (requestId, fn, options = {}) {
+    return runIdempotent(this, requestId, fn, options)
+  }
+
+  /**
+   * Acquires a lock, e.g. to make sure that runs of a scheduled action
+   * never overlap. The lock is the `__lock.<name>` key, created with
+   * putIfAbsent and holding a token unique to its owner, so a lock never
+   * collides with a data key of the same name. The key expires after `ttl` seconds, so that
+   * a lock is never held forever by an action that crashed. Long tasks must
+   * extend the lock before it expires.
+   *
+   * Throws ERROR_LOCKED if the lock is still held by another owner after
+   * `waitMs`.
+   *
+   * @example
+   *  const lock = await state.lock('nightly-sync', { ttl: 300 })
+   *  try {
+   *    await sync()
+   *  } finally {
+   *    await lock.release()
+   *  }
+   * @param {string} name the lock name, allowed characters are alphanumerical with _ - .
+   * @param {AdobeStateLockOptions} [options] lock options
+   * @returns {Promise<AdobeStateLock>} the acquired lock
+   * @memberof AdobeState
+   */
+  async lock (name, options = {}) {
+    return this.traced('lock', () => acquireLock(this, name, options))
+  }
+
+  /* **************************** WATCH ***************************** */
+
+  /**
+   * Watches a key, or the keys matching a glob pattern, and calls `callback`
+   * with each change. Keys are polled every `intervalMs` with metadata
+   * requests comparing their versions and expirations, values are never
+   * downloaded. The first poll takes the initial state of the keys and emits
+   * no event. Touching a key does not emit an event.
+   *
+   * Watching stops with `unsubscribe` or when the signal is aborted. In a
+   * Runtime action, stop watching before the action returns, otherwise polls
+   * resume in the next activations of the container. Failed polls and
+   * callbacks are logged, and polling continues.
+   *
+   * @example
+   *  const watcher = state.watch('job.42', ({ type }) => console.log(type), { intervalMs: 500 })
+   *  // ...
+   *  watcher.unsubscribe()
+   * @param {string} keyOrPattern a key, or a glob pattern that supports '*'
+   * @param {function(AdobeStateWatchEvent): (void|Promise<void>)} callback called
+   *   with each change, the next poll waits for it
+   * @param {AdobeStateWatchOptions} [options] watch options
+   * @returns {AdobeStateWatcher} the watcher
+   * @memberof AdobeState
+   */
+  watch (keyOrPattern, callback, options = {}) {
+    const { intervalMs = DEFAULT_WATCH_INTERVAL_MS } = options
+    const isPattern = typeof keyOrPattern === 'string' && keyOrPattern.includes('*')
+    const schema = {
+      type: 'object',
+      properties: {
+        keyOrPattern: { type: 'string', pattern: isPattern ? REGEX_PATTERN_MATCH_KEY : REGEX_PATTERN_STORE_KEY },
+        intervalMs: { type: 'integer', minimum: MIN_WATCH_INTERVAL_MS }
+      },
+      required: ['keyOrPattern']
+    }
+    const stored = isPattern ? this.encodeMatch(keyOrPattern) : this.encodeKey(keyOrPattern)
+    const { valid, errors } = utils.validate(schema, { keyOrPattern: stored, intervalMs })
+    if (!valid) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: utils.formatAjvErrors(errors),
+        sdkDetails: { keyOrPattern, options, errors }
+      }))
+    }
+    if (typeof callback !== 'function') {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: 'callback must be a function',
+        sdkDetails: { keyOrPattern, options }
+      }))
+    }
+    const callOptions = requestOptionsOf(options)
+    validateRequestOptions(callOptions, { keyOrPattern, options })
+
+    return startWatching(this, keyOrPattern, callback, intervalMs, callOptions)
+  }
 }
 
 module.exports = { AdobeState }
@@ -0,0 +1,158 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const fs = require('node:fs/promises')
+const path = require('node:path')
+const { pathToFileURL } = require('node:url')
+const { createHash, randomUUID } = require('node:crypto')
+const { setTimeout: sleep } = require('node:timers/promises')
+
+const utils = require('./utils')
+const { LocalState } = require('./LocalState')
+
+const DEFAULT_DIR = path.join('.aio', 'state')
+const LOCK_FILE = '.lock'
+const LOCK_RETRY_MS = 10
+// a lock older than this was left behind by a process that crashed
+const LOCK_STALE_MS = 10000
+
+// in-process queues, keyed by container directory
+const queues = new Map()
+
+/** @private */
+function ignoreNotFound (e) {
+  if (e.code !== 'ENOENT') {
+    throw e
+  }
+}
+
+/**
+ * File storage for the entries of one container. Each entry is a JSON file
+ * named after the hash of its key, so that any valid key makes a valid file
+ * name, also on case-insensitive file systems. Requests from several
+ * processes are serialized with a lock file.
+ *
+ * @private
+ */
+class FileStorage {
+  /**
+   * @param {string} dir the container directory
+   */
+  constructor (dir) {
+    this.dir = dir
+    if (!queues.has(dir)) {
+      queues.set(dir, utils.createQueue())
+    }
+    this.queue = queues.get(dir)
+  }
+
+  /** @private */
+  entryFile (key) {
+    return path.join(this.dir, `${createHash('sha256').update(key).digest('hex')}.json`)
+  }
+
+  /** @private */
+  async exclusive (task) {
+    return this.queue(async () => {
+      await this.acquireLockFile()
+      try {
+        return await task()
+      } finally {
+        await fs.rm(path.join(this.dir, LOCK_FILE), { force: true })
+      }
+    })
+  }
+
+  /** @private */
+  async acquireLockFile () {
+    const lockFile = path.join(this.dir, LOCK_FILE)
+    await fs.mkdir(this.dir, { recursive: true })
+
+    for (;;) {
+      try {
+        // the 'wx' flag fails if the file exists, only one process can create it
+        await (await fs.open(lockFile, 'wx')).close()
+        return
+      } catch (e) {
+        if (e.code !== 'EEXIST') {
+          throw e
+        }
+      }
+
+      const stats = await fs.stat(lockFile).catch(ignoreNotFound)
+      if (stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+        await fs.rm(lockFile, { force: true })
+      } else {
+        await sleep(LOCK_RETRY_MS)
+      }
+    }
+  }
+
+  /** @private */
+  async read (key) {
+    const content = await fs.readFile(this.entryFile(key), 'utf8').catch(ignoreNotFound)
+    if (content !== undefined) {
+      const { key: entryKey, ...entry } = JSON.parse(content)
+      return entry
+    }
+  }
+
+  /** @private */
+  async write (key, entry) {
+    const file = this.entryFile(key)
+    // write then rename, so that a crash never leaves a partial entry behind
+    const tmpFile = `${file}.${randomUUID()}.tmp`
+    await fs.writeFile(tmpFile, JSON.stringify({ key, ...entry }))
+    await fs.rename(tmpFile, file)
+  }
+
+  /** @private */
+  async remove (key) {
+    await fs.rm(this.entryFile(key), { force: true })
+  }
+
+  /** @private */
+  async keys () {
+    const keys = []
+    for (const file of await fs.readdir(this.dir)) {
+      if (file.endsWith('.json')) {
+        const { key } = JSON.parse(await fs.readFile(path.join(this.dir, file), 'utf8'))
+        keys.push(key)
+      }
+    }
+    return keys
+  }
+}
+
+/**
+ * State store persisting key-values in a local directory, by default
+ * `.aio/state/<namespace>/<region>` in the current working directory. Data
+ * survives restarts and can be shared by several local processes, which makes
+ * it a good fit for `aio app dev`.
+ *
+ * @private
+ */
+class FileState extends LocalState {
+  /**
+   * @param {string} namespace the namespace for the State Store
+   * @param {string} env the Adobe environment (AIO_CLI_ENV)
+   * @param {('amer'|'apac'|'emea'|'aus')} region the region for the State Store
+   * @param {object} options provider and client options
+   * @param {string} [options.dir] the root directory, defaults to `.aio/state`
+   */
+  constructor (namespace, env, region, options) {
+    const { dir = DEFAULT_DIR, ...clientOptions } = options
+    const containerDir = path.resolve(dir, namespace, region)
+    super(namespace, env, region, new FileStorage(containerDir), pathToFileURL(containerDir).href, clientOptions)
+  }
+}
+
+module.exports = { FileState }
@@ -0,0 +1,83 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+/* eslint-disable jsdoc/no-undefined-types */
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+const { getCliEnv } = require('@adobe/aio-lib-env')
+
+const { codes, logAndThrow } = require('./StateError')
+const { AdobeState } = require('./AdobeState')
+const { LocalStateService } = require('./LocalStateService')
+const { ALLOWED_REGIONS, REGEX_PATTERN_LOCAL_NAMESPACE } = require('./constants')
+
+// used when no namespace is passed and __OW_NAMESPACE is not set
+const LOCAL_NAMESPACE = 'local'
+
+/**
+ * Base class for the local providers. Requests are served by a
+ * LocalStateService instead of the State service, so local providers behave
+ * like AdobeState, including validation, TTLs and errors.
+ *
+ * @private
+ */
+class LocalState extends AdobeState {
+  /**
+   * @param {string} namespace the namespace for the State Store
+   * @param {string} env the Adobe environment (AIO_CLI_ENV)
+   * @param {('amer'|'apac'|'emea'|'aus')} region the region, containers in different regions are isolated
+   * @param {object} storage the storage for the container entries, see LocalStateService
+   * @param {string} endpoint the endpoint showing in request urls, e.g. `memory://amer`
+   * @param {AdobeStateOptions} options client options
+   */
+  constructor (namespace, env, region, storage, endpoint, options) {
+    super(namespace, '', env, region, undefined, undefined, options)
+    /** @private */
+    this.endpoint = endpoint
+    /** @private */
+    this.fetchRetry = new LocalStateService(storage)
+  }
+
+  /**
+   * Instantiates and returns a new local provider instance. Credentials are
+   * optional, the namespace defaults to `__OW_NAMESPACE` or 'local'.
+   *
+   * @param {AdobeStateCredentials} [credentials] the credential object, can
+   *   hold additional provider options
+   * @returns {Promise<LocalState>} a new instance of the provider class
+   */
+  static async init (credentials = {}) {
+    const {
+      namespace = process.env.__OW_NAMESPACE ?? LOCAL_NAMESPACE,
+      region = ALLOWED_REGIONS.at(0), // first item is the default
+      ...options
+    } = credentials
+    logger.debug(`init ${this.name} with namespace '${namespace}' and region '${region}'`)
+
+    // the namespace is part of a directory path in FileState
+    if (typeof namespace !== 'string' || !new RegExp(REGEX_PATTERN_LOCAL_NAMESPACE).test(namespace)) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `/namespace must match pattern "${REGEX_PATTERN_LOCAL_NAMESPACE}"`,
+        sdkDetails: { namespace, region }
+      }))
+    }
+    if (!ALLOWED_REGIONS.includes(region)) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `/region must be equal to one of the allowed values: ${ALLOWED_REGIONS.join(', ')}`,
+        sdkDetails: { namespace, region }
+      }))
+    }
+    this.validateOptions(options, { namespace, region })
+
+    return new this(namespace, getCliEnv(), region, options)
+  }
+}
+
+module.exports = { LocalState }
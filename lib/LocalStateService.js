@@ -0,0 +1,272 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { randomUUID } = require('node:crypto')
+
+const utils = require('./utils')
+const {
+  HEADER_KEY_EXPIRES,
+  HEADER_ETAG,
+  HEADER_CONTENT_LENGTH,
+  REQUEST_ID_HEADER,
+  MAX_VALUE_SIZE,
+  MAX_LIST_PAGE_SIZE,
+  DEFAULT_TTL_SECONDS
+} = require('./constants')
+
+/** @private */
+function respond (status, body = null, headers = {}) {
+  return new Response(body, {
+    status,
+    headers: {
+      [REQUEST_ID_HEADER]: randomUUID(),
+      ...headers
+    }
+  })
+}
+
+/**
+ * @param {string} ttl the ttl query parameter, a ttl of 0 or no ttl defaults to 24 hours
+ * @returns {number} the expiration timestamp in milliseconds
+ * @private
+ */
+function expirationFromTtl (ttl) {
+  const ttlSeconds = Number(ttl) || DEFAULT_TTL_SECONDS
+  return Date.now() + ttlSeconds * 1000
+}
+
+/**
+ * Local implementation of the State service REST API for a single container.
+ *
+ * It exposes the same `exponentialBackoff` method as `HttpExponentialBackoff`
+ * so that it can replace network calls in an `AdobeState` instance. Entries
+ * are kept in a storage implementing `read(key)`, `write(key, entry)`,
+ * `remove(key)` and `keys()`, where an entry is
+ * `{ value, expiration, version }`, `expiration` is a timestamp in
+ * milliseconds and `version` the entry ETag. The storage also implements
+ * `exclusive(task)`, which runs a task while no other request, from any
+ * instance using the same container, accesses the entries.
+ *
+ * @private
+ */
+class LocalStateService {
+  /**
+   * @param {object} storage the storage holding the container entries
+   */
+  constructor (storage) {
+    this.storage = storage
+  }
+
+  /**
+   * Serves a State service request.
+   *
+   * @param {string} url the request url
+   * @param {object} requestOptions the fetch request options
+   * @returns {Promise<Response>} the response
+   */
+  async exponentialBackoff (url, requestOptions) {
+    return this.storage.exclusive(() => this.serve(url, requestOptions))
+  }
+
+  /** @private */
+  async serve (url, requestOptions) {
+    const { pathname, searchParams } = new URL(url)
+    const { method, body } = requestOptions
+    const headers = new Headers(requestOptions.headers)
+    // pathname ends with /containers/<namespace>[/data[/<key>]]
+    const [container, resource, key] = pathname.match(/\/containers\/[^/]+(?:\/(data)(?:\/([^/]+))?)?$/) ?? []
+
+    if (key) {
+      switch (method) {
+        case 'GET':
+          return this.getKey(key)
+        case 'HEAD':
+          return this.headKey(key)
+        case 'PUT':
+          return this.putKey(key, body, searchParams.get('ttl'), headers)
+        case 'PATCH':
+          return this.touchKey(key, searchParams.get('ttl'))
+        case 'DELETE':
+          return this.deleteKey(key)
+      }
+    } else if (resource) {
+      if (method === 'GET') {
+        return this.listKeys(searchParams.get('match'), searchParams.get('cursor'), searchParams.get('limit'))
+      }
+    } else if (container) {
+      switch (method) {
+        case 'HEAD':
+          return this.any()
+        case 'GET':
+          return this.stats()
+        case 'DELETE':
+          return this.deleteKeys(searchParams.get('matchData'))
+      }
+    }
+
+    return respond(405, `${method} ${pathname} is not supported`)
+  }
+
+  /**
+   * Reads an entry, expired entries are removed and never returned.
+   *
+   * @param {string} key the key
+   * @returns {Promise<object>} the entry or undefined
+   */
+  async readEntry (key) {
+    const entry = await this.storage.read(key)
+    if (entry && entry.expiration <= Date.now()) {
+      await this.storage.remove(key)
+      return undefined
+    }
+    return entry
+  }
+
+  /**
+   * @returns {Promise<Array<{ key: string, entry: object }>>} all non expired
+   *   entries, sorted by key
+   */
+  async liveEntries () {
+    const entries = []
+    for (const key of await this.storage.keys()) {
+      const entry = await this.readEntry(key)
+      if (entry) {
+        entries.push({ key, entry })
+      }
+    }
+    return entries.sort((a, b) => a.key < b.key ? -1 : 1)
+  }
+
+  /** @private */
+  async getKey (key) {
+    const entry = await this.readEntry(key)
+    if (!entry) {
+      return respond(404)
+    }
+    return respond(200, entry.value, {
+      [HEADER_KEY_EXPIRES]: String(entry.expiration),
+      [HEADER_ETAG]: entry.version
+    })
+  }
+
+  /** @private */
+  async headKey (key) {
+    const entry = await this.readEntry(key)
+    if (!entry) {
+      return respond(404)
+    }
+    return respond(200, null, {
+      [HEADER_KEY_EXPIRES]: String(entry.expiration),
+      [HEADER_CONTENT_LENGTH]: String(Buffer.byteLength(entry.value)),
+      [HEADER_ETAG]: entry.version
+    })
+  }
+
+  /** @private */
+  async putKey (key, value, ttl, headers) {
+    if (Buffer.byteLength(value) > MAX_VALUE_SIZE) {
+      return respond(413)
+    }
+
+    // conditional puts
+    const entry = await this.readEntry(key)
+    const ifMatch = headers.get('If-Match')
+    const matches = entry && (ifMatch === '*' || ifMatch === entry.version)
+    if ((ifMatch !== null && !matches) || (headers.get('If-None-Match') === '*' && entry)) {
+      return respond(412)
+    }
+
+    const version = `"${randomUUID()}"`
+    await this.storage.write(key, { value, expiration: expirationFromTtl(ttl), version })
+    return respond(200, null, { [HEADER_ETAG]: version })
+  }
+
+  /** @private */
+  async touchKey (key, ttl) {
+    const entry = await this.readEntry(key)
+    if (!entry) {
+      return respond(404)
+    }
+    // the value is unchanged, so is the version
+    await this.storage.write(key, { ...entry, expiration: expirationFromTtl(ttl) })
+    return respond(200)
+  }
+
+  /** @private */
+  async deleteKey (key) {
+    if (!await this.readEntry(key)) {
+      return respond(404)
+    }
+    await this.storage.remove(key)
+    return respond(200)
+  }
+
+  /** @private */
+  async listKeys (match, cursor, limit) {
+    const entries = await this.liveEntries()
+    if (entries.length === 0) {
+      return respond(404)
+    }
+
+    // like the State service, the match filter is applied on the scanned page
+    const regex = utils.globToRegExp(match ?? '*')
+    const start = Number(cursor)
+    const end = start + (Number(limit) || MAX_LIST_PAGE_SIZE)
+    const keys = entries
+      .slice(start, end)
+      .map(({ key }) => key)
+      .filter(key => regex.test(key))
+
+    return respond(200, JSON.stringify({ keys, cursor: end < entries.length ? end : 0 }))
+  }
+
+  /** @private */
+  async deleteKeys (match) {
+    const entries = await this.liveEntries()
+    if (entries.length === 0) {
+      return respond(404)
+    }
+
+    // ! like the State service, no match deletes the whole container
+    const regex = utils.globToRegExp(match ?? '*')
+    let keys = 0
+    for (const { key } of entries) {
+      if (regex.test(key)) {
+        await this.storage.remove(key)
+        ++keys
+      }
+    }
+    return respond(200, JSON.stringify({ keys }))
+  }
+
+  /** @private */
+  async any () {
+    const entries = await this.liveEntries()
+    return respond(entries.length > 0 ? 200 : 404)
+  }
+
+  /** @private */
+  async stats () {
+    const entries = await this.liveEntries()
+    if (entries.length === 0) {
+      return respond(404)
+    }
+
+    const stats = { keys: entries.length, bytesKeys: 0, bytesValues: 0 }
+    entries.forEach(({ key, entry }) => {
+      stats.bytesKeys += Buffer.byteLength(key)
+      stats.bytesValues += Buffer.byteLength(entry.value)
+    })
+    return respond(200, JSON.stringify(stats))
+  }
+}
+
+module.exports = { LocalStateService }
@@ -0,0 +1,82 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+/* eslint-disable jsdoc/no-undefined-types */
+const utils = require('./utils')
+const { LocalState } = require('./LocalState')
+
+// the containers are shared by all instances in the process, keyed by <region>/<namespace>
+const containers = new Map()
+
+/**
+ * In-memory storage for the entries of one container.
+ *
+ * @private
+ */
+class MemoryStorage {
+  /**
+   * @param {string} name the container name
+   */
+  constructor (name) {
+    if (!containers.has(name)) {
+      containers.set(name, { entries: new Map(), queue: utils.createQueue() })
+    }
+    const { entries, queue } = containers.get(name)
+    this.entries = entries
+    this.queue = queue
+  }
+
+  /** @private */
+  async exclusive (task) {
+    return this.queue(task)
+  }
+
+  /** @private */
+  async read (key) {
+    return this.entries.get(key)
+  }
+
+  /** @private */
+  async write (key, entry) {
+    this.entries.set(key, entry)
+  }
+
+  /** @private */
+  async remove (key) {
+    this.entries.delete(key)
+  }
+
+  /** @private */
+  async keys () {
+    return [...this.entries.keys()]
+  }
+}
+
+/**
+ * State store keeping key-values in the process memory. It has the same
+ * behavior as the State service, including TTLs, and is meant for local
+ * development and testing.
+ *
+ * @private
+ */
+class MemoryState extends LocalState {
+  /**
+   * @param {string} namespace the namespace for the State Store
+   * @param {string} env the Adobe environment (AIO_CLI_ENV)
+   * @param {('amer'|'apac'|'emea'|'aus')} region the region for the State Store
+   * @param {AdobeStateOptions} options client options
+   */
+  constructor (namespace, env, region, options) {
+    super(namespace, env, region, new MemoryStorage(`${region}/${namespace}`), `memory://${region}`, options)
+  }
+}
+
+module.exports = { MemoryState }
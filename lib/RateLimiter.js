@@ -0,0 +1,175 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+
+/**
+ * Token bucket limiting the rate of requests. The bucket holds up to `burst`
+ * tokens and is refilled with `requestsPerSecond` tokens per second, each
+ * request takes one token. Requests finding the bucket empty are queued and
+ * sent in order. A pause, e.g. after a 429 response with a Retry-After
+ * header, holds every request until it ends.
+ *
+ * @private
+ */
+class RateLimiter {
+  /**
+   * @param {object} options rate limit options
+   * @param {number} options.requestsPerSecond the sustained request rate
+   * @param {number} [options.burst] the number of requests that can be sent at once, defaults to requestsPerSecond rounded up
+   * @param {Function} [options.onThrottle] called with a throttling event when a request is queued or a pause starts
+   */
+  constructor ({ requestsPerSecond, burst = Math.ceil(requestsPerSecond), onThrottle }) {
+    this.requestsPerSecond = requestsPerSecond
+    this.burst = burst
+    this.onThrottle = onThrottle
+    this.tokens = burst
+    this.refilledAt = Date.now()
+    this.pausedUntil = 0
+    // release functions of the queued requests, in order
+    this.queue = []
+    this.timer = undefined
+    this.metrics = { sent: 0, throttled: 0, pauses: 0, queueDepth: 0, maxQueueDepth: 0 }
+  }
+
+  /**
+   * Resolves when a request can be sent.
+   *
+   * @param {AbortSignal} [signal] aborts the wait, the request leaves the queue without taking a token
+   * @returns {Promise<void>} resolves once a token is taken, rejects with the abort reason
+   */
+  async acquire (signal) {
+    signal?.throwIfAborted()
+    this.refill()
+    if (this.queue.length === 0 && this.tokens >= 1 && Date.now() >= this.pausedUntil) {
+      this.take()
+      return
+    }
+
+    ++this.metrics.throttled
+    const queued = new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.queue.splice(this.queue.indexOf(release), 1)
+        this.updateQueueDepth()
+        reject(signal.reason)
+      }
+      const release = () => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+      }
+      signal?.addEventListener('abort', onAbort, { once: true })
+      this.queue.push(release)
+    })
+    this.updateQueueDepth()
+    this.emit({ reason: 'rate', waitMs: this.waitMs() })
+    this.schedule()
+    return queued
+  }
+
+  /**
+   * Holds every request, e.g. for the duration of a Retry-After header.
+   *
+   * @param {number} durationMs the pause duration in milliseconds, ignored if not positive
+   */
+  pause (durationMs) {
+    if (!(durationMs > 0)) {
+      return
+    }
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + durationMs)
+    ++this.metrics.pauses
+    this.emit({ reason: 'retry-after', waitMs: durationMs })
+    if (this.queue.length > 0) {
+      // reschedule the next request after the pause
+      clearTimeout(this.timer)
+      this.timer = undefined
+      this.schedule()
+    }
+  }
+
+  /**
+   * @returns {object} a copy of the metrics
+   */
+  getMetrics () {
+    return { ...this.metrics }
+  }
+
+  /** @private */
+  refill () {
+    const now = Date.now()
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.requestsPerSecond / 1000)
+    this.refilledAt = now
+  }
+
+  /** @private */
+  take () {
+    --this.tokens
+    ++this.metrics.sent
+  }
+
+  /**
+   * @private
+   * @returns {number} the time until the next request can be sent, in milliseconds
+   */
+  waitMs () {
+    const refillMs = Math.max(0, (1 - this.tokens) * 1000 / this.requestsPerSecond)
+    return Math.ceil(Math.max(refillMs, this.pausedUntil - Date.now()))
+  }
+
+  /** @private */
+  schedule () {
+    if (this.timer) {
+      return
+    }
+    this.timer = setTimeout(() => {
+      this.timer = undefined
+      this.release()
+    }, this.waitMs())
+  }
+
+  /**
+   * Sends the queued requests allowed by the tokens.
+   *
+   * @private
+   */
+  release () {
+    this.refill()
+    while (this.queue.length > 0 && this.tokens >= 1 && Date.now() >= this.pausedUntil) {
+      this.take()
+      this.queue.shift()()
+    }
+    this.updateQueueDepth()
+    if (this.queue.length > 0) {
+      this.schedule()
+    }
+  }
+
+  /** @private */
+  updateQueueDepth () {
+    this.metrics.queueDepth = this.queue.length
+    this.metrics.maxQueueDepth = Math.max(this.metrics.maxQueueDepth, this.queue.length)
+  }
+
+  /** @private */
+  emit ({ reason, waitMs }) {
+    const event = { reason, waitMs, queueDepth: this.queue.length }
+    logger.debug(`request throttled: ${JSON.stringify(event)}`)
+    if (this.onThrottle) {
+      try {
+        this.onThrottle(event)
+      } catch (e) {
+        // a failing listener must not fail the request
+        logger.debug(`onThrottle failed: ${e.message}`)
+      }
+    }
+  }
+}
+
+module.exports = { RateLimiter }
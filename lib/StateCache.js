@@ -0,0 +1,105 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const utils = require('./utils')
+
+const DEFAULT_MAX_ENTRIES = 1000
+const DEFAULT_MAX_AGE_MS = 60000
+
+/**
+ * In-process cache of `get` results, evicting the least recently used entry
+ * when full. An entry is never served past the key expiration, nor after
+ * `maxAgeMs`, which bounds how stale a value changed by another process can
+ * be.
+ *
+ * @private
+ */
+class StateCache {
+  /**
+   * @param {object} [options] cache options
+   * @param {number} [options.maxEntries] the maximum number of cached keys, defaults to 1000
+   * @param {number} [options.maxAgeMs] the maximum time an entry is served from the cache, defaults to 60000
+   */
+  constructor ({ maxEntries = DEFAULT_MAX_ENTRIES, maxAgeMs = DEFAULT_MAX_AGE_MS } = {}) {
+    this.maxEntries = maxEntries
+    this.maxAgeMs = maxAgeMs
+    // Map iteration follows insertion order, the first key is the least recently used
+    this.entries = new Map()
+    // incremented by every invalidation, see set
+    this.generation = 0
+  }
+
+  /**
+   * @param {string} key the key
+   * @returns {object} the cached get result or undefined
+   */
+  get (key) {
+    const cached = this.entries.get(key)
+    if (!cached) {
+      return undefined
+    }
+
+    const now = Date.now()
+    if (cached.cachedAt + this.maxAgeMs <= now || Date.parse(cached.result.expiration) <= now) {
+      this.entries.delete(key)
+      return undefined
+    }
+    this.entries.delete(key)
+    this.entries.set(key, cached)
+    return { ...cached.result }
+  }
+
+  /**
+   * Caches a get result. The result is dropped if an invalidation happened
+   * since `generation` was read, as it may have been fetched before a write.
+   *
+   * @param {string} key the key
+   * @param {object} result the get result
+   * @param {number} generation the cache generation read before fetching the result
+   */
+  set (key, result, generation) {
+    if (generation !== this.generation) {
+      return
+    }
+    this.entries.delete(key)
+    this.entries.set(key, { result: { ...result }, cachedAt: Date.now() })
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+
+  /**
+   * Invalidates a cached key.
+   *
+   * @param {string} key the key
+   */
+  delete (key) {
+    ++this.generation
+    this.entries.delete(key)
+  }
+
+  /**
+   * Invalidates the cached keys matching a glob pattern.
+   *
+   * @param {string} match the glob pattern, e.g. 'abc*'
+   */
+  deleteMatching (match) {
+    ++this.generation
+    const regex = utils.globToRegExp(match)
+    for (const key of this.entries.keys()) {
+      if (regex.test(key)) {
+        this.entries.delete(key)
+      }
+    }
+  }
+}
+
+module.exports = { StateCache }
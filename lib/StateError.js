@@ -36,6 +36,20 @@ const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', {
  * @property {AdobeStateLibError} ERROR_INTERNAL this error is thrown when an unknown error is thrown by the underlying
  * DB provider or TVM server for credential exchange. More details can be found in `e.sdkDetails._internal`.
  * @property {AdobeStateLibError} ERROR_REQUEST_RATE_TOO_HIGH this error is thrown when the request rate for accessing state is too high.
+ * @property {AdobeStateLibError} ERROR_UNKNOWN_PROVIDER this error is thrown when the provider passed to init is not supported.
+ * @property {AdobeStateLibError} ERROR_PRECONDITION_FAILED this error is thrown when a conditional put fails, because the key was
+ * modified, deleted or created by another request.
+ * @property {AdobeStateLibError} ERROR_INVALID_VALUE this error is thrown when a stored value cannot be parsed as JSON or does not
+ * match the expected schema.
+ * @property {AdobeStateLibError} ERROR_DECRYPTION_FAILED this error is thrown when a stored value cannot be decrypted, because it
+ * was tampered with or its encryption key is not available.
+ * @property {AdobeStateLibError} ERROR_LOCKED this error is thrown when a lock cannot be acquired, because another owner holds it.
+ * @property {AdobeStateLibError} ERROR_LOCK_NOT_HELD this error is thrown when releasing or extending a lock that is not held
+ * by the caller anymore.
+ * @property {AdobeStateLibError} ERROR_IN_PROGRESS this error is thrown by idempotent when another call with the same request id
+ * is running.
+ * @property {AdobeStateLibError} ERROR_TIMEOUT this error is thrown when a request to the State service takes longer than its
+ * `timeoutMs` option. `e.sdkDetails.requestId` identifies the request.
  */
 
 const codes = {}
@@ -61,6 +75,13 @@ E('ERROR_UNAUTHORIZED', 'you are not authorized to access %s')
 E('ERROR_BAD_CREDENTIALS', 'cannot access %s, make sure your credentials are valid')
 E('ERROR_PAYLOAD_TOO_LARGE', 'key, value or request payload is too large')
 E('ERROR_REQUEST_RATE_TOO_HIGH', 'Request rate too high. Please retry after sometime.')
+E('ERROR_PRECONDITION_FAILED', 'precondition failed, the key was changed by another request')
+E('ERROR_INVALID_VALUE', 'invalid value for key %s: %s')
+E('ERROR_DECRYPTION_FAILED', 'cannot decrypt value for key %s: %s')
+E('ERROR_LOCKED', 'lock \'%s\' is held by another owner')
+E('ERROR_IN_PROGRESS', 'request \'%s\' is already in progress')
+E('ERROR_LOCK_NOT_HELD', 'lock \'%s\' is not held anymore, it expired, was released, or was acquired by another owner')
+E('ERROR_TIMEOUT', 'request timed out after %s ms')
 
 // eslint-disable-next-line jsdoc/require-jsdoc
 function logAndThrow (e) {
@@ -0,0 +1,201 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+const { AsyncLocalStorage } = require('node:async_hooks')
+
+// values of SpanKind.CLIENT and SpanStatusCode.ERROR in @opentelemetry/api,
+// which is not a dependency, the tracer and meter are provided by the caller
+const SPAN_KIND_CLIENT = 2
+const SPAN_STATUS_ERROR = 2
+
+/**
+ * Records the operations and their requests to the State service as
+ * OpenTelemetry spans, the requests as metrics, and reports the requests to
+ * plain hooks. A request record spans all the attempts of a request, retries
+ * included.
+ *
+ * @private
+ */
+class Telemetry {
+  /**
+   * @param {object} options telemetry options
+   * @param {object} [options.tracer] an OpenTelemetry Tracer, each operation and each of its requests becomes a span
+   * @param {object} [options.meter] an OpenTelemetry Meter, for the request metrics
+   * @param {Function} [options.onRequest] called with a request event before a request is sent
+   * @param {Function} [options.onResponse] called with a request event once a request completed or failed
+   */
+  constructor ({ tracer, meter, onRequest, onResponse }) {
+    this.tracer = tracer
+    // the span of the operation running in the current async context
+    this.operations = new AsyncLocalStorage()
+    this.onRequest = onRequest
+    this.onResponse = onResponse
+    this.instruments = meter && {
+      requests: meter.createCounter('aio_state.requests', {
+        description: 'Number of requests to the State service'
+      }),
+      duration: meter.createHistogram('aio_state.request.duration', {
+        description: 'Duration of the requests to the State service, retries included',
+        unit: 'ms'
+      }),
+      retries: meter.createCounter('aio_state.retries', {
+        description: 'Number of retried attempts of requests to the State service'
+      }),
+      throttled: meter.createCounter('aio_state.throttled', {
+        description: 'Number of 429 responses of the State service'
+      })
+    }
+  }
+
+  /**
+   * Runs an operation in a span, which is the parent of the spans of its
+   * requests. Operations run by another one, e.g. the get and put of incr,
+   * are part of it and have no span of their own.
+   *
+   * @param {object} operation the operation
+   * @param {string} operation.name the operation name, e.g. 'incr'
+   * @param {string} [operation.region] the region of the State service
+   * @param {Function} fn runs the operation
+   * @returns {Promise<any>} the result of fn
+   */
+  async operation ({ name, region }, fn) {
+    if (!this.tracer || this.operations.getStore()) {
+      return fn()
+    }
+    const attributes = withoutUndefined({ 'aio_state.operation': name, 'aio_state.region': region })
+    return this.tracer.startActiveSpan(`state.${name}`, { attributes }, span => this.operations.run(span, async () => {
+      try {
+        return await fn()
+      } catch (e) {
+        span.recordException(e)
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: e.message })
+        throw e
+      } finally {
+        span.end()
+      }
+    }))
+  }
+
+  /**
+   * Starts recording a request.
+   *
+   * @param {object} request the request: operation, region, method, keyCount and requestSize
+   * @returns {object} the request record, to pass to retry and end
+   */
+  start (request) {
+    const record = { request, startedAt: Date.now(), retries: 0, throttled: 0 }
+    // named after the HTTP method, like HTTP client spans
+    record.span = this.tracer?.startSpan(request.method, {
+      kind: SPAN_KIND_CLIENT,
+      attributes: withoutUndefined({
+        'aio_state.operation': request.operation,
+        'aio_state.region': request.region,
+        'aio_state.key_count': request.keyCount,
+        'aio_state.request.size': request.requestSize,
+        'http.request.method': request.method
+      })
+    })
+    this.call('onRequest', { ...request })
+    return record
+  }
+
+  /**
+   * Records a retried attempt.
+   *
+   * @param {object} record the request record
+   * @param {number} [status] the status of the retried response, undefined after a network error
+   */
+  retry (record, status) {
+    ++record.retries
+    if (status === 429) {
+      ++record.throttled
+    }
+    record.span?.addEvent('retry', withoutUndefined({ 'aio_state.attempt': record.retries, 'http.response.status_code': status }))
+  }
+
+  /**
+   * Ends the record of a request.
+   *
+   * @param {object} record the request record
+   * @param {object} result the request result
+   * @param {number} [result.status] the response status, undefined if the request failed
+   * @param {string} [result.requestId] the request id
+   * @param {number} [result.responseSize] the size of the response body in bytes
+   * @param {Error} [result.error] the error of a failed request
+   */
+  end (record, { status, requestId, responseSize, error }) {
+    const durationMs = Date.now() - record.startedAt
+    if (status === 429) {
+      ++record.throttled
+    }
+    // a missing key is not an error
+    const failed = Boolean(error) || (status >= 400 && status !== 404)
+    const { span, request, retries, throttled } = record
+
+    if (span) {
+      span.setAttributes(withoutUndefined({
+        'aio_state.request_id': requestId,
+        'aio_state.response.size': responseSize,
+        'aio_state.retries': retries,
+        'http.response.status_code': status
+      }))
+      if (error) {
+        span.recordException(error)
+      }
+      if (failed) {
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error?.message ?? `status ${status}` })
+      }
+      span.end()
+    }
+
+    if (this.instruments) {
+      const attributes = withoutUndefined({
+        'aio_state.operation': request.operation,
+        'aio_state.region': request.region,
+        'http.response.status_code': status
+      })
+      this.instruments.requests.add(1, attributes)
+      this.instruments.duration.record(durationMs, attributes)
+      if (retries > 0) {
+        this.instruments.retries.add(retries, attributes)
+      }
+      if (throttled > 0) {
+        this.instruments.throttled.add(throttled, attributes)
+      }
+    }
+
+    this.call('onResponse', { ...request, status, requestId, responseSize, durationMs, retries, error })
+  }
+
+  /** @private */
+  call (hook, event) {
+    if (this[hook]) {
+      try {
+        this[hook](event)
+      } catch (e) {
+        // a failing hook must not fail the request
+        logger.debug(`${hook} failed: ${e.message}`)
+      }
+    }
+  }
+}
+
+/**
+ * @private
+ * @param {object} attributes span or metric attributes
+ * @returns {object} the attributes that are set, OpenTelemetry rejects undefined values
+ */
+function withoutUndefined (attributes) {
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined))
+}
+
+module.exports = { Telemetry }
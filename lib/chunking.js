@@ -0,0 +1,138 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const crypto = require('node:crypto')
+
+const { MAX_KEY_SIZE, MAX_TTL_SECONDS, DEFAULT_TTL_SECONDS } = require('./constants')
+
+const ENVELOPE_TYPE_CHUNKED = 'chunked'
+// chunk keys are `<key>.__chunk.<id>.<index>`, a new id is used by every put
+const CHUNK_KEY_SEPARATOR = '.__chunk.'
+const REGEX_CHUNK_KEY = /\.__chunk\.[0-9a-f]{16}\.[0-9]+$/
+// chunks outlive their manifest, so that a manifest never points to expired chunks
+const CHUNK_TTL_MARGIN_SECONDS = 60
+// manifests are small, larger values are not fetched when looking for one
+const MAX_MANIFEST_SIZE = 1024
+
+/**
+ * @private
+ * @param {string} key the key of the chunked value
+ * @param {string} id the manifest id
+ * @param {number} index the chunk index
+ * @returns {string} the chunk key
+ */
+function chunkKey (key, id, index) {
+  return `${key}${CHUNK_KEY_SEPARATOR}${id}.${index}`
+}
+
+/**
+ * @private
+ * @param {string} key a key
+ * @returns {boolean} true if the key holds a chunk of another key
+ */
+function isChunkKey (key) {
+  return REGEX_CHUNK_KEY.test(key)
+}
+
+/**
+ * Splits a value in chunks of at most `chunkSize` bytes, without splitting
+ * multi-byte characters.
+ *
+ * @private
+ * @param {string} value the value
+ * @param {number} chunkSize the maximum chunk size in bytes, at least 4
+ * @returns {string[]} the chunks
+ */
+function split (value, chunkSize) {
+  const buffer = Buffer.from(value)
+  const chunks = []
+  let start = 0
+  while (start < buffer.length) {
+    let end = Math.min(start + chunkSize, buffer.length)
+    // back up to the first byte of a character, continuation bytes are 10xxxxxx
+    while (end < buffer.length && (buffer[end] & 0xc0) === 0x80) {
+      --end
+    }
+    chunks.push(buffer.toString('utf8', start, end))
+    start = end
+  }
+  return chunks
+}
+
+/**
+ * Creates the manifest of a chunked value, its checksum is verified when the
+ * chunks are reassembled.
+ *
+ * @private
+ * @param {string} key the key of the chunked value
+ * @param {string} value the value
+ * @param {number} chunks the number of chunks
+ * @returns {{ id: string, chunks: number, size: number, sha256: string }} the manifest
+ */
+function createManifest (key, value, chunks) {
+  const manifest = {
+    id: crypto.randomBytes(8).toString('hex'),
+    chunks,
+    size: Buffer.byteLength(value),
+    sha256: checksum(value)
+  }
+  if (chunkKey(key, manifest.id, chunks - 1).length > MAX_KEY_SIZE) {
+    throw new Error(`key must be at most ${MAX_KEY_SIZE - chunkKey('', manifest.id, chunks - 1).length} characters long to be chunked`)
+  }
+  return manifest
+}
+
+/**
+ * @private
+ * @param {string} payload the payload of a chunked envelope
+ * @returns {object|undefined} the manifest or undefined if the payload is not a manifest
+ */
+function parseManifest (payload) {
+  try {
+    const manifest = JSON.parse(payload)
+    if (/^[0-9a-f]{16}$/.test(manifest.id) && Number.isInteger(manifest.chunks) && typeof manifest.sha256 === 'string') {
+      return manifest
+    }
+  } catch (e) {
+    // not a manifest
+  }
+  return undefined
+}
+
+/**
+ * @private
+ * @param {string} value the value
+ * @returns {string} the sha256 checksum of the value, hex encoded
+ */
+function checksum (value) {
+  return crypto.createHash('sha256').update(value).digest('hex')
+}
+
+/**
+ * @private
+ * @param {number} [ttl] the ttl of the manifest in seconds, 0 or undefined for the default ttl
+ * @returns {number} the ttl of the chunks
+ */
+function chunkTtl (ttl) {
+  return Math.min((ttl || DEFAULT_TTL_SECONDS) + CHUNK_TTL_MARGIN_SECONDS, MAX_TTL_SECONDS)
+}
+
+module.exports = {
+  ENVELOPE_TYPE_CHUNKED,
+  MAX_MANIFEST_SIZE,
+  chunkKey,
+  isChunkKey,
+  split,
+  createManifest,
+  parseManifest,
+  checksum,
+  chunkTtl
+}
@@ -0,0 +1,83 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const zlib = require('node:zlib')
+const { promisify } = require('node:util')
+
+const envelope = require('./envelope')
+
+// envelope types, by algorithm name
+const ALGORITHMS = {
+  gzip: {
+    type: 'gzip',
+    compress: promisify(zlib.gzip),
+    decompress: promisify(zlib.gunzip)
+  },
+  brotli: {
+    type: 'br',
+    compress: promisify(zlib.brotliCompress),
+    decompress: promisify(zlib.brotliDecompress)
+  }
+}
+
+const DEFAULT_THRESHOLD_BYTES = 1024
+const DEFAULT_ALGORITHM = 'gzip'
+
+/**
+ * Compresses a value into a base64 envelope, if it is at least
+ * `thresholdBytes` long and the envelope is smaller than the value.
+ *
+ * @private
+ * @param {string} value the value
+ * @param {object} options compression options
+ * @param {number} [options.thresholdBytes] the minimum value size to compress, defaults to 1024
+ * @param {('gzip'|'brotli')} [options.algorithm] the compression algorithm, defaults to gzip
+ * @returns {Promise<string|undefined>} the envelope or undefined if the value is
+ *   not worth compressing
+ */
+async function compress (value, { thresholdBytes = DEFAULT_THRESHOLD_BYTES, algorithm = DEFAULT_ALGORITHM }) {
+  const size = Buffer.byteLength(value)
+  if (size < thresholdBytes) {
+    return undefined
+  }
+  const { type, compress } = ALGORITHMS[algorithm]
+  const compressed = envelope.wrap(type, (await compress(value)).toString('base64'))
+  return Buffer.byteLength(compressed) < size ? compressed : undefined
+}
+
+/**
+ * @private
+ * @param {string} type the envelope type
+ * @returns {boolean} true if the envelope type is a compression
+ */
+function isCompressed (type) {
+  return Object.values(ALGORITHMS).some(algorithm => algorithm.type === type)
+}
+
+/**
+ * Decompresses the payload of a compression envelope.
+ *
+ * @private
+ * @param {string} type the envelope type, see isCompressed
+ * @param {string} payload the base64 payload
+ * @returns {Promise<string>} the value
+ */
+async function decompress (type, payload) {
+  const { decompress } = Object.values(ALGORITHMS).find(algorithm => algorithm.type === type)
+  return (await decompress(Buffer.from(payload, 'base64'))).toString()
+}
+
+module.exports = {
+  COMPRESSION_ALGORITHMS: Object.keys(ALGORITHMS),
+  compress,
+  isCompressed,
+  decompress
+}
@@ -43,10 +43,18 @@ const ENDPOINTS = {
 }
 
 const MAX_KEY_SIZE = 1024 * 1 // 1KB
+const MAX_VALUE_SIZE = 1024 * 1024 // 1MB
 const MAX_TTL_SECONDS = 60 * 60 * 24 * 365 // 365 days
+const DEFAULT_TTL_SECONDS = 60 * 60 * 24 // 24 hours
 const HEADER_KEY_EXPIRES = 'x-key-expires-ms'
+const HEADER_ETAG = 'etag'
+const HEADER_CONTENT_LENGTH = 'content-length'
+const DEFAULT_CONCURRENCY = 10 // max concurrent requests of batch operations
+const MAX_LIST_PAGE_SIZE = 1000 // max and default number of keys scanned by a list call
 
 const REGEX_PATTERN_STORE_NAMESPACE = '^(development-)?([0-9]{3,10})-([a-z0-9]{1,20})(-([a-z0-9]{1,20}))?$'
+// The namespaces of the local providers name a container and a directory, they can't hold separators or dots
+const REGEX_PATTERN_LOCAL_NAMESPACE = '^[a-zA-Z0-9-_]{1,64}$'
 // The regex for keys, allowed chars are alphanumerical with _ - .
 const REGEX_PATTERN_STORE_KEY = `^[a-zA-Z0-9-_.]{1,${MAX_KEY_SIZE}}$`
 // Same as REGEX_PATTERN_STORE_KEY with an added * to support glob-style matching
@@ -59,10 +67,17 @@ module.exports = {
   ENDPOINTS,
   CUSTOM_ENDPOINT,
   MAX_KEY_SIZE,
+  MAX_VALUE_SIZE,
   MAX_TTL_SECONDS,
+  DEFAULT_TTL_SECONDS,
+  DEFAULT_CONCURRENCY,
+  MAX_LIST_PAGE_SIZE,
   REGEX_PATTERN_STORE_NAMESPACE,
+  REGEX_PATTERN_LOCAL_NAMESPACE,
   REGEX_PATTERN_STORE_KEY,
   HEADER_KEY_EXPIRES,
+  HEADER_ETAG,
+  HEADER_CONTENT_LENGTH,
   REGEX_PATTERN_MATCH_KEY,
   REQUEST_ID_HEADER,
   // for testing only
@@ -0,0 +1,137 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const crypto = require('node:crypto')
+
+const envelope = require('./envelope')
+
+const ENVELOPE_TYPE_ENCRYPTED = 'aes256gcm'
+const CIPHER = 'aes-256-gcm'
+const KEY_BYTES = 32
+const IV_BYTES = 12
+const TAG_BYTES = 16
+// the key id is stored in the envelope payload, before a ':'
+const REGEX_KEY_ID = /^[\w.-]{1,64}$/
+
+/**
+ * @private
+ * @param {Buffer|string} key a 256-bit key, or its base64 encoding
+ * @returns {Buffer|undefined} the key or undefined if it is not a 256-bit key
+ */
+function toKey (key) {
+  const buffer = typeof key === 'string' ? Buffer.from(key, 'base64') : key
+  return Buffer.isBuffer(buffer) && buffer.length === KEY_BYTES ? buffer : undefined
+}
+
+/**
+ * Creates the keyring resolving encryption keys by id. A static key gets an
+ * id derived from its hash, a key provider is called with no id for the
+ * current key, and with the id of the key that encrypted a value. Keys
+ * resolved by id are cached, the current key is resolved on every call so
+ * that the provider can rotate it.
+ *
+ * @private
+ * @param {object} options encryption options
+ * @param {string} [options.key] a base64 encoded 256-bit key
+ * @param {function(string): Promise<{ keyId: string, key: (Buffer|string) }>} [options.keyProvider] the key provider
+ * @returns {{ current: function(): Promise<object>, get: function(string): Promise<Buffer> }} the keyring
+ */
+function createKeyring ({ key, keyProvider }) {
+  if (key !== undefined) {
+    const current = { keyId: crypto.createHash('sha256').update(toKey(key)).digest('hex').slice(0, 16), key: toKey(key) }
+    return {
+      current: async () => current,
+      get: async (keyId) => keyId === current.keyId ? current.key : undefined
+    }
+  }
+
+  const keys = new Map()
+  const resolve = async (keyId) => {
+    const resolved = await keyProvider(keyId)
+    const key = toKey(resolved?.key)
+    if (!key || !REGEX_KEY_ID.test(resolved.keyId) || (keyId !== undefined && resolved.keyId !== keyId)) {
+      throw new Error(`the key provider returned an invalid key for ${keyId === undefined ? 'the current key' : `key id '${keyId}'`}`)
+    }
+    keys.set(resolved.keyId, key)
+    return { keyId: resolved.keyId, key }
+  }
+  return {
+    current: () => resolve(),
+    get: async (keyId) => keys.get(keyId) ?? (await resolve(keyId)).key
+  }
+}
+
+/**
+ * Encrypts a value with the current key into an envelope. The state key is
+ * authenticated with the value, so that a value copied to another key cannot
+ * be decrypted.
+ *
+ * @private
+ * @param {string} value the value
+ * @param {object} keyring the keyring, see createKeyring
+ * @param {string} aad the additional authenticated data, the state key
+ * @returns {Promise<string>} the envelope
+ */
+async function encrypt (value, keyring, aad) {
+  const { keyId, key } = await keyring.current()
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv(CIPHER, key, iv).setAAD(Buffer.from(aad))
+  const encrypted = Buffer.concat([cipher.update(value), cipher.final()])
+  const data = Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64')
+  return envelope.wrap(ENVELOPE_TYPE_ENCRYPTED, `${keyId}:${data}`)
+}
+
+/**
+ * Decrypts the payload of an encryption envelope.
+ *
+ * @private
+ * @param {string} payload the envelope payload
+ * @param {object} keyring the keyring, see createKeyring
+ * @param {string} aad the additional authenticated data, the state key
+ * @returns {Promise<string>} the value
+ */
+async function decrypt (payload, keyring, aad) {
+  const separator = payload.indexOf(':')
+  if (separator < 0) {
+    throw new Error('missing key id')
+  }
+  const keyId = payload.slice(0, separator)
+  const key = await keyring.get(keyId)
+  if (!key) {
+    throw new Error(`unknown key id '${keyId}'`)
+  }
+
+  const data = Buffer.from(payload.slice(separator + 1), 'base64')
+  const decipher = crypto.createDecipheriv(CIPHER, key, data.subarray(0, IV_BYTES))
+    .setAAD(Buffer.from(aad))
+    .setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES))
+  return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString()
+}
+
+/**
+ * @private
+ * @param {string} value a stored value
+ * @returns {string|undefined} the id of the key that encrypted the value, or
+ *   undefined if the value is not encrypted
+ */
+function keyIdOf (value) {
+  const { type, payload } = envelope.unwrap(value) ?? {}
+  return type === ENVELOPE_TYPE_ENCRYPTED ? payload.split(':')[0] : undefined
+}
+
+module.exports = {
+  ENVELOPE_TYPE_ENCRYPTED,
+  toKey,
+  createKeyring,
+  encrypt,
+  decrypt,
+  keyIdOf
+}
@@ -0,0 +1,60 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+// values starting with this prefix were transformed by the library, e.g.
+// compressed, the NUL character makes a clash with plain text values unlikely
+const ENVELOPE_PREFIX = '\u0000aio-state:'
+
+// type of the envelope escaping plain values that start with ENVELOPE_PREFIX
+const ENVELOPE_TYPE_RAW = 'raw'
+
+/**
+ * Wraps a transformed value in a self-describing envelope:
+ * `<ENVELOPE_PREFIX><type>:<payload>`.
+ *
+ * @private
+ * @param {string} type the transformation, e.g. 'gzip'
+ * @param {string} payload the transformed value
+ * @returns {string} the envelope
+ */
+function wrap (type, payload) {
+  return `${ENVELOPE_PREFIX}${type}:${payload}`
+}
+
+/**
+ * Unwraps an envelope created by wrap.
+ *
+ * @private
+ * @param {string} value a stored value
+ * @returns {{ type: string, payload: string }|undefined} the envelope type and
+ *   payload, or undefined if the value is not an envelope
+ */
+function unwrap (value) {
+  if (!value.startsWith(ENVELOPE_PREFIX)) {
+    return undefined
+  }
+  const separator = value.indexOf(':', ENVELOPE_PREFIX.length)
+  if (separator < 0) {
+    return undefined
+  }
+  return {
+    type: value.slice(ENVELOPE_PREFIX.length, separator),
+    payload: value.slice(separator + 1)
+  }
+}
+
+module.exports = {
+  ENVELOPE_PREFIX,
+  ENVELOPE_TYPE_RAW,
+  wrap,
+  unwrap
+}
@@ -0,0 +1,135 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+const { setTimeout: sleep } = require('node:timers/promises')
+
+const utils = require('./utils')
+const { codes, logAndThrow } = require('./StateError')
+const { DEFAULT_TTL_SECONDS, MAX_TTL_SECONDS, REGEX_PATTERN_STORE_KEY } = require('./constants')
+
+// idempotent records are stored in `${IDEMPOTENCY_KEY_PREFIX}${requestId}`
+const IDEMPOTENCY_KEY_PREFIX = '__idempotent.'
+const DEFAULT_PENDING_TTL_SECONDS = 60
+// the wait between attempts while the function runs in another call
+const POLL_INTERVAL_MS = 100
+
+/**
+ * Runs a function once per request id, see AdobeState.idempotent.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} requestId the request id
+ * @param {Function} fn the function, its result must be JSON serializable
+ * @param {object} options the idempotent options, ttl, pendingTtl and wait
+ * @returns {Promise<any>} the result of the function, from this call or the first one
+ */
+async function runIdempotent (state, requestId, fn, options) {
+  const { ttl = DEFAULT_TTL_SECONDS, pendingTtl = DEFAULT_PENDING_TTL_SECONDS, wait = true } = options
+  const key = typeof requestId === 'string' ? `${IDEMPOTENCY_KEY_PREFIX}${requestId}` : requestId
+  const ttlSchema = { type: 'integer', minimum: 1, maximum: MAX_TTL_SECONDS }
+  const schema = {
+    type: 'object',
+    properties: {
+      requestId: { type: 'string', pattern: REGEX_PATTERN_STORE_KEY },
+      ttl: ttlSchema,
+      pendingTtl: ttlSchema,
+      wait: { type: 'boolean' }
+    },
+    required: ['requestId']
+  }
+  const { valid, errors } = utils.validate(schema, { requestId: state.encodeKey(key), ttl, pendingTtl, wait })
+  if (!valid) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: utils.formatAjvErrors(errors),
+      sdkDetails: { requestId, options, errors }
+    }))
+  }
+  if (typeof fn !== 'function') {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: 'fn must be a function',
+      sdkDetails: { requestId, options }
+    }))
+  }
+
+  for (;;) {
+    try {
+      await state.putIfAbsent(key, JSON.stringify({ status: 'pending' }), { ttl: pendingTtl })
+    } catch (e) {
+      if (e.code !== 'ERROR_PRECONDITION_FAILED') {
+        throw e
+      }
+      const record = await getIdempotentRecord(state, key)
+      if (record?.status === 'done') {
+        logger.debug(`idempotent '${requestId}' already done`)
+        return record.result
+      }
+      if (record && !wait) {
+        logAndThrow(new codes.ERROR_IN_PROGRESS({
+          messageValues: requestId,
+          sdkDetails: { requestId, options }
+        }))
+      }
+      // pending, or failed and deleted meanwhile
+      await sleep(POLL_INTERVAL_MS)
+      continue
+    }
+
+    let result
+    try {
+      result = await fn()
+    } catch (e) {
+      await state.delete(key)
+      throw e
+    }
+    let record
+    try {
+      record = JSON.stringify({ status: 'done', result })
+    } catch (e) {
+      // fn ran but its result can't be stored, the next call runs it again
+      await state.delete(key)
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `the result of fn must be JSON serializable: ${e.message}`,
+        sdkDetails: { requestId, options }
+      }))
+    }
+    await state.put(key, record, { ttl })
+    return result
+  }
+}
+
+/**
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} key the key of the idempotent record
+ * @returns {Promise<{ status: string, result: any }>} the record or undefined
+ */
+async function getIdempotentRecord (state, key) {
+  const res = await state.get(key)
+  if (!res) {
+    return undefined
+  }
+  let record
+  try {
+    record = JSON.parse(res.value)
+  } catch (e) {
+    // not JSON, handled below
+  }
+  if (record?.status !== 'pending' && record?.status !== 'done') {
+    logAndThrow(new codes.ERROR_INVALID_VALUE({
+      messageValues: [key, 'not an idempotent record'],
+      sdkDetails: { key, valueLength: res.value.length }
+    }))
+  }
+  return record
+}
+
+module.exports = { IDEMPOTENCY_KEY_PREFIX, runIdempotent }
@@ -10,10 +10,14 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 
+/* eslint-disable jsdoc/no-undefined-types */
 const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
 
 const utils = require('./utils')
+const { codes, logAndThrow } = require('./StateError')
 const { AdobeState } = require('./AdobeState')
+const { MemoryState } = require('./MemoryState')
+const { FileState } = require('./FileState')
 const DEFAULT_LOG_RETRY_AFTER_SECONDS = 10
 
 /* *********************************** typedefs *********************************** */
@@ -37,6 +41,10 @@ const DEFAULT_LOG_RETRY_AFTER_SECONDS = 10
  *
  * OpenWhisk credentials can also be read from environment variables `__OW_NAMESPACE` and `__OW_API_KEY`.
  *
+ * Set `config.provider` to `memory` to keep key-values in the process memory
+ * instead, e.g. to test actions without the State service, or to `file` to
+ * persist them in a local directory, e.g. when running actions with `aio app dev`.
+ *
  * @param {object} [config] used to init the sdk
  * @param {OpenWhiskCredentials} [config.ow]
  * {@link OpenWhiskCredentials}. Set those if you want
@@ -46,22 +54,67 @@ const DEFAULT_LOG_RETRY_AFTER_SECONDS = 10
  * @param {string} [config.region] optional region to use, accepted values: `amer` (default), `emea`, `apac`, `aus`
  * @param {string} [config.logLevel] optional log level for the HttpExponentialBackoff instance
  * @param {number} [config.logRetryAfterSeconds] Defaults to 10. if the request has to retry because of a 429, it will log the retry attempt as a warning if the Retry-After value is greater than this number. Set to 0 to disable.
+ * @param {('adobe'|'memory'|'file')} [config.provider] optional provider to use, accepted values: `adobe` (default), `memory`, `file`.
+ * The `memory` and `file` providers do not require credentials, their namespace defaults to `__OW_NAMESPACE` or 'local'
+ * and may only hold alphanumerical characters, `-` and `_`.
+ * @param {string} [config.dir] optional root directory for the `file` provider, defaults to `.aio/state`. Key-values are
+ * stored in `<dir>/<namespace>/<region>`.
+ * @param {AdobeStateCacheOptions} [config.cache] optional, enables an in-process cache of `get` results, e.g.
+ * `{ maxEntries: 100, maxAgeMs: 30000 }`. Use it for keys that are read often and rarely changed by other instances.
+ * @param {AdobeStateCompressionOptions} [config.compression] optional, compresses values larger than a threshold, e.g.
+ * `{ thresholdBytes: 4096, algorithm: 'brotli' }`. Compressed values are decompressed by get automatically.
+ * @param {AdobeStateEncryptionOptions} [config.encryption] optional, encrypts values with AES-256-GCM before they are
+ * stored, e.g. `{ key: process.env.STATE_ENCRYPTION_KEY }`. Use `keyProvider` to rotate keys, see `reencrypt`.
+ * @param {AdobeStateChunkingOptions} [config.chunking] optional, stores values larger than 1MB in several keys, e.g.
+ * `{}`. Chunked values are reassembled by get automatically, delete and touch also apply to their chunks.
+ * @param {string|AdobeStateKeyEncoding} [config.keyEncoding] optional, encodes keys so that they can contain any
+ * character, e.g. `'escape'` to store 'user@example.com' as 'user_40example.com'. Listed keys are decoded.
+ * @param {AdobeStateRateLimitOptions} [config.rateLimit] optional, queues requests to stay under a request rate, e.g.
+ * `{ requestsPerSecond: 20, burst: 50 }`. The queue and throttling are reported by `rateLimitMetrics` and `onThrottle`.
+ * @param {boolean|AdobeStateRetryOptions} [config.retry] optional, the retry policy of all requests, e.g.
+ * `{ maxRetries: 1, maxDelayMs: 500 }`, or `false` to disable retries. Operations accept a `retry` option to override it.
+ * @param {number} [config.timeoutMs] optional, the maximum time in milliseconds of each request, retries included, e.g.
+ * `2000`. Requests that take longer fail with ERROR_TIMEOUT. Operations accept a `timeoutMs` option to override it.
+ * @param {AdobeStateTelemetryOptions} [config.telemetry] optional, records requests as OpenTelemetry spans and metrics, e.g.
+ * `{ tracer: trace.getTracer('my-action') }`, or reports them to `onRequest` and `onResponse` hooks.
  * @returns {Promise<AdobeState>} An AdobeState instance
  */
 async function init (config = {}) {
-  const logConfig = utils.withHiddenFields(config, ['ow.auth'])
+  const logConfig = utils.withHiddenFields(config, ['ow.auth', 'encryption.key'])
   logger.debug(`init with config: ${JSON.stringify(logConfig, null, 2)}`)
 
   const { auth: apikey, namespace } = (config.ow ?? {})
-  const { region, logLevel, logRetryAfterSeconds = DEFAULT_LOG_RETRY_AFTER_SECONDS } = config
-
-  return AdobeState.init({
+  const { provider = 'adobe', region, logLevel, logRetryAfterSeconds = DEFAULT_LOG_RETRY_AFTER_SECONDS, cache, compression, encryption, chunking, keyEncoding, rateLimit, retry, timeoutMs, telemetry } = config
+  const credentials = {
     apikey,
     namespace,
     region,
     logLevel,
-    logRetryAfterSeconds
-  })
+    logRetryAfterSeconds,
+    cache,
+    compression,
+    encryption,
+    chunking,
+    keyEncoding,
+    rateLimit,
+    retry,
+    timeoutMs,
+    telemetry
+  }
+
+  switch (provider) {
+    case 'adobe':
+      return AdobeState.init(credentials)
+    case 'memory':
+      return MemoryState.init(credentials)
+    case 'file':
+      return FileState.init({ ...credentials, dir: config.dir })
+    default:
+      logAndThrow(new codes.ERROR_UNKNOWN_PROVIDER({
+        messageValues: `provider '${provider}' is not supported, accepted values: adobe, memory, file`,
+        sdkDetails: logConfig
+      }))
+  }
 }
 
 module.exports = { init }
@@ -0,0 +1,68 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+// characters of REGEX_PATTERN_STORE_KEY, but '_' which is the escape character
+const REGEX_UNESCAPED_CHAR = /[a-zA-Z0-9.-]/
+const REGEX_ESCAPED_KEY = /^(?:[a-zA-Z0-9.-]|_[0-9A-F]{2})*$/
+
+/**
+ * Escapes every byte of a key that is not an allowed key character as `_XX`,
+ * where XX is the byte in hexadecimal, e.g. 'user:1' is stored as 'user_3A1'.
+ * Keys keep their readable prefixes, so match patterns are escaped too.
+ *
+ * @private
+ */
+const escape = {
+  encode (key) {
+    let encoded = ''
+    for (const byte of Buffer.from(key)) {
+      const char = String.fromCharCode(byte)
+      encoded += byte < 0x80 && REGEX_UNESCAPED_CHAR.test(char) ? char : `_${byte.toString(16).toUpperCase().padStart(2, '0')}`
+    }
+    return encoded
+  },
+  decode (key) {
+    if (!REGEX_ESCAPED_KEY.test(key)) {
+      throw new Error(`'${key}' is not an escaped key`)
+    }
+    return decodeURIComponent(key.replace(/_/g, '%'))
+  },
+  encodeMatch (match) {
+    return match.split('*').map(part => escape.encode(part)).join('*')
+  }
+}
+
+/**
+ * Encodes keys in base64url, keys can't be matched by prefix.
+ *
+ * @private
+ */
+const base64url = {
+  encode: (key) => Buffer.from(key).toString('base64url'),
+  decode: (key) => Buffer.from(key, 'base64url').toString()
+}
+
+const KEY_ENCODINGS = { escape, base64url }
+
+/**
+ * @private
+ * @param {string|object} keyEncoding the name of a built-in key encoding, or
+ *   a custom one with `encode`, `decode` and optionally `encodeMatch` functions
+ * @returns {{ encode: Function, decode: Function, encodeMatch: Function }} the key codec
+ */
+function createKeyCodec (keyEncoding) {
+  return typeof keyEncoding === 'string' ? KEY_ENCODINGS[keyEncoding] : keyEncoding
+}
+
+module.exports = {
+  KEY_ENCODINGS: Object.keys(KEY_ENCODINGS),
+  createKeyCodec
+}
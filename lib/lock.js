@@ -0,0 +1,155 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+const { randomUUID } = require('node:crypto')
+const { setTimeout: sleep } = require('node:timers/promises')
+
+const utils = require('./utils')
+const { codes, logAndThrow } = require('./StateError')
+const { MAX_TTL_SECONDS, REGEX_PATTERN_STORE_KEY } = require('./constants')
+
+// locks are stored in `${LOCK_KEY_PREFIX}${name}`, apart from the data keys
+const LOCK_KEY_PREFIX = '__lock.'
+const DEFAULT_LOCK_TTL_SECONDS = 60
+// the wait between attempts to acquire a lock
+const POLL_INTERVAL_MS = 100
+
+const ttlSchema = { type: 'integer', minimum: 1, maximum: MAX_TTL_SECONDS }
+
+/**
+ * Acquires a lock, see AdobeState.lock.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} name the lock name
+ * @param {object} options the lock options, ttl and waitMs
+ * @returns {Promise<object>} the acquired lock
+ */
+async function acquireLock (state, name, options) {
+  const { ttl = DEFAULT_LOCK_TTL_SECONDS, waitMs = 0 } = options
+  const key = typeof name === 'string' ? `${LOCK_KEY_PREFIX}${name}` : name
+  const schema = {
+    type: 'object',
+    properties: {
+      name: { type: 'string', pattern: REGEX_PATTERN_STORE_KEY },
+      ttl: ttlSchema,
+      waitMs: { type: 'integer', minimum: 0 }
+    },
+    required: ['name']
+  }
+  const { valid, errors } = utils.validate(schema, { name: state.encodeKey(key), ttl, waitMs })
+  if (!valid) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: utils.formatAjvErrors(errors),
+      sdkDetails: { name, options, errors }
+    }))
+  }
+
+  const token = randomUUID()
+  const deadline = Date.now() + waitMs
+  for (;;) {
+    try {
+      await state.putIfAbsent(key, token, { ttl })
+      logger.debug(`lock '${name}' acquired`)
+      return {
+        name,
+        release: () => releaseLock(state, name, token),
+        extend: (extendTtl = ttl) => extendLock(state, name, token, extendTtl)
+      }
+    } catch (e) {
+      if (e.code !== 'ERROR_PRECONDITION_FAILED') {
+        throw e
+      }
+    }
+
+    const remainingMs = deadline - Date.now()
+    if (remainingMs <= 0) {
+      logAndThrow(new codes.ERROR_LOCKED({
+        messageValues: name,
+        sdkDetails: { name, options }
+      }))
+    }
+    await sleep(Math.min(POLL_INTERVAL_MS, remainingMs))
+  }
+}
+
+/**
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} name the lock name
+ * @param {string} token the token of the lock owner
+ * @returns {Promise<object>} the lock key, if the lock is held by the owner
+ *   of the token
+ */
+async function getOwnedLock (state, name, token) {
+  const current = await state.get(`${LOCK_KEY_PREFIX}${name}`)
+  if (current?.value !== token) {
+    logAndThrow(new codes.ERROR_LOCK_NOT_HELD({
+      messageValues: name,
+      sdkDetails: { name, exists: current !== undefined }
+    }))
+  }
+  return current
+}
+
+/**
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} name the lock name
+ * @param {string} token the token of the lock owner
+ * @returns {Promise<void>} resolves once released
+ */
+function releaseLock (state, name, token) {
+  return state.traced('releaseLock', async () => {
+    await getOwnedLock(state, name, token)
+    // there is no conditional delete, but another owner can only acquire the
+    // lock between the check and the delete if it expired in between
+    await state.delete(`${LOCK_KEY_PREFIX}${name}`)
+    logger.debug(`lock '${name}' released`)
+  })
+}
+
+/**
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} name the lock name
+ * @param {string} token the token of the lock owner
+ * @param {number} ttl the new lock ttl in seconds
+ * @returns {Promise<void>} resolves once extended
+ */
+function extendLock (state, name, token, ttl) {
+  return state.traced('extendLock', async () => {
+    const { valid, errors } = utils.validate({ type: 'object', properties: { ttl: ttlSchema } }, { ttl })
+    if (!valid) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: utils.formatAjvErrors(errors),
+        sdkDetails: { name, ttl, errors }
+      }))
+    }
+
+    const { version } = await getOwnedLock(state, name, token)
+    try {
+      await state.put(`${LOCK_KEY_PREFIX}${name}`, token, { ttl, ifMatch: version })
+    } catch (e) {
+      if (e.code !== 'ERROR_PRECONDITION_FAILED') {
+        throw e
+      }
+      // expired or released between the get and the put
+      logAndThrow(new codes.ERROR_LOCK_NOT_HELD({
+        messageValues: name,
+        sdkDetails: { name, exists: false }
+      }))
+    }
+  })
+}
+
+module.exports = { LOCK_KEY_PREFIX, acquireLock }
@@ -0,0 +1,156 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+
+const utils = require('./utils')
+const { codes, logAndThrow } = require('./StateError')
+const { init } = require('./init')
+const { ALLOWED_REGIONS, DEFAULT_CONCURRENCY, REGEX_PATTERN_MATCH_KEY } = require('./constants')
+
+/* *********************************** typedefs *********************************** */
+
+/**
+ * Migration report
+ *
+ * @typedef MigrationReport
+ * @type {object}
+ * @property {boolean} dryRun true if nothing was written
+ * @property {string[]} copied the copied keys, or the keys that would be copied in a dry run
+ * @property {string[]} skipped the keys that already exist in the target region
+ * @property {Array<{ key: string, error: Error }>} failed the keys that could not be copied
+ * @property {number} deleted the number of keys deleted from the source region
+ * @property {{ source: object, target: object }} stats the stats of the source region before the
+ *   migration and of the target region after the migration
+ * @property {boolean} verified true if no key failed and, unless in a dry run, the target region
+ *   holds at least as many keys as were migrated
+ */
+
+/* *********************************** migrate() *********************************** */
+
+/**
+ * Copies key-values from one region to another, with their remaining TTL.
+ * Keys that already exist in the target region are skipped, unless
+ * `config.overwrite` is set.
+ *
+ * After the copy, the key counts of both regions are checked with `stats()`.
+ * With `config.deleteSource`, the copied keys are deleted from the source
+ * region, only if the check passed. Keys written to the source region while
+ * the migration runs may not be copied.
+ *
+ * @example
+ *  const report = await stateLib.migrate({ fromRegion: 'amer', toRegion: 'emea', dryRun: true })
+ * @param {object} config the migration config, also accepts the options of {@link init} except `region`
+ * @param {string} config.fromRegion the source region
+ * @param {string} config.toRegion the target region
+ * @param {string} [config.match] a glob pattern that supports '*' to filter keys, defaults to all keys
+ * @param {boolean} [config.dryRun] report what would be copied without writing anything, defaults to false
+ * @param {boolean} [config.overwrite] replace keys that exist in the target region, defaults to false
+ * @param {boolean} [config.deleteSource] delete the copied keys from the source region, defaults to false
+ * @param {number} [config.concurrency] the maximum number of keys copied at the same time, defaults to 10
+ * @returns {Promise<MigrationReport>} the migration report
+ */
+async function migrate (config = {}) {
+  const {
+    fromRegion,
+    toRegion,
+    match = '*',
+    dryRun = false,
+    overwrite = false,
+    deleteSource = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    ...initConfig
+  } = config
+
+  const schema = {
+    type: 'object',
+    properties: {
+      fromRegion: { type: 'string', enum: ALLOWED_REGIONS },
+      toRegion: { type: 'string', enum: ALLOWED_REGIONS },
+      match: { type: 'string', pattern: REGEX_PATTERN_MATCH_KEY },
+      dryRun: { type: 'boolean' },
+      overwrite: { type: 'boolean' },
+      deleteSource: { type: 'boolean' },
+      concurrency: { type: 'integer', minimum: 1 }
+    },
+    required: ['fromRegion', 'toRegion']
+  }
+  const params = { fromRegion, toRegion, match, dryRun, overwrite, deleteSource, concurrency }
+  const { valid, errors } = utils.validate(schema, params)
+  if (!valid) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: utils.formatAjvErrors(errors),
+      sdkDetails: { ...params, errors }
+    }))
+  }
+  if (fromRegion === toRegion) {
+    logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+      messageValues: 'fromRegion and toRegion must be different',
+      sdkDetails: params
+    }))
+  }
+  logger.debug(`migrate ${JSON.stringify(params)}`)
+
+  const source = await init({ ...initConfig, region: fromRegion })
+  const target = await init({ ...initConfig, region: toRegion })
+  const sourceStats = await source.stats()
+
+  const report = { dryRun, copied: [], skipped: [], failed: [], deleted: 0 }
+  const copy = async ({ key, value, expiration }) => {
+    try {
+      if (dryRun) {
+        const exists = !overwrite && (await target.head(key)).exists
+        report[exists ? 'skipped' : 'copied'].push(key)
+        return
+      }
+
+      const ttl = utils.remainingTtl(expiration)
+      if (overwrite) {
+        await target.put(key, value, { ttl })
+      } else {
+        await target.putIfAbsent(key, value, { ttl })
+      }
+      report.copied.push(key)
+    } catch (error) {
+      if (error.code === 'ERROR_PRECONDITION_FAILED') {
+        report.skipped.push(key)
+      } else {
+        report.failed.push({ key, error })
+      }
+    }
+  }
+
+  // a dry run only needs the keys
+  const pages = dryRun
+    ? source.list({ match })
+    : source.list({ match, includeValues: true, includeExpiration: true, concurrency })
+  for await (const { keys, entries = keys.map(key => ({ key })) } of pages) {
+    await utils.mapWithConcurrency(entries, concurrency, copy)
+  }
+
+  report.stats = { source: sourceStats, target: await target.stats() }
+  const migrated = report.copied.length + report.skipped.length
+  // stats count the whole container, a filtered migration can only be checked against the migrated keys
+  const expectedKeys = match === '*' ? Math.max(sourceStats.keys, migrated) : migrated
+  report.verified = report.failed.length === 0 && (dryRun || report.stats.target.keys >= expectedKeys)
+
+  if (!report.verified) {
+    logger.warn(`migration from ${fromRegion} to ${toRegion} could not be verified: ${report.failed.length} keys failed, ` +
+      `the target region holds ${report.stats.target.keys} keys, expected at least ${expectedKeys}`)
+  } else if (deleteSource && !dryRun) {
+    const results = await source.deleteMany(report.copied, { concurrency })
+    report.deleted = results.filter(({ deleted }) => deleted).length
+  }
+
+  return report
+}
+
+module.exports = { migrate }
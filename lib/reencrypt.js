@@ -0,0 +1,55 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const utils = require('./utils')
+const encryption = require('./encryption')
+
+/**
+ * Encrypts the values of the listed keys with the current encryption key,
+ * see AdobeState.reencrypt.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view, with encryption
+ * @param {AsyncIterable<{ keys: string[] }>} pages the pages of the keys to reencrypt
+ * @param {number} concurrency the maximum number of keys reencrypted at the same time
+ * @returns {Promise<{ reencrypted: number, unchanged: number, failed: Array<{ key: string, error: Error }> }>}
+ *   the number of reencrypted and unchanged values, and the failed keys
+ */
+async function reencryptKeys (state, pages, concurrency) {
+  const result = { reencrypted: 0, unchanged: 0, failed: [] }
+  const reencryptKey = async (key) => {
+    try {
+      const storedKey = state.encodeKey(key)
+      const stored = await state.getStored(storedKey)
+      if (!stored) {
+        // deleted meanwhile
+        return
+      }
+      const { keyId } = await state.keyring.current()
+      if (encryption.keyIdOf(stored.value) === keyId) {
+        ++result.unchanged
+        return
+      }
+      const value = await state.decodeValue(storedKey, stored.value)
+      await state.put(key, value, { ttl: utils.remainingTtl(stored.expiration), ifMatch: stored.version })
+      ++result.reencrypted
+    } catch (error) {
+      result.failed.push({ key, error })
+    }
+  }
+
+  for await (const { keys } of pages) {
+    await utils.mapWithConcurrency(keys, concurrency, reencryptKey)
+  }
+  return result
+}
+
+module.exports = { reencryptKeys }
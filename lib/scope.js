@@ -0,0 +1,67 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const utils = require('./utils')
+const { DEFAULT_CONCURRENCY } = require('./constants')
+
+/**
+ * Creates a view of a state instance where keys are prefixed. The view
+ * inherits every method of the instance, the prefix is added when keys and
+ * match patterns are encoded and removed when keys are decoded, so inherited
+ * methods are scoped too. Only the methods that default to the whole
+ * container are overridden.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} keyPrefix the validated key prefix as stored, including
+ *   the prefixes of parent scopes, e.g. 'cart.'
+ * @returns {object} the scoped view
+ */
+function createScope (state, keyPrefix) {
+  const scoped = Object.create(state)
+  const { list } = state
+  scoped.keyPrefix = keyPrefix
+
+  // a function, for nested scopes to list with their own prefix
+  scoped.list = function (options = {}) {
+    return list.call(this, { ...options, match: options.match ?? '*' })
+  }
+
+  scoped.any = ({ retry, timeoutMs, signal } = {}) => state.traced('any', async () => {
+    for await (const { keys } of scoped.list({ retry, timeoutMs, signal })) {
+      if (keys.length > 0) {
+        return true
+      }
+    }
+    return false
+  })
+
+  // the State service only has stats for the whole container
+  scoped.stats = ({ retry, timeoutMs, signal } = {}) => state.traced('stats', async () => {
+    const requestOptions = { retry, timeoutMs, signal }
+    const stats = { keys: 0, bytesKeys: 0, bytesValues: 0 }
+    for await (const { keys } of scoped.list(requestOptions)) {
+      const heads = await utils.mapWithConcurrency(keys, DEFAULT_CONCURRENCY, key => scoped.head(key, requestOptions))
+      keys.forEach((key, index) => {
+        if (heads[index].exists) {
+          stats.keys += 1
+          stats.bytesKeys += Buffer.byteLength(scoped.encodeKey(key))
+          stats.bytesValues += heads[index].size
+        }
+      })
+    }
+    return stats
+  })
+
+  return scoped
+}
+
+module.exports = { createScope }
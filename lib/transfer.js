@@ -0,0 +1,129 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const readline = require('node:readline')
+const { Readable } = require('node:stream')
+
+const utils = require('./utils')
+const { codes, logAndThrow } = require('./StateError')
+
+/**
+ * Exports key-values as JSON lines, see AdobeState.exportAll.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {object} options the export options, with a validated onProgress
+ * @returns {NodeJS.ReadableStream} a readable stream of JSON lines
+ */
+function exportEntries (state, { match, cursor, concurrency, onProgress }) {
+  // validates the list options
+  const pages = state.list({ match, cursor, concurrency, includeValues: true, includeExpiration: true })
+
+  return Readable.from((async function * () {
+    let exported = 0
+    for await (const { entries, cursor } of pages) {
+      const lines = entries
+        .map(({ key, value, expiration }) => `${JSON.stringify({ key, value, ttl: utils.remainingTtl(expiration) })}\n`)
+        .join('')
+      if (lines) {
+        yield lines
+      }
+      exported += entries.length
+      onProgress?.({ exported, cursor })
+    }
+  }()))
+}
+
+/**
+ * Imports key-values from JSON lines, see AdobeState.importAll.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {NodeJS.ReadableStream} stream a readable stream of JSON lines
+ * @param {object} options the validated import options
+ * @returns {Promise<{ imported: number, skipped: number }>} the number of
+ *   imported and skipped entries
+ */
+async function importEntries (state, stream, { overwrite, preserveTtl, skipLines, concurrency, onProgress }) {
+  const entrySchema = {
+    type: 'object',
+    properties: {
+      key: { type: 'string' },
+      value: { type: 'string' },
+      ttl: { type: 'integer' }
+    },
+    required: ['key', 'value']
+  }
+  const parseLine = (line, lineNumber) => {
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (e) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `invalid entry at line ${lineNumber}: ${e.message}`,
+        sdkDetails: { lineNumber }
+      }))
+    }
+    const { valid, errors } = utils.validate(entrySchema, entry)
+    if (!valid) {
+      logAndThrow(new codes.ERROR_BAD_ARGUMENT({
+        messageValues: `invalid entry at line ${lineNumber}: ${utils.formatAjvErrors(errors).join(', ')}`,
+        sdkDetails: { lineNumber, errors }
+      }))
+    }
+    return entry
+  }
+
+  const progress = { lines: skipLines, imported: 0, skipped: 0 }
+  const importEntry = async ({ key, value, ttl }) => {
+    const putOptions = preserveTtl && ttl !== undefined ? { ttl } : {}
+    if (overwrite) {
+      await state.put(key, value, putOptions)
+      ++progress.imported
+      return
+    }
+    try {
+      await state.putIfAbsent(key, value, putOptions)
+      ++progress.imported
+    } catch (e) {
+      if (e.code !== 'ERROR_PRECONDITION_FAILED') {
+        throw e
+      }
+      ++progress.skipped
+    }
+  }
+  const importBatch = async (batch, lines) => {
+    await utils.mapWithConcurrency(batch, concurrency, importEntry)
+    progress.lines = lines
+    onProgress?.({ ...progress })
+  }
+
+  let lineNumber = 0
+  let batch = []
+  for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+    ++lineNumber
+    if (lineNumber <= skipLines || line.trim() === '') {
+      continue
+    }
+    batch.push(parseLine(line, lineNumber))
+    if (batch.length === concurrency) {
+      await importBatch(batch, lineNumber)
+      batch = []
+    }
+  }
+  if (batch.length > 0) {
+    await importBatch(batch, lineNumber)
+  }
+
+  return { imported: progress.imported, skipped: progress.skipped }
+}
+
+module.exports = { exportEntries, importEntries }
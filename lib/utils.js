@@ -11,6 +11,7 @@ governing permissions and limitations under the License.
 */
 
 const cloneDeep = require('lodash.clonedeep')
+const Ajv = require('ajv')
 
 /**
  * Replaces any hidden field values with the string '<hidden>'
@@ -62,7 +63,22 @@ function isInternalToAdobeRuntime () {
  */
 function formatAjvErrors (errors) {
   const stringErrors = []
-  const handledKeywords = ['required', 'enum', 'type', 'pattern']
+  const handledKeywords = ['required', 'enum', 'type', 'pattern', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum']
+
+  // ///////////////////////////////////////////
+  // 'anyOf' errors
+  // alternatives of different types, e.g. a boolean or an object, fail with
+  // one type error each: they are merged if the value has none of the types,
+  // otherwise only the errors of the alternative of the value's type are kept
+  errors.filter((error) => error.keyword === 'anyOf').forEach((anyOfError) => {
+    const alternativeErrors = errors.filter((error) => error.schemaPath.startsWith(`${anyOfError.schemaPath}/`))
+    const typeErrors = alternativeErrors.filter((error) => /^\d+\/type$/.test(error.schemaPath.slice(anyOfError.schemaPath.length + 1)))
+    errors = errors.filter((error) => error !== anyOfError && !typeErrors.includes(error))
+    if (typeErrors.length > 0 && typeErrors.length === alternativeErrors.length) {
+      const types = typeErrors.map((error) => error.params.type)
+      errors.push({ ...anyOfError, keyword: 'type', params: { type: types }, message: `must be ${types.join(',')}` })
+    }
+  })
 
   // ///////////////////////////////////////////
   // 'required' errors
@@ -106,6 +122,15 @@ function formatAjvErrors (errors) {
       stringErrors.push(`${error.instancePath} ${error.message}`)
     )
 
+  // ///////////////////////////////////////////
+  // 'minimum' and 'maximum' errors, exclusive or not
+
+  errors
+    .filter((error) => ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'].includes(error.keyword))
+    .forEach((error) =>
+      stringErrors.push(`${error.instancePath} ${error.message}`)
+    )
+
   // ///////////////////////////////////////////
   // unhandled errors
   errors
@@ -117,8 +142,137 @@ function formatAjvErrors (errors) {
   return stringErrors
 }
 
+/**
+ * Compiles a schema, all the validations of the library use the same AJV
+ * options.
+ *
+ * @private
+ * @param {object} schema the AJV schema
+ * @returns {Function} the AJV validate function
+ */
+function compileSchema (schema) {
+  return new Ajv({ allErrors: true }).compile(schema)
+}
+
+/**
+ * Validates json according to a schema.
+ *
+ * @private
+ * @param {object} schema the AJV schema
+ * @param {object} data the json data to test
+ * @returns {{ valid: boolean, errors: Array<object> }} the result
+ */
+function validate (schema, data) {
+  const validate = compileSchema(schema)
+  const valid = validate(data)
+
+  return { valid, errors: validate.errors }
+}
+
+/**
+ * Converts a glob pattern into a regular expression matching whole keys.
+ * Only the '*' wildcard is supported, all other characters match literally.
+ *
+ * @private
+ * @param {string} pattern the glob pattern, e.g. 'abc*'
+ * @returns {RegExp} the regular expression
+ */
+function globToRegExp (pattern) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\-]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Creates a queue running async tasks one at a time, in call order.
+ *
+ * @private
+ * @returns {function(Function): Promise} a function adding a task to the
+ *   queue, it resolves or rejects with the task result
+ */
+function createQueue () {
+  let tail = Promise.resolve()
+  return (task) => {
+    const result = tail.then(task)
+    // a failed task must not block the next ones
+    tail = result.catch(() => {})
+    return result
+  }
+}
+
+/**
+ * Maps items with an async function, running at most `concurrency` calls at
+ * a time. Results are in the same order as the items.
+ *
+ * @private
+ * @param {Array} items the items to map
+ * @param {number} concurrency the maximum number of concurrent calls
+ * @param {function(*, number): Promise} fn the async function, called with the item and its index
+ * @returns {Promise<Array>} the results
+ */
+async function mapWithConcurrency (items, concurrency, fn) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Math.min(concurrency, items.length)
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
+
+/**
+ * Computes the remaining Time-To-Live of a key, e.g. to copy it with the
+ * same expiration.
+ *
+ * @private
+ * @param {string} expiration the ISO-8601 date string of the expiration time
+ * @returns {number} the remaining ttl in seconds, at least 1
+ */
+function remainingTtl (expiration) {
+  return Math.max(1, Math.ceil((Date.parse(expiration) - Date.now()) / 1000))
+}
+
+/**
+ * Settles like a promise, or rejects with the abort reason as soon as a
+ * signal is aborted, without waiting for the promise.
+ *
+ * @private
+ * @param {Promise} promise the promise
+ * @param {AbortSignal} [signal] the signal, the promise is returned as is without a signal
+ * @returns {Promise} the promise result
+ */
+function abortable (promise, signal) {
+  if (!signal) {
+    return promise
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    if (signal.aborted) {
+      onAbort()
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort))
+  })
+}
+
 module.exports = {
   withHiddenFields,
   isInternalToAdobeRuntime,
-  formatAjvErrors
+  formatAjvErrors,
+  compileSchema,
+  validate,
+  globToRegExp,
+  createQueue,
+  mapWithConcurrency,
+  remainingTtl,
+  abortable
 }
@@ -0,0 +1,122 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const logger = require('@adobe/aio-lib-core-logging')('@adobe/aio-lib-state', { provider: 'debug' })
+
+const utils = require('./utils')
+const { DEFAULT_CONCURRENCY } = require('./constants')
+
+/**
+ * Compares two snapshots of watched keys.
+ *
+ * @param {Map<string, object>} previous the version and expiration of each key at the previous poll
+ * @param {Map<string, object>} current the version and expiration of each key now
+ * @returns {Array<AdobeStateWatchEvent>} the changes, in key order
+ * @private
+ */
+function diffSnapshots (previous, current) {
+  const events = []
+  for (const [key, { version, expiration }] of current) {
+    const before = previous.get(key)
+    // without versions, a put is detected by its new expiration, and so is a touch
+    const changed = !before || before.version !== version || (version == null && before.expiration !== expiration)
+    if (changed) {
+      events.push({ type: 'put', key, version, expiration })
+    }
+  }
+  for (const [key, { expiration }] of previous) {
+    if (!current.has(key)) {
+      events.push({ type: Date.parse(expiration) <= Date.now() ? 'expired' : 'delete', key })
+    }
+  }
+  return events.sort((a, b) => a.key < b.key ? -1 : 1)
+}
+
+/**
+ * Fetches the metadata of the watched keys.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} keyOrPattern the watched key or pattern
+ * @param {boolean} isPattern true if keyOrPattern is a pattern
+ * @param {AdobeStateRequestOptions} callOptions the options of the requests
+ * @returns {Promise<Map<string, { version: string, expiration: string }>>} the
+ *   version and expiration of each existing key
+ */
+async function takeSnapshot (state, keyOrPattern, isPattern, callOptions) {
+  const keys = isPattern ? [] : [keyOrPattern]
+  if (isPattern) {
+    for await (const page of state.list({ ...callOptions, match: keyOrPattern })) {
+      keys.push(...page.keys)
+    }
+  }
+  const heads = await utils.mapWithConcurrency(keys, DEFAULT_CONCURRENCY, key => state.head(key, callOptions))
+  return new Map(keys
+    .map((key, index) => [key, heads[index]])
+    .filter(([, head]) => head.exists))
+}
+
+/**
+ * Polls the watched keys and calls back with their changes, see
+ * AdobeState.watch.
+ *
+ * @private
+ * @param {object} state the AdobeState instance or view
+ * @param {string} keyOrPattern the validated key, or glob pattern
+ * @param {Function} callback called with each change
+ * @param {number} intervalMs the validated interval between polls
+ * @param {object} callOptions the validated request options of the polls
+ * @returns {{ unsubscribe: Function }} the watcher
+ */
+function startWatching (state, keyOrPattern, callback, intervalMs, callOptions) {
+  const isPattern = keyOrPattern.includes('*')
+  let snapshot
+  let timer
+  let stopped = false
+  const unsubscribe = () => {
+    stopped = true
+    clearTimeout(timer)
+    callOptions.signal?.removeEventListener('abort', unsubscribe)
+  }
+  const poll = async () => {
+    try {
+      const current = await state.traced('watch', () => takeSnapshot(state, keyOrPattern, isPattern, callOptions))
+      for (const event of snapshot ? diffSnapshots(snapshot, current) : []) {
+        if (stopped) {
+          return
+        }
+        try {
+          await callback(event)
+        } catch (e) {
+          logger.warn(`watch '${keyOrPattern}' callback failed: ${e.message}`)
+        }
+      }
+      snapshot = current
+    } catch (e) {
+      if (!stopped) {
+        logger.warn(`watch '${keyOrPattern}' poll failed, retrying in ${intervalMs} ms: ${e.message}`)
+      }
+    }
+    if (!stopped) {
+      timer = setTimeout(poll, intervalMs)
+    }
+  }
+
+  if (callOptions.signal?.aborted) {
+    stopped = true
+  } else {
+    callOptions.signal?.addEventListener('abort', unsubscribe, { once: true })
+    poll()
+  }
+  return { unsubscribe }
+}
+
+module.exports = { startWatching }
@@ -12,11 +12,12 @@ governing permissions and limitations under the License.
 
 // @ts-nocheck
 const { DEFAULT_ENV, PROD_ENV, STAGE_ENV } = require('@adobe/aio-lib-env')
-const { HttpExponentialBackoff } = require('@adobe/aio-lib-core-networking')
+const { HttpExponentialBackoff, parseRetryAfterHeader } = require('@adobe/aio-lib-core-networking')
 const { AdobeState } = require('../lib/AdobeState')
 const querystring = require('node:querystring')
 const { Buffer } = require('node:buffer')
-const { ALLOWED_REGIONS, HEADER_KEY_EXPIRES, MAX_TTL_SECONDS } = require('../lib/constants')
+const zlib = require('node:zlib')
+const { ALLOWED_REGIONS, HEADER_KEY_EXPIRES, HEADER_CONTENT_LENGTH, MAX_TTL_SECONDS, REQUEST_ID_HEADER } = require('../lib/constants')
 
 // constants //////////////////////////////////////////////////////////
 
@@ -60,6 +61,9 @@ const wrapInFetchError = (status, body) => {
   }
 }
 
+// conditional writes are sent with their own retry policy
+const conditionalRetryArgs = [{ maxRetries: 3, initialDelayInMillis: 100 }, expect.any(Function), expect.any(Function)]
+
 // mocks //////////////////////////////////////////////////////////
 
 const mockCLIEnv = jest.fn()
@@ -133,220 +137,1615 @@ describe('init and constructor', () => {
   })
 })
 
-describe('get', () => {
+describe('cache', () => {
   let store
+  const now = 1707445350000
+  const getResponse = (value, ttlMs = 3600000) => wrapInFetchResponse(value, {
+    headersGet: (header) => {
+      if (header === HEADER_KEY_EXPIRES) {
+        return String(now + ttlMs)
+      }
+    }
+  })
+  const getCalls = () => mockExponentialBackoff.mock.calls.filter(([, { method }]) => method === 'GET').length
 
   beforeEach(async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+    store = await AdobeState.init({ ...fakeCredentials, cache: { maxEntries: 10, maxAgeMs: 60000 } })
+  })
+
+  test('no cache by default', async () => {
     store = await AdobeState.init(fakeCredentials)
+    expect(store.cache).toBeUndefined()
+    mockExponentialBackoff.mockImplementation(async () => getResponse('value'))
+
+    await store.get('key')
+    await store.get('key')
+    expect(getCalls()).toEqual(2)
   })
 
-  test('success', async () => {
-    const key = 'valid-key'
-    const fetchBody = 'foo'
-    const expiryHeaderValue = '1707445350000'
+  test('invalid options', async () => {
+    await expect(AdobeState.init({ ...fakeCredentials, cache: { maxEntries: 0 } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /cache/maxEntries must be >= 1')
+    await expect(AdobeState.init({ ...fakeCredentials, cache: true })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /cache must be object')
+  })
 
-    const options = {
-      headersGet: (header) => {
-        if (header === HEADER_KEY_EXPIRES) {
-          return expiryHeaderValue
-        }
+  test('get is served from the cache', async () => {
+    mockExponentialBackoff.mockImplementation(async () => getResponse('value'))
+
+    const expected = { value: 'value', expiration: new Date(now + 3600000).toISOString(), version: undefined }
+    expect(await store.get('key')).toEqual(expected)
+    expect(await store.get('key')).toEqual(expected)
+    expect(getCalls()).toEqual(1)
+    expect(mockLogDebug).toHaveBeenCalledWith("get 'key' from cache")
+  })
+
+  test('missing keys are not cached', async () => {
+    mockExponentialBackoff.mockImplementation(async () => wrapInFetchError(404))
+
+    expect(await store.get('key')).toBeUndefined()
+    expect(await store.get('key')).toBeUndefined()
+    expect(getCalls()).toEqual(2)
+  })
+
+  test('never serves a value past its expiration', async () => {
+    mockExponentialBackoff.mockImplementation(async () => getResponse('value', 1000))
+
+    await store.get('key')
+    Date.now.mockReturnValue(now + 1000)
+    await store.get('key')
+    expect(getCalls()).toEqual(2)
+  })
+
+  test('put and delete invalidate the key', async () => {
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('value') : wrapInFetchResponse(''))
+    await store.get('a')
+    await store.get('b')
+
+    await store.put('a', 'new-value')
+    await store.get('a')
+    await store.get('b')
+    expect(getCalls()).toEqual(3)
+
+    await store.delete('b')
+    await store.get('a')
+    await store.get('b')
+    expect(getCalls()).toEqual(4)
+  })
+
+  test('failed writes invalidate the key', async () => {
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('value') : wrapInFetchError(412))
+    await store.get('key')
+
+    await expect(store.put('key', 'new-value', { ifMatch: '"v1"' })).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    await store.get('key')
+    await expect(store.delete('key')).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    await store.get('key')
+    expect(getCalls()).toEqual(3)
+  })
+
+  test('deleteAll invalidates the matching keys', async () => {
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('value') : wrapInFetchResponse('{"keys":1}'))
+    await store.get('abc.a')
+    await store.get('xyz')
+
+    await store.deleteAll({ match: 'abc*' })
+    await store.get('abc.a')
+    await store.get('xyz')
+    expect(getCalls()).toEqual(3)
+
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('value') : wrapInFetchError(500, 'error'))
+    await expect(store.deleteAll({ match: '*' })).rejects.toThrow('[AdobeStateLib:ERROR_INTERNAL]')
+    await store.get('xyz')
+    expect(getCalls()).toEqual(4)
+  })
+
+  test('a get racing with a put does not cache the old value', async () => {
+    let resolveGet
+    mockExponentialBackoff
+      .mockImplementationOnce(() => new Promise(resolve => { resolveGet = resolve }))
+      .mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('new-value') : wrapInFetchResponse(''))
+
+    const get = store.get('key')
+    await store.put('key', 'new-value')
+    resolveGet(getResponse('old-value'))
+    expect((await get).value).toEqual('old-value')
+    expect((await store.get('key')).value).toEqual('new-value')
+  })
+})
+
+describe('compression', () => {
+  let store
+  const value = '<div>some fragment</div>'.repeat(100)
+  const envelopeOf = (type, payload) => `\u0000aio-state:${type}:${payload}`
+  const headersGet = (header) => header === HEADER_KEY_EXPIRES ? '1707445350000' : undefined
+
+  beforeEach(async () => {
+    store = await AdobeState.init({ ...fakeCredentials, compression: { thresholdBytes: 100 } })
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+  })
+
+  test('put compresses large values', async () => {
+    await store.put('key', value)
+    const { body } = mockExponentialBackoff.mock.calls[0][1]
+    expect(body.startsWith(envelopeOf('gzip', ''))).toBe(true)
+    expect(zlib.gunzipSync(Buffer.from(body.slice(envelopeOf('gzip', '').length), 'base64')).toString()).toEqual(value)
+  })
+
+  test('put does not compress small values', async () => {
+    await store.put('key', 'small')
+    expect(mockExponentialBackoff.mock.calls[0][1].body).toEqual('small')
+  })
+
+  test('no compression by default', async () => {
+    store = await AdobeState.init(fakeCredentials)
+    await store.put('key', value)
+    expect(mockExponentialBackoff.mock.calls[0][1].body).toEqual(value)
+  })
+
+  test('get decompresses values, also without compression options', async () => {
+    store = await AdobeState.init(fakeCredentials)
+    const gzip = envelopeOf('gzip', zlib.gzipSync(value).toString('base64'))
+    const brotli = envelopeOf('br', zlib.brotliCompressSync(value).toString('base64'))
+    mockExponentialBackoff
+      .mockResolvedValueOnce(wrapInFetchResponse(gzip, { headersGet }))
+      .mockResolvedValueOnce(wrapInFetchResponse(brotli, { headersGet }))
+      .mockResolvedValueOnce(wrapInFetchResponse('plain value', { headersGet }))
+
+    expect((await store.get('key')).value).toEqual(value)
+    expect((await store.get('key')).value).toEqual(value)
+    expect((await store.get('key')).value).toEqual('plain value')
+  })
+
+  test('plain values that look like an envelope are escaped', async () => {
+    const lookalike = envelopeOf('gzip', 'not compressed')
+    await store.put('key', lookalike)
+    const { body } = mockExponentialBackoff.mock.calls[0][1]
+    expect(body).toEqual(envelopeOf('raw', lookalike))
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(body, { headersGet }))
+    expect((await store.get('key')).value).toEqual(lookalike)
+  })
+
+  test('invalid compressed value', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(envelopeOf('gzip', 'bm90IGd6aXA='), { headersGet }))
+    await expect(store.get('key')).rejects.toThrow('[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key key: cannot decompress value')
+  })
+
+  test('unknown encoding', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(envelopeOf('zstd', 'payload'), { headersGet }))
+    await expect(store.get('key')).rejects.toThrow("[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key key: unknown value encoding 'zstd'")
+  })
+
+  test('invalid options', async () => {
+    await expect(AdobeState.init({ ...fakeCredentials, compression: { algorithm: 'zip' } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /compression/algorithm must be equal to one of the allowed values: gzip, brotli')
+    await expect(AdobeState.init({ ...fakeCredentials, compression: { thresholdBytes: -1 } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /compression/thresholdBytes must be >= 0')
+  })
+})
+
+describe('encryption', () => {
+  let store
+  const key = Buffer.alloc(32, 7).toString('base64')
+  const headersGet = (header) => header === HEADER_KEY_EXPIRES ? '1707445350000' : undefined
+  const putBody = () => mockExponentialBackoff.mock.calls.at(-1)[1].body
+
+  beforeEach(async () => {
+    store = await AdobeState.init({ ...fakeCredentials, encryption: { key } })
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+  })
+
+  test('put encrypts and get decrypts', async () => {
+    await store.put('some-key', 'some secret value')
+    const body = putBody()
+    expect(body.startsWith('\u0000aio-state:aes256gcm:')).toBe(true)
+    expect(body).not.toContain('some secret value')
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(body, { headersGet }))
+    expect((await store.get('some-key')).value).toEqual('some secret value')
+  })
+
+  test('with compression', async () => {
+    const value = '<div>some fragment</div>'.repeat(100)
+    store = await AdobeState.init({ ...fakeCredentials, encryption: { key }, compression: {} })
+    await store.put('some-key', value)
+    expect(putBody().length).toBeLessThan(value.length)
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(putBody(), { headersGet }))
+    expect((await store.get('some-key')).value).toEqual(value)
+  })
+
+  test('keys and plaintext are not logged', async () => {
+    mockLogDebug.mockClear()
+    mockLogError.mockClear()
+    store = await AdobeState.init({ ...fakeCredentials, encryption: { key } })
+    await store.put('some-key', 'some secret value')
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(500))
+    await expect(store.put('some-key', 'some secret value')).rejects.toThrow('ERROR_INTERNAL')
+
+    const logs = JSON.stringify([mockLogDebug.mock.calls, mockLogError.mock.calls])
+    expect(logs).toContain('some-key')
+    expect(logs).not.toContain(key)
+    expect(logs).not.toContain('some secret value')
+  })
+
+  test('get of a tampered value', async () => {
+    await store.put('some-key', 'some secret value')
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(putBody().slice(0, -8) + 'AAAAAAA=', { headersGet }))
+    await expect(store.get('some-key')).rejects.toThrow(expect.objectContaining({
+      code: 'ERROR_DECRYPTION_FAILED',
+      message: '[AdobeStateLib:ERROR_DECRYPTION_FAILED] cannot decrypt value for key some-key: Unsupported state or unable to authenticate data'
+    }))
+  })
+
+  test('get of an encrypted value without encryption', async () => {
+    await store.put('some-key', 'some secret value')
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(putBody(), { headersGet }))
+    store = await AdobeState.init(fakeCredentials)
+    await expect(store.get('some-key')).rejects
+      .toThrow('[AdobeStateLib:ERROR_DECRYPTION_FAILED] cannot decrypt value for key some-key: the encryption option is not set')
+  })
+
+  test('get of an encrypted value with another key', async () => {
+    await store.put('some-key', 'some secret value')
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(putBody(), { headersGet }))
+    store = await AdobeState.init({ ...fakeCredentials, encryption: { key: Buffer.alloc(32, 8).toString('base64') } })
+    await expect(store.get('some-key')).rejects.toThrow(expect.objectContaining({
+      code: 'ERROR_DECRYPTION_FAILED',
+      message: expect.stringContaining('unknown key id')
+    }))
+  })
+
+  test('key provider errors', async () => {
+    store = await AdobeState.init({ ...fakeCredentials, encryption: { keyProvider: async () => { throw new Error('vault unavailable') } } })
+    await expect(store.put('some-key', 'value')).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] cannot encrypt value: vault unavailable')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('invalid options', async () => {
+    const init = (encryption) => AdobeState.init({ ...fakeCredentials, encryption })
+    await expect(init({})).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /encryption must have either a key or a keyProvider')
+    await expect(init({ key, keyProvider: async () => {} })).rejects.toThrow('/encryption must have either a key or a keyProvider')
+    await expect(init({ key: 'c2hvcnQ=' })).rejects.toThrow('/encryption/key must be a base64 encoded 256-bit key')
+    await expect(init({ key: Buffer.alloc(32) })).rejects.toThrow('/encryption/key must be string')
+    await expect(init({ keyProvider: 'key' })).rejects.toThrow('/encryption/keyProvider must be a function')
+  })
+
+  test('reencrypt requires encryption', async () => {
+    store = await AdobeState.init(fakeCredentials)
+    await expect(store.reencrypt()).rejects.toThrow('[AdobeStateLib:ERROR_BAD_REQUEST] reencrypt requires the encryption option')
+  })
+
+  test('reencrypt validation', async () => {
+    await expect(store.reencrypt({ match: 'invalid/match' })).rejects.toThrow('/match must match pattern')
+    await expect(store.reencrypt({ concurrency: 0 })).rejects.toThrow('/concurrency must be >= 1')
+  })
+})
+
+describe('rate limit', () => {
+  let store
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now: 1707445350000 })
+    store = await AdobeState.init({ ...fakeCredentials, rateLimit: { requestsPerSecond: 1, burst: 1 } })
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+    parseRetryAfterHeader.mockReset()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('requests of all operations share the budget', async () => {
+    const requests = Promise.all([store.put('a', 'value'), store.touch('b', 100), store.scope('c.').delete('d')])
+    await jest.advanceTimersByTimeAsync(0)
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(2)
+    await jest.advanceTimersByTimeAsync(1000)
+    await requests
+    expect(store.rateLimitMetrics()).toEqual({ sent: 3, throttled: 2, pauses: 0, queueDepth: 0, maxQueueDepth: 2 })
+  })
+
+  test('429 responses pause requests for the Retry-After delay', async () => {
+    parseRetryAfterHeader.mockReturnValue(5000)
+    mockExponentialBackoff.mockResolvedValueOnce(wrapInFetchError(429))
+    await expect(store.put('a', 'value')).rejects.toThrow('ERROR_REQUEST_RATE_TOO_HIGH')
+    expect(parseRetryAfterHeader).toHaveBeenCalledWith('fake-req-id')
+
+    const put = store.put('a', 'value')
+    await jest.advanceTimersByTimeAsync(4999)
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
+    await jest.advanceTimersByTimeAsync(1)
+    expect(await put).toEqual('a')
+    expect(store.rateLimitMetrics()).toEqual(expect.objectContaining({ sent: 2, pauses: 1 }))
+  })
+
+  test('retries take a token', async () => {
+    const failed = { status: 503, headers: { get: () => null } }
+    mockExponentialBackoff.mockImplementationOnce(async (url, requestOptions, retryOptions, retryOn) => {
+      // the first attempt failed, the retry waits for a token
+      expect(await retryOn(0, null, failed)).toBe(true)
+      return wrapInFetchResponse('')
+    })
+    const put = store.put('a', 'value')
+    await jest.advanceTimersByTimeAsync(0)
+    expect(store.rateLimitMetrics()).toEqual(expect.objectContaining({ sent: 1, queueDepth: 1 }))
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(await put).toEqual('a')
+    expect(store.rateLimitMetrics()).toEqual(expect.objectContaining({ sent: 2, throttled: 1, queueDepth: 0 }))
+  })
+
+  test('onThrottle', async () => {
+    const onThrottle = jest.fn()
+    store = await AdobeState.init({ ...fakeCredentials, rateLimit: { requestsPerSecond: 1, onThrottle } })
+    const requests = Promise.all([store.put('a', 'value'), store.put('b', 'value')])
+    await jest.advanceTimersByTimeAsync(1000)
+    await requests
+    expect(onThrottle).toHaveBeenCalledWith({ reason: 'rate', waitMs: 1000, queueDepth: 1 })
+  })
+
+  test('no rate limit by default', async () => {
+    store = await AdobeState.init(fakeCredentials)
+    expect(store.rateLimitMetrics()).toBeUndefined()
+    mockExponentialBackoff.mockResolvedValueOnce(wrapInFetchError(429))
+    await expect(store.put('a', 'value')).rejects.toThrow('ERROR_REQUEST_RATE_TOO_HIGH')
+    expect(parseRetryAfterHeader).not.toHaveBeenCalled()
+  })
+
+  test('invalid options', async () => {
+    const init = (rateLimit) => AdobeState.init({ ...fakeCredentials, rateLimit })
+    await expect(init({})).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: requestsPerSecond')
+    await expect(init({ requestsPerSecond: 0 })).rejects.toThrow('/rateLimit/requestsPerSecond must be > 0')
+    await expect(init({ requestsPerSecond: 1, burst: 0.5 })).rejects.toThrow('/rateLimit/burst must be integer')
+    await expect(init({ requestsPerSecond: 1, onThrottle: 'log' })).rejects.toThrow('/rateLimit/onThrottle must be a function')
+  })
+})
+
+describe('retry', () => {
+  const retryArgs = () => mockExponentialBackoff.mock.calls.at(-1).slice(2)
+  const response = (status) => ({ status, headers: { get: () => null } })
+
+  beforeEach(() => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+    parseRetryAfterHeader.mockReset()
+    parseRetryAfterHeader.mockReturnValue(NaN)
+    mockLogWarn.mockReset()
+  })
+
+  test('defaults of HttpExponentialBackoff without a retry policy', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    await store.put('a', 'value')
+    expect(retryArgs()).toEqual([])
+  })
+
+  test('policy of init', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, retry: { maxRetries: 2, initialDelayMs: 50, maxDelayMs: 300 } })
+    await store.put('a', 'value')
+    const [retryOptions, retryOn, retryDelay] = retryArgs()
+    expect(retryOptions).toEqual({ maxRetries: 2, initialDelayInMillis: 50 })
+
+    expect(await retryOn(0, new Error('network error'), null)).toBe(true)
+    expect(await retryOn(1, null, response(429))).toBe(true)
+    expect(await retryOn(1, null, response(503))).toBe(true)
+    expect(await retryOn(0, null, response(404))).toBe(false)
+    expect(await retryOn(2, null, response(503))).toBe(false)
+
+    expect(retryDelay(0, null, response(503))).toEqual(50)
+    expect(retryDelay(2, null, response(503))).toEqual(200)
+    expect(retryDelay(3, null, response(503))).toEqual(300)
+    expect(retryDelay(0, new Error('network error'), null)).toEqual(50)
+    expect(parseRetryAfterHeader).toHaveBeenCalledWith(undefined)
+    parseRetryAfterHeader.mockReturnValue(120)
+    expect(retryDelay(2, null, response(429))).toEqual(120)
+  })
+
+  test('retryOn status codes or function', async () => {
+    let store = await AdobeState.init({ ...fakeCredentials, retry: { retryOn: [503] } })
+    await store.put('a', 'value')
+    let [retryOptions, retryOn] = retryArgs()
+    expect(retryOptions).toEqual({ maxRetries: 3, initialDelayInMillis: 100 })
+    expect(await retryOn(0, null, response(503))).toBe(true)
+    expect(await retryOn(0, null, response(500))).toBe(false)
+    expect(await retryOn(0, new Error('network error'), null)).toBe(true)
+
+    const fn = jest.fn(() => 1)
+    store = await AdobeState.init({ ...fakeCredentials, retry: { retryOn: fn } });
+    [, retryOn] = retryArgs(await store.put('a', 'value'))
+    expect(await retryOn(0, null, response(404))).toBe(true)
+    expect(fn).toHaveBeenCalledWith(0, null, expect.objectContaining({ status: 404 }))
+    expect(await retryOn(3, null, response(404))).toBe(false)
+  })
+
+  test('per call overrides', async () => {
+    let store = await AdobeState.init({ ...fakeCredentials, retry: { maxRetries: 5 } })
+    await store.touch('a', 100, { retry: { initialDelayMs: 10 } })
+    expect(retryArgs()[0]).toEqual({ maxRetries: 5, initialDelayInMillis: 10 })
+    await store.touch('a', 100, { retry: false })
+    expect(retryArgs()[0]).toEqual({ maxRetries: 0, initialDelayInMillis: 100 })
+    expect(await retryArgs()[1](0, null, response(503))).toBe(false)
+    await store.touch('a', 100, { retry: true })
+    expect(retryArgs()[0]).toEqual({ maxRetries: 5, initialDelayInMillis: 100 })
+
+    store = await AdobeState.init({ ...fakeCredentials, retry: false })
+    await store.touch('a', 100)
+    expect(retryArgs()[0]).toEqual({ maxRetries: 0, initialDelayInMillis: 100 })
+    await store.touch('a', 100, { retry: { maxRetries: 1 } })
+    expect(retryArgs()[0]).toEqual({ maxRetries: 1, initialDelayInMillis: 100 })
+
+    store = await AdobeState.init(fakeCredentials)
+    await store.touch('a', 100, { retry: true })
+    expect(retryArgs()[0]).toEqual({ maxRetries: 3, initialDelayInMillis: 100 })
+  })
+
+  test('every operation accepts a retry policy', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    const retry = { maxRetries: 1 }
+    const headersGet = (header) => header === HEADER_KEY_EXPIRES ? '1707445350000' : undefined
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse('{"keys":["a"],"cursor":0,"bytesKeys":1,"bytesValues":1}', { headersGet }))
+
+    await store.get('a', { retry })
+    await store.head('a', { retry })
+    await store.touch('a', 100, { retry })
+    await store.put('a', 'value', { retry })
+    await store.delete('a', { retry })
+    await store.deleteAll({ match: 'a*', dryRun: true, retry })
+    await store.deleteAll({ match: 'a*', retry })
+    await store.any({ retry })
+    await store.stats({ retry })
+    for await (const page of store.list({ includeExpiration: true, retry })) {
+      expect(page.entries).toHaveLength(1)
+    }
+    await store.incr('a', 1, { retry }).catch(() => {})
+    await store.getJSON('a', { retry }).catch(() => {})
+    await store.putJSON('a', {}, { retry })
+    await store.getMany(['a'], { retry })
+    await store.putMany([{ key: 'a', value: 'value' }], { retry })
+    await store.deleteMany(['a'], { retry })
+    await store.scope('s.').any({ retry })
+    await store.scope('s.').stats({ retry })
+    await store.scope('s.').touch('a', 100, { retry })
+
+    mockExponentialBackoff.mock.calls.forEach(args => expect(args[2]).toEqual({ maxRetries: 1, initialDelayInMillis: 100 }))
+  })
+
+  test('429 responses pause the rate limiter', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, rateLimit: { requestsPerSecond: 10 }, retry: {} })
+    await store.put('a', 'value')
+    const [, , retryDelay] = retryArgs()
+    parseRetryAfterHeader.mockReturnValue(2000)
+    expect(retryDelay(0, null, response(429))).toEqual(2000)
+    expect(store.rateLimitMetrics().pauses).toEqual(1)
+    retryDelay(0, null, response(503))
+    expect(store.rateLimitMetrics().pauses).toEqual(1)
+  })
+
+  test('long delays are logged as warnings', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, logRetryAfterSeconds: 1, retry: {} })
+    await store.put('a', 'value')
+    const [, , retryDelay] = retryArgs()
+    parseRetryAfterHeader.mockReturnValue(5000)
+    retryDelay(0, null, response(429))
+    expect(mockLogWarn).toHaveBeenCalledWith('request will be retried after 5000 ms')
+  })
+
+  test('invalid policies', async () => {
+    const init = (retry) => AdobeState.init({ ...fakeCredentials, retry })
+    await expect(init('always')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /retry must be boolean,object')
+    await expect(init({ maxRetries: -1, initialDelayMs: 1.5 })).rejects.toThrow('/retry/initialDelayMs must be integer /retry/maxRetries must be >= 0')
+    await expect(init({ retryOn: [600] })).rejects.toThrow('/retry/retryOn/0 must be <= 599')
+    await expect(init({ retryOn: 503 })).rejects.toThrow('/retry/retryOn must be an array of status codes or a function')
+
+    const store = await AdobeState.init(fakeCredentials)
+    await expect(store.get('a', { retry: { maxDelayMs: -1 } })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /retry/maxDelayMs must be >= 0')
+    await expect(store.put('a', 'value', { retry: { retryOn: 'all' } })).rejects.toThrow('/retry/retryOn must be an array of status codes or a function')
+    expect(() => store.list({ retry: 1 })).toThrow('/retry must be boolean,object')
+    expect(() => store.list({ retry: { retryOn: {} } })).toThrow('/retry/retryOn must be an array of status codes or a function')
+    await expect(store.get('a', { retry: { retryOn: [503, 99] } })).rejects.toThrow('/retry/retryOn/1 must be >= 100')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('conditional writes are only retried on 429 by default', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, retry: { retryOn: [503] } })
+    await store.put('a', 'value', { ifMatch: '"v1"' })
+    let [, retryOn] = retryArgs()
+    expect(await retryOn(0, new Error('network error'), null)).toBe(false)
+    expect(await retryOn(0, null, response(503))).toBe(false)
+    expect(await retryOn(0, null, response(429))).toBe(true)
+    expect(await retryOn(3, null, response(429))).toBe(false)
+
+    // unless the call has its own policy
+    await store.putIfAbsent('a', 'value', { retry: {} });
+    [, retryOn] = retryArgs()
+    expect(await retryOn(0, new Error('network error'), null)).toBe(true)
+    expect(await retryOn(0, null, response(503))).toBe(true)
+  })
+
+  test('a write applied but whose response was lost is not retried', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    const lost = new Error('socket hang up')
+    const get = wrapInFetchResponse('41', { headersGet: (header) => header === 'etag' ? '"v1"' : String(Date.now() + 10000) })
+    mockExponentialBackoff.mockImplementation(async (url, { method }, retryOptions, retryOn) => {
+      if (method === 'GET') {
+        return get
       }
+      // the value is stored but the response is lost, a retry would fail with 412
+      if (await retryOn(0, lost, null)) {
+        return wrapInFetchError(412)
+      }
+      throw lost
+    })
+    await expect(store.incr('counter')).rejects.toThrow('socket hang up')
+    // the value is not read and incremented a second time
+    expect(mockExponentialBackoff.mock.calls.map(([, { method }]) => method)).toEqual(['GET', 'PUT'])
+  })
+
+  test('policies are validated without Ajv strict mode warnings', async () => {
+    const warn = jest.spyOn(console, 'warn')
+    try {
+      const store = await AdobeState.init({ ...fakeCredentials, retry: { retryOn: [503] } })
+      await store.touch('a', 100, { retry: true, timeoutMs: 100 })
+      expect(warn).not.toHaveBeenCalled()
+    } finally {
+      warn.mockRestore()
     }
+  })
+})
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchBody, options))
+describe('timeouts and signals', () => {
+  const pending = () => new Promise(() => {})
+  const lastRequest = () => mockExponentialBackoff.mock.calls.at(-1)[1]
 
-    const { value, expiration } = await store.get(key)
-    expect(value).toEqual(fetchBody)
-    expect(typeof expiration).toEqual('string')
-    expect(expiration).toEqual(new Date(Number(expiryHeaderValue)).toISOString())
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1707445350000 })
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+  })
 
-    expect(mockExponentialBackoff)
-      .toHaveBeenCalledWith(
-        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
-        expect.objectContaining({ method: 'GET' })
-      )
+  afterEach(() => {
+    jest.useRealTimers()
   })
 
-  test('invalid key', async () => {
-    const key = 'bad/key'
+  test('timeoutMs of init', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, timeoutMs: 500 })
+    mockExponentialBackoff.mockReturnValueOnce(pending())
+    const put = store.put('a', 'value').catch(e => e)
+    await jest.advanceTimersByTimeAsync(499)
+    expect(lastRequest().signal.aborted).toBe(false)
+    await jest.advanceTimersByTimeAsync(1)
+
+    const error = await put
+    expect(error.message).toEqual('[AdobeStateLib:ERROR_TIMEOUT] request timed out after 500 ms')
+    expect(error.sdkDetails).toEqual({ requestId: expect.any(String), timeoutMs: 500 })
+    expect(lastRequest().headers[REQUEST_ID_HEADER]).toEqual(error.sdkDetails.requestId)
+    expect(lastRequest().signal.aborted).toBe(true)
+  })
 
-    await expect(store.get(key)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern "^[a-zA-Z0-9-_.]{1,1024}$"')
+  test('timeoutMs of the call', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, timeoutMs: 500 })
+    mockExponentialBackoff.mockReturnValueOnce(pending())
+    const touch = store.touch('a', 100, { timeoutMs: 100 }).catch(e => e)
+    await jest.advanceTimersByTimeAsync(100)
+    expect((await touch).code).toEqual('ERROR_TIMEOUT')
+  })
+
+  test('requests completed in time', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, timeoutMs: 500 })
+    expect(await store.touch('a', 100)).toEqual('a')
+    expect(lastRequest()).toEqual(expect.objectContaining({
+      method: 'PATCH',
+      headers: expect.objectContaining({ [REQUEST_ID_HEADER]: expect.any(String) }),
+      signal: expect.any(AbortSignal)
+    }))
+    // the timer is cleared
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('no timeout by default', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    await store.touch('a', 100)
+    expect(lastRequest().signal).toBeUndefined()
+    expect(lastRequest().headers[REQUEST_ID_HEADER]).toBeUndefined()
+  })
+
+  test('aborted requests are not retried', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    const controller = new AbortController()
+    await store.touch('a', 100, { signal: controller.signal })
+    const [retryOptions, retryOn] = mockExponentialBackoff.mock.calls.at(-1).slice(2)
+    expect(retryOptions).toEqual({ maxRetries: 3, initialDelayInMillis: 100 })
+    expect(await retryOn(0, new Error('network error'), null)).toBe(true)
+    controller.abort()
+    expect(await retryOn(0, new Error('network error'), null)).toBe(false)
+  })
+
+  test('signal', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, timeoutMs: 500 })
+    const controller = new AbortController()
+    mockExponentialBackoff.mockReturnValueOnce(pending())
+    const get = store.get('a', { signal: controller.signal })
+    await jest.advanceTimersByTimeAsync(0)
+    controller.abort(new Error('cancelled'))
+    await expect(get).rejects.toThrow('cancelled')
+    expect(lastRequest().signal.aborted).toBe(true)
+
+    // already aborted
+    mockExponentialBackoff.mockClear()
+    await expect(store.delete('a', { signal: controller.signal })).rejects.toThrow('cancelled')
     expect(mockExponentialBackoff).not.toHaveBeenCalled()
   })
 
-  test('not found', async () => {
-    const key = 'not-found-key'
+  test('signal aborted while the request is queued by the rate limit', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, rateLimit: { requestsPerSecond: 1, burst: 1 } })
+    const controller = new AbortController()
+    await store.touch('a', 100)
+    const touch = store.touch('b', 100, { signal: controller.signal })
+    controller.abort(new Error('cancelled'))
+    await expect(touch).rejects.toThrow('cancelled')
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
+    // the request left the queue without taking a token
+    expect(store.rateLimitMetrics()).toEqual(expect.objectContaining({ sent: 1, queueDepth: 0 }))
+  })
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
+  test('requests timing out while queued by the rate limit', async () => {
+    const store = await AdobeState.init({ ...fakeCredentials, rateLimit: { requestsPerSecond: 1 } })
+    mockExponentialBackoff.mockReturnValue(pending())
+    const touches = [1, 2, 3].map(() => store.touch('a', 100, { timeoutMs: 50 }).catch(e => e.code))
+    await jest.advanceTimersByTimeAsync(50)
+    expect(await Promise.all(touches)).toEqual(['ERROR_TIMEOUT', 'ERROR_TIMEOUT', 'ERROR_TIMEOUT'])
+    expect(store.rateLimitMetrics()).toEqual(expect.objectContaining({ sent: 1, queueDepth: 0 }))
+    await jest.advanceTimersByTimeAsync(3000)
+    expect(store.rateLimitMetrics().sent).toEqual(1)
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
+  })
 
-    const value = await store.get(key)
-    expect(value).toEqual(undefined)
+  test('aborting a list stops fetching pages', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    const controller = new AbortController()
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(JSON.stringify({ keys: ['a'], cursor: 1 })))
+    const pages = []
+    await expect(async () => {
+      for await (const { keys } of store.list({ signal: controller.signal })) {
+        pages.push(keys)
+        controller.abort(new Error('cancelled'))
+      }
+    }).rejects.toThrow('cancelled')
+    expect(pages).toEqual([['a']])
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
+  })
+
+  test('every operation accepts a timeout and a signal', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    const options = { timeoutMs: 1000, signal: new AbortController().signal }
+    const headersGet = (header) => header === HEADER_KEY_EXPIRES ? '1707445350000' : undefined
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse('{"keys":["a"],"cursor":0,"bytesKeys":1,"bytesValues":1}', { headersGet }))
+
+    await store.get('a', options)
+    await store.head('a', options)
+    await store.put('a', 'value', options)
+    await store.delete('a', options)
+    await store.deleteAll({ match: 'a*', dryRun: true, ...options })
+    await store.deleteAll({ match: 'a*', ...options })
+    await store.any(options)
+    await store.stats(options)
+    for await (const page of store.list({ includeValues: true, ...options })) {
+      expect(page.entries).toHaveLength(1)
+    }
+    await store.compareAndSwap('a', () => 'value', options)
+    await store.getJSON('a', options).catch(() => {})
+    await store.putJSON('a', {}, options)
+    await store.getMany(['a'], options)
+    await store.putMany([{ key: 'a', value: 'value' }], options)
+    await store.deleteMany(['a'], options)
+    await store.scope('s.').any(options)
+    await store.scope('s.').stats(options)
+
+    mockExponentialBackoff.mock.calls.forEach(args => expect(args[1].signal).toEqual(expect.any(AbortSignal)))
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('invalid options', async () => {
+    await expect(AdobeState.init({ ...fakeCredentials, timeoutMs: 1.5 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /timeoutMs must be integer')
+    const store = await AdobeState.init(fakeCredentials)
+    await expect(store.get('a', { timeoutMs: 0 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /timeoutMs must be >= 1')
+    await expect(store.get('a', { signal: 'abort' })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /signal must be an AbortSignal')
+    expect(() => store.list({ timeoutMs: -1 })).toThrow('/timeoutMs must be >= 1')
+    expect(() => store.list({ signal: {} })).toThrow('/signal must be an AbortSignal')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
   })
 })
 
-describe('put', () => {
+describe('telemetry', () => {
+  const onRequest = jest.fn()
+  const onResponse = jest.fn()
   let store
 
   beforeEach(async () => {
-    store = await AdobeState.init(fakeCredentials)
+    store = await AdobeState.init({ ...fakeCredentials, region: 'emea', telemetry: { onRequest, onResponse } })
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+    parseRetryAfterHeader.mockReset()
+    onRequest.mockReset()
+    onResponse.mockReset()
   })
 
-  test('success (string value) no ttl', async () => {
-    const key = 'valid-key'
-    const value = 'some-value'
-    const fetchResponseJson = {}
+  test('requests are reported to the hooks', async () => {
+    const headersGet = (header) => ({ [REQUEST_ID_HEADER]: 'req-id', [HEADER_CONTENT_LENGTH]: '5' })[header]
+    mockExponentialBackoff.mockResolvedValue({ ...wrapInFetchResponse('', { headersGet }), status: 200 })
+    await store.put('a', 'value')
+    const request = { operation: 'put', region: 'emea', method: 'PUT', keyCount: 1, requestSize: 5 }
+    expect(onRequest).toHaveBeenCalledWith(request)
+    expect(onResponse).toHaveBeenCalledWith({
+      ...request,
+      status: 200,
+      requestId: 'req-id',
+      responseSize: 5,
+      durationMs: expect.any(Number),
+      retries: 0,
+      error: undefined
+    })
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
+    await store.any()
+    expect(onRequest).toHaveBeenLastCalledWith({ operation: 'any', region: 'emea', method: 'HEAD' })
+  })
 
-    const returnKey = await store.put(key, value)
-    expect(returnKey).toEqual(key)
-    expect(mockExponentialBackoff)
-      .toHaveBeenCalledWith(
-        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
-        expect.objectContaining({ method: 'PUT' })
-      )
+  test('retries are counted', async () => {
+    await store.touch('a', 100)
+    // telemetry needs the retry arguments, the defaults of HttpExponentialBackoff apply
+    const [retryOptions] = mockExponentialBackoff.mock.calls.at(-1).slice(2)
+    expect(retryOptions).toEqual({ maxRetries: 3, initialDelayInMillis: 100 })
+
+    mockExponentialBackoff.mockImplementationOnce(async (url, requestOptions, retryOptions, retryOn, retryDelay) => {
+      retryDelay(0, null, { status: 429, headers: { get: () => null } })
+      retryDelay(1, new Error('network error'), null)
+      return wrapInFetchError(429)
+    })
+    await expect(store.touch('a', 100)).rejects.toThrow('ERROR_REQUEST_RATE_TOO_HIGH')
+    expect(onResponse).toHaveBeenLastCalledWith(expect.objectContaining({ status: 429, retries: 2, requestId: 'fake-req-id', responseSize: undefined }))
   })
 
-  test('success (string value) ttl = 0', async () => {
-    const key = 'valid-key'
-    const value = 'some-value'
-    const fetchResponseJson = {}
+  test('failed requests', async () => {
+    mockExponentialBackoff.mockRejectedValueOnce(new Error('network error'))
+    await expect(store.get('a')).rejects.toThrow('network error')
+    expect(onResponse).toHaveBeenLastCalledWith(expect.objectContaining({ operation: 'get', status: undefined, error: new Error('network error') }))
+  })
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
+  test('timed out requests', async () => {
+    jest.useFakeTimers()
+    mockExponentialBackoff.mockReturnValueOnce(new Promise(() => {}))
+    const get = store.get('a', { timeoutMs: 100 }).catch(e => e)
+    await jest.advanceTimersByTimeAsync(100)
+    const error = await get
+    jest.useRealTimers()
+    expect(onResponse).toHaveBeenLastCalledWith(expect.objectContaining({ requestId: error.sdkDetails.requestId, error }))
+  })
 
-    const returnKey = await store.put(key, value, { ttl: 0 })
-    expect(returnKey).toEqual(key)
-    expect(mockExponentialBackoff)
-      .toHaveBeenCalledWith(
-        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key?ttl=0',
-        expect.any(Object)
-      )
+  test('tracer and meter', async () => {
+    const span = { addEvent: jest.fn(), setAttributes: jest.fn(), recordException: jest.fn(), setStatus: jest.fn(), end: jest.fn() }
+    const tracer = { startSpan: jest.fn(() => span), startActiveSpan: jest.fn((name, options, fn) => fn(span)) }
+    const counter = { add: jest.fn() }
+    const meter = { createCounter: jest.fn(() => counter), createHistogram: jest.fn(() => ({ record: jest.fn() })) }
+    store = await AdobeState.init({ ...fakeCredentials, telemetry: { tracer, meter } })
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(JSON.stringify({ keys: ['a'], cursor: 0 })))
+    for await (const page of store.list()) {
+      expect(page.keys).toEqual(['a'])
+    }
+    expect(tracer.startActiveSpan).toHaveBeenCalledWith('state.list', { attributes: { 'aio_state.operation': 'list', 'aio_state.region': 'amer' } }, expect.any(Function))
+    expect(tracer.startSpan).toHaveBeenCalledWith('GET', expect.objectContaining({ attributes: expect.objectContaining({ 'aio_state.region': 'amer' }) }))
+    expect(span.end).toHaveBeenCalledTimes(2)
+    expect(counter.add).toHaveBeenCalledWith(1, expect.objectContaining({ 'aio_state.operation': 'list' }))
   })
 
-  test('success (string value) with ttl', async () => {
-    const key = 'valid.for-those_chars'
-    const value = 'some-value'
-    const fetchResponseJson = {}
+  test('a span per operation', async () => {
+    const span = { addEvent: jest.fn(), setAttributes: jest.fn(), recordException: jest.fn(), setStatus: jest.fn(), end: jest.fn() }
+    const tracer = { startSpan: jest.fn(() => span), startActiveSpan: jest.fn((name, options, fn) => fn(span)) }
+    store = await AdobeState.init({ ...fakeCredentials, telemetry: { tracer } })
+    const get = wrapInFetchResponse('41', { headersGet: (header) => header === 'etag' ? '"v1"' : String(Date.now() + 10000) })
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? get : wrapInFetchResponse(''))
+    await store.incr('counter')
+    // the get and put of incr are part of it
+    expect(tracer.startActiveSpan).toHaveBeenCalledTimes(1)
+    expect(tracer.startActiveSpan).toHaveBeenCalledWith('state.incr', { attributes: { 'aio_state.operation': 'incr', 'aio_state.region': 'amer' } }, expect.any(Function))
+    expect(tracer.startSpan.mock.calls.map(([name]) => name)).toEqual(['GET', 'PUT'])
+    expect(span.end).toHaveBeenCalledTimes(3)
+  })
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
+  test('no telemetry by default', async () => {
+    store = await AdobeState.init(fakeCredentials)
+    await store.touch('a', 100)
+    expect(mockExponentialBackoff.mock.calls.at(-1)).toHaveLength(2)
+    expect(onRequest).not.toHaveBeenCalled()
+  })
 
-    const returnKey = await store.put(key, value, { ttl: 999 })
-    expect(returnKey).toEqual(key)
-    expect(mockExponentialBackoff)
-      .toHaveBeenCalledWith(
-        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid.for-those_chars?ttl=999',
-        expect.any(Object)
-      )
+  test('invalid options', async () => {
+    const init = (telemetry) => AdobeState.init({ ...fakeCredentials, telemetry })
+    await expect(init('otel')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /telemetry must be object')
+    await expect(init({ tracer: {} })).rejects.toThrow('/telemetry/tracer must be an OpenTelemetry Tracer')
+    await expect(init({ tracer: null })).rejects.toThrow('/telemetry/tracer must be an OpenTelemetry Tracer')
+    await expect(init({ tracer: { startSpan: () => {} } })).rejects.toThrow('/telemetry/tracer must be an OpenTelemetry Tracer')
+    await expect(init({ meter: { createCounter: () => {} } })).rejects.toThrow('/telemetry/meter must be an OpenTelemetry Meter')
+    await expect(init({ onRequest: 'log' })).rejects.toThrow('/telemetry/onRequest must be a function')
+    await expect(init({ onResponse: 'log' })).rejects.toThrow('/telemetry/onResponse must be a function')
+  })
+})
+
+describe('watch', () => {
+  const headResponse = (expiration) => wrapInFetchResponse('', {
+    headersGet: (header) => header === HEADER_KEY_EXPIRES ? String(expiration) : undefined
+  })
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1707445350000 })
+    mockLogWarn.mockReset()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('without versions, puts are detected by expirations', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    mockExponentialBackoff.mockResolvedValue(headResponse(1707445360000))
+    const callback = jest.fn()
+    const watcher = store.watch('a', callback, { intervalMs: 100 })
+    await jest.advanceTimersByTimeAsync(100)
+    expect(callback).not.toHaveBeenCalled()
+
+    mockExponentialBackoff.mockResolvedValue(headResponse(1707445370000))
+    await jest.advanceTimersByTimeAsync(100)
+    expect(callback).toHaveBeenCalledWith({ type: 'put', key: 'a', version: undefined, expiration: new Date(1707445370000).toISOString() })
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ method: 'HEAD' }))
+    watcher.unsubscribe()
+  })
+
+  test('failed polls are logged', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(500, 'error'))
+    const watcher = store.watch('a', () => {}, { intervalMs: 100 })
+    await jest.advanceTimersByTimeAsync(0)
+    expect(mockLogWarn).toHaveBeenCalledWith(expect.stringContaining('watch \'a\' poll failed, retrying in 100 ms: [AdobeStateLib:ERROR_INTERNAL]'))
+    watcher.unsubscribe()
+  })
+
+  test('aborting the signal aborts the pending poll', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    const controller = new AbortController()
+    mockExponentialBackoff.mockReturnValue(new Promise(() => {}))
+    store.watch('a', () => {}, { intervalMs: 100, signal: controller.signal })
+    await jest.advanceTimersByTimeAsync(0)
+    controller.abort()
+    await jest.advanceTimersByTimeAsync(0)
+    expect(mockExponentialBackoff.mock.calls[0][1].signal.aborted).toBe(true)
+    expect(mockLogWarn).not.toHaveBeenCalled()
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+})
+
+describe('scope', () => {
+  test('requests use prefixed keys', async () => {
+    const store = await AdobeState.init(fakeCredentials)
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+    expect(await store.scope('cart.').scope('v1.').put('items', '[]')).toEqual('items')
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/cart.v1.items',
+      expect.objectContaining({ method: 'PUT', body: '[]' })
+    )
+  })
+})
+
+describe('get', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success', async () => {
+    const key = 'valid-key'
+    const fetchBody = 'foo'
+    const expiryHeaderValue = '1707445350000'
+
+    const options = {
+      headersGet: (header) => {
+        if (header === HEADER_KEY_EXPIRES) {
+          return expiryHeaderValue
+        }
+      }
+    }
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchBody, options))
+
+    const { value, expiration, version } = await store.get(key)
+    expect(value).toEqual(fetchBody)
+    expect(version).toEqual(undefined)
+    expect(typeof expiration).toEqual('string')
+    expect(expiration).toEqual(new Date(Number(expiryHeaderValue)).toISOString())
+
+    expect(mockExponentialBackoff)
+      .toHaveBeenCalledWith(
+        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
+        expect.objectContaining({ method: 'GET' })
+      )
+  })
+
+  test('success with version', async () => {
+    const options = {
+      headersGet: (header) => {
+        if (header === HEADER_KEY_EXPIRES) {
+          return '1707445350000'
+        } else if (header === 'etag') {
+          return '"some-etag"'
+        }
+      }
+    }
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse('foo', options))
+
+    expect(await store.get('valid-key')).toEqual(expect.objectContaining({ value: 'foo', version: '"some-etag"' }))
+  })
+
+  test('invalid key', async () => {
+    const key = 'bad/key'
+
+    await expect(store.get(key)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern "^[a-zA-Z0-9-_.]{1,1024}$"')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('not found', async () => {
+    const key = 'not-found-key'
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
+
+    const value = await store.get(key)
+    expect(value).toEqual(undefined)
+  })
+})
+
+describe('put', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success (string value) no ttl', async () => {
+    const key = 'valid-key'
+    const value = 'some-value'
+    const fetchResponseJson = {}
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
+
+    const returnKey = await store.put(key, value)
+    expect(returnKey).toEqual(key)
+    expect(mockExponentialBackoff)
+      .toHaveBeenCalledWith(
+        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
+        expect.objectContaining({ method: 'PUT' })
+      )
+  })
+
+  test('success (string value) ttl = 0', async () => {
+    const key = 'valid-key'
+    const value = 'some-value'
+    const fetchResponseJson = {}
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
+
+    const returnKey = await store.put(key, value, { ttl: 0 })
+    expect(returnKey).toEqual(key)
+    expect(mockExponentialBackoff)
+      .toHaveBeenCalledWith(
+        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key?ttl=0',
+        expect.any(Object)
+      )
+  })
+
+  test('success (string value) with ttl', async () => {
+    const key = 'valid.for-those_chars'
+    const value = 'some-value'
+    const fetchResponseJson = {}
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
+
+    const returnKey = await store.put(key, value, { ttl: 999 })
+    expect(returnKey).toEqual(key)
+    expect(mockExponentialBackoff)
+      .toHaveBeenCalledWith(
+        'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid.for-those_chars?ttl=999',
+        expect.any(Object)
+      )
+  })
+
+  test('failure (invalid key)', async () => {
+    const key = 'invalid/key'
+    const value = 'some-value'
+
+    await expect(store.put(key, value)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern "^[a-zA-Z0-9-_.]{1,1024}$"')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('failure (invalid ttl)', async () => {
+    const key = 'key'
+    const value = 'some-value'
+
+    await expect(store.put(key, value, { ttl: 'string' })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be integer')
+    await expect(store.put(key, value, { ttl: 1.1 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be integer')
+
+    await expect(store.put(key, value, { ttl: MAX_TTL_SECONDS + 1 })).rejects.toThrow('ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.')
+    await expect(store.put(key, value, { ttl: -1 })).rejects.toThrow('ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.')
+
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('failure (binary value)', async () => {
+    const key = 'valid-key'
+    const value = Buffer.from([0x61, 0x72, 0x65, 0x26, 0x35, 0x55, 0xff])
+    // NOTE: the server supports binary values, so way want to revisit this eventually
+    await expect(store.put(key, value)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /value must be string')
+
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('coverage: 401 error', async () => {
+    const key = 'some-key'
+    const value = 'some-value'
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(401))
+    await expect(store.put(key, value)).rejects.toThrow(
+      expect.objectContaining({
+        sdkDetails: expect.objectContaining({
+          requestId: 'fake-req-id'
+        }),
+        message: '[AdobeStateLib:ERROR_UNAUTHORIZED] you are not authorized to access State service'
+      }))
+  })
+
+  test('coverage: 403 error', async () => {
+    const key = 'some-key'
+    const value = 'some-value'
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(403))
+    await expect(store.put(key, value)).rejects.toThrow(
+      expect.objectContaining({
+        sdkDetails: expect.objectContaining({
+          requestId: 'fake-req-id'
+        }),
+        message: '[AdobeStateLib:ERROR_BAD_CREDENTIALS] cannot access State service, make sure your credentials are valid'
+      }))
+  })
+
+  test('success with ifMatch', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+
+    expect(await store.put('valid-key', 'some-value', { ifMatch: '"some-etag"' })).toEqual('valid-key')
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
+      expect.objectContaining({ method: 'PUT', headers: expect.objectContaining({ 'If-Match': '"some-etag"' }) }),
+      ...conditionalRetryArgs
+    )
+  })
+
+  test('failure (invalid ifMatch)', async () => {
+    await expect(store.put('valid-key', 'some-value', { ifMatch: 1 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ifMatch must be string')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('coverage: 412 error', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(412))
+    await expect(store.put('some-key', 'some-value', { ifMatch: '"some-etag"' })).rejects.toThrow(
+      expect.objectContaining({
+        code: 'ERROR_PRECONDITION_FAILED',
+        sdkDetails: expect.objectContaining({
+          key: 'some-key',
+          requestId: 'fake-req-id'
+        }),
+        message: '[AdobeStateLib:ERROR_PRECONDITION_FAILED] precondition failed, the key was changed by another request'
+      }))
+  })
+
+  test('coverage: 413 error', async () => {
+    const key = 'some-key'
+    const value = 'some-value'
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(413))
+    await expect(store.put(key, value)).rejects.toThrow(
+      expect.objectContaining({
+        sdkDetails: expect.objectContaining({
+          requestId: 'fake-req-id'
+        }),
+        message: '[AdobeStateLib:ERROR_PAYLOAD_TOO_LARGE] key, value or request payload is too large State service'
+      }))
+  })
+
+  test('coverage: 429 error', async () => {
+    const key = 'some-key'
+    const value = 'some-value'
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(429))
+    await expect(store.put(key, value)).rejects.toThrow(
+      expect.objectContaining({
+        sdkDetails: expect.objectContaining({
+          requestId: 'fake-req-id'
+        }),
+        message: '[AdobeStateLib:ERROR_REQUEST_RATE_TOO_HIGH] Request rate too high. Please retry after sometime.'
+      }))
+  })
+
+  test('coverage: unknown server error', async () => {
+    const key = 'some-key'
+    const value = 'some-value'
+    const responseBody = 'error: this is the response body'
+
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(500, responseBody))
+    await expect(store.put(key, value)).rejects.toThrow(
+      expect.objectContaining({
+        sdkDetails: expect.objectContaining({
+          requestId: 'fake-req-id'
+        }),
+        message: `[AdobeStateLib:ERROR_INTERNAL] unexpected response from State service with status: 500 body: ${responseBody}`
+      }))
+  })
+
+  test('coverage: unknown error (fetch network failure)', async () => {
+    const key = 'some-key'
+    const value = 'some-value'
+
+    const error = new Error('some network error')
+    mockExponentialBackoff.mockRejectedValue(error)
+    await expect(store.put(key, value)).rejects.toThrow(error.message)
+  })
+})
+
+describe('head', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success', async () => {
+    const headers = { [HEADER_KEY_EXPIRES]: '1707445350000', 'content-length': '12', etag: '"some-etag"' }
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(null, { headersGet: (header) => headers[header] }))
+
+    expect(await store.head('valid-key')).toEqual({
+      exists: true,
+      expiration: new Date(1707445350000).toISOString(),
+      size: 12,
+      version: '"some-etag"'
+    })
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
+      expect.objectContaining({ method: 'HEAD' })
+    )
+  })
+
+  test('not found', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
+    expect(await store.head('valid-key')).toEqual({ exists: false })
+  })
+
+  test('invalid key', async () => {
+    await expect(store.head('invalid/key')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('coverage: 401 error', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(401))
+    await expect(store.head('valid-key')).rejects.toThrow('[AdobeStateLib:ERROR_UNAUTHORIZED] you are not authorized to access State service')
+  })
+})
+
+describe('touch', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init({ ...fakeCredentials, cache: {} })
+  })
+
+  test('success', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+
+    expect(await store.touch('valid-key', 3600)).toEqual('valid-key')
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key?ttl=3600',
+      expect.objectContaining({ method: 'PATCH' })
+    )
+    expect(mockExponentialBackoff.mock.calls[0][1].body).toBeUndefined()
+  })
+
+  test('no ttl', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+
+    expect(await store.touch('valid-key')).toEqual('valid-key')
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key',
+      expect.objectContaining({ method: 'PATCH' })
+    )
+  })
+
+  test('not found', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
+    expect(await store.touch('valid-key', 10)).toEqual(null)
+  })
+
+  test('invalidates the cache', async () => {
+    store.cache.set('valid-key', { value: 'value', expiration: new Date(Date.now() + 10000).toISOString() }, store.cache.generation)
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(429))
+
+    await expect(store.touch('valid-key', 10)).rejects.toThrow('[AdobeStateLib:ERROR_REQUEST_RATE_TOO_HIGH]')
+    expect(store.cache.get('valid-key')).toBeUndefined()
+  })
+
+  test('validation', async () => {
+    await expect(store.touch('invalid/key', 10)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    await expect(store.touch('valid-key', 1.5)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be integer')
+    await expect(store.touch('valid-key', -1)).rejects.toThrow('Infinite TTLs (< 0) are not supported.')
+    await expect(store.touch('valid-key', MAX_TTL_SECONDS + 1)).rejects.toThrow('ttl must be <= 365 days (31536000s)')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+})
+
+describe('putIfAbsent', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+
+    expect(await store.putIfAbsent('valid-key', 'some-value', { ttl: 10 })).toEqual('valid-key')
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key?ttl=10',
+      expect.objectContaining({ method: 'PUT', headers: expect.objectContaining({ 'If-None-Match': '*' }) }),
+      ...conditionalRetryArgs
+    )
+    expect(mockExponentialBackoff.mock.calls[0][1].headers['If-Match']).toBeUndefined()
+  })
+
+  test('key exists', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(412))
+    await expect(store.putIfAbsent('valid-key', 'some-value')).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+  })
+
+  test('ifMatch is not supported', async () => {
+    await expect(store.putIfAbsent('valid-key', 'some-value', { ifMatch: '"some-etag"' })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] putIfAbsent does not support the ifMatch option')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+})
+
+describe('compareAndSwap', () => {
+  let store
+  const now = 1707445350000
+  const getResponse = (value, etag) => wrapInFetchResponse(value, {
+    headersGet: (header) => {
+      if (header === HEADER_KEY_EXPIRES) {
+        return String(now + 10500)
+      } else if (header === 'etag') {
+        return etag
+      }
+    }
+  })
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  })
+
+  test('existing key keeps its remaining ttl', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(getResponse('1', '"v1"'))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+
+    expect(await store.compareAndSwap('counter', value => String(Number(value) + 1))).toEqual('2')
+    expect(mockExponentialBackoff).toHaveBeenLastCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/counter?ttl=11',
+      expect.objectContaining({ method: 'PUT', body: '2', headers: expect.objectContaining({ 'If-Match': '"v1"' }) }),
+      ...conditionalRetryArgs
+    )
+  })
+
+  test('missing key is created only if still absent', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(wrapInFetchError(404))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+
+    const updaterFn = jest.fn(async value => 'first')
+    expect(await store.compareAndSwap('counter', updaterFn, { ttl: 60 })).toEqual('first')
+    expect(updaterFn).toHaveBeenCalledWith(undefined)
+    expect(mockExponentialBackoff).toHaveBeenLastCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/counter?ttl=60',
+      expect.objectContaining({ method: 'PUT', headers: expect.objectContaining({ 'If-None-Match': '*' }) }),
+      ...conditionalRetryArgs
+    )
+  })
+
+  test('retries on conflict', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(getResponse('1', '"v1"'))
+      .mockResolvedValueOnce(wrapInFetchError(412))
+      .mockResolvedValueOnce(getResponse('5', '"v2"'))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+
+    const updaterFn = jest.fn(value => String(Number(value) + 1))
+    expect(await store.compareAndSwap('counter', updaterFn, { ttl: 60 })).toEqual('6')
+    expect(updaterFn).toHaveBeenCalledTimes(2)
+    expect(mockExponentialBackoff).toHaveBeenLastCalledWith(
+      expect.stringContaining('/data/counter?ttl=60'),
+      expect.objectContaining({ headers: expect.objectContaining({ 'If-Match': '"v2"' }) }),
+      ...conditionalRetryArgs
+    )
+  })
+
+  test('waits a growing random delay between conflicts', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5)
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('1', '"v1"') : wrapInFetchError(412))
+
+    await expect(store.compareAndSwap('counter', value => value, { retries: 2 })).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    expect(mockLogDebug).toHaveBeenCalledWith("compareAndSwap 'counter' conflict, retrying in 25 ms (1/2)")
+    expect(mockLogDebug).toHaveBeenCalledWith("compareAndSwap 'counter' conflict, retrying in 50 ms (2/2)")
+  })
+
+  test('aborted while waiting after a conflict', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1)
+    const controller = new AbortController()
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => {
+      if (method === 'GET') {
+        return getResponse('1', '"v1"')
+      }
+      setImmediate(() => controller.abort(new Error('aborted')))
+      return wrapInFetchError(412)
+    })
+
+    await expect(store.compareAndSwap('counter', value => value, { signal: controller.signal })).rejects.toThrow('aborted')
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(2)
+  })
+
+  test('gives up after retries', async () => {
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('1', '"v1"') : wrapInFetchError(412))
+
+    await expect(store.compareAndSwap('counter', value => value, { retries: 2 })).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(6)
+  })
+
+  test('other errors are not retried', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(getResponse('1', '"v1"'))
+      .mockResolvedValueOnce(wrapInFetchError(429))
+
+    await expect(store.compareAndSwap('counter', value => value)).rejects.toThrow('[AdobeStateLib:ERROR_REQUEST_RATE_TOO_HIGH]')
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(2)
+  })
+
+  test('validation', async () => {
+    await expect(store.compareAndSwap('counter', 'not a function')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] updaterFn must be a function')
+    await expect(store.compareAndSwap('counter', value => value, { retries: -1 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /retries must be >= 0')
+    await expect(store.compareAndSwap('invalid/key', value => value)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+})
+
+describe('incr and decr', () => {
+  let store
+  const now = 1707445350000
+  const getResponse = (value) => wrapInFetchResponse(value, {
+    headersGet: (header) => {
+      if (header === HEADER_KEY_EXPIRES) {
+        return String(now + 10000)
+      } else if (header === 'etag') {
+        return '"v1"'
+      }
+    }
+  })
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  })
+
+  test('incr existing key keeps its ttl', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(getResponse('41'))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+
+    expect(await store.incr('counter')).toEqual(42)
+    expect(mockExponentialBackoff).toHaveBeenLastCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/counter?ttl=10',
+      expect.objectContaining({ method: 'PUT', body: '42', headers: expect.objectContaining({ 'If-Match': '"v1"' }) }),
+      ...conditionalRetryArgs
+    )
+  })
+
+  test('conflicts are retried 10 times by default', async () => {
+    // no delay between conflicts
+    jest.spyOn(Math, 'random').mockReturnValue(0)
+    mockExponentialBackoff.mockImplementation(async (url, { method }) => method === 'GET' ? getResponse('41') : wrapInFetchError(412))
+
+    await expect(store.incr('counter')).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(22)
+
+    mockExponentialBackoff.mockClear()
+    await expect(store.decr('counter', 1, { retries: 1 })).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(4)
+  })
+
+  test('incr missing key with ttl', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(wrapInFetchError(404))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+
+    expect(await store.incr('counter', 5, { ttl: 60 })).toEqual(5)
+    expect(mockExponentialBackoff).toHaveBeenLastCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/counter?ttl=60',
+      expect.objectContaining({ method: 'PUT', body: '5', headers: expect.objectContaining({ 'If-None-Match': '*' }) }),
+      ...conditionalRetryArgs
+    )
+  })
+
+  test('decr', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(getResponse('3'))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+      .mockResolvedValueOnce(getResponse('-7'))
+      .mockResolvedValueOnce(wrapInFetchResponse(''))
+
+    expect(await store.decr('counter')).toEqual(2)
+    expect(await store.decr('counter', 3)).toEqual(-10)
+  })
+
+  test('value is not an integer', async () => {
+    for (const value of ['1.5', 'abc', '', '99999999999999999999']) {
+      mockExponentialBackoff.mockResolvedValueOnce(getResponse(value))
+      await expect(store.incr('counter')).rejects.toThrow(expect.objectContaining({
+        code: 'ERROR_BAD_REQUEST',
+        message: "[AdobeStateLib:ERROR_BAD_REQUEST] cannot increment key 'counter', its value is not an integer"
+      }))
+    }
+    // no write
+    expect(mockExponentialBackoff.mock.calls.every(([, { method }]) => method === 'GET')).toBe(true)
+  })
+
+  test('new value is not a safe integer', async () => {
+    mockExponentialBackoff.mockResolvedValueOnce(getResponse(String(Number.MAX_SAFE_INTEGER)))
+    await expect(store.incr('counter')).rejects
+      .toThrow("[AdobeStateLib:ERROR_BAD_REQUEST] cannot increment key 'counter', the new value is not a safe integer")
+  })
+
+  test('invalid delta', async () => {
+    await expect(store.incr('counter', 1.5)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /delta must be integer')
+    await expect(store.decr('counter', 'a')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /delta must be integer')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+})
+
+describe('getJSON', () => {
+  let store
+  const expiryHeaderValue = '1707445350000'
+  const options = {
+    headersGet: (header) => {
+      if (header === HEADER_KEY_EXPIRES) {
+        return expiryHeaderValue
+      }
+    }
+  }
+  const schema = {
+    type: 'object',
+    properties: { retries: { type: 'integer' } },
+    required: ['retries']
+  }
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
   })
 
-  test('failure (invalid key)', async () => {
-    const key = 'invalid/key'
-    const value = 'some-value'
+  test('success', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse('{"retries":3}', options))
 
-    await expect(store.put(key, value)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern "^[a-zA-Z0-9-_.]{1,1024}$"')
-    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+    expect(await store.getJSON('valid-key')).toEqual({
+      value: { retries: 3 },
+      expiration: new Date(Number(expiryHeaderValue)).toISOString()
+    })
+    expect(await store.getJSON('valid-key', { schema })).toEqual(expect.objectContaining({ value: { retries: 3 } }))
   })
 
-  test('failure (invalid ttl)', async () => {
-    const key = 'key'
-    const value = 'some-value'
+  test('not found', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
 
-    await expect(store.put(key, value, { ttl: 'string' })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be integer')
-    await expect(store.put(key, value, { ttl: 1.1 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be integer')
+    expect(await store.getJSON('valid-key', { schema })).toBeUndefined()
+  })
 
-    await expect(store.put(key, value, { ttl: MAX_TTL_SECONDS + 1 })).rejects.toThrow('ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.')
-    await expect(store.put(key, value, { ttl: -1 })).rejects.toThrow('ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.')
+  test('stored value is not JSON', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse('secret-token', options))
 
-    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+    await expect(store.getJSON('valid-key')).rejects.toThrow(
+      expect.objectContaining({
+        code: 'ERROR_INVALID_VALUE',
+        sdkDetails: { key: 'valid-key', valueLength: 12 },
+        message: '[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key valid-key: value is not valid JSON'
+      }))
+    // the value may be confidential
+    expect(mockLogError).toHaveBeenCalledWith(expect.stringContaining('value is not valid JSON'))
+    expect(mockLogError).not.toHaveBeenCalledWith(expect.stringContaining('secret'))
   })
 
-  test('failure (binary value)', async () => {
-    const key = 'valid-key'
-    const value = Buffer.from([0x61, 0x72, 0x65, 0x26, 0x35, 0x55, 0xff])
-    // NOTE: the server supports binary values, so way want to revisit this eventually
-    await expect(store.put(key, value)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /value must be string')
+  test('stored value does not match the schema', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse('{"retries":"3"}', options))
 
-    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+    await expect(store.getJSON('valid-key', { schema })).rejects
+      .toThrow('[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key valid-key: value/retries must be integer')
   })
 
-  test('coverage: 401 error', async () => {
-    const key = 'some-key'
-    const value = 'some-value'
+  test('invalid key', async () => {
+    await expect(store.getJSON('invalid/key')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(401))
-    await expect(store.put(key, value)).rejects.toThrow(
-      expect.objectContaining({
-        sdkDetails: expect.objectContaining({
-          requestId: 'fake-req-id'
-        }),
-        message: '[AdobeStateLib:ERROR_UNAUTHORIZED] you are not authorized to access State service'
-      }))
+  test('invalid schema', async () => {
+    await expect(store.getJSON('valid-key', { schema: { type: 'nope' } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] invalid schema: schema is invalid')
+    // Ajv has no formats
+    await expect(store.getJSON('valid-key', { schema: { type: 'string', format: 'email' } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] invalid schema: unknown format "email"')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
   })
+})
 
-  test('coverage: 403 error', async () => {
-    const key = 'some-key'
-    const value = 'some-value'
+describe('putJSON', () => {
+  let store
+  const schema = {
+    type: 'object',
+    properties: { retries: { type: 'integer' } },
+    required: ['retries']
+  }
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(403))
-    await expect(store.put(key, value)).rejects.toThrow(
-      expect.objectContaining({
-        sdkDetails: expect.objectContaining({
-          requestId: 'fake-req-id'
-        }),
-        message: '[AdobeStateLib:ERROR_BAD_CREDENTIALS] cannot access State service, make sure your credentials are valid'
-      }))
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
   })
 
-  test('coverage: 413 error', async () => {
-    const key = 'some-key'
-    const value = 'some-value'
+  test('success', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(413))
-    await expect(store.put(key, value)).rejects.toThrow(
-      expect.objectContaining({
-        sdkDetails: expect.objectContaining({
-          requestId: 'fake-req-id'
-        }),
-        message: '[AdobeStateLib:ERROR_PAYLOAD_TOO_LARGE] key, value or request payload is too large State service'
-      }))
+    expect(await store.putJSON('valid-key', { retries: 3 }, { ttl: 10, schema })).toEqual('valid-key')
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/valid-key?ttl=10',
+      expect.objectContaining({ method: 'PUT', body: '{"retries":3}' })
+    )
   })
 
-  test('coverage: 429 error', async () => {
-    const key = 'some-key'
-    const value = 'some-value'
+  test('value does not match the schema', async () => {
+    await expect(store.putJSON('valid-key', { retries: 1.5 }, { schema })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] value/retries must be integer')
+    await expect(store.putJSON('valid-key', {}, { schema })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] value must have required property \'retries\'')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(429))
-    await expect(store.put(key, value)).rejects.toThrow(
-      expect.objectContaining({
-        sdkDetails: expect.objectContaining({
-          requestId: 'fake-req-id'
-        }),
-        message: '[AdobeStateLib:ERROR_REQUEST_RATE_TOO_HIGH] Request rate too high. Please retry after sometime.'
-      }))
+  test('invalid schema', async () => {
+    await expect(store.putJSON('valid-key', {}, { schema: { type: 'nope' } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] invalid schema: schema is invalid')
+    await expect(store.putJSON('valid-key', 'a@b.c', { schema: { type: 'string', format: 'email' } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] invalid schema: unknown format "email"')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
   })
 
-  test('coverage: unknown server error', async () => {
-    const key = 'some-key'
-    const value = 'some-value'
-    const responseBody = 'error: this is the response body'
+  test('value is not serializable', async () => {
+    const circular = {}
+    circular.self = circular
 
-    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(500, responseBody))
-    await expect(store.put(key, value)).rejects.toThrow(
-      expect.objectContaining({
-        sdkDetails: expect.objectContaining({
-          requestId: 'fake-req-id'
-        }),
-        message: `[AdobeStateLib:ERROR_INTERNAL] unexpected response from State service with status: 500 body: ${responseBody}`
-      }))
+    await expect(store.putJSON('valid-key', circular)).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] value must be JSON serializable: Converting circular structure to JSON')
+    await expect(store.putJSON('valid-key', undefined)).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] value must be JSON serializable')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
   })
 
-  test('coverage: unknown error (fetch network failure)', async () => {
-    const key = 'some-key'
-    const value = 'some-value'
-
-    const error = new Error('some network error')
-    mockExponentialBackoff.mockRejectedValue(error)
-    await expect(store.put(key, value)).rejects.toThrow(error.message)
+  test('invalid key and ttl', async () => {
+    await expect(store.putJSON('invalid/key', {})).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    await expect(store.putJSON('valid-key', {}, { ttl: -1 })).rejects.toThrow('Infinite TTLs (< 0) are not supported.')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
   })
 })
 
@@ -428,6 +1827,55 @@ describe('deleteAll', () => {
     const value = await store.deleteAll({ match: '*' })
     expect(value).toEqual({ keys: 0 })
   })
+
+  test('dryRun', async () => {
+    const keys = new Array(15).fill(0).map((_, i) => `key-${i}`)
+    mockExponentialBackoff
+      .mockResolvedValueOnce(wrapInFetchResponse(JSON.stringify({ keys: keys.slice(0, 8), cursor: 8 })))
+      .mockResolvedValueOnce(wrapInFetchResponse(JSON.stringify({ keys: keys.slice(8), cursor: 0 })))
+
+    expect(await store.deleteAll({ match: 'key-*', dryRun: true })).toEqual({ keys: 15, sample: keys.slice(0, 10) })
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(2)
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data?match=key-*&cursor=0',
+      expect.objectContaining({ method: 'GET' })
+    )
+    expect(mockExponentialBackoff).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ method: 'DELETE' }))
+  })
+
+  test('dryRun not found', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
+    expect(await store.deleteAll({ match: '*', dryRun: true })).toEqual({ keys: 0, sample: [] })
+  })
+
+  test('confirmCount', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(wrapInFetchResponse(JSON.stringify({ keys: ['a', 'b'], cursor: 0 })))
+      .mockResolvedValueOnce(wrapInFetchResponse(JSON.stringify({ keys: 2 })))
+
+    expect(await store.deleteAll({ match: '*', confirmCount: 2 })).toEqual({ keys: 2 })
+    expect(mockExponentialBackoff).toHaveBeenLastCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace?matchData=*',
+      expect.objectContaining({ method: 'DELETE' })
+    )
+  })
+
+  test('confirmCount exceeded', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(JSON.stringify({ keys: ['a', 'b', 'c'], cursor: 0 })))
+
+    await expect(store.deleteAll({ match: '*', confirmCount: 2 })).rejects.toThrow(expect.objectContaining({
+      code: 'ERROR_BAD_REQUEST',
+      message: "[AdobeStateLib:ERROR_BAD_REQUEST] deleteAll aborted, 3 keys match '*' but confirmCount is 2",
+      sdkDetails: expect.objectContaining({ keys: 3, sample: ['a', 'b', 'c'] })
+    }))
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
+  })
+
+  test('invalid dryRun and confirmCount', async () => {
+    await expect(store.deleteAll({ match: '*', dryRun: 'yes' })).rejects.toThrow('/dryRun must be boolean')
+    await expect(store.deleteAll({ match: '*', confirmCount: -1 })).rejects.toThrow('/confirmCount must be >= 0')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
 })
 
 describe('stats()', () => {
@@ -495,7 +1943,7 @@ describe('list()', () => {
     mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
 
     const it = store.list()
-    expect(await it.next()).toEqual({ done: false, value: { keys: [] } })
+    expect(await it.next()).toEqual({ done: false, value: { keys: [], cursor: 0 } })
     expect(await it.next()).toEqual({ done: true, value: undefined })
 
     let iters = 0
@@ -514,7 +1962,7 @@ describe('list()', () => {
     mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(fetchResponseJson))
 
     const it = store.list()
-    expect(await it.next()).toEqual({ done: false, value: { keys: ['a', 'b', 'c'] } })
+    expect(await it.next()).toEqual({ done: false, value: { keys: ['a', 'b', 'c'], cursor: 0 } })
     expect(await it.next()).toEqual({ done: true, value: undefined })
 
     expect(mockExponentialBackoff).toHaveBeenCalledTimes(1)
@@ -614,6 +2062,287 @@ describe('list()', () => {
   })
 })
 
+describe('list() cursor and pageSize', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('pages expose the next cursor', async () => {
+    mockExponentialBackoff
+      .mockResolvedValueOnce(wrapInFetchResponse(JSON.stringify({ keys: ['a', 'b'], cursor: 12 })))
+      .mockResolvedValueOnce(wrapInFetchResponse(JSON.stringify({ keys: ['c'], cursor: 0 })))
+
+    const pages = []
+    for await (const page of store.list()) {
+      pages.push(page)
+    }
+    expect(pages).toEqual([{ keys: ['a', 'b'], cursor: 12 }, { keys: ['c'], cursor: 0 }])
+  })
+
+  test('resume from a cursor with a page size', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(JSON.stringify({ keys: ['c'], cursor: 0 })))
+
+    const it = store.list({ match: 'abc*', cursor: 12, pageSize: 100 })
+    expect(await it.next()).toEqual({ done: false, value: { keys: ['c'], cursor: 0 } })
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data?match=abc*&limit=100&cursor=12',
+      expect.objectContaining({ method: 'GET' })
+    )
+  })
+
+  test('validation', async () => {
+    expect(() => store.list({ cursor: -1 })).toThrow('/cursor must be >= 0')
+    expect(() => store.list({ cursor: 'abc' })).toThrow('/cursor must be integer')
+    expect(() => store.list({ pageSize: 0 })).toThrow('/pageSize must be >= 1')
+    expect(() => store.list({ pageSize: 1001 })).toThrow('/pageSize must be <= 1000')
+  })
+})
+
+describe('list() with entries', () => {
+  let store
+  const expiryHeaderValue = '1707445350000'
+  const expiration = new Date(Number(expiryHeaderValue)).toISOString()
+  const headersGet = (header) => header === HEADER_KEY_EXPIRES ? expiryHeaderValue : undefined
+  // serves a list page with keys a, b, c, where b was deleted after the listing
+  const mockService = async (url, { method }) => {
+    const key = url.match(/\/data\/([^?]+)/)?.[1]
+    if (!key) {
+      return wrapInFetchResponse(JSON.stringify({ keys: ['a', 'b', 'c'], cursor: 0 }))
+    }
+    if (key === 'b') {
+      return wrapInFetchError(404)
+    }
+    return wrapInFetchResponse(method === 'GET' ? `value-${key}` : null, { headersGet })
+  }
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+    mockExponentialBackoff.mockImplementation(mockService)
+  })
+
+  test('includeValues', async () => {
+    const it = store.list({ includeValues: true })
+    expect(await it.next()).toEqual({
+      done: false,
+      value: { entries: [{ key: 'a', value: 'value-a' }, { key: 'c', value: 'value-c' }], cursor: 0 }
+    })
+    expect(await it.next()).toEqual({ done: true, value: undefined })
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/a',
+      expect.objectContaining({ method: 'GET' })
+    )
+  })
+
+  test('includeValues and includeExpiration', async () => {
+    const it = store.list({ match: 'valid*', includeValues: true, includeExpiration: true })
+    expect((await it.next()).value).toEqual({
+      entries: [{ key: 'a', value: 'value-a', expiration }, { key: 'c', value: 'value-c', expiration }],
+      cursor: 0
+    })
+  })
+
+  test('includeExpiration does not download values', async () => {
+    const it = store.list({ includeExpiration: true })
+    expect((await it.next()).value).toEqual({
+      entries: [{ key: 'a', expiration }, { key: 'c', expiration }],
+      cursor: 0
+    })
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/a',
+      expect.objectContaining({ method: 'HEAD' })
+    )
+    expect(mockExponentialBackoff).not.toHaveBeenCalledWith(expect.stringContaining('/data/a'), expect.objectContaining({ method: 'GET' }))
+  })
+
+  test('not found', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchError(404))
+    const it = store.list({ includeValues: true })
+    expect(await it.next()).toEqual({ done: false, value: { entries: [], cursor: 0 } })
+  })
+
+  test('limits concurrent fetches', async () => {
+    let running = 0
+    let maxRunning = 0
+    mockExponentialBackoff.mockImplementation(async (url, options) => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise(resolve => setImmediate(resolve))
+      --running
+      return mockService(url, options)
+    })
+
+    await store.list({ includeValues: true, concurrency: 2 }).next()
+    expect(maxRunning).toEqual(2)
+  })
+
+  test('fetch errors are thrown', async () => {
+    mockExponentialBackoff.mockImplementation(async (url, options) => url.includes('/data/c') ? wrapInFetchError(401) : mockService(url, options))
+    await expect(store.list({ includeValues: true }).next()).rejects.toThrow('[AdobeStateLib:ERROR_UNAUTHORIZED]')
+  })
+
+  test('validation', async () => {
+    expect(() => store.list({ includeValues: 'yes' })).toThrow('/includeValues must be boolean')
+    expect(() => store.list({ includeExpiration: 1 })).toThrow('/includeExpiration must be boolean')
+    expect(() => store.list({ includeValues: true, concurrency: 0 })).toThrow('/concurrency must be >= 1')
+  })
+})
+
+describe('getMany', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success, not found and failure per key', async () => {
+    const expiryHeaderValue = '1707445350000'
+    const options = {
+      headersGet: (header) => {
+        if (header === HEADER_KEY_EXPIRES) {
+          return expiryHeaderValue
+        }
+      }
+    }
+    mockExponentialBackoff.mockImplementation(async (url) => {
+      if (url.endsWith('/data/a')) {
+        return wrapInFetchResponse('value-a', options)
+      } else if (url.endsWith('/data/b')) {
+        return wrapInFetchError(404)
+      }
+      return wrapInFetchError(429)
+    })
+
+    const results = await store.getMany(['a', 'b', 'c'])
+    expect(results).toEqual([
+      { key: 'a', value: 'value-a', expiration: new Date(Number(expiryHeaderValue)).toISOString(), version: undefined },
+      { key: 'b', value: undefined, expiration: undefined, version: undefined },
+      { key: 'c', error: expect.objectContaining({ code: 'ERROR_REQUEST_RATE_TOO_HIGH' }) }
+    ])
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(3)
+  })
+
+  test('empty keys', async () => {
+    expect(await store.getMany([])).toEqual([])
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('validates all keys before sending requests', async () => {
+    await expect(store.getMany(['valid-key', 'invalid/key'])).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /keys/1 must match pattern')
+    await expect(store.getMany()).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: keys')
+    await expect(store.getMany('a')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /keys must be array')
+    await expect(store.getMany(['a'], { concurrency: 0 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /concurrency must be >= 1')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('limits concurrent requests', async () => {
+    let running = 0
+    let maxRunning = 0
+    mockExponentialBackoff.mockImplementation(async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      --running
+      return wrapInFetchError(404)
+    })
+
+    const keys = new Array(25).fill(0).map((_, i) => `key-${i}`)
+    expect(await store.getMany(keys)).toHaveLength(25)
+    expect(maxRunning).toEqual(10)
+
+    maxRunning = 0
+    expect(await store.getMany(keys, { concurrency: 3 })).toHaveLength(25)
+    expect(maxRunning).toEqual(3)
+    expect(mockExponentialBackoff).toHaveBeenCalledTimes(50)
+  })
+})
+
+describe('putMany', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success and failure per key', async () => {
+    mockExponentialBackoff.mockImplementation(async (url) => {
+      if (url.includes('/data/b')) {
+        return wrapInFetchError(413)
+      }
+      return wrapInFetchResponse('')
+    })
+
+    const results = await store.putMany([{ key: 'a', value: '1' }, { key: 'b', value: '2' }], { ttl: 60 })
+    expect(results).toEqual([
+      { key: 'a' },
+      { key: 'b', error: expect.objectContaining({ code: 'ERROR_PAYLOAD_TOO_LARGE' }) }
+    ])
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/a?ttl=60',
+      expect.objectContaining({ method: 'PUT', body: '1' })
+    )
+  })
+
+  test('no ttl', async () => {
+    mockExponentialBackoff.mockResolvedValue(wrapInFetchResponse(''))
+
+    expect(await store.putMany([{ key: 'a', value: '1' }])).toEqual([{ key: 'a' }])
+    expect(mockExponentialBackoff).toHaveBeenCalledWith(
+      'https://storage-state-amer.app-builder.adp.adobe.io/containers/some-namespace/data/a',
+      expect.objectContaining({ method: 'PUT' })
+    )
+  })
+
+  test('validates all entries before sending requests', async () => {
+    await expect(store.putMany([{ key: 'a', value: '1' }, { key: 'invalid/key', value: '2' }])).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /entries/1/key must match pattern')
+    await expect(store.putMany([{ key: 'a', value: 1 }])).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /entries/0/value must be string')
+    await expect(store.putMany([{ key: 'a' }])).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: value')
+    await expect(store.putMany()).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: entries')
+    await expect(store.putMany([{ key: 'a', value: '1' }], { ttl: 1.1 })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be integer')
+    await expect(store.putMany([{ key: 'a', value: '1' }], { ttl: MAX_TTL_SECONDS + 1 })).rejects
+      .toThrow('ttl must be <= 365 days (31536000s). Infinite TTLs (< 0) are not supported.')
+    await expect(store.putMany([{ key: 'a', value: '1' }], { concurrency: 1.5 })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /concurrency must be integer')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+})
+
+describe('deleteMany', () => {
+  let store
+
+  beforeEach(async () => {
+    store = await AdobeState.init(fakeCredentials)
+  })
+
+  test('success, not found and failure per key', async () => {
+    mockExponentialBackoff.mockImplementation(async (url) => {
+      if (url.endsWith('/data/a')) {
+        return wrapInFetchResponse('')
+      } else if (url.endsWith('/data/b')) {
+        return wrapInFetchError(404)
+      }
+      return wrapInFetchError(500, 'some error')
+    })
+
+    const results = await store.deleteMany(['a', 'b', 'c'], { concurrency: 1 })
+    expect(results).toEqual([
+      { key: 'a', deleted: true },
+      { key: 'b', deleted: false },
+      { key: 'c', error: expect.objectContaining({ code: 'ERROR_INTERNAL' }) }
+    ])
+  })
+
+  test('validates all keys before sending requests', async () => {
+    await expect(store.deleteMany(['valid-key', 'invalid/key'])).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /keys/1 must match pattern')
+    await expect(store.deleteMany()).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: keys')
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+})
+
 describe('any', () => {
   let store
 
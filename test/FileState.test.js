@@ -0,0 +1,201 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const fs = require('node:fs/promises')
+const os = require('node:os')
+const path = require('node:path')
+const { FileState } = require('../lib/FileState')
+const { MAX_KEY_SIZE } = require('../lib/constants')
+
+// helpers //////////////////////////////////////////////////////////
+
+const listAll = async (store, options) => {
+  const acc = []
+  for await (const { keys } of store.list(options)) {
+    acc.push(...keys)
+  }
+  return acc.sort()
+}
+
+const errorWithCode = (code) => Object.assign(new Error(code), { code })
+
+// jest globals //////////////////////////////////////////////////////////
+
+let dir
+let containerDir
+let lockFile
+let store
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'aio-lib-state-'))
+  containerDir = path.join(dir, 'some-namespace', 'amer')
+  lockFile = path.join(containerDir, '.lock')
+  store = await FileState.init({ namespace: 'some-namespace', dir })
+})
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true })
+})
+
+// //////////////////////////////////////////////////////////
+
+describe('init', () => {
+  test('default directory', async () => {
+    const cwd = process.cwd()
+    process.chdir(dir)
+    let store
+    try {
+      store = await FileState.init({ namespace: 'some-namespace', region: 'emea' })
+      await store.put('key', 'value')
+    } finally {
+      process.chdir(cwd)
+    }
+
+    expect(store.endpoint).toEqual(`file://${path.join(dir, '.aio', 'state', 'some-namespace', 'emea')}`)
+    expect(await fs.readdir(path.join(dir, '.aio', 'state', 'some-namespace', 'emea'))).toHaveLength(1)
+  })
+
+  test('namespaces can\'t escape the directory', async () => {
+    await expect(FileState.init({ namespace: '../../escaped', dir })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /namespace must match pattern')
+    await expect(FileState.init({ namespace: '..', dir })).rejects.toThrow('/namespace must match pattern')
+    await expect(fs.access(path.resolve(dir, '../../escaped'))).rejects.toThrow('ENOENT')
+  })
+
+  test('invalid region', async () => {
+    await expect(FileState.init({ region: 'some-invalid-region', dir })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /region must be equal to one of the allowed values')
+  })
+})
+
+describe('operations', () => {
+  test('data survives a restart', async () => {
+    await store.put('key', 'value', { ttl: 100 })
+    const { expiration, version } = await store.get('key')
+
+    const restarted = await FileState.init({ namespace: 'some-namespace', dir })
+    expect(await restarted.get('key')).toEqual({ value: 'value', expiration, version })
+  })
+
+  test('get, put, delete', async () => {
+    expect(await store.get('key')).toBeUndefined()
+    expect(await store.put('key', 'value')).toEqual('key')
+    expect(await store.get('key')).toEqual(expect.objectContaining({ value: 'value' }))
+    expect(await store.delete('key')).toEqual('key')
+    expect(await store.delete('key')).toEqual(null)
+    expect(await fs.readdir(containerDir)).toEqual([])
+  })
+
+  test('keys are case sensitive', async () => {
+    await store.put('key', 'lower')
+    await store.put('KEY', 'upper')
+    expect(await store.get('key')).toEqual(expect.objectContaining({ value: 'lower' }))
+    expect(await store.get('KEY')).toEqual(expect.objectContaining({ value: 'upper' }))
+  })
+
+  test('longest key', async () => {
+    const key = 'k'.repeat(MAX_KEY_SIZE)
+    await store.put(key, 'value')
+    expect(await store.get(key)).toEqual(expect.objectContaining({ value: 'value' }))
+    expect(await listAll(store)).toEqual([key])
+  })
+
+  test('ttl', async () => {
+    const now = Date.now()
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+    await store.put('expires', 'value', { ttl: 10 })
+    await store.put('stays', 'value', { ttl: 100 })
+    expect((await store.get('expires')).expiration).toEqual(new Date(now + 10000).toISOString())
+
+    Date.now.mockReturnValue(now + 10000)
+    expect(await store.get('expires')).toBeUndefined()
+    expect(await listAll(store)).toEqual(['stays'])
+    expect(await fs.readdir(containerDir)).toHaveLength(1)
+  })
+
+  test('list, stats, any and deleteAll', async () => {
+    await store.put('abc.a', '1')
+    await store.put('abc.b', '22')
+    await store.put('xyz', '333')
+    // leftover of a crashed write
+    await fs.writeFile(path.join(containerDir, 'some-file.json.some-uuid.tmp'), '{')
+
+    expect(await listAll(store, { match: 'abc*' })).toEqual(['abc.a', 'abc.b'])
+    expect(await store.stats()).toEqual({ keys: 3, bytesKeys: 13, bytesValues: 6 })
+    expect(await store.any()).toEqual(true)
+    expect(await store.deleteAll({ match: 'abc*' })).toEqual({ keys: 2 })
+    expect(await listAll(store)).toEqual(['xyz'])
+  })
+
+  test('lock', async () => {
+    const lock = await store.lock('nightly-sync')
+    expect(lock.name).toEqual('nightly-sync')
+    await expect(store.lock('nightly-sync')).rejects.toThrow('ERROR_LOCKED')
+    await lock.release()
+  })
+})
+
+describe('concurrency', () => {
+  test('concurrent writes from several instances', async () => {
+    const other = await FileState.init({ namespace: 'some-namespace', dir })
+    await Promise.all(new Array(20).fill(0).map((_, i) => (i % 2 ? store : other).put(`key-${i}`, `value-${i}`)))
+    expect(await listAll(store)).toHaveLength(20)
+    expect(await fs.readdir(containerDir)).toHaveLength(20)
+  })
+
+  test('waits for the lock of another process', async () => {
+    await fs.mkdir(containerDir, { recursive: true })
+    await fs.writeFile(lockFile, '')
+
+    let done = false
+    const put = store.put('key', 'value').then(() => { done = true })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    expect(done).toBe(false)
+
+    await fs.rm(lockFile)
+    await put
+    expect(done).toBe(true)
+    await expect(fs.access(lockFile)).rejects.toThrow()
+  })
+
+  test('lock released by another process while checking it', async () => {
+    await fs.mkdir(containerDir, { recursive: true })
+    await fs.writeFile(lockFile, '')
+
+    jest.spyOn(fs, 'stat').mockImplementationOnce(async () => {
+      await fs.rm(lockFile)
+      throw errorWithCode('ENOENT')
+    })
+    expect(await store.put('key', 'value')).toEqual('key')
+  })
+
+  test('stale lock of a crashed process', async () => {
+    await fs.mkdir(containerDir, { recursive: true })
+    await fs.writeFile(lockFile, '')
+    const old = new Date(Date.now() - 60000)
+    await fs.utimes(lockFile, old, old)
+
+    expect(await store.put('key', 'value')).toEqual('key')
+  })
+
+  test('lock error', async () => {
+    jest.spyOn(fs, 'open').mockRejectedValueOnce(errorWithCode('EACCES'))
+    await expect(store.put('key', 'value')).rejects.toThrow('EACCES')
+    // the next requests are not blocked
+    expect(await store.put('key', 'value')).toEqual('key')
+  })
+
+  test('read error', async () => {
+    jest.spyOn(fs, 'readFile').mockRejectedValueOnce(errorWithCode('EACCES'))
+    await expect(store.get('key')).rejects.toThrow('EACCES')
+  })
+})
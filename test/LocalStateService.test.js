@@ -0,0 +1,95 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { LocalStateService } = require('../lib/LocalStateService')
+const { HEADER_KEY_EXPIRES, REQUEST_ID_HEADER } = require('../lib/constants')
+
+const baseUrl = 'memory://amer/containers/some-namespace'
+
+// helpers //////////////////////////////////////////////////////////
+
+const createStorage = () => {
+  const entries = new Map()
+  return {
+    entries,
+    exclusive: async (task) => task(),
+    read: async (key) => entries.get(key),
+    write: async (key, entry) => entries.set(key, entry),
+    remove: async (key) => entries.delete(key),
+    keys: async () => [...entries.keys()]
+  }
+}
+
+// //////////////////////////////////////////////////////////
+
+let storage
+let service
+
+beforeEach(() => {
+  storage = createStorage()
+  service = new LocalStateService(storage)
+})
+
+test('put and get', async () => {
+  const putResponse = await service.exponentialBackoff(`${baseUrl}/data/key?ttl=10`, { method: 'PUT', body: 'value' })
+  expect(putResponse.status).toEqual(200)
+  expect(putResponse.headers.get(REQUEST_ID_HEADER)).toEqual(expect.any(String))
+
+  const getResponse = await service.exponentialBackoff(`${baseUrl}/data/key`, { method: 'GET' })
+  expect(getResponse.status).toEqual(200)
+  expect(await getResponse.text()).toEqual('value')
+  expect(Number(getResponse.headers.get(HEADER_KEY_EXPIRES))).toEqual(storage.entries.get('key').expiration)
+})
+
+test('unsupported requests', async () => {
+  let response = await service.exponentialBackoff(`${baseUrl}/data/key`, { method: 'POST' })
+  expect(response.status).toEqual(405)
+  expect(await response.text()).toEqual('POST /containers/some-namespace/data/key is not supported')
+
+  response = await service.exponentialBackoff(`${baseUrl}/data`, { method: 'DELETE' })
+  expect(response.status).toEqual(405)
+
+  response = await service.exponentialBackoff(baseUrl, { method: 'PUT' })
+  expect(response.status).toEqual(405)
+
+  response = await service.exponentialBackoff('memory://amer/some/path', { method: 'GET' })
+  expect(response.status).toEqual(405)
+})
+
+test('list pages of 1000 keys', async () => {
+  const expiration = Date.now() + 10000
+  for (let i = 0; i < 2500; ++i) {
+    storage.entries.set(`key-${String(i).padStart(4, '0')}`, { value: 'value', expiration })
+  }
+
+  const pages = []
+  let cursor = 0
+  do {
+    const response = await service.exponentialBackoff(`${baseUrl}/data?match=key-*&cursor=${cursor}`, { method: 'GET' })
+    const body = await response.json()
+    pages.push(body.keys)
+    cursor = body.cursor
+  } while (cursor !== 0)
+
+  expect(pages.map(keys => keys.length)).toEqual([1000, 1000, 500])
+  expect(pages[1][0]).toEqual('key-1000')
+})
+
+test('delete without match deletes the whole container', async () => {
+  const expiration = Date.now() + 10000
+  storage.entries.set('a', { value: 'value', expiration })
+  storage.entries.set('b', { value: 'value', expiration })
+
+  const response = await service.exponentialBackoff(baseUrl, { method: 'DELETE' })
+  expect(await response.json()).toEqual({ keys: 2 })
+  expect(storage.entries.size).toEqual(0)
+})
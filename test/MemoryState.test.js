@@ -0,0 +1,1316 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { Readable } = require('node:stream')
+const { randomBytes } = require('node:crypto')
+const { MemoryState } = require('../lib/MemoryState')
+const { DEFAULT_TTL_SECONDS, MAX_VALUE_SIZE } = require('../lib/constants')
+
+const now = 1707445350000
+
+// helpers //////////////////////////////////////////////////////////
+
+const listAll = async (store, options) => {
+  const acc = []
+  for await (const { keys } of store.list(options)) {
+    acc.push(...keys)
+  }
+  return acc.sort()
+}
+
+const readAll = async (stream) => {
+  let text = ''
+  for await (const chunk of stream) {
+    text += chunk
+  }
+  return text
+}
+
+// jest globals //////////////////////////////////////////////////////////
+
+const env = process.env
+let store
+
+beforeEach(async () => {
+  process.env = { ...env }
+  jest.spyOn(Date, 'now').mockReturnValue(now)
+  store = await MemoryState.init({ namespace: 'some-namespace' })
+  await store.deleteAll({ match: '*' })
+})
+
+afterEach(() => {
+  process.env = env
+})
+
+// //////////////////////////////////////////////////////////
+
+describe('init', () => {
+  test('defaults', async () => {
+    delete process.env.__OW_NAMESPACE
+    const store = await MemoryState.init()
+    expect(store.namespace).toEqual('local')
+    expect(store.region).toEqual('amer')
+    expect(store.endpoint).toEqual('memory://amer')
+  })
+
+  test('namespace from env', async () => {
+    process.env.__OW_NAMESPACE = 'some-env-namespace'
+    const store = await MemoryState.init()
+    expect(store.namespace).toEqual('some-env-namespace')
+  })
+
+  test('invalid namespace', async () => {
+    await expect(MemoryState.init({ namespace: 'some/namespace' })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /namespace must match pattern')
+    await expect(MemoryState.init({ namespace: 123 })).rejects.toThrow('/namespace must match pattern')
+  })
+
+  test('invalid region', async () => {
+    await expect(MemoryState.init({ region: 'some-invalid-region' })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /region must be equal to one of the allowed values: amer, emea, apac, aus')
+  })
+
+  test('instances share containers', async () => {
+    const other = await MemoryState.init({ namespace: 'some-namespace' })
+    await store.put('key', 'value')
+    expect(await other.get('key')).toEqual(expect.objectContaining({ value: 'value' }))
+  })
+
+  test('compression', async () => {
+    const compressed = await MemoryState.init({ namespace: 'some-namespace', compression: { algorithm: 'brotli' } })
+    const value = 'a'.repeat(MAX_VALUE_SIZE * 2)
+    await compressed.put('key', value)
+    expect((await compressed.get('key')).value).toEqual(value)
+    // stored compressed
+    expect((await store.head('key')).size).toBeLessThan(MAX_VALUE_SIZE)
+    expect((await store.get('key')).value).toEqual(value)
+
+    // values stored before compression was enabled
+    await store.put('plain', 'plain value')
+    expect((await compressed.get('plain')).value).toEqual('plain value')
+  })
+
+  test('cache', async () => {
+    const cached = await MemoryState.init({ namespace: 'some-namespace', cache: { maxAgeMs: 1000 } })
+    await cached.put('key', 'value')
+    expect(await cached.get('key')).toEqual(expect.objectContaining({ value: 'value' }))
+
+    // a change from another instance shows after maxAgeMs
+    await store.put('key', 'other-value')
+    expect(await cached.get('key')).toEqual(expect.objectContaining({ value: 'value' }))
+    Date.now.mockReturnValue(now + 1000)
+    expect(await cached.get('key')).toEqual(expect.objectContaining({ value: 'other-value' }))
+  })
+
+  test('invalid cache options', async () => {
+    await expect(MemoryState.init({ cache: { maxAgeMs: -1 } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /cache/maxAgeMs must be >= 0')
+  })
+
+  test('namespaces and regions are isolated', async () => {
+    const otherNamespace = await MemoryState.init({ namespace: 'other-namespace' })
+    const otherRegion = await MemoryState.init({ namespace: 'some-namespace', region: 'emea' })
+    await store.put('key', 'value')
+    expect(await otherNamespace.get('key')).toBeUndefined()
+    expect(await otherRegion.get('key')).toBeUndefined()
+  })
+})
+
+describe('get, put and delete', () => {
+  test('put then get', async () => {
+    expect(await store.put('valid-key', 'some-value')).toEqual('valid-key')
+    expect(await store.get('valid-key')).toEqual({
+      value: 'some-value',
+      expiration: new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString(),
+      version: expect.any(String)
+    })
+  })
+
+  test('overwrite', async () => {
+    await store.put('valid-key', 'some-value')
+    await store.put('valid-key', 'other-value')
+    expect(await store.get('valid-key')).toEqual(expect.objectContaining({ value: 'other-value' }))
+  })
+
+  test('get not found', async () => {
+    expect(await store.get('not-found-key')).toBeUndefined()
+  })
+
+  test('delete', async () => {
+    await store.put('valid-key', 'some-value')
+    expect(await store.delete('valid-key')).toEqual('valid-key')
+    expect(await store.get('valid-key')).toBeUndefined()
+    expect(await store.delete('valid-key')).toEqual(null)
+  })
+
+  test('invalid key', async () => {
+    await expect(store.put('invalid/key', 'some-value')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    await expect(store.get('invalid/key')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+    await expect(store.delete('invalid/key')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+  })
+
+  test('value bigger than 1MB', async () => {
+    await store.put('valid-key', 'a'.repeat(MAX_VALUE_SIZE))
+    await expect(store.put('valid-key', 'a'.repeat(MAX_VALUE_SIZE + 1))).rejects
+      .toThrow('[AdobeStateLib:ERROR_PAYLOAD_TOO_LARGE] key, value or request payload is too large')
+    // multi-byte characters count for more than one byte
+    await expect(store.put('valid-key', '€'.repeat(MAX_VALUE_SIZE / 2))).rejects
+      .toThrow('[AdobeStateLib:ERROR_PAYLOAD_TOO_LARGE] key, value or request payload is too large')
+  })
+})
+
+describe('conditional puts', () => {
+  test('ifMatch', async () => {
+    await store.put('valid-key', 'v1')
+    const { version } = await store.get('valid-key')
+
+    await store.put('valid-key', 'v2', { ifMatch: version })
+    expect(await store.get('valid-key')).toEqual(expect.objectContaining({ value: 'v2' }))
+    expect((await store.get('valid-key')).version).not.toEqual(version)
+
+    // stale version
+    await expect(store.put('valid-key', 'v3', { ifMatch: version })).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    // any version
+    await store.put('valid-key', 'v3', { ifMatch: '*' })
+    expect(await store.get('valid-key')).toEqual(expect.objectContaining({ value: 'v3' }))
+    // missing key
+    await expect(store.put('other-key', 'v1', { ifMatch: '*' })).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+  })
+
+  test('putIfAbsent', async () => {
+    await store.putIfAbsent('valid-key', 'v1')
+    await expect(store.putIfAbsent('valid-key', 'v2')).rejects.toThrow('[AdobeStateLib:ERROR_PRECONDITION_FAILED]')
+    expect(await store.get('valid-key')).toEqual(expect.objectContaining({ value: 'v1' }))
+  })
+
+  test('concurrent compareAndSwap', async () => {
+    const increment = () => store.compareAndSwap('counter', value => String(Number(value ?? 0) + 1))
+    await Promise.all(new Array(10).fill(0).map(increment))
+    expect(await store.get('counter')).toEqual(expect.objectContaining({ value: '10' }))
+  })
+
+  test('concurrent incr and decr', async () => {
+    await store.put('counter', '100', { ttl: 10 })
+    await Promise.all(new Array(20).fill(0).map((_, i) => i % 2 ? store.incr('counter', 2) : store.decr('counter')))
+    expect(await store.get('counter')).toEqual(expect.objectContaining({
+      value: '110',
+      expiration: new Date(now + 10000).toISOString()
+    }))
+  })
+})
+
+describe('ttl', () => {
+  test('ttl = 0 defaults to 24 hours', async () => {
+    await store.put('valid-key', 'some-value', { ttl: 0 })
+    expect((await store.get('valid-key')).expiration).toEqual(new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString())
+  })
+
+  test('custom ttl sets the expiration', async () => {
+    await store.put('valid-key', 'some-value', { ttl: 10 })
+    expect((await store.get('valid-key')).expiration).toEqual(new Date(now + 10000).toISOString())
+  })
+
+  test('touch refreshes the expiration only', async () => {
+    await store.put('valid-key', 'some-value', { ttl: 10 })
+    const { version } = await store.get('valid-key')
+
+    Date.now.mockReturnValue(now + 5000)
+    expect(await store.touch('valid-key', 100)).toEqual('valid-key')
+    expect(await store.get('valid-key')).toEqual({
+      value: 'some-value',
+      expiration: new Date(now + 105000).toISOString(),
+      version
+    })
+    expect(await store.touch('valid-key')).toEqual('valid-key')
+    expect((await store.get('valid-key')).expiration).toEqual(new Date(now + 5000 + DEFAULT_TTL_SECONDS * 1000).toISOString())
+
+    Date.now.mockReturnValue(now + 5000 + DEFAULT_TTL_SECONDS * 1000)
+    expect(await store.touch('valid-key', 100)).toEqual(null)
+  })
+
+  test('head', async () => {
+    expect(await store.head('valid-key')).toEqual({ exists: false })
+
+    await store.put('valid-key', '€uro', { ttl: 10 })
+    expect(await store.head('valid-key')).toEqual({
+      exists: true,
+      expiration: new Date(now + 10000).toISOString(),
+      size: 6,
+      version: (await store.get('valid-key')).version
+    })
+
+    // the size as stored
+    const compressed = await MemoryState.init({ namespace: 'some-namespace', compression: {} })
+    await compressed.put('compressed-key', 'a'.repeat(10000))
+    const { size } = await compressed.head('compressed-key')
+    expect(size).toBeLessThan(10000)
+    expect(size).toEqual(Buffer.byteLength((await compressed.getStored('compressed-key')).value))
+  })
+
+  test('invalid ttl', async () => {
+    await expect(store.put('valid-key', 'some-value', { ttl: -1 })).rejects.toThrow('Infinite TTLs (< 0) are not supported.')
+  })
+
+  test('expired keys are gone', async () => {
+    await store.put('expires', 'some-value', { ttl: 10 })
+    await store.put('stays', 'some-value', { ttl: 100 })
+
+    Date.now.mockReturnValue(now + 10000)
+    expect(await store.get('expires')).toBeUndefined()
+    expect(await store.delete('expires')).toEqual(null)
+    expect(await listAll(store)).toEqual(['stays'])
+    expect(await store.stats()).toEqual(expect.objectContaining({ keys: 1 }))
+
+    Date.now.mockReturnValue(now + 100000)
+    expect(await store.any()).toEqual(false)
+    expect(await listAll(store)).toEqual([])
+  })
+})
+
+describe('deleteAll, any, stats and list', () => {
+  beforeEach(async () => {
+    await store.put('abc.a', '1')
+    await store.put('abc.b', '22')
+    await store.put('xyz', '333')
+  })
+
+  test('any', async () => {
+    expect(await store.any()).toEqual(true)
+    await store.deleteAll({ match: '*' })
+    expect(await store.any()).toEqual(false)
+  })
+
+  test('stats', async () => {
+    expect(await store.stats()).toEqual({ keys: 3, bytesKeys: 13, bytesValues: 6 })
+    await store.deleteAll({ match: '*' })
+    expect(await store.stats()).toEqual({ keys: 0, bytesKeys: 0, bytesValues: 0 })
+  })
+
+  test('list', async () => {
+    expect(await listAll(store)).toEqual(['abc.a', 'abc.b', 'xyz'])
+    expect(await listAll(store, { match: 'abc*' })).toEqual(['abc.a', 'abc.b'])
+    expect(await listAll(store, { match: '*.b' })).toEqual(['abc.b'])
+    expect(await listAll(store, { match: 'nomatch*' })).toEqual([])
+  })
+
+  test('list entries', async () => {
+    const entries = []
+    for await (const page of store.list({ match: 'abc*', includeValues: true, includeExpiration: true })) {
+      entries.push(...page.entries)
+    }
+    const expiration = new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString()
+    expect(entries).toEqual([
+      { key: 'abc.a', value: '1', expiration },
+      { key: 'abc.b', value: '22', expiration }
+    ])
+  })
+
+  test('list resumes from a cursor', async () => {
+    const { value: first } = await store.list({ pageSize: 2 }).next()
+    expect(first).toEqual({ keys: ['abc.a', 'abc.b'], cursor: 2 })
+
+    const resumed = []
+    for await (const page of store.list({ pageSize: 2, cursor: first.cursor })) {
+      resumed.push(page)
+    }
+    expect(resumed).toEqual([{ keys: ['xyz'], cursor: 0 }])
+  })
+
+  test('list invalid match', async () => {
+    expect(() => store.list({ match: 'illegalchar*!"' })).toThrow('must match')
+  })
+
+  test('list empty container', async () => {
+    await store.deleteAll({ match: '*' })
+    expect(await listAll(store)).toEqual([])
+  })
+
+  test('deleteAll', async () => {
+    expect(await store.deleteAll({ match: 'abc*' })).toEqual({ keys: 2 })
+    expect(await listAll(store)).toEqual(['xyz'])
+    expect(await store.deleteAll({ match: 'abc*' })).toEqual({ keys: 0 })
+    expect(await store.deleteAll({ match: '*' })).toEqual({ keys: 1 })
+    expect(await store.deleteAll({ match: '*' })).toEqual({ keys: 0 })
+  })
+
+  test('deleteAll dryRun and confirmCount', async () => {
+    expect(await store.deleteAll({ match: 'abc*', dryRun: true })).toEqual({ keys: 2, sample: ['abc.a', 'abc.b'] })
+    await expect(store.deleteAll({ match: '*', confirmCount: 2 })).rejects
+      .toThrow("[AdobeStateLib:ERROR_BAD_REQUEST] deleteAll aborted, 3 keys match '*' but confirmCount is 2")
+    expect(await store.stats()).toEqual(expect.objectContaining({ keys: 3 }))
+    expect(await store.deleteAll({ match: 'abc*', confirmCount: 2 })).toEqual({ keys: 2 })
+  })
+
+  test('deleteAll requires match', async () => {
+    await expect(store.deleteAll()).rejects.toThrow('must have required properties: match')
+    expect(await store.stats()).toEqual(expect.objectContaining({ keys: 3 }))
+  })
+})
+
+describe('encryption', () => {
+  const keys = { 'key-1': Buffer.alloc(32, 1), 'key-2': Buffer.alloc(32, 2) }
+  let currentKeyId
+  let encrypted
+
+  beforeEach(async () => {
+    currentKeyId = 'key-1'
+    const keyProvider = async (keyId = currentKeyId) => ({ keyId, key: keys[keyId] })
+    encrypted = await MemoryState.init({ namespace: 'some-namespace', encryption: { keyProvider } })
+  })
+
+  test('values are stored encrypted', async () => {
+    await encrypted.put('token', 'some secret')
+    expect((await encrypted.get('token')).value).toEqual('some secret')
+    await expect(store.get('token')).rejects.toThrow('ERROR_DECRYPTION_FAILED')
+  })
+
+  test('reencrypt after a key rotation', async () => {
+    await encrypted.put('token.a', 'a', { ttl: 100 })
+    await encrypted.put('token.b', 'b')
+    await store.put('token.plain', 'plain')
+    await store.put('other', 'other')
+
+    currentKeyId = 'key-2'
+    await encrypted.put('token.c', 'c')
+    expect(await encrypted.reencrypt({ match: 'token.*', concurrency: 2 }))
+      .toEqual({ reencrypted: 3, unchanged: 1, failed: [] })
+
+    const rotated = await MemoryState.init({ namespace: 'some-namespace', encryption: { keyProvider: async () => ({ keyId: 'key-2', key: keys['key-2'] }) } })
+    expect((await rotated.get('token.a'))).toEqual(expect.objectContaining({ value: 'a', expiration: new Date(now + 100000).toISOString() }))
+    expect((await rotated.get('token.plain')).value).toEqual('plain')
+    expect((await store.get('other')).value).toEqual('other')
+    expect(await encrypted.reencrypt()).toEqual({ reencrypted: 1, unchanged: 4, failed: [] })
+  })
+
+  test('reencrypt reports failures', async () => {
+    const other = await MemoryState.init({ namespace: 'some-namespace', encryption: { key: Buffer.alloc(32, 3).toString('base64') } })
+    await other.put('foreign', 'value')
+    await encrypted.put('token', 'some secret')
+
+    expect(await encrypted.reencrypt()).toEqual({
+      reencrypted: 0,
+      unchanged: 1,
+      failed: [{ key: 'foreign', error: expect.objectContaining({ code: 'ERROR_DECRYPTION_FAILED' }) }]
+    })
+  })
+
+  test('reencrypt skips keys deleted meanwhile', async () => {
+    await encrypted.put('token', 'some secret')
+    jest.spyOn(encrypted, 'getStored').mockResolvedValueOnce(undefined)
+    expect(await encrypted.reencrypt()).toEqual({ reencrypted: 0, unchanged: 0, failed: [] })
+  })
+})
+
+describe('chunking', () => {
+  let chunked
+  // 5 chunks
+  const value = '0123456789'.repeat(450)
+
+  const storedKeys = async () => {
+    const keys = []
+    // list hides chunk keys, use the service directly
+    const response = await store.fetchRetry.exponentialBackoff(store.createRequestUrl('/data'), { method: 'GET' })
+    if (response.ok) {
+      keys.push(...(await response.json()).keys)
+    }
+    return keys
+  }
+
+  beforeEach(async () => {
+    chunked = await MemoryState.init({ namespace: 'some-namespace', chunking: { chunkSizeBytes: 1024 } })
+  })
+
+  test('values bigger than 1MB', async () => {
+    const big = 'a'.repeat(MAX_VALUE_SIZE * 3)
+    await expect(store.put('report', big)).rejects.toThrow('ERROR_PAYLOAD_TOO_LARGE')
+
+    chunked = await MemoryState.init({ namespace: 'some-namespace', chunking: {} })
+    await chunked.put('report', big, { ttl: 3600 })
+    expect(await chunked.get('report')).toEqual(expect.objectContaining({ value: big, expiration: new Date(now + 3600000).toISOString() }))
+    expect(await storedKeys()).toHaveLength(4)
+    // reading does not require the chunking option
+    expect((await store.get('report')).value).toEqual(big)
+  })
+
+  test('small values are not chunked', async () => {
+    await chunked.put('small', 'value')
+    expect(await storedKeys()).toEqual(['small'])
+    expect((await chunked.get('small')).value).toEqual('value')
+  })
+
+  test('head reports the size of the chunks', async () => {
+    await chunked.put('report', value, { ttl: 60 })
+    expect(await chunked.head('report')).toEqual({
+      exists: true,
+      expiration: new Date(now + 60000).toISOString(),
+      size: 4500,
+      version: (await chunked.get('report')).version
+    })
+    // the manifest, without the chunking option
+    expect((await store.head('report')).size).toBeLessThan(1024)
+
+    await chunked.put('small', 'value')
+    expect((await chunked.head('small')).size).toEqual(5)
+    expect(await chunked.head('missing')).toEqual({ exists: false })
+  })
+
+  test('list hides chunks', async () => {
+    await chunked.put('report', value)
+    await chunked.put('small', 'value')
+    expect(await storedKeys()).toHaveLength(7)
+    expect(await listAll(store)).toEqual(['report', 'small'])
+  })
+
+  test('delete removes the chunks', async () => {
+    await chunked.put('report', value)
+    expect(await chunked.delete('report')).toEqual('report')
+    expect(await storedKeys()).toEqual([])
+    expect(await chunked.delete('report')).toEqual(null)
+  })
+
+  test('deleteAll counts the chunks', async () => {
+    await chunked.put('report', value)
+    expect(await chunked.deleteAll({ match: 'rep*', dryRun: true })).toEqual({ keys: 6, sample: ['report'] })
+    await expect(chunked.deleteAll({ match: 'rep*', confirmCount: 1 })).rejects.toThrow('6 keys match')
+    expect(await chunked.deleteAll({ match: 'rep*', confirmCount: 6 })).toEqual({ keys: 6 })
+    expect(await storedKeys()).toEqual([])
+  })
+
+  test('touch applies to the chunks', async () => {
+    await chunked.put('report', value, { ttl: 100 })
+    expect(await chunked.touch('report', 1000)).toEqual('report')
+
+    const keys = await storedKeys()
+    const expirations = await Promise.all(keys.map(async key => [key, (await store.head(key)).expiration]))
+    expect(Object.fromEntries(expirations)).toEqual(Object.fromEntries(keys.map(key =>
+      [key, new Date(now + (key === 'report' ? 1000000 : 1060000)).toISOString()])))
+    expect(await chunked.touch('missing', 1000)).toEqual(null)
+  })
+
+  test('overwrites delete the previous chunks', async () => {
+    await chunked.put('report', value)
+    await chunked.put('report', value.replace('0', 'x'))
+    expect(await storedKeys()).toHaveLength(6)
+    expect((await chunked.get('report')).value).toEqual(value.replace('0', 'x'))
+
+    await chunked.put('report', 'small')
+    expect(await storedKeys()).toEqual(['report'])
+  })
+
+  test('conditional puts apply to the manifest', async () => {
+    await chunked.put('report', 'small')
+    await expect(chunked.putIfAbsent('report', value)).rejects.toThrow('ERROR_PRECONDITION_FAILED')
+    expect(await storedKeys()).toEqual(['report'])
+
+    const { version } = await chunked.get('report')
+    await chunked.put('report', value, { ifMatch: version })
+    expect((await chunked.get('report')).value).toEqual(value)
+  })
+
+  test('with compression and encryption', async () => {
+    chunked = await MemoryState.init({
+      namespace: 'some-namespace',
+      chunking: { chunkSizeBytes: 1024 },
+      compression: {},
+      encryption: { key: Buffer.alloc(32, 1).toString('base64') }
+    })
+    const random = randomBytes(1500).toString('hex')
+    await chunked.put('report', random)
+    expect((await storedKeys()).length).toBeGreaterThan(2)
+    expect((await chunked.get('report')).value).toEqual(random)
+  })
+
+  test('missing and modified chunks', async () => {
+    await chunked.put('report', value)
+    const chunks = (await storedKeys()).filter(key => key !== 'report').sort()
+
+    await store.put(chunks[1], 'modified')
+    await expect(chunked.get('report')).rejects
+      .toThrow('[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key report: the checksum of the chunks does not match the manifest')
+
+    await store.delete(chunks[1])
+    await expect(chunked.get('report')).rejects
+      .toThrow('[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key report: chunk 1 of 5 is missing')
+  })
+
+  test('invalid manifest', async () => {
+    await store.putStored('report', '\u0000aio-state:chunked:{}', {})
+    await expect(chunked.get('report')).rejects
+      .toThrow('[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key report: invalid chunk manifest')
+    // not a manifest, nothing else is deleted
+    expect(await chunked.delete('report')).toEqual('report')
+  })
+
+  test('key too long', async () => {
+    await expect(chunked.put('k'.repeat(1000), value)).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] key must be at most 997 characters long to be chunked')
+  })
+
+  test('failed chunk puts are cleaned up', async () => {
+    const putStored = chunked.putStored.bind(chunked)
+    jest.spyOn(chunked, 'putStored').mockImplementation((key, ...args) =>
+      key.endsWith('.2') ? Promise.reject(new Error('network error')) : putStored(key, ...args))
+
+    await expect(chunked.put('report', value)).rejects.toThrow('network error')
+    expect(await storedKeys()).toEqual([])
+
+    chunked.putStored.mockImplementation((key, ...args) =>
+      key.includes('.__chunk.') ? Promise.reject(new Error(`cannot put ${key}`)) : putStored(key, ...args))
+    // more chunks than concurrent requests, no request is sent after the first failure
+    await expect(chunked.put('report', value.repeat(3))).rejects.toThrow('cannot put report.__chunk.')
+    expect(chunked.putStored).toHaveBeenCalledTimes(5 + 10)
+    expect(await storedKeys()).toEqual([])
+  })
+
+  test('key deleted while looking for a manifest', async () => {
+    await chunked.put('report', 'small')
+    jest.spyOn(chunked, 'getStored').mockResolvedValueOnce(undefined)
+    await chunked.put('report', value)
+    expect((await chunked.get('report')).value).toEqual(value)
+  })
+
+  test('failed chunk deletions are ignored', async () => {
+    await chunked.put('report', value)
+    jest.spyOn(chunked, 'deleteStored')
+      .mockImplementationOnce(key => store.delete(key).then(() => true))
+      .mockRejectedValue(new Error('network error'))
+    expect(await chunked.delete('report')).toEqual('report')
+    expect(await listAll(store)).toEqual([])
+  })
+
+  test('invalid options', async () => {
+    await expect(MemoryState.init({ namespace: 'some-namespace', chunking: { chunkSizeBytes: 10 } })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /chunking/chunkSizeBytes must be >= 1024')
+  })
+})
+
+describe('scope', () => {
+  let cart
+
+  beforeEach(async () => {
+    cart = store.scope('cart.')
+    await store.put('cart', 'outside')
+    await store.put('cartx', 'outside')
+    await store.put('other.a', 'outside')
+  })
+
+  test('get, put, head, touch and delete', async () => {
+    expect(await cart.put('a', 'value')).toEqual('a')
+    expect((await cart.get('a')).value).toEqual('value')
+    expect((await store.get('cart.a')).value).toEqual('value')
+    expect(await cart.get('cart.a')).toBeUndefined()
+    expect((await cart.head('a')).exists).toBe(true)
+    expect(await cart.touch('a', 100)).toEqual('a')
+    expect(await cart.touch('missing', 100)).toEqual(null)
+    expect(await cart.delete('a')).toEqual('a')
+    expect(await cart.delete('a')).toEqual(null)
+  })
+
+  test('operations built on get and put', async () => {
+    expect(await cart.incr('count', 2)).toEqual(2)
+    await cart.putJSON('items', ['x'])
+    expect((await cart.getJSON('items')).value).toEqual(['x'])
+    await expect(cart.putIfAbsent('items', '[]')).rejects.toThrow('ERROR_PRECONDITION_FAILED')
+    expect(await cart.getMany(['count', 'missing'])).toEqual([
+      expect.objectContaining({ key: 'count', value: '2' }),
+      { key: 'missing', value: undefined }
+    ])
+    expect(await listAll(store, { match: 'cart.*' })).toEqual(['cart.count', 'cart.items'])
+  })
+
+  test('list, any, stats and deleteAll never reach outside the scope', async () => {
+    expect(await cart.any()).toBe(false)
+    expect(await cart.stats()).toEqual({ keys: 0, bytesKeys: 0, bytesValues: 0 })
+
+    await cart.putMany([{ key: 'a', value: '1' }, { key: 'b', value: '22' }, { key: 'c.d', value: '333' }])
+    expect(await listAll(cart)).toEqual(['a', 'b', 'c.d'])
+    expect(await listAll(cart, { match: 'c*' })).toEqual(['c.d'])
+    const entries = []
+    for await (const page of cart.list({ includeValues: true })) {
+      entries.push(...page.entries)
+    }
+    expect(entries.map(({ key, value }) => ({ key, value }))).toEqual([{ key: 'a', value: '1' }, { key: 'b', value: '22' }, { key: 'c.d', value: '333' }])
+
+    expect(await cart.any()).toBe(true)
+    // sizes as stored, prefix included
+    expect(await cart.stats()).toEqual({ keys: 3, bytesKeys: 20, bytesValues: 6 })
+    expect(await cart.deleteAll({ match: '*', dryRun: true })).toEqual({ keys: 3, sample: ['a', 'b', 'c.d'] })
+    expect(await cart.deleteAll({ match: '*' })).toEqual({ keys: 3 })
+    expect(await listAll(store)).toEqual(['cart', 'cartx', 'other.a'])
+    await expect(cart.deleteAll()).rejects.toThrow('ERROR_BAD_ARGUMENT')
+  })
+
+  test('stats skip keys deleted meanwhile', async () => {
+    await cart.put('a', '1')
+    await cart.put('b', '22')
+    jest.spyOn(store, 'head').mockResolvedValueOnce({ exists: false })
+    expect(await cart.stats()).toEqual({ keys: 1, bytesKeys: 6, bytesValues: 2 })
+  })
+
+  test('export and import', async () => {
+    await cart.put('a', '1')
+    const exported = await readAll(cart.exportAll())
+    expect(JSON.parse(exported).key).toEqual('a')
+
+    await store.scope('copy.').importAll(Readable.from([exported]))
+    expect((await store.get('copy.a')).value).toEqual('1')
+  })
+
+  test('nested scopes', async () => {
+    const items = cart.scope('items.')
+    await items.put('a', '1')
+    expect((await store.get('cart.items.a')).value).toEqual('1')
+    expect(await listAll(cart)).toEqual(['items.a'])
+    expect(await listAll(items)).toEqual(['a'])
+  })
+
+  test('reencrypt', async () => {
+    const encrypted = await MemoryState.init({ namespace: 'some-namespace', encryption: { key: Buffer.alloc(32, 1).toString('base64') } })
+    await cart.put('a', 'secret')
+    expect(await encrypted.scope('cart.').reencrypt()).toEqual({ reencrypted: 1, unchanged: 0, failed: [] })
+    expect((await encrypted.get('cart.a')).value).toEqual('secret')
+    expect((await store.get('cart')).value).toEqual('outside')
+  })
+
+  test('invalid keys and prefixes', async () => {
+    await expect(cart.get('')).rejects.toThrow('/key must match pattern')
+    await expect(cart.put(1, 'value')).rejects.toThrow('/key must be string')
+    await expect(cart.put('k'.repeat(1020), 'value')).rejects.toThrow('/key must match pattern')
+    expect(() => cart.list({ match: 'invalid/match' })).toThrow('/match must match pattern')
+
+    // batch keys are validated with the prefix before any request is sent
+    const put = jest.spyOn(store, 'put')
+    const long = 'k'.repeat(1020)
+    await expect(cart.getMany(['a', long])).rejects.toThrow('/keys/1 must match pattern')
+    await expect(cart.putMany([{ key: 'a', value: '1' }, { key: long, value: '1' }])).rejects.toThrow('/entries/1/key must match pattern')
+    await expect(cart.deleteMany(['a', long])).rejects.toThrow('/keys/1 must match pattern')
+    expect(() => cart.watch(long, () => {})).toThrow('/keyOrPattern must match pattern')
+    expect(put).not.toHaveBeenCalled()
+
+    expect(() => store.scope()).toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: prefix')
+    expect(() => store.scope('invalid/')).toThrow('/prefix must match pattern')
+    expect(() => store.scope('p'.repeat(1024))).toThrow('the scope prefix must be shorter than 1024 characters')
+    expect(() => cart.scope('p'.repeat(1019))).toThrow('the scope prefix must be shorter than 1024 characters')
+    expect(cart.scope('p'.repeat(1018)).keyPrefix).toHaveLength(1023)
+  })
+})
+
+describe('key encoding', () => {
+  const email = 'user@example.com'
+  const url = 'https://example.com/a b?c=d'
+  let escaped
+
+  beforeEach(async () => {
+    escaped = await MemoryState.init({ namespace: 'some-namespace', keyEncoding: 'escape' })
+  })
+
+  test('get, put, head, touch and delete', async () => {
+    expect(await escaped.put(email, 'value')).toEqual(email)
+    expect((await escaped.get(email)).value).toEqual('value')
+    expect((await store.get('user_40example.com')).value).toEqual('value')
+    expect((await escaped.head(email)).exists).toBe(true)
+    expect(await escaped.touch(email, 100)).toEqual(email)
+    expect(await escaped.incr('count:' + email)).toEqual(1)
+    expect(await escaped.delete(email)).toEqual(email)
+    expect(await escaped.delete(email)).toEqual(null)
+  })
+
+  test('list decodes keys and matches the decoded keys', async () => {
+    await escaped.putMany([{ key: email, value: '1' }, { key: url, value: '2' }, { key: 'user@other.org', value: '3' }])
+    // written without the key encoding
+    await store.put('a_b', 'outside')
+
+    expect(await listAll(escaped)).toEqual([url, 'user@example.com', 'user@other.org'])
+    expect(await listAll(escaped, { match: 'user@*' })).toEqual(['user@example.com', 'user@other.org'])
+    expect(await listAll(escaped, { match: '*/a b*' })).toEqual([url])
+    const entries = []
+    for await (const page of escaped.list({ match: '*.org', includeValues: true })) {
+      entries.push(...page.entries)
+    }
+    expect(entries).toEqual([{ key: 'user@other.org', value: '3' }])
+
+    expect(await escaped.getMany([email, 'missing key'])).toEqual([
+      expect.objectContaining({ key: email, value: '1' }),
+      { key: 'missing key', value: undefined }
+    ])
+    expect(await escaped.deleteAll({ match: 'user@*', dryRun: true })).toEqual({ keys: 2, sample: [email, 'user@other.org'] })
+    expect(await escaped.deleteAll({ match: 'user@*' })).toEqual({ keys: 2 })
+    expect(await escaped.deleteMany([url])).toEqual([{ key: url, deleted: true }])
+    expect(await listAll(store)).toEqual(['a_b'])
+  })
+
+  test('base64url', async () => {
+    const encoded = await MemoryState.init({ namespace: 'some-namespace', keyEncoding: 'base64url' })
+    await encoded.put(url, 'value')
+    expect((await store.get(Buffer.from(url).toString('base64url'))).value).toEqual('value')
+    expect(await listAll(encoded)).toEqual([url])
+    expect(() => encoded.list({ match: 'https*' })).toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] the key encoding does not support match patterns other than \'*\', got \'https*\'')
+    await expect(encoded.deleteAll({ match: 'https*' })).rejects.toThrow('the key encoding does not support match patterns')
+  })
+
+  test('scopes with base64url', async () => {
+    const encoded = await MemoryState.init({ namespace: 'some-namespace', keyEncoding: 'base64url' })
+    const cart = encoded.scope('cart.')
+    await cart.putMany([{ key: url, value: '1' }, { key: email, value: '22' }])
+    await encoded.put('cart.other', 'outside')
+
+    // the encoded prefix followed by the encoded key
+    const stored = Buffer.from('cart.').toString('base64url') + Buffer.from(url).toString('base64url')
+    expect((await store.get(stored)).value).toEqual('1')
+    expect((await cart.get(url)).value).toEqual('1')
+    expect(await listAll(cart)).toEqual([url, email])
+    expect(await cart.any()).toBe(true)
+    expect(await cart.stats()).toEqual(expect.objectContaining({ keys: 2, bytesValues: 3 }))
+    expect(() => cart.list({ match: 'user*' })).toThrow('the key encoding does not support match patterns')
+
+    expect(await cart.deleteAll({ match: '*', dryRun: true })).toEqual({ keys: 2, sample: [url, email] })
+    expect(await cart.deleteAll({ match: '*' })).toEqual({ keys: 2 })
+    expect(await cart.any()).toBe(false)
+    expect(await listAll(encoded)).toEqual(['cart.other'])
+  })
+
+  test('custom encoding', async () => {
+    const keyEncoding = {
+      encode: (key) => 'custom.' + Buffer.from(key).toString('hex'),
+      decode: (key) => Buffer.from(key.slice('custom.'.length), 'hex').toString()
+    }
+    const custom = await MemoryState.init({ namespace: 'some-namespace', keyEncoding })
+    await custom.put(email, 'value')
+    await store.put('other', 'outside')
+    expect((await store.get(keyEncoding.encode(email))).value).toEqual('value')
+    expect(await listAll(custom)).toEqual([email])
+  })
+
+  test('with chunking, encryption and scopes', async () => {
+    const encoded = await MemoryState.init({
+      namespace: 'some-namespace',
+      keyEncoding: 'escape',
+      chunking: { chunkSizeBytes: 1024 },
+      encryption: { key: Buffer.alloc(32, 1).toString('base64') }
+    })
+    const value = 'v'.repeat(3000)
+    await encoded.scope('users.').put(email, value)
+    expect((await encoded.get('users.' + email)).value).toEqual(value)
+    expect(await listAll(encoded.scope('users.'))).toEqual([email])
+    // the chunks are encrypted, not the manifest, so chunked values are always rewritten
+    expect(await encoded.reencrypt({ match: 'users.user@*' })).toEqual({ reencrypted: 1, unchanged: 0, failed: [] })
+    expect((await encoded.get('users.' + email)).value).toEqual(value)
+    expect(await encoded.delete('users.' + email)).toEqual('users.' + email)
+    expect(await listAll(store)).toEqual([])
+  })
+
+  test('invalid keys and options', async () => {
+    await expect(escaped.put('', 'value')).rejects.toThrow('/key must match pattern')
+    await expect(escaped.put('@'.repeat(400), 'value')).rejects.toThrow('/key must match pattern')
+    await expect(escaped.getMany([1])).rejects.toThrow('/keys/0 must be string')
+    await expect(escaped.putMany([{ key: '@'.repeat(400), value: '' }])).rejects.toThrow('/entries/0/key must match pattern')
+    await expect(escaped.putMany('entries')).rejects.toThrow('/entries must be array')
+    await expect(escaped.putMany([null])).rejects.toThrow('/entries/0 must be object')
+
+    const message = '[AdobeStateLib:ERROR_BAD_ARGUMENT] /keyEncoding must be one of escape, base64url, or an object with encode and decode functions'
+    await expect(MemoryState.init({ keyEncoding: 'base32' })).rejects.toThrow(message)
+    await expect(MemoryState.init({ keyEncoding: { encode: (key) => key } })).rejects.toThrow(message)
+    await expect(MemoryState.init({ keyEncoding: 1 })).rejects.toThrow('/keyEncoding must be string,object')
+  })
+})
+
+describe('lock', () => {
+  test('acquire and release', async () => {
+    const lock = await store.lock('nightly-sync')
+    expect(lock.name).toEqual('nightly-sync')
+    expect((await store.get('__lock.nightly-sync')).expiration).toEqual(new Date(now + 60000).toISOString())
+    await expect(store.lock('nightly-sync')).rejects.toThrow(expect.objectContaining({
+      code: 'ERROR_LOCKED',
+      message: '[AdobeStateLib:ERROR_LOCKED] lock \'nightly-sync\' is held by another owner'
+    }))
+
+    await lock.release()
+    expect(await store.get('__lock.nightly-sync')).toBeUndefined()
+    await expect(lock.release()).rejects.toThrow('[AdobeStateLib:ERROR_LOCK_NOT_HELD] lock \'nightly-sync\' is not held anymore')
+    await (await store.lock('nightly-sync')).release()
+  })
+
+  test('waits for the lock to be released', async () => {
+    const lock = await store.lock('nightly-sync')
+    const waiting = store.lock('nightly-sync', { waitMs: 10000 })
+    await new Promise(resolve => setTimeout(resolve, 150))
+    await lock.release()
+    expect((await waiting).name).toEqual('nightly-sync')
+  })
+
+  test('gives up after waitMs', async () => {
+    await store.lock('nightly-sync')
+    let elapsed = 0
+    Date.now.mockImplementation(() => now + (elapsed += 100))
+    await expect(store.lock('nightly-sync', { waitMs: 250 })).rejects.toThrow('ERROR_LOCKED')
+    expect(elapsed).toBeGreaterThanOrEqual(250)
+  })
+
+  test('expires after its ttl', async () => {
+    const lock = await store.lock('nightly-sync', { ttl: 10 })
+    Date.now.mockReturnValue(now + 10000)
+    const other = await store.lock('nightly-sync')
+
+    await expect(lock.release()).rejects.toThrow('ERROR_LOCK_NOT_HELD')
+    await expect(lock.extend()).rejects.toThrow('ERROR_LOCK_NOT_HELD')
+    expect((await store.get('__lock.nightly-sync')).value).toEqual(expect.any(String))
+    await other.release()
+  })
+
+  test('extend', async () => {
+    const lock = await store.lock('nightly-sync', { ttl: 10 })
+    Date.now.mockReturnValue(now + 5000)
+    await lock.extend()
+    expect((await store.get('__lock.nightly-sync')).expiration).toEqual(new Date(now + 15000).toISOString())
+    await lock.extend(120)
+    expect((await store.get('__lock.nightly-sync')).expiration).toEqual(new Date(now + 125000).toISOString())
+    await expect(lock.extend(0)).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /ttl must be >= 1')
+
+    // released between the get and the put
+    jest.spyOn(store, 'put').mockRejectedValueOnce(Object.assign(new Error('precondition failed'), { code: 'ERROR_PRECONDITION_FAILED' }))
+    await expect(lock.extend()).rejects.toThrow('ERROR_LOCK_NOT_HELD')
+    jest.spyOn(store, 'put').mockRejectedValueOnce(new Error('network error'))
+    await expect(lock.extend()).rejects.toThrow('network error')
+  })
+
+  test('request errors are thrown', async () => {
+    jest.spyOn(store, 'putIfAbsent').mockRejectedValueOnce(new Error('network error'))
+    await expect(store.lock('nightly-sync', { waitMs: 1000 })).rejects.toThrow('network error')
+  })
+
+  test('a lock and a key with the same name are independent', async () => {
+    await store.put('nightly-sync', 'data')
+    const lock = await store.lock('nightly-sync')
+    expect((await store.get('nightly-sync')).value).toEqual('data')
+    await store.put('nightly-sync', 'other data')
+    await lock.extend()
+    await lock.release()
+    expect((await store.get('nightly-sync')).value).toEqual('other data')
+    expect(await store.delete('nightly-sync')).toEqual('nightly-sync')
+    await (await store.lock('nightly-sync')).release()
+  })
+
+  test('in a scope', async () => {
+    const lock = await store.scope('jobs.').lock('nightly-sync')
+    expect(await store.get('jobs.__lock.nightly-sync')).toBeDefined()
+    await expect(store.scope('jobs.').lock('nightly-sync')).rejects.toThrow('ERROR_LOCKED')
+    await (await store.lock('nightly-sync')).release()
+    await lock.release()
+  })
+
+  test('invalid options', async () => {
+    await expect(store.lock()).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: name')
+    await expect(store.lock('invalid/name')).rejects.toThrow('/name must match pattern')
+    await expect(store.lock('name', { ttl: 0 })).rejects.toThrow('/ttl must be >= 1')
+    await expect(store.lock('name', { waitMs: -1 })).rejects.toThrow('/waitMs must be >= 0')
+  })
+})
+
+describe('idempotent', () => {
+  const key = '__idempotent.delivery-1'
+
+  test('runs the function once', async () => {
+    const fn = jest.fn().mockResolvedValue({ orderId: 1 })
+    expect(await store.idempotent('delivery-1', fn)).toEqual({ orderId: 1 })
+    expect(await store.idempotent('delivery-1', fn)).toEqual({ orderId: 1 })
+    expect(fn).toHaveBeenCalledTimes(1)
+    expect(await store.get(key)).toEqual(expect.objectContaining({
+      value: '{"status":"done","result":{"orderId":1}}',
+      expiration: new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString()
+    }))
+
+    expect(await store.idempotent('delivery-2', () => undefined, { ttl: 10 })).toBeUndefined()
+    expect(await store.idempotent('delivery-2', fn)).toBeUndefined()
+    expect(fn).toHaveBeenCalledTimes(1)
+    Date.now.mockReturnValue(now + 10000)
+    expect(await store.idempotent('delivery-2', fn)).toEqual({ orderId: 1 })
+  })
+
+  test('concurrent calls wait for the first one', async () => {
+    const fn = jest.fn(() => new Promise(resolve => setTimeout(() => resolve('done'), 150)))
+    expect(await Promise.all([store.idempotent('delivery-1', fn), store.idempotent('delivery-1', fn)])).toEqual(['done', 'done'])
+    expect(fn).toHaveBeenCalledTimes(1)
+  })
+
+  test('concurrent calls fail fast without wait', async () => {
+    const first = store.idempotent('delivery-1', () => new Promise(resolve => setTimeout(resolve, 150)))
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await expect(store.idempotent('delivery-1', jest.fn(), { wait: false })).rejects.toThrow(expect.objectContaining({
+      code: 'ERROR_IN_PROGRESS',
+      message: '[AdobeStateLib:ERROR_IN_PROGRESS] request \'delivery-1\' is already in progress'
+    }))
+    await first
+  })
+
+  test('failures are not stored', async () => {
+    const fn = jest.fn()
+      .mockImplementationOnce(() => new Promise((resolve, reject) => setTimeout(() => reject(new Error('failed')), 150)))
+      .mockResolvedValue('done')
+    const results = await Promise.allSettled([store.idempotent('delivery-1', fn), store.idempotent('delivery-1', fn)])
+    expect(results).toEqual([
+      { status: 'rejected', reason: new Error('failed') },
+      { status: 'fulfilled', value: 'done' }
+    ])
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  test('results that are not JSON serializable are not stored', async () => {
+    const fn = jest.fn().mockResolvedValueOnce(1n).mockResolvedValue('done')
+    await expect(store.idempotent('delivery-1', fn)).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] the result of fn must be JSON serializable: Do not know how to serialize a BigInt')
+    expect(await store.get(key)).toBeUndefined()
+    expect(await store.idempotent('delivery-1', fn)).toEqual('done')
+    expect(fn).toHaveBeenCalledTimes(2)
+  })
+
+  test('record deleted after the put failed', async () => {
+    await store.put(key, '{"status":"pending"}')
+    jest.spyOn(store, 'get').mockImplementationOnce(async () => {
+      await store.delete(key)
+      return undefined
+    })
+    expect(await store.idempotent('delivery-1', () => 'done', { wait: false })).toEqual('done')
+  })
+
+  test('runs that did not complete expire', async () => {
+    await store.put(key, '{"status":"pending"}', { ttl: 60 })
+    await expect(store.idempotent('delivery-1', jest.fn(), { wait: false })).rejects.toThrow('ERROR_IN_PROGRESS')
+    Date.now.mockReturnValue(now + 60000)
+    expect(await store.idempotent('delivery-1', () => 'done', { pendingTtl: 120 })).toEqual('done')
+  })
+
+  test('invalid records and request errors', async () => {
+    await store.put(key, 'not json')
+    await expect(store.idempotent('delivery-1', jest.fn())).rejects
+      .toThrow('[AdobeStateLib:ERROR_INVALID_VALUE] invalid value for key __idempotent.delivery-1: not an idempotent record')
+    await store.put(key, '{}')
+    await expect(store.idempotent('delivery-1', jest.fn())).rejects.toThrow('ERROR_INVALID_VALUE')
+
+    jest.spyOn(store, 'putIfAbsent').mockRejectedValueOnce(new Error('network error'))
+    await expect(store.idempotent('delivery-2', jest.fn())).rejects.toThrow('network error')
+  })
+
+  test('invalid arguments', async () => {
+    await expect(store.idempotent()).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: requestId')
+    await expect(store.idempotent(1, jest.fn())).rejects.toThrow('/requestId must be string')
+    await expect(store.idempotent('invalid/id', jest.fn())).rejects.toThrow('/requestId must match pattern')
+    await expect(store.idempotent('id', jest.fn(), { ttl: 0, pendingTtl: 0 })).rejects.toThrow('/ttl must be >= 1 /pendingTtl must be >= 1')
+    await expect(store.idempotent('id', jest.fn(), { wait: 'yes' })).rejects.toThrow('/wait must be boolean')
+    await expect(store.idempotent('id', 'fn')).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] fn must be a function')
+  })
+})
+
+describe('reserved keys', () => {
+  test('idempotency records and locks are not listed or exported', async () => {
+    const encrypted = await MemoryState.init({ namespace: 'some-namespace', encryption: { key: Buffer.alloc(32, 1).toString('base64') } })
+    await encrypted.put('a', '1')
+    await encrypted.idempotent('delivery-1', () => 1)
+    const lock = await encrypted.lock('nightly-sync')
+
+    expect(await listAll(encrypted)).toEqual(['a'])
+    expect(await listAll(encrypted, { match: '__*' })).toEqual([])
+    expect((await readAll(encrypted.exportAll())).trim().split('\n').map(line => JSON.parse(line).key)).toEqual(['a'])
+    // deleted by deleteAll, so counted, and counted by the State service
+    expect(await encrypted.deleteAll({ match: '*', dryRun: true })).toEqual({ keys: 3, sample: ['a'] })
+    expect(await encrypted.stats()).toEqual(expect.objectContaining({ keys: 3 }))
+    // encrypted like any value
+    expect(await encrypted.reencrypt()).toEqual({ reencrypted: 0, unchanged: 3, failed: [] })
+    await lock.release()
+
+    const jobs = encrypted.scope('jobs.')
+    await (await jobs.lock('nightly-sync')).release()
+    await jobs.lock('nightly-sync')
+    expect(await listAll(jobs)).toEqual([])
+    expect(await jobs.any()).toBe(false)
+  })
+})
+
+describe('exportAll and importAll', () => {
+  let target
+
+  beforeEach(async () => {
+    await store.put('abc.a', '1', { ttl: 10 })
+    await store.put('abc.b', 'line\nbreak', { ttl: 100 })
+    await store.put('xyz', '333')
+    target = await MemoryState.init({ namespace: 'target-namespace' })
+    await target.deleteAll({ match: '*' })
+  })
+
+  test('export', async () => {
+    Date.now.mockReturnValue(now + 500)
+    expect(await readAll(store.exportAll({ match: 'abc*' }))).toEqual(
+      '{"key":"abc.a","value":"1","ttl":10}\n' +
+      '{"key":"abc.b","value":"line\\nbreak","ttl":100}\n'
+    )
+  })
+
+  test('export empty container', async () => {
+    await store.deleteAll({ match: '*' })
+    const onProgress = jest.fn()
+    expect(await readAll(store.exportAll({ onProgress }))).toEqual('')
+    expect(onProgress).toHaveBeenCalledWith({ exported: 0, cursor: 0 })
+  })
+
+  test('export progress and resume', async () => {
+    await store.put('zzz', '4444')
+    const onProgress = jest.fn()
+    // the export was interrupted after a page of 2 keys
+    const { value: { cursor } } = await store.list({ pageSize: 2 }).next()
+    expect(await readAll(store.exportAll({ cursor, onProgress }))).toEqual(
+      `{"key":"xyz","value":"333","ttl":${DEFAULT_TTL_SECONDS}}\n{"key":"zzz","value":"4444","ttl":${DEFAULT_TTL_SECONDS}}\n`
+    )
+    expect(onProgress).toHaveBeenCalledWith({ exported: 2, cursor: 0 })
+  })
+
+  test('round trip to another namespace preserves ttls', async () => {
+    const onProgress = jest.fn()
+    expect(await target.importAll(store.exportAll(), { onProgress, concurrency: 2 })).toEqual({ imported: 3, skipped: 0 })
+    expect(onProgress.mock.calls).toEqual([
+      [{ lines: 2, imported: 2, skipped: 0 }],
+      [{ lines: 3, imported: 3, skipped: 0 }]
+    ])
+
+    expect(await target.get('abc.b')).toEqual(expect.objectContaining({
+      value: 'line\nbreak',
+      expiration: new Date(now + 100000).toISOString()
+    }))
+    expect(await listAll(target)).toEqual(['abc.a', 'abc.b', 'xyz'])
+  })
+
+  test('existing keys are skipped unless overwrite', async () => {
+    await target.put('xyz', 'target-value')
+    const backup = await readAll(store.exportAll())
+
+    expect(await target.importAll(Readable.from([backup]))).toEqual({ imported: 2, skipped: 1 })
+    expect((await target.get('xyz')).value).toEqual('target-value')
+
+    expect(await target.importAll(Readable.from([backup]), { overwrite: true })).toEqual({ imported: 3, skipped: 0 })
+    expect((await target.get('xyz')).value).toEqual('333')
+  })
+
+  test('preserveTtl false', async () => {
+    await target.importAll(store.exportAll(), { preserveTtl: false })
+    expect((await target.get('abc.a')).expiration).toEqual(new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString())
+  })
+
+  test('resume an interrupted import', async () => {
+    const backup = '\n{"key":"a","value":"1"}\nnot json\n{"key":"b","value":"2"}\n'
+    const onProgress = jest.fn()
+    await expect(target.importAll(Readable.from([backup]), { onProgress, concurrency: 1 })).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] invalid entry at line 3: Unexpected token')
+    expect(onProgress).toHaveBeenLastCalledWith({ lines: 2, imported: 1, skipped: 0 })
+
+    const fixed = backup.replace('not json', '{"key":"c","value":"3","ttl":10}')
+    expect(await target.importAll(Readable.from([fixed]), { skipLines: 2 })).toEqual({ imported: 2, skipped: 0 })
+    expect(await listAll(target)).toEqual(['a', 'b', 'c'])
+  })
+
+  test('import empty stream', async () => {
+    expect(await target.importAll(Readable.from([]))).toEqual({ imported: 0, skipped: 0 })
+  })
+
+  test('invalid entries', async () => {
+    await expect(target.importAll(Readable.from(['{"key":"a"}\n']))).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] invalid entry at line 1: must have required properties: value')
+    await expect(target.importAll(Readable.from(['{"key":"a/b","value":"1"}\n']))).rejects
+      .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /key must match pattern')
+  })
+
+  test('put errors are thrown', async () => {
+    await expect(target.importAll(Readable.from([`{"key":"a","value":"${'a'.repeat(MAX_VALUE_SIZE + 1)}"}\n`]))).rejects
+      .toThrow('[AdobeStateLib:ERROR_PAYLOAD_TOO_LARGE]')
+  })
+
+  test('validation', async () => {
+    expect(() => store.exportAll({ match: 'invalid/match' })).toThrow('/match must match pattern')
+    expect(() => store.exportAll({ onProgress: 'not a function' })).toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] onProgress must be a function')
+    const stream = Readable.from([])
+    await expect(target.importAll(stream, { overwrite: 'yes' })).rejects.toThrow('/overwrite must be boolean')
+    await expect(target.importAll(stream, { skipLines: -1 })).rejects.toThrow('/skipLines must be >= 0')
+    await expect(target.importAll(stream, { onProgress: 1 })).rejects.toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] onProgress must be a function')
+  })
+})
+
+describe('watch', () => {
+  let events
+  const watch = (target, keyOrPattern, options) => target.watch(keyOrPattern, event => events.push(event), { intervalMs: 100, ...options })
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['Date'] })
+    events = []
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  test('put, touch, delete and expiration of a key', async () => {
+    await store.put('job.42', 'pending')
+    const watcher = watch(store, 'job.42')
+    await jest.advanceTimersByTimeAsync(0)
+
+    // the initial state emits no event
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events).toEqual([])
+
+    await store.put('job.42', 'done', { ttl: 10 })
+    const { version } = await store.head('job.42')
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events).toEqual([{ type: 'put', key: 'job.42', version, expiration: new Date(now + 10000).toISOString() }])
+
+    await store.touch('job.42', 100)
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events).toHaveLength(1)
+
+    await store.delete('job.42')
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events[1]).toEqual({ type: 'delete', key: 'job.42' })
+
+    await store.put('job.42', 'pending', { ttl: 1 })
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events[2]).toEqual(expect.objectContaining({ type: 'put', key: 'job.42' }))
+    Date.now.mockReturnValue(now + 1000)
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events[3]).toEqual({ type: 'expired', key: 'job.42' })
+
+    watcher.unsubscribe()
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('pattern', async () => {
+    await store.putMany([{ key: 'job.1', value: 'a' }, { key: 'job.2', value: 'b' }, { key: 'other', value: 'c' }])
+    const watcher = watch(store, 'job.*')
+    await jest.advanceTimersByTimeAsync(0)
+
+    await store.putMany([{ key: 'job.3', value: 'c' }, { key: 'job.1', value: 'aa' }, { key: 'other', value: 'cc' }])
+    await store.delete('job.2')
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events.map(({ type, key }) => `${type} ${key}`)).toEqual(['put job.1', 'delete job.2', 'put job.3'])
+    watcher.unsubscribe()
+  })
+
+  test('scope and key encoding', async () => {
+    const encoded = await MemoryState.init({ namespace: 'some-namespace', keyEncoding: 'escape' })
+    const watcher = watch(encoded.scope('users.'), '*@example.com')
+    await jest.advanceTimersByTimeAsync(0)
+    await encoded.put('users.jane@example.com', 'jane')
+    await jest.advanceTimersByTimeAsync(100)
+    expect(events).toEqual([expect.objectContaining({ type: 'put', key: 'jane@example.com' })])
+    watcher.unsubscribe()
+  })
+
+  test('no event after unsubscribe', async () => {
+    const callback = jest.fn()
+    const watcher = store.watch('job.42', callback, { intervalMs: 100 })
+    await jest.advanceTimersByTimeAsync(0)
+    await store.put('job.42', 'done')
+    watcher.unsubscribe()
+    watcher.unsubscribe()
+    await jest.advanceTimersByTimeAsync(1000)
+    expect(callback).not.toHaveBeenCalled()
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('signal', async () => {
+    const controller = new AbortController()
+    watch(store, 'job.42', { signal: controller.signal })
+    await jest.advanceTimersByTimeAsync(0)
+    controller.abort()
+    expect(jest.getTimerCount()).toEqual(0)
+
+    // already aborted
+    watch(store, 'job.42', { signal: controller.signal })
+    await jest.advanceTimersByTimeAsync(0)
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+
+  test('failing callbacks and polls do not stop watching', async () => {
+    const callback = jest.fn(async () => { throw new Error('callback error') })
+    const watcher = store.watch('job.*', callback, { intervalMs: 100 })
+    await jest.advanceTimersByTimeAsync(0)
+    await store.putMany([{ key: 'job.1', value: 'a' }, { key: 'job.2', value: 'b' }])
+    await jest.advanceTimersByTimeAsync(100)
+    expect(callback).toHaveBeenCalledTimes(2)
+
+    jest.spyOn(store, 'head').mockRejectedValueOnce(new Error('network error'))
+    await store.delete('job.1')
+    await jest.advanceTimersByTimeAsync(100)
+    expect(callback).toHaveBeenCalledTimes(2)
+    await jest.advanceTimersByTimeAsync(100)
+    expect(callback).toHaveBeenLastCalledWith({ type: 'delete', key: 'job.1' })
+    watcher.unsubscribe()
+  })
+
+  test('stops between the events of a poll', async () => {
+    // callbacks run after the first poll, once watcher is set
+    const callback = jest.fn(() => watcher.unsubscribe())
+    const watcher = store.watch('job.*', callback, { intervalMs: 100 })
+    await jest.advanceTimersByTimeAsync(0)
+    await store.putMany([{ key: 'job.1', value: 'a' }, { key: 'job.2', value: 'b' }])
+    await jest.advanceTimersByTimeAsync(100)
+    expect(callback).toHaveBeenCalledTimes(1)
+  })
+
+  test('validation', async () => {
+    const callback = () => {}
+    expect(() => store.watch('job/42', callback)).toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /keyOrPattern must match pattern')
+    expect(() => store.watch('job/*', callback)).toThrow('/keyOrPattern must match pattern')
+    expect(() => store.watch(undefined, callback)).toThrow('must have required properties: keyOrPattern')
+    expect(() => store.watch('job.42', callback, { intervalMs: 10 })).toThrow('/intervalMs must be >= 100')
+    expect(() => store.watch('job.42', 'callback')).toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] callback must be a function')
+    expect(() => store.watch('job.42', callback, { timeoutMs: 0 })).toThrow('/timeoutMs must be >= 1')
+    expect(jest.getTimerCount()).toEqual(0)
+  })
+})
+
+describe('telemetry', () => {
+  test('every operation records a span', async () => {
+    const span = { addEvent: jest.fn(), setAttributes: jest.fn(), recordException: jest.fn(), setStatus: jest.fn(), end: jest.fn() }
+    const tracer = { startSpan: jest.fn(() => span), startActiveSpan: jest.fn((name, options, fn) => fn(span)) }
+    const traced = await MemoryState.init({
+      namespace: 'some-namespace',
+      encryption: { key: Buffer.alloc(32, 1).toString('base64') },
+      telemetry: { tracer }
+    })
+    let lock
+    const operations = {
+      put: () => traced.put('a', '1'),
+      get: () => traced.get('a'),
+      head: () => traced.head('a'),
+      touch: () => traced.touch('a', 100),
+      putIfAbsent: () => traced.putIfAbsent('b', '1'),
+      compareAndSwap: () => traced.compareAndSwap('b', (value) => value + '1'),
+      incr: () => traced.incr('count'),
+      decr: () => traced.decr('count'),
+      putJSON: () => traced.putJSON('json', {}),
+      getJSON: () => traced.getJSON('json'),
+      delete: () => traced.delete('json'),
+      any: () => traced.any(),
+      stats: () => traced.stats(),
+      getMany: () => traced.getMany(['a']),
+      putMany: () => traced.putMany([{ key: 'c', value: '1' }]),
+      deleteMany: () => traced.deleteMany(['c']),
+      importAll: () => traced.importAll(Readable.from(['{"key":"d","value":"1"}\n'])),
+      reencrypt: () => traced.reencrypt(),
+      lock: async () => { lock = await traced.lock('job') },
+      extendLock: () => lock.extend(),
+      releaseLock: () => lock.release(),
+      deleteAll: () => traced.deleteAll({ match: '*' })
+    }
+    for (const [operation, run] of Object.entries(operations)) {
+      tracer.startActiveSpan.mockClear()
+      await run()
+      // operations built on other operations record a single span
+      expect(tracer.startActiveSpan.mock.calls.map(([name]) => name)).toEqual([`state.${operation}`])
+    }
+  })
+})
@@ -0,0 +1,125 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { RateLimiter } = require('../lib/RateLimiter')
+
+// acquires tokens and records when each one was granted
+const acquireAll = (limiter, count, granted) => Promise.all(new Array(count).fill(0).map(async (_, i) => {
+  await limiter.acquire()
+  granted.push(i)
+}))
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: 1707445350000 })
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+test('defaults', () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 2.5 })
+  expect(limiter.burst).toEqual(3)
+  expect(limiter.getMetrics()).toEqual({ sent: 0, throttled: 0, pauses: 0, queueDepth: 0, maxQueueDepth: 0 })
+})
+
+test('burst, then the sustained rate', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 2 })
+  const granted = []
+  const all = acquireAll(limiter, 5, granted)
+
+  await jest.advanceTimersByTimeAsync(0)
+  expect(granted).toEqual([0, 1])
+  expect(limiter.getMetrics()).toEqual({ sent: 2, throttled: 3, pauses: 0, queueDepth: 3, maxQueueDepth: 3 })
+
+  await jest.advanceTimersByTimeAsync(100)
+  expect(granted).toEqual([0, 1, 2])
+  await jest.advanceTimersByTimeAsync(200)
+  await all
+  // requests are sent in order
+  expect(granted).toEqual([0, 1, 2, 3, 4])
+  expect(limiter.getMetrics()).toEqual({ sent: 5, throttled: 3, pauses: 0, queueDepth: 0, maxQueueDepth: 3 })
+})
+
+test('tokens refill up to the burst', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 2 })
+  await acquireAll(limiter, 2, [])
+  await jest.advanceTimersByTimeAsync(10000)
+  const granted = []
+  acquireAll(limiter, 3, granted)
+  await jest.advanceTimersByTimeAsync(0)
+  expect(granted).toEqual([0, 1])
+  await jest.advanceTimersByTimeAsync(100)
+  expect(granted).toEqual([0, 1, 2])
+})
+
+test('pause', async () => {
+  const onThrottle = jest.fn()
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 2, onThrottle })
+  limiter.pause(NaN)
+  limiter.pause(0)
+  expect(onThrottle).not.toHaveBeenCalled()
+
+  limiter.pause(2000)
+  expect(onThrottle).toHaveBeenCalledWith({ reason: 'retry-after', waitMs: 2000, queueDepth: 0 })
+  const granted = []
+  acquireAll(limiter, 1, granted)
+  expect(onThrottle).toHaveBeenCalledWith({ reason: 'rate', waitMs: 2000, queueDepth: 1 })
+  await jest.advanceTimersByTimeAsync(1999)
+  expect(granted).toEqual([])
+  await jest.advanceTimersByTimeAsync(1)
+  expect(granted).toEqual([0])
+  expect(limiter.getMetrics()).toEqual(expect.objectContaining({ pauses: 1, throttled: 1 }))
+})
+
+test('a pause delays queued requests', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 10, burst: 1 })
+  const granted = []
+  acquireAll(limiter, 2, granted)
+  await jest.advanceTimersByTimeAsync(0)
+  expect(granted).toEqual([0])
+
+  limiter.pause(1000)
+  await jest.advanceTimersByTimeAsync(999)
+  expect(granted).toEqual([0])
+  await jest.advanceTimersByTimeAsync(1)
+  expect(granted).toEqual([0, 1])
+})
+
+test('failing listeners are ignored', async () => {
+  const onThrottle = jest.fn(() => { throw new Error('listener error') })
+  const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1, onThrottle })
+  const all = acquireAll(limiter, 2, [])
+  await jest.advanceTimersByTimeAsync(1000)
+  await all
+  expect(onThrottle).toHaveBeenCalledTimes(1)
+})
+
+test('aborted requests leave the queue', async () => {
+  const limiter = new RateLimiter({ requestsPerSecond: 1, burst: 1 })
+  const controller = new AbortController()
+  await limiter.acquire(controller.signal)
+  const aborted = limiter.acquire(controller.signal)
+  const granted = []
+  const next = acquireAll(limiter, 1, granted)
+  expect(limiter.getMetrics()).toEqual(expect.objectContaining({ queueDepth: 2 }))
+
+  controller.abort(new Error('aborted'))
+  await expect(aborted).rejects.toThrow('aborted')
+  expect(limiter.getMetrics()).toEqual(expect.objectContaining({ queueDepth: 1 }))
+  await expect(limiter.acquire(controller.signal)).rejects.toThrow('aborted')
+
+  // the token goes to the next request
+  await jest.advanceTimersByTimeAsync(1000)
+  await next
+  expect(granted).toEqual([0])
+  expect(limiter.getMetrics()).toEqual({ sent: 2, throttled: 2, pauses: 0, queueDepth: 0, maxQueueDepth: 2 })
+})
@@ -0,0 +1,90 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const { StateCache } = require('../lib/StateCache')
+
+const now = 1707445350000
+const result = (value, ttlMs = 3600000) => ({ value, expiration: new Date(now + ttlMs).toISOString(), version: '"v"' })
+
+beforeEach(() => {
+  jest.spyOn(Date, 'now').mockReturnValue(now)
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+test('defaults', () => {
+  const cache = new StateCache()
+  expect(cache.maxEntries).toEqual(1000)
+  expect(cache.maxAgeMs).toEqual(60000)
+})
+
+test('set and get', () => {
+  const cache = new StateCache()
+  expect(cache.get('key')).toBeUndefined()
+
+  cache.set('key', result('value'), cache.generation)
+  expect(cache.get('key')).toEqual(result('value'))
+  // returns copies
+  cache.get('key').value = 'changed'
+  expect(cache.get('key')).toEqual(result('value'))
+})
+
+test('evicts the least recently used key', () => {
+  const cache = new StateCache({ maxEntries: 2 })
+  cache.set('a', result('a'), cache.generation)
+  cache.set('b', result('b'), cache.generation)
+  cache.get('a')
+  cache.set('c', result('c'), cache.generation)
+
+  expect(cache.get('a')).toEqual(result('a'))
+  expect(cache.get('b')).toBeUndefined()
+  expect(cache.get('c')).toEqual(result('c'))
+})
+
+test('never serves an entry past maxAgeMs or its expiration', () => {
+  const cache = new StateCache({ maxAgeMs: 1000 })
+  cache.set('old', result('old'), cache.generation)
+  cache.set('expires', result('expires', 500), cache.generation)
+
+  Date.now.mockReturnValue(now + 500)
+  expect(cache.get('expires')).toBeUndefined()
+  expect(cache.get('old')).toEqual(result('old'))
+
+  Date.now.mockReturnValue(now + 1000)
+  expect(cache.get('old')).toBeUndefined()
+  expect(cache.entries.size).toEqual(0)
+})
+
+test('delete and deleteMatching', () => {
+  const cache = new StateCache()
+  for (const key of ['abc.a', 'abc.b', 'xyz']) {
+    cache.set(key, result(key), cache.generation)
+  }
+
+  cache.delete('xyz')
+  expect(cache.get('xyz')).toBeUndefined()
+  cache.deleteMatching('*.b')
+  expect(cache.get('abc.b')).toBeUndefined()
+  expect(cache.get('abc.a')).toEqual(result('abc.a'))
+  cache.deleteMatching('*')
+  expect(cache.entries.size).toEqual(0)
+})
+
+test('results fetched before an invalidation are not cached', () => {
+  const cache = new StateCache()
+  const generation = cache.generation
+  cache.delete('key')
+  cache.set('key', result('stale'), generation)
+  expect(cache.get('key')).toBeUndefined()
+})
@@ -0,0 +1,162 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { Telemetry } = require('../lib/Telemetry')
+
+// minimal OpenTelemetry Tracer and Meter
+const createTracer = () => {
+  const span = { addEvent: jest.fn(), setAttributes: jest.fn(), recordException: jest.fn(), setStatus: jest.fn(), end: jest.fn() }
+  return { span, startSpan: jest.fn(() => span), startActiveSpan: jest.fn((name, options, fn) => fn(span)) }
+}
+const createMeter = () => {
+  const instruments = {}
+  const create = (name) => (instruments[name] = { add: jest.fn(), record: jest.fn() })
+  return { instruments, createCounter: jest.fn(create), createHistogram: jest.fn(create) }
+}
+
+const request = { operation: 'put', region: 'amer', method: 'PUT', keyCount: 1, requestSize: 5 }
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: 1707445350000 })
+})
+
+afterEach(() => {
+  jest.useRealTimers()
+})
+
+test('spans', () => {
+  const tracer = createTracer()
+  const telemetry = new Telemetry({ tracer })
+  const record = telemetry.start(request)
+  expect(tracer.startSpan).toHaveBeenCalledWith('PUT', {
+    kind: 2,
+    attributes: {
+      'aio_state.operation': 'put',
+      'aio_state.region': 'amer',
+      'aio_state.key_count': 1,
+      'aio_state.request.size': 5,
+      'http.request.method': 'PUT'
+    }
+  })
+
+  telemetry.retry(record, 503)
+  telemetry.retry(record)
+  expect(tracer.span.addEvent).toHaveBeenCalledWith('retry', { 'aio_state.attempt': 1, 'http.response.status_code': 503 })
+  expect(tracer.span.addEvent).toHaveBeenCalledWith('retry', { 'aio_state.attempt': 2 })
+
+  telemetry.end(record, { status: 200, requestId: 'req-id' })
+  expect(tracer.span.setAttributes).toHaveBeenCalledWith({ 'aio_state.request_id': 'req-id', 'aio_state.retries': 2, 'http.response.status_code': 200 })
+  expect(tracer.span.setStatus).not.toHaveBeenCalled()
+  expect(tracer.span.end).toHaveBeenCalledTimes(1)
+})
+
+test('operations', async () => {
+  const tracer = createTracer()
+  const telemetry = new Telemetry({ tracer })
+  const operation = { name: 'incr', region: 'amer' }
+  // operations run by another one have no span of their own
+  const result = await telemetry.operation(operation, () => telemetry.operation({ name: 'get' }, async () => 42))
+  expect(result).toBe(42)
+  expect(tracer.startActiveSpan).toHaveBeenCalledTimes(1)
+  expect(tracer.startActiveSpan).toHaveBeenCalledWith('state.incr', { attributes: { 'aio_state.operation': 'incr', 'aio_state.region': 'amer' } }, expect.any(Function))
+  expect(tracer.span.setStatus).not.toHaveBeenCalled()
+  expect(tracer.span.end).toHaveBeenCalledTimes(1)
+
+  // the next operation has its own span
+  const error = new Error('conflict')
+  await expect(telemetry.operation(operation, async () => { throw error })).rejects.toThrow(error)
+  expect(tracer.startActiveSpan).toHaveBeenCalledTimes(2)
+  expect(tracer.span.recordException).toHaveBeenCalledWith(error)
+  expect(tracer.span.setStatus).toHaveBeenCalledWith({ code: 2, message: 'conflict' })
+  expect(tracer.span.end).toHaveBeenCalledTimes(2)
+})
+
+test('operations without a tracer', async () => {
+  const telemetry = new Telemetry({})
+  expect(await telemetry.operation({ name: 'get' }, async () => 42)).toBe(42)
+})
+
+test('failed requests', () => {
+  const tracer = createTracer()
+  const telemetry = new Telemetry({ tracer })
+
+  // a missing key is not an error
+  telemetry.end(telemetry.start(request), { status: 404 })
+  expect(tracer.span.setStatus).not.toHaveBeenCalled()
+
+  telemetry.end(telemetry.start(request), { status: 500 })
+  expect(tracer.span.setStatus).toHaveBeenCalledWith({ code: 2, message: 'status 500' })
+
+  const error = new Error('network error')
+  telemetry.end(telemetry.start(request), { error })
+  expect(tracer.span.recordException).toHaveBeenCalledWith(error)
+  expect(tracer.span.setStatus).toHaveBeenCalledWith({ code: 2, message: 'network error' })
+})
+
+test('metrics', () => {
+  const meter = createMeter()
+  const telemetry = new Telemetry({ meter })
+  expect(meter.createHistogram).toHaveBeenCalledWith('aio_state.request.duration', expect.objectContaining({ unit: 'ms' }))
+  const {
+    'aio_state.requests': requests,
+    'aio_state.request.duration': duration,
+    'aio_state.retries': retries,
+    'aio_state.throttled': throttled
+  } = meter.instruments
+  const attributes = { 'aio_state.operation': 'put', 'aio_state.region': 'amer', 'http.response.status_code': 200 }
+
+  let record = telemetry.start(request)
+  jest.advanceTimersByTime(120)
+  telemetry.end(record, { status: 200 })
+  expect(requests.add).toHaveBeenCalledWith(1, attributes)
+  expect(duration.record).toHaveBeenCalledWith(120, attributes)
+  expect(retries.add).not.toHaveBeenCalled()
+  expect(throttled.add).not.toHaveBeenCalled()
+
+  record = telemetry.start(request)
+  telemetry.retry(record, 429)
+  telemetry.retry(record, 500)
+  telemetry.end(record, { status: 429 })
+  const throttledAttributes = { ...attributes, 'http.response.status_code': 429 }
+  expect(retries.add).toHaveBeenCalledWith(2, throttledAttributes)
+  expect(throttled.add).toHaveBeenCalledWith(2, throttledAttributes)
+
+  telemetry.end(telemetry.start({ operation: 'list', method: 'GET' }), { error: new Error('network error') })
+  expect(requests.add).toHaveBeenLastCalledWith(1, { 'aio_state.operation': 'list' })
+})
+
+test('hooks', () => {
+  const onRequest = jest.fn()
+  const onResponse = jest.fn()
+  const telemetry = new Telemetry({ onRequest, onResponse })
+
+  const record = telemetry.start(request)
+  expect(onRequest).toHaveBeenCalledWith(request)
+  telemetry.retry(record, 429)
+  jest.advanceTimersByTime(50)
+  telemetry.end(record, { status: 200, requestId: 'req-id', responseSize: 0 })
+  expect(onResponse).toHaveBeenCalledWith({
+    ...request,
+    status: 200,
+    requestId: 'req-id',
+    responseSize: 0,
+    durationMs: 50,
+    retries: 1,
+    error: undefined
+  })
+})
+
+test('failing hooks are ignored', () => {
+  const onRequest = jest.fn(() => { throw new Error('hook error') })
+  const telemetry = new Telemetry({ onRequest })
+  expect(() => telemetry.end(telemetry.start(request), { status: 200 })).not.toThrow()
+  expect(onRequest).toHaveBeenCalledTimes(1)
+})
@@ -0,0 +1,63 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { chunkKey, isChunkKey, split, createManifest, parseManifest, checksum, chunkTtl } = require('../lib/chunking')
+const { MAX_KEY_SIZE, MAX_TTL_SECONDS } = require('../lib/constants')
+
+test('chunk keys', () => {
+  const key = chunkKey('report', '0123456789abcdef', 12)
+  expect(key).toEqual('report.__chunk.0123456789abcdef.12')
+  expect(isChunkKey(key)).toBe(true)
+  expect(isChunkKey('report')).toBe(false)
+  expect(isChunkKey('report.__chunk.notanid.1')).toBe(false)
+})
+
+describe('split', () => {
+  test('ascii', () => {
+    expect(split('abcdefghij', 4)).toEqual(['abcd', 'efgh', 'ij'])
+    expect(split('abcd', 4)).toEqual(['abcd'])
+  })
+
+  test('multi-byte characters are not split', () => {
+    const value = 'a€b😀c'
+    const chunks = split(value, 4)
+    expect(chunks.join('')).toEqual(value)
+    chunks.forEach(chunk => expect(Buffer.byteLength(chunk)).toBeLessThanOrEqual(4))
+    expect(chunks).toEqual(['a€', 'b', '😀', 'c'])
+  })
+})
+
+describe('manifest', () => {
+  test('create and parse', () => {
+    const manifest = createManifest('report', 'some value', 3)
+    expect(manifest).toEqual({ id: expect.stringMatching(/^[0-9a-f]{16}$/), chunks: 3, size: 10, sha256: checksum('some value') })
+    expect(parseManifest(JSON.stringify(manifest))).toEqual(manifest)
+    expect(createManifest('report', 'some value', 3).id).not.toEqual(manifest.id)
+  })
+
+  test('key too long', () => {
+    expect(() => createManifest('k'.repeat(MAX_KEY_SIZE - 20), 'some value', 3))
+      .toThrow(`key must be at most ${MAX_KEY_SIZE - 27} characters long to be chunked`)
+  })
+
+  test('invalid manifests', () => {
+    expect(parseManifest('not json')).toBeUndefined()
+    expect(parseManifest('{}')).toBeUndefined()
+    expect(parseManifest(JSON.stringify({ id: '0123456789abcdef', chunks: '3', sha256: 'abc' }))).toBeUndefined()
+  })
+})
+
+test('chunks outlive their manifest', () => {
+  expect(chunkTtl(100)).toEqual(160)
+  expect(chunkTtl(0)).toEqual(86460)
+  expect(chunkTtl(undefined)).toEqual(86460)
+  expect(chunkTtl(MAX_TTL_SECONDS)).toEqual(MAX_TTL_SECONDS)
+})
@@ -0,0 +1,51 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { randomBytes } = require('node:crypto')
+const { compress, isCompressed, decompress } = require('../lib/compression')
+const { unwrap } = require('../lib/envelope')
+
+const value = '<div>some fragment</div>'.repeat(100)
+
+test('gzip by default', async () => {
+  const compressed = await compress(value, {})
+  const { type, payload } = unwrap(compressed)
+  expect(type).toEqual('gzip')
+  expect(compressed.length).toBeLessThan(value.length)
+  expect(await decompress(type, payload)).toEqual(value)
+})
+
+test('brotli', async () => {
+  const { type, payload } = unwrap(await compress(value, { algorithm: 'brotli' }))
+  expect(type).toEqual('br')
+  expect(await decompress(type, payload)).toEqual(value)
+})
+
+test('multi-byte characters', async () => {
+  const euros = '€'.repeat(1000)
+  const { type, payload } = unwrap(await compress(euros, { thresholdBytes: 0 }))
+  expect(await decompress(type, payload)).toEqual(euros)
+})
+
+test('values below the threshold are not compressed', async () => {
+  expect(await compress(value, { thresholdBytes: value.length + 1 })).toBeUndefined()
+  expect(await compress(value, { thresholdBytes: value.length })).toBeDefined()
+})
+
+test('values that do not compress are not compressed', async () => {
+  expect(await compress(randomBytes(2048).toString('base64'), {})).toBeUndefined()
+})
+
+test('isCompressed', () => {
+  expect(isCompressed('gzip')).toBe(true)
+  expect(isCompressed('br')).toBe(true)
+  expect(isCompressed('raw')).toBe(false)
+})
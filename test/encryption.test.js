@@ -0,0 +1,123 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { randomBytes } = require('node:crypto')
+const { toKey, createKeyring, encrypt, decrypt, keyIdOf } = require('../lib/encryption')
+const { unwrap } = require('../lib/envelope')
+
+const key = randomBytes(32)
+
+describe('toKey', () => {
+  test('buffer or base64 string', () => {
+    expect(toKey(key)).toEqual(key)
+    expect(toKey(key.toString('base64'))).toEqual(key)
+  })
+
+  test('invalid keys', () => {
+    expect(toKey(randomBytes(16))).toBeUndefined()
+    expect(toKey('not a key')).toBeUndefined()
+    expect(toKey(undefined)).toBeUndefined()
+    expect(toKey(32)).toBeUndefined()
+  })
+})
+
+describe('static key', () => {
+  const keyring = createKeyring({ key: key.toString('base64') })
+
+  test('round trip', async () => {
+    const encrypted = await encrypt('some value', keyring, 'some-key')
+    const { type, payload } = unwrap(encrypted)
+    expect(type).toEqual('aes256gcm')
+    expect(encrypted).not.toContain('some value')
+    expect(await decrypt(payload, keyring, 'some-key')).toEqual('some value')
+  })
+
+  test('random iv', async () => {
+    expect(await encrypt('some value', keyring, 'some-key')).not.toEqual(await encrypt('some value', keyring, 'some-key'))
+  })
+
+  test('the key id is derived from the key', async () => {
+    const { keyId } = await keyring.current()
+    expect(keyId).toMatch(/^[0-9a-f]{16}$/)
+    expect(keyIdOf(await encrypt('some value', keyring, 'some-key'))).toEqual(keyId)
+    expect((await createKeyring({ key: randomBytes(32).toString('base64') }).current()).keyId).not.toEqual(keyId)
+  })
+
+  test('tampered values', async () => {
+    const { payload } = unwrap(await encrypt('some value', keyring, 'some-key'))
+    const [keyId, data] = payload.split(':')
+    const tampered = Buffer.from(data, 'base64')
+    tampered[tampered.length - 1] ^= 1
+    await expect(decrypt(`${keyId}:${tampered.toString('base64')}`, keyring, 'some-key')).rejects.toThrow('unable to authenticate data')
+    await expect(decrypt(`${keyId}:${data.slice(0, 8)}`, keyring, 'some-key')).rejects.toThrow()
+  })
+
+  test('value copied to another key', async () => {
+    const { payload } = unwrap(await encrypt('some value', keyring, 'some-key'))
+    await expect(decrypt(payload, keyring, 'other-key')).rejects.toThrow('unable to authenticate data')
+  })
+
+  test('unknown key id', async () => {
+    await expect(decrypt('other-id:data', keyring, 'some-key')).rejects.toThrow("unknown key id 'other-id'")
+    await expect(decrypt('no-key-id', keyring, 'some-key')).rejects.toThrow('missing key id')
+  })
+})
+
+describe('key provider', () => {
+  const keys = { 'key-1': randomBytes(32), 'key-2': randomBytes(32).toString('base64') }
+  let currentKeyId
+  let keyProvider
+  let keyring
+
+  beforeEach(() => {
+    currentKeyId = 'key-1'
+    keyProvider = jest.fn(async (keyId = currentKeyId) => keys[keyId] && { keyId, key: keys[keyId] })
+    keyring = createKeyring({ keyProvider })
+  })
+
+  test('rotation', async () => {
+    const { payload } = unwrap(await encrypt('some value', keyring, 'some-key'))
+    expect(payload.startsWith('key-1:')).toBe(true)
+
+    currentKeyId = 'key-2'
+    expect(keyIdOf(await encrypt('some value', keyring, 'some-key'))).toEqual('key-2')
+    expect(await decrypt(payload, keyring, 'some-key')).toEqual('some value')
+  })
+
+  test('keys resolved by id are cached', async () => {
+    const { payload } = unwrap(await encrypt('some value', keyring, 'some-key'))
+    keyProvider.mockClear()
+    await decrypt(payload, keyring, 'some-key')
+    await decrypt(payload, keyring, 'some-key')
+    expect(keyProvider).not.toHaveBeenCalled()
+
+    await encrypt('some value', keyring, 'some-key')
+    expect(keyProvider).toHaveBeenCalledWith(undefined)
+  })
+
+  test('invalid keys', async () => {
+    await expect(decrypt('key-3:data', keyring, 'some-key')).rejects.toThrow("the key provider returned an invalid key for key id 'key-3'")
+
+    keyProvider.mockResolvedValueOnce({ keyId: 'key-2', key: keys['key-2'] })
+    await expect(decrypt('key-1:data', keyring, 'some-key')).rejects.toThrow("the key provider returned an invalid key for key id 'key-1'")
+
+    keyProvider.mockResolvedValueOnce({ keyId: 'invalid:id', key: keys['key-1'] })
+    await expect(encrypt('some value', keyring, 'some-key')).rejects.toThrow('the key provider returned an invalid key for the current key')
+
+    keyProvider.mockResolvedValueOnce({ keyId: 'key-1', key: 'too short' })
+    await expect(encrypt('some value', keyring, 'some-key')).rejects.toThrow('the key provider returned an invalid key for the current key')
+  })
+})
+
+test('keyIdOf plain values', () => {
+  expect(keyIdOf('plain value')).toBeUndefined()
+  expect(keyIdOf('\u0000aio-state:gzip:payload')).toBeUndefined()
+})
@@ -10,6 +10,12 @@ OF ANY KIND, either express or implied. See the License for the specific languag
 governing permissions and limitations under the License.
 */
 const stateLib = require('../index')
+const { AdobeState } = require('../lib/AdobeState')
+const { MemoryState } = require('../lib/MemoryState')
+const { FileState } = require('../lib/FileState')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
 const { HttpExponentialBackoff } = require('@adobe/aio-lib-core-networking')
 
 jest.mock('@adobe/aio-lib-core-networking')
@@ -97,4 +103,87 @@ describe('init', () => {
     expect(store.apikey).toEqual(fakeOWCreds.auth)
     expect(HttpExponentialBackoff).toHaveBeenCalledWith({ logLevel, logRetryAfterSeconds })
   })
+
+  test('provider adobe', async () => {
+    const store = await stateLib.init({ ow: fakeOWCreds, provider: 'adobe' })
+    expect(store).toBeInstanceOf(AdobeState)
+    expect(store).not.toBeInstanceOf(MemoryState)
+  })
+
+  test('provider memory', async () => {
+    const store = await stateLib.init({ provider: 'memory' })
+    expect(store).toBeInstanceOf(MemoryState)
+    expect(store.namespace).toEqual('local')
+
+    await store.put('key', 'value')
+    expect(await store.get('key')).toEqual(expect.objectContaining({ value: 'value' }))
+    expect(mockExponentialBackoff).not.toHaveBeenCalled()
+  })
+
+  test('provider file', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aio-lib-state-'))
+    try {
+      const store = await stateLib.init({ provider: 'file', dir })
+      expect(store).toBeInstanceOf(FileState)
+
+      await store.put('key', 'value')
+      expect(fs.readdirSync(path.join(dir, 'local', 'amer'))).toHaveLength(1)
+      expect(mockExponentialBackoff).not.toHaveBeenCalled()
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  })
+
+  test('cache', async () => {
+    const store = await stateLib.init({ provider: 'memory', cache: { maxEntries: 10 } })
+    expect(store.cache).toEqual(expect.objectContaining({ maxEntries: 10, maxAgeMs: 60000 }))
+
+    const adobeStore = await stateLib.init({ ow: fakeOWCreds })
+    expect(adobeStore.cache).toBeUndefined()
+  })
+
+  test('compression', async () => {
+    const store = await stateLib.init({ ow: fakeOWCreds, compression: { thresholdBytes: 10 } })
+    expect(store.compression).toEqual({ thresholdBytes: 10 })
+  })
+
+  test('encryption', async () => {
+    const key = Buffer.alloc(32).toString('base64')
+    const store = await stateLib.init({ ow: fakeOWCreds, encryption: { key } })
+    expect(store.keyring).toBeDefined()
+    expect(global.mockLogDebug).toHaveBeenCalled()
+    expect(JSON.stringify(global.mockLogDebug.mock.calls)).not.toContain(key)
+  })
+
+  test('keyEncoding', async () => {
+    const store = await stateLib.init({ ow: fakeOWCreds, keyEncoding: 'escape' })
+    expect(store.encodeKey('user@example.com')).toEqual('user_40example.com')
+  })
+
+  test('rateLimit', async () => {
+    const store = await stateLib.init({ ow: fakeOWCreds, rateLimit: { requestsPerSecond: 10 } })
+    expect(store.rateLimitMetrics()).toEqual(expect.objectContaining({ sent: 0 }))
+  })
+
+  test('retry', async () => {
+    const retry = { maxRetries: 1, retryOn: [503] }
+    const store = await stateLib.init({ ow: fakeOWCreds, retry })
+    expect(store.retry).toEqual(retry)
+  })
+
+  test('timeoutMs', async () => {
+    const store = await stateLib.init({ ow: fakeOWCreds, timeoutMs: 2000 })
+    expect(store.timeoutMs).toEqual(2000)
+  })
+
+  test('telemetry', async () => {
+    const onRequest = jest.fn()
+    const store = await stateLib.init({ ow: fakeOWCreds, telemetry: { onRequest } })
+    expect(store.telemetry.onRequest).toBe(onRequest)
+  })
+
+  test('unknown provider', async () => {
+    await expect(stateLib.init({ ow: fakeOWCreds, provider: 'cosmos' })).rejects
+      .toThrow('[AdobeStateLib:ERROR_UNKNOWN_PROVIDER] provider \'cosmos\' is not supported, accepted values: adobe, memory, file')
+  })
 })
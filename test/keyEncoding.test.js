@@ -0,0 +1,72 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+const { KEY_ENCODINGS, createKeyCodec } = require('../lib/keyEncoding')
+
+const keys = ['user@example.com', 'https://example.com/a b?c=d&e=f#g', 'ключ', '€ 🙂', 'a_b', 'plain-key.1', '']
+
+test('built-in encodings', () => {
+  expect(KEY_ENCODINGS).toEqual(['escape', 'base64url'])
+})
+
+describe('escape', () => {
+  const codec = createKeyCodec('escape')
+
+  test('round trip', () => {
+    keys.forEach(key => {
+      const encoded = codec.encode(key)
+      expect(encoded).toMatch(/^[a-zA-Z0-9._-]*$/)
+      expect(codec.decode(encoded)).toEqual(key)
+    })
+  })
+
+  test('allowed characters are kept', () => {
+    expect(codec.encode('user@example.com')).toEqual('user_40example.com')
+    expect(codec.encode('plain-key.1')).toEqual('plain-key.1')
+    expect(codec.encode('a_b')).toEqual('a_5Fb')
+    expect(codec.encode('€')).toEqual('_E2_82_AC')
+  })
+
+  test('keys that are not escaped', () => {
+    expect(() => codec.decode('a_b')).toThrow('\'a_b\' is not an escaped key')
+    expect(() => codec.decode('a_5f')).toThrow('is not an escaped key')
+    // not UTF-8
+    expect(() => codec.decode('_FF')).toThrow(URIError)
+  })
+
+  test('match patterns', () => {
+    expect(codec.encodeMatch('user@*')).toEqual('user_40*')
+    expect(codec.encodeMatch('*@example.com')).toEqual('*_40example.com')
+    expect(codec.encodeMatch('a*b*')).toEqual('a*b*')
+  })
+})
+
+describe('base64url', () => {
+  const codec = createKeyCodec('base64url')
+
+  test('round trip', () => {
+    keys.forEach(key => {
+      const encoded = codec.encode(key)
+      expect(encoded).toMatch(/^[a-zA-Z0-9_-]*$/)
+      expect(codec.decode(encoded)).toEqual(key)
+    })
+  })
+
+  test('no match patterns', () => {
+    expect(codec.encodeMatch).toBeUndefined()
+  })
+})
+
+test('custom encoding', () => {
+  const custom = { encode: (key) => key, decode: (key) => key }
+  expect(createKeyCodec(custom)).toBe(custom)
+  expect(createKeyCodec('unknown')).toBeUndefined()
+})
@@ -0,0 +1,144 @@
+/*
+Copyright 2024 Adobe. All rights reserved.
+This file is licensed to you under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License. You may obtain a copy
+of the License at http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software distributed under
+the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+OF ANY KIND, either express or implied. See the License for the specific language
+governing permissions and limitations under the License.
+*/
+
+const stateLib = require('../index')
+const { MemoryState } = require('../lib/MemoryState')
+const { DEFAULT_TTL_SECONDS } = require('../lib/constants')
+
+const now = 1707445350000
+const config = { provider: 'memory', ow: { namespace: 'some-namespace' } }
+
+// jest globals //////////////////////////////////////////////////////////
+
+let amer
+let emea
+
+beforeEach(async () => {
+  jest.spyOn(Date, 'now').mockReturnValue(now)
+  amer = await MemoryState.init({ namespace: 'some-namespace', region: 'amer' })
+  emea = await MemoryState.init({ namespace: 'some-namespace', region: 'emea' })
+  await amer.deleteAll({ match: '*' })
+  await emea.deleteAll({ match: '*' })
+
+  await amer.put('abc.a', '1', { ttl: 10 })
+  await amer.put('abc.b', '22')
+  await amer.put('xyz', '333')
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+// //////////////////////////////////////////////////////////
+
+test('copies keys with their remaining ttl', async () => {
+  Date.now.mockReturnValue(now + 4000)
+  const report = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea' })
+
+  expect(report).toEqual({
+    dryRun: false,
+    copied: expect.arrayContaining(['abc.a', 'abc.b', 'xyz']),
+    skipped: [],
+    failed: [],
+    deleted: 0,
+    stats: {
+      source: { keys: 3, bytesKeys: 13, bytesValues: 6 },
+      target: { keys: 3, bytesKeys: 13, bytesValues: 6 }
+    },
+    verified: true
+  })
+  expect(await emea.get('abc.a')).toEqual(expect.objectContaining({ value: '1', expiration: new Date(now + 10000).toISOString() }))
+  expect(await emea.get('xyz')).toEqual(expect.objectContaining({ expiration: new Date(now + DEFAULT_TTL_SECONDS * 1000).toISOString() }))
+  // the source is kept
+  expect(await amer.stats()).toEqual(expect.objectContaining({ keys: 3 }))
+})
+
+test('dry run', async () => {
+  await emea.put('xyz', 'emea-value')
+  const get = jest.spyOn(MemoryState.prototype, 'get')
+  const report = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', match: 'abc*', dryRun: true })
+
+  expect(report).toEqual(expect.objectContaining({
+    dryRun: true,
+    copied: expect.arrayContaining(['abc.a', 'abc.b']),
+    skipped: [],
+    verified: true
+  }))
+  expect(await emea.stats()).toEqual(expect.objectContaining({ keys: 1 }))
+  // values are not downloaded
+  expect(get).not.toHaveBeenCalled()
+
+  const fullReport = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', dryRun: true })
+  expect(fullReport.skipped).toEqual(['xyz'])
+  const overwriteReport = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', dryRun: true, overwrite: true })
+  expect(overwriteReport.copied).toHaveLength(3)
+})
+
+test('existing keys are skipped unless overwrite', async () => {
+  await emea.put('xyz', 'emea-value')
+
+  const report = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea' })
+  expect(report.skipped).toEqual(['xyz'])
+  expect(report.verified).toBe(true)
+  expect((await emea.get('xyz')).value).toEqual('emea-value')
+
+  const overwriteReport = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', overwrite: true })
+  expect(overwriteReport.copied).toHaveLength(3)
+  expect((await emea.get('xyz')).value).toEqual('333')
+})
+
+test('deleteSource deletes the copied keys only', async () => {
+  await emea.put('xyz', 'emea-value')
+
+  const report = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', deleteSource: true })
+  expect(report.deleted).toEqual(2)
+  expect(await amer.get('abc.a')).toBeUndefined()
+  expect((await amer.get('xyz')).value).toEqual('333')
+})
+
+test('failures are reported and the source is kept', async () => {
+  jest.spyOn(MemoryState.prototype, 'putIfAbsent').mockImplementation(async function (key) {
+    if (key === 'abc.b') {
+      throw new Error('some error')
+    }
+    return key
+  })
+
+  const report = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', match: 'abc*', deleteSource: true })
+  expect(report.failed).toEqual([{ key: 'abc.b', error: new Error('some error') }])
+  expect(report.verified).toBe(false)
+  expect(report.deleted).toEqual(0)
+  expect(await amer.stats()).toEqual(expect.objectContaining({ keys: 3 }))
+})
+
+test('missing keys in the target fail the verification', async () => {
+  // the target loses a key while the migration runs
+  jest.spyOn(MemoryState.prototype, 'putIfAbsent').mockImplementation(async function (key) {
+    return key
+  })
+
+  const report = await stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', deleteSource: true })
+  expect(report.copied).toHaveLength(3)
+  expect(report.verified).toBe(false)
+  expect(report.deleted).toEqual(0)
+})
+
+test('validation', async () => {
+  await expect(stateLib.migrate()).rejects
+    .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] must have required properties: fromRegion, toRegion')
+  await expect(stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'mars' })).rejects
+    .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /toRegion must be equal to one of the allowed values: amer, emea, apac, aus')
+  await expect(stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'amer' })).rejects
+    .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] fromRegion and toRegion must be different')
+  await expect(stateLib.migrate({ ...config, fromRegion: 'amer', toRegion: 'emea', dryRun: 'yes', concurrency: 0 })).rejects
+    .toThrow('[AdobeStateLib:ERROR_BAD_ARGUMENT] /dryRun must be boolean /concurrency must be >= 1')
+})
@@ -9,7 +9,7 @@ the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTA
 OF ANY KIND, either express or implied. See the License for the specific language
 governing permissions and limitations under the License.
 */
-const { withHiddenFields, isInternalToAdobeRuntime, formatAjvErrors } = require('../lib/utils')
+const { withHiddenFields, isInternalToAdobeRuntime, formatAjvErrors, validate, globToRegExp, createQueue, mapWithConcurrency, remainingTtl, abortable } = require('../lib/utils')
 
 describe('withHiddenFields', () => {
   test('no params', () => {
@@ -159,6 +159,39 @@ describe('formatAjvErrors', () => {
     expect(formatAjvErrors(errors)[0]).toMatch('/region must be equal to one of the allowed values: amer, apac, emea, aus')
   })
 
+  test('minimum and maximum keywords', () => {
+    const errors = [
+      {
+        instancePath: '/concurrency',
+        schemaPath: '#/properties/concurrency/minimum',
+        keyword: 'minimum',
+        params: { comparison: '>=', limit: 1 },
+        message: 'must be >= 1'
+      },
+      {
+        instancePath: '/size',
+        schemaPath: '#/properties/size/maximum',
+        keyword: 'maximum',
+        params: { comparison: '<=', limit: 10 },
+        message: 'must be <= 10'
+      }
+    ]
+    expect(formatAjvErrors(errors)).toEqual(['/concurrency must be >= 1', '/size must be <= 10'])
+  })
+
+  test('exclusiveMinimum keyword', () => {
+    const errors = [
+      {
+        instancePath: '/rate',
+        schemaPath: '#/properties/rate/exclusiveMinimum',
+        keyword: 'exclusiveMinimum',
+        params: { comparison: '>', limit: 0 },
+        message: 'must be > 0'
+      }
+    ]
+    expect(formatAjvErrors(errors)).toEqual(['/rate must be > 0'])
+  })
+
   test('type keyword', () => {
     const errors = [
       {
@@ -172,4 +205,147 @@ describe('formatAjvErrors', () => {
     const firstError = formatAjvErrors(errors)[0]
     expect(firstError).toMatch('/value must be string')
   })
+
+  test('anyOf keyword', () => {
+    const anyOf = { instancePath: '/retry', schemaPath: '#/properties/retry/anyOf', keyword: 'anyOf', params: {}, message: 'must match a schema in anyOf' }
+    const typeError = (index, type) => ({ instancePath: '/retry', schemaPath: `#/properties/retry/anyOf/${index}/type`, keyword: 'type', params: { type }, message: `must be ${type}` })
+    const minimumError = { instancePath: '/retry/maxRetries', schemaPath: '#/properties/retry/anyOf/1/properties/maxRetries/minimum', keyword: 'minimum', params: { comparison: '>=', limit: 0 }, message: 'must be >= 0' }
+
+    // the value has none of the types
+    expect(formatAjvErrors([typeError(0, 'boolean'), typeError(1, 'object'), anyOf])).toEqual(['/retry must be boolean,object'])
+    // the value is an object
+    expect(formatAjvErrors([typeError(0, 'boolean'), minimumError, anyOf])).toEqual(['/retry/maxRetries must be >= 0'])
+    // alternatives of the same type
+    const patternError = (index) => ({ instancePath: '/retry', schemaPath: `#/properties/retry/anyOf/${index}/pattern`, keyword: 'pattern', params: {}, message: 'must match pattern' })
+    expect(formatAjvErrors([patternError(0), patternError(1), anyOf])).toEqual(['/retry must match pattern', '/retry must match pattern'])
+  })
+})
+
+describe('validate', () => {
+  const schema = { type: 'object', properties: { a: { type: 'integer' }, b: { type: 'string' } } }
+
+  test('valid', () => {
+    expect(validate(schema, { a: 1, b: 'b' })).toEqual({ valid: true, errors: null })
+  })
+
+  test('all errors', () => {
+    const { valid, errors } = validate(schema, { a: 'a', b: 1 })
+    expect(valid).toBe(false)
+    expect(formatAjvErrors(errors)).toEqual(['/a must be integer', '/b must be string'])
+  })
+})
+
+describe('globToRegExp', () => {
+  test('no wildcard', () => {
+    const regex = globToRegExp('a.b-c_d')
+    expect(regex.test('a.b-c_d')).toBe(true)
+    expect(regex.test('aXb-c_d')).toBe(false)
+    expect(regex.test('a.b-c_de')).toBe(false)
+  })
+
+  test('wildcards', () => {
+    expect(globToRegExp('*').test('anything')).toBe(true)
+    expect(globToRegExp('abc*').test('abc.def')).toBe(true)
+    expect(globToRegExp('abc*').test('xabc')).toBe(false)
+    expect(globToRegExp('*.json').test('a.json')).toBe(true)
+    expect(globToRegExp('a*c*e').test('abcde')).toBe(true)
+    expect(globToRegExp('a*c*e').test('abcdef')).toBe(false)
+  })
+})
+
+describe('createQueue', () => {
+  test('runs tasks one at a time, in call order', async () => {
+    const queue = createQueue()
+    const calls = []
+    const task = (name, ms) => async () => {
+      calls.push(`start ${name}`)
+      await new Promise(resolve => setTimeout(resolve, ms))
+      calls.push(`end ${name}`)
+      return name
+    }
+
+    const results = await Promise.all([queue(task('a', 20)), queue(task('b', 0))])
+    expect(results).toEqual(['a', 'b'])
+    expect(calls).toEqual(['start a', 'end a', 'start b', 'end b'])
+  })
+
+  test('a failed task does not block the queue', async () => {
+    const queue = createQueue()
+    await expect(queue(async () => { throw new Error('failed') })).rejects.toThrow('failed')
+    expect(await queue(async () => 'ok')).toEqual('ok')
+  })
+})
+
+describe('mapWithConcurrency', () => {
+  test('keeps the order of the items', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+      await new Promise(resolve => setTimeout(resolve, ms))
+      return `${index}:${ms}`
+    })
+    expect(results).toEqual(['0:30', '1:10', '2:20'])
+  })
+
+  test('limits concurrent calls', async () => {
+    let running = 0
+    let maxRunning = 0
+    await mapWithConcurrency(new Array(10).fill(0), 4, async () => {
+      maxRunning = Math.max(maxRunning, ++running)
+      await new Promise(resolve => setTimeout(resolve, 1))
+      --running
+    })
+    expect(maxRunning).toEqual(4)
+  })
+
+  test('no items', async () => {
+    expect(await mapWithConcurrency([], 4, async () => {})).toEqual([])
+  })
+})
+
+describe('remainingTtl', () => {
+  const now = 1707445350000
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  test('rounds up to the next second', () => {
+    expect(remainingTtl(new Date(now + 10000).toISOString())).toEqual(10)
+    expect(remainingTtl(new Date(now + 10001).toISOString())).toEqual(11)
+  })
+
+  test('is at least 1', () => {
+    expect(remainingTtl(new Date(now).toISOString())).toEqual(1)
+    expect(remainingTtl(new Date(now - 5000).toISOString())).toEqual(1)
+  })
+})
+
+describe('abortable', () => {
+  test('without signal', async () => {
+    const promise = Promise.resolve('result')
+    expect(abortable(promise)).toBe(promise)
+  })
+
+  test('settles like the promise', async () => {
+    const controller = new AbortController()
+    await expect(abortable(Promise.resolve('result'), controller.signal)).resolves.toEqual('result')
+    await expect(abortable(Promise.reject(new Error('failed')), controller.signal)).rejects.toThrow('failed')
+    // the abort listeners are removed
+    controller.abort()
+  })
+
+  test('rejects when the signal is aborted', async () => {
+    const controller = new AbortController()
+    const promise = abortable(new Promise(() => {}), controller.signal)
+    controller.abort(new Error('aborted'))
+    await expect(promise).rejects.toThrow('aborted')
+  })
+
+  test('already aborted signal', async () => {
+    const promise = abortable(new Promise(() => {}), AbortSignal.abort(new Error('aborted')))
+    await expect(promise).rejects.toThrow('aborted')
+  })
 })
@@ -10,25 +10,609 @@ export type AdobeStateCredentials = {
     region: 'amer' | 'apac' | 'emea' | 'aus';
 };
 
+/**
+ * AdobeState cache options. The cache keeps `get` results in memory, so that
+ * reading the same keys again, e.g. in a warm Runtime container, does not
+ * call the State service. Entries are invalidated by put, delete and
+ * deleteAll calls on the same instance, but not by other instances.
+ * @property [maxEntries] - the maximum number of cached keys, the least
+ *   recently used key is evicted first. Defaults to 1000.
+ * @property [maxAgeMs] - the maximum time in milliseconds a value is
+ *   served from the cache, which bounds how stale a value changed by another
+ *   instance can be. Values are never served past their expiration. Defaults
+ *   to 60000.
+ */
+export type AdobeStateCacheOptions = {
+    maxEntries?: number;
+    maxAgeMs?: number;
+};
+
+/**
+ * AdobeState compression options. Values of at least `thresholdBytes` bytes
+ * are compressed before they are stored, if that makes them smaller, which
+ * allows storing values larger than 1MB. Compressed values are stored in a
+ * self-describing envelope and decompressed by get, also by instances
+ * without compression options.
+ * @property [thresholdBytes] - the minimum size of the values to
+ *   compress, defaults to 1024
+ * @property [algorithm] - the compression algorithm,
+ *   defaults to gzip
+ */
+export type AdobeStateCompressionOptions = {
+    thresholdBytes?: number;
+    algorithm?: 'gzip' | 'brotli';
+};
+
+/**
+ * AdobeState encryption options, set either a key or a key provider. Values
+ * are encrypted with AES-256-GCM, along with the id of the key, so that
+ * values encrypted with a previous key can still be decrypted once the key
+ * is rotated.
+ * @property [key] - a base64 encoded 256-bit key, its id is derived from its hash
+ * @property [keyProvider] - called without argument to get the current key, and with a key id to get the key
+ *   that encrypted a value. Key ids may contain letters, digits, '_', '.' and '-'.
+ *   The current key is requested on every put, keys requested by id are cached.
+ */
+export type AdobeStateEncryptionOptions = {
+    key?: string;
+    keyProvider?: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState chunking options. Values larger than `chunkSizeBytes` are
+ * stored in chunk keys, `<key>.__chunk.<id>.<index>`, and the key holds a
+ * manifest of the chunks. Chunk keys are not returned by list, but are
+ * counted by stats.
+ * @property [chunkSizeBytes] - the maximum size of a chunk, from 1KB
+ *   to 1MB, defaults to 1MB
+ */
+export type AdobeStateChunkingOptions = {
+    chunkSizeBytes?: number;
+};
+
+/**
+ * AdobeState key encoding. Keys are encoded before being sent, and decoded
+ * before being returned, so that keys can contain any character, e.g. emails
+ * or URLs. The built-in encodings are:
+ *
+ * - `'escape'`: characters other than letters, digits, '.' and '-' are
+ *   escaped as `_XX`, the hexadecimal value of each of their UTF-8 bytes, e.g.
+ *   'user@example.com' is stored as 'user_40example.com'. Match patterns work on
+ *   the decoded keys.
+ * - `'base64url'`: keys are stored in base64url. Only the '*' match pattern is
+ *   supported, in scopes too.
+ *
+ * A custom encoding must be reversible and its encoded keys valid state keys.
+ * Keys listed that are not in the encoding are skipped.
+ * @property encode - encodes a key
+ * @property decode - decodes a key, it may throw for
+ *   keys that are not in the encoding
+ * @property [encodeMatch] - encodes a glob pattern
+ *   to match encoded keys, without it only the '*' match pattern is supported
+ */
+export type AdobeStateKeyEncoding = {
+    encode: (...params: any[]) => any;
+    decode: (...params: any[]) => any;
+    encodeMatch?: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState rate limit options. Requests of the instance, from all
+ * operations and retries included, are queued so that at most `burst`
+ * requests are sent at once, and `requestsPerSecond` on average. After a 429 response with a
+ * Retry-After header, no request is sent until the Retry-After delay passed.
+ * @property requestsPerSecond - the maximum sustained rate of requests
+ * @property [burst] - the maximum number of requests sent at once,
+ *   defaults to requestsPerSecond rounded up
+ * @property [onThrottle] - called
+ *   when a request is queued, or when requests are paused by a Retry-After header
+ */
+export type AdobeStateRateLimitOptions = {
+    requestsPerSecond: number;
+    burst?: number;
+    onThrottle?: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState throttling event, see {@link AdobeStateRateLimitOptions}
+ * @property reason - 'rate' when a request is queued
+ *   because of the rate limit, 'retry-after' when requests are paused after a 429 response
+ * @property waitMs - the time in milliseconds until the next request can be sent
+ * @property queueDepth - the number of queued requests
+ */
+export type AdobeStateThrottleEvent = {
+    reason: 'rate' | 'retry-after';
+    waitMs: number;
+    queueDepth: number;
+};
+
+/**
+ * AdobeState rate limit metrics, counted since the instance was created
+ * @property sent - the number of requests sent
+ * @property throttled - the number of requests that were queued
+ * @property pauses - the number of pauses caused by Retry-After headers
+ * @property queueDepth - the number of queued requests
+ * @property maxQueueDepth - the maximum number of queued requests
+ */
+export type AdobeStateRateLimitMetrics = {
+    sent: number;
+    throttled: number;
+    pauses: number;
+    queueDepth: number;
+    maxQueueDepth: number;
+};
+
+/**
+ * AdobeState telemetry options. Each operation is recorded as a span named
+ * after it, e.g. `state.incr`, with the `aio_state.operation` and
+ * `aio_state.region` attributes. Its requests to the State service, retries
+ * included, are child client spans named after the HTTP method, with the
+ * `aio_state.operation`, `aio_state.region`, `aio_state.key_count`,
+ * `aio_state.request.size`, `aio_state.response.size`,
+ * `aio_state.request_id`, `aio_state.retries` and `http.response.status_code`
+ * attributes. An operation run by another one, e.g. the get and put of incr,
+ * is part of it. list records a span per page, watch a span per poll, and
+ * idempotent the operations it runs. Operation spans are children of the
+ * active span, e.g. the span of the action, which requires an OpenTelemetry
+ * context manager, as set up by the OpenTelemetry Node SDK. The meter records the `aio_state.requests`, `aio_state.retries` and
+ * `aio_state.throttled` counters and the `aio_state.request.duration`
+ * histogram, in milliseconds. Failing hooks are ignored.
+ * @example
+ * const { trace, metrics } = require('@opentelemetry/api')
+ *  const state = await stateLib.init({
+ *    telemetry: { tracer: trace.getTracer('my-action'), meter: metrics.getMeter('my-action') }
+ *  })
+ * @property [tracer] - an OpenTelemetry Tracer, e.g. `trace.getTracer(name)`
+ * @property [meter] - an OpenTelemetry Meter, e.g. `metrics.getMeter(name)`
+ * @property [onRequest] - called before a request is sent
+ * @property [onResponse] - called once a request
+ *   completed or failed, with the response details
+ */
+export type AdobeStateTelemetryOptions = {
+    tracer?: any;
+    meter?: any;
+    onRequest?: (...params: any[]) => any;
+    onResponse?: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState request event, see {@link AdobeStateTelemetryOptions}
+ * @property operation - the operation sending the request, e.g. 'get' or 'list'
+ * @property region - the region of the State service
+ * @property method - the HTTP method
+ * @property [keyCount] - the number of keys addressed by the request, not set for list,
+ *   deleteAll, any and stats requests
+ * @property [requestSize] - the size of the request body in bytes
+ * @property [status] - the response status, only in onResponse, not set if the request failed
+ * @property [requestId] - the `x-request-id` of the request, only in onResponse
+ * @property [responseSize] - the size of the response body in bytes, only in onResponse
+ * @property [durationMs] - the duration of the request in milliseconds, retries and
+ *   rate limiting included, only in onResponse
+ * @property [retries] - the number of retries, only in onResponse
+ * @property [error] - the error of a failed request, only in onResponse
+ */
+export type AdobeStateRequestEvent = {
+    operation: string;
+    region: string;
+    method: string;
+    keyCount?: number;
+    requestSize?: number;
+    status?: number;
+    requestId?: string;
+    responseSize?: number;
+    durationMs?: number;
+    retries?: number;
+    error?: Error;
+};
+
+/**
+ * AdobeState client options, set in init
+ * @property [cache] - enables a cache of get results
+ * @property [compression] - enables the compression of large values
+ * @property [encryption] - enables the encryption of values
+ * @property [chunking] - enables values larger than 1MB
+ * @property [keyEncoding] - enables keys with any character,
+ *   see {@link AdobeStateKeyEncoding}
+ * @property [rateLimit] - limits the rate of requests
+ * @property [retry] - the retry policy of all
+ *   requests, `false` disables retries
+ * @property [timeoutMs] - the maximum time in milliseconds of each
+ *   request, retries included, no timeout by default
+ * @property [telemetry] - records the requests as
+ *   OpenTelemetry spans and metrics, or reports them to hooks
+ */
+export type AdobeStateOptions = {
+    cache?: AdobeStateCacheOptions;
+    compression?: AdobeStateCompressionOptions;
+    encryption?: AdobeStateEncryptionOptions;
+    chunking?: AdobeStateChunkingOptions;
+    keyEncoding?: string | AdobeStateKeyEncoding;
+    rateLimit?: AdobeStateRateLimitOptions;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    telemetry?: AdobeStateTelemetryOptions;
+};
+
+/**
+ * AdobeState head return value
+ * @property exists - false if the key doesn't exist
+ * @property [expiration] - the ISO-8601 date string of the expiration time
+ * @property [size] - the size of the value as stored in bytes, like in
+ *   stats. It is not the size of the value if the value is compressed or encrypted.
+ *   The size of a chunked value is the size of its chunks.
+ * @property [version] - the version (ETag) of the key-value pair
+ */
+export type AdobeStateHeadReturnValue = {
+    exists: boolean;
+    expiration?: string;
+    size?: number;
+    version?: string;
+};
+
+/**
+ * AdobeState list entry, yielded by list with the includeValues or
+ * includeExpiration options
+ * @property key - the state key
+ * @property [value] - the value, set with includeValues
+ * @property [expiration] - the ISO-8601 date string of the expiration time, set with includeExpiration
+ */
+export type AdobeStateListEntry = {
+    key: string;
+    value?: string;
+    expiration?: string;
+};
+
+/**
+ * AdobeState exportAll options
+ * @property [match] - a glob pattern that supports '*' to filter keys,
+ *   defaults to all keys
+ * @property [cursor] - the cursor reported by onProgress to resume an
+ *   interrupted export, defaults to 0
+ * @property [concurrency] - the maximum number of values fetched at
+ *   the same time, defaults to 10
+ * @property [onProgress] - called after each exported page, with the number of entries exported so
+ *   far and the cursor to resume from
+ */
+export type AdobeStateExportOptions = {
+    match?: string;
+    cursor?: number;
+    concurrency?: number;
+    onProgress?: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState importAll options
+ * @property [overwrite] - replace existing keys, defaults to false,
+ *   existing keys are skipped
+ * @property [preserveTtl] - use the ttl stored with each entry,
+ *   defaults to true. If false, entries get the default ttl of 24 hours.
+ * @property [skipLines] - the number of lines reported by onProgress
+ *   to resume an interrupted import, defaults to 0
+ * @property [concurrency] - the maximum number of puts running at
+ *   the same time, defaults to 10
+ * @property [onProgress] - called after each imported batch, with the number of lines processed,
+ *   entries imported and existing keys skipped so far
+ */
+export type AdobeStateImportOptions = {
+    overwrite?: boolean;
+    preserveTtl?: boolean;
+    skipLines?: number;
+    concurrency?: number;
+    onProgress?: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState importAll result
+ * @property imported - the number of entries written
+ * @property skipped - the number of entries skipped because the key exists
+ */
+export type AdobeStateImportResult = {
+    imported: number;
+    skipped: number;
+};
+
 /**
  * AdobeState put options
  * @property ttl - Time-To-Live for key-value pair in seconds. When not
  *   defined or set to 0, defaults to 24 hours (86400s). Max TTL is one year
  *   (31536000s), `require('@adobe/aio-lib-state').MAX_TTL`. A TTL of 0 defaults
  *   to 24 hours.
+ * @property [ifMatch] - only update the key-value pair if its current
+ *   version is this one, as returned by get. Otherwise the put fails with
+ *   ERROR_PRECONDITION_FAILED.
+ * @property [retry] - the retry policy of this call,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - aborts the requests of this call
  */
 export type AdobeStatePutOptions = {
     ttl: number;
+    ifMatch?: string;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * AdobeState retry options. Failed requests are retried after an exponential
+ * backoff, `initialDelayMs * 2 ^ attempt`, or after the delay of the
+ * Retry-After header of the response, capped at `maxDelayMs`.
+ *
+ * Conditional writes are not idempotent: a write may be applied even though
+ * its response is lost, and its retry then fails as if another client had
+ * written the key. Unless the call passes its own `retry` policy, the
+ * conditional writes of put with `ifMatch`, putIfAbsent, compareAndSwap,
+ * incr, decr, lock and idempotent are only retried on 429 responses.
+ * @property [maxRetries] - the maximum number of retries, defaults to 3
+ * @property [initialDelayMs] - the delay before the first retry in milliseconds, defaults to 100
+ * @property [maxDelayMs] - the maximum delay between two attempts in milliseconds, defaults to no maximum
+ * @property [retryOn] - the
+ *   response status codes to retry, or a function called with the attempt
+ *   number, starting at 0, and the network error or the response, that returns
+ *   true to retry. Defaults to network errors, 429 and 5xx responses.
+ */
+export type AdobeStateRetryOptions = {
+    maxRetries?: number;
+    initialDelayMs?: number;
+    maxDelayMs?: number;
+    retryOn?: number[] | ((...params: any[]) => any);
+};
+
+/**
+ * AdobeState request options, accepted by every operation
+ * @property [retry] - the retry policy of this
+ *   call, merged into the retry option of init. `false` disables retries, e.g.
+ *   to fail fast in latency-sensitive actions.
+ * @property [timeoutMs] - the maximum time in milliseconds of each
+ *   request, retries included, overrides the timeoutMs option of init. A
+ *   request that takes longer is aborted and fails with ERROR_TIMEOUT.
+ * @property [signal] - aborts the requests of this call, they
+ *   fail with the abort reason of the signal. A list iteration stops
+ *   fetching pages once the signal is aborted.
+ */
+export type AdobeStateRequestOptions = {
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
 };
 
 /**
  * AdobeState get return object
  * @property expiration - the ISO-8601 date string of the expiration time for the key-value pair
  * @property value - the value set by put
+ * @property version - the version (ETag) of the key-value pair, changes on every put
  */
 export type AdobeStateGetReturnValue = {
     expiration: string;
     value: string;
+    version: string;
+};
+
+/**
+ * AdobeState putJSON options
+ * @property [ttl] - Time-To-Live for key-value pair in seconds, see
+ *   {@link AdobeStatePutOptions}
+ * @property [schema] - a JSON schema the value must match, formats such
+ *   as 'email' are not supported
+ * @property [retry] - the retry policy of this call,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - aborts the requests of this call
+ */
+export type AdobeStatePutJSONOptions = {
+    ttl?: number;
+    schema?: any;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * AdobeState getJSON options
+ * @property [schema] - a JSON schema the stored value must match, formats
+ *   such as 'email' are not supported
+ * @property [retry] - the retry policy of this call,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - aborts the requests of this call
+ */
+export type AdobeStateGetJSONOptions = {
+    schema?: any;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * AdobeState getJSON return object
+ * @property expiration - the ISO-8601 date string of the expiration time for the key-value pair
+ * @property value - the parsed value set by putJSON
+ * @property version - the version (ETag) of the key-value pair, changes on every put
+ */
+export type AdobeStateGetJSONReturnValue = {
+    expiration: string;
+    value: any;
+    version: string;
+};
+
+/**
+ * AdobeState compareAndSwap options
+ * @property [retries] - the number of retries when another request
+ *   changed the key concurrently, defaults to 3
+ * @property [ttl] - Time-To-Live in seconds, see {@link AdobeStatePutOptions}.
+ *   Defaults to the remaining TTL of the key, or to 24 hours if the key doesn't exist.
+ * @property [retry] - the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}. Conflicts are retried
+ *   according to `retries`, not to this policy.
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - aborts the requests of this call
+ */
+export type AdobeStateCompareAndSwapOptions = {
+    retries?: number;
+    ttl?: number;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * AdobeState reencrypt result
+ * @property reencrypted - the number of values encrypted with the current key
+ * @property unchanged - the number of values that were already encrypted with the current key
+ * @property failed - the keys that could not be reencrypted
+ */
+export type AdobeStateReencryptResult = {
+    reencrypted: number;
+    unchanged: number;
+    failed: { key: string; error: Error; }[];
+};
+
+/**
+ * AdobeState batch options
+ * @property [concurrency] - the maximum number of requests running at
+ *   the same time, defaults to 10
+ * @property [retry] - the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - aborts the requests of this call
+ */
+export type AdobeStateBatchOptions = {
+    concurrency?: number;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * AdobeState batch put options
+ * @property [ttl] - Time-To-Live for all key-value pairs in seconds,
+ *   see {@link AdobeStatePutOptions}
+ * @property [concurrency] - the maximum number of requests running at
+ *   the same time, defaults to 10
+ * @property [retry] - the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - aborts the requests of this call
+ */
+export type AdobeStatePutManyOptions = {
+    ttl?: number;
+    concurrency?: number;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * AdobeState batch operation result, one per key. Failures are reported per
+ * key, the batch operation itself does not throw once keys are validated.
+ * @property key - the state key
+ * @property [value] - getMany only, the value or undefined if the key doesn't exist
+ * @property [expiration] - getMany only, the ISO-8601 date string of the expiration time
+ * @property [version] - getMany only, the version (ETag) of the key-value pair
+ * @property [deleted] - deleteMany only, false if the key doesn't exist
+ * @property [error] - set if the operation failed for this key
+ */
+export type AdobeStateBatchResult = {
+    key: string;
+    value?: string;
+    expiration?: string;
+    version?: string;
+    deleted?: boolean;
+    error?: Error;
+};
+
+/**
+ * AdobeState lock options
+ * @property [ttl] - the time in seconds after which the lock is
+ *   released if it was not released or extended, e.g. because the action
+ *   holding it crashed. Defaults to 60 seconds.
+ * @property [waitMs] - the maximum time to wait for a lock held by
+ *   another owner, defaults to 0, i.e. fail immediately
+ */
+export type AdobeStateLockOptions = {
+    ttl?: number;
+    waitMs?: number;
+};
+
+/**
+ * A lock acquired with {@link AdobeState.lock}.
+ * @property name - the lock name
+ * @property release - releases the lock. Throws
+ *   ERROR_LOCK_NOT_HELD if the lock expired, was released, or was acquired by another owner.
+ * @property extend - resets the lock TTL, to
+ *   the given number of seconds or to the lock ttl. Throws ERROR_LOCK_NOT_HELD like release.
+ */
+export type AdobeStateLock = {
+    name: string;
+    release: (...params: any[]) => any;
+    extend: (...params: any[]) => any;
+};
+
+/**
+ * AdobeState idempotent options
+ * @property [ttl] - the time in seconds the result is kept, retries
+ *   after that run the function again. Defaults to 24 hours.
+ * @property [pendingTtl] - the time in seconds after which a run that
+ *   did not complete, e.g. because the action crashed, is considered failed
+ *   and can be retried. Defaults to 60 seconds.
+ * @property [wait] - whether a call with the same request id as a
+ *   running one waits for its result, or fails immediately with
+ *   ERROR_IN_PROGRESS. Defaults to true.
+ */
+export type AdobeStateIdempotentOptions = {
+    ttl?: number;
+    pendingTtl?: number;
+    wait?: boolean;
+};
+
+/**
+ * AdobeState watch options, also accepts the {@link AdobeStateRequestOptions}
+ * of the polling requests. Aborting the signal stops watching.
+ * @property [intervalMs] - the time in milliseconds between two polls,
+ *   at least 100, defaults to 1000
+ * @property [retry] - the retry policy of the
+ *   requests, see {@link AdobeStateRequestOptions}
+ * @property [timeoutMs] - the timeout of each request in milliseconds,
+ *   see {@link AdobeStateRequestOptions}
+ * @property [signal] - stops watching, and aborts the pending poll
+ */
+export type AdobeStateWatchOptions = {
+    intervalMs?: number;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    signal?: AbortSignal;
+};
+
+/**
+ * A change of a watched key, see {@link AdobeState.watch}
+ * @property type - 'put' when the key was created
+ *   or written, 'delete' when it was deleted, 'expired' when it was removed
+ *   after its expiration
+ * @property key - the key
+ * @property [version] - the new version of the key, only for put events
+ * @property [expiration] - the ISO-8601 date string of the new
+ *   expiration of the key, only for put events
+ */
+export type AdobeStateWatchEvent = {
+    type: 'put' | 'delete' | 'expired';
+    key: string;
+    version?: string;
+    expiration?: string;
+};
+
+/**
+ * A watch started with {@link AdobeState.watch}.
+ * @property unsubscribe - stops watching, no event is
+ *   emitted afterwards
+ */
+export type AdobeStateWatcher = {
+    unsubscribe: (...params: any[]) => any;
 };
 
 /**
@@ -46,9 +630,29 @@ export class AdobeState {
      * Retrieves the state value for given key.
      * If the key doesn't exist returns undefined.
      * @param key - state key identifier
+     * @param [options] - request options
      * @returns get response holding value and additional info
      */
-    get(key: string): Promise<AdobeStateGetReturnValue>;
+    get(key: string, options?: AdobeStateRequestOptions): Promise<AdobeStateGetReturnValue>;
+    /**
+     * Retrieves the metadata of a state key-value pair, without downloading
+     * the value.
+     * @param key - state key identifier
+     * @param [options] - request options
+     * @returns the key metadata
+     */
+    head(key: string, options?: AdobeStateRequestOptions): Promise<AdobeStateHeadReturnValue>;
+    /**
+     * Refreshes the expiration of a state key-value pair, without sending the
+     * value again.
+     * @example
+     * await state.touch('session', 3600) // expires in one hour from now
+     * @param key - state key identifier
+     * @param [ttl] - Time-To-Live in seconds, see {@link AdobeStatePutOptions}
+     * @param [options] - request options
+     * @returns key or `null` if the key does not exist
+     */
+    touch(key: string, ttl?: number, options?: AdobeStateRequestOptions): Promise<string | null>;
     /**
      * Creates or updates a state key-value pair
      * @param key - state key identifier
@@ -57,49 +661,354 @@ export class AdobeState {
      * @returns key
      */
     put(key: string, value: string, options?: AdobeStatePutOptions): Promise<string>;
+    /**
+     * Creates a state key-value pair, only if the key doesn't exist yet.
+     * Otherwise the put fails with ERROR_PRECONDITION_FAILED.
+     * @param key - state key identifier
+     * @param value - state value
+     * @param [options] - put options, `ifMatch` is not supported
+     * @returns key
+     */
+    putIfAbsent(key: string, value: string, options?: AdobeStatePutOptions): Promise<string>;
+    /**
+     * Updates a state value with a function, without losing concurrent updates.
+     * The function gets the current value, or undefined if the key doesn't
+     * exist, and returns the new value. If another request changes the key in
+     * the meantime the function is called again with the newer value, up to
+     * `retries` times before failing with ERROR_PRECONDITION_FAILED. Each retry
+     * waits a random delay, in a window doubling from 50 ms up to 1 second, so
+     * that concurrent writers spread out.
+     * @example
+     * await state.compareAndSwap('counter', value => String(Number(value ?? 0) + 1))
+     * @param key - state key identifier
+     * @param updaterFn - computes the new value from the current one
+     * @param [options] - compareAndSwap options
+     * @returns the new value
+     */
+    compareAndSwap(key: string, updaterFn: (...params: any[]) => any, options?: AdobeStateCompareAndSwapOptions): Promise<string>;
+    /**
+     * Atomically increments an integer state value and returns the new value.
+     * A missing key counts as 0. The key keeps its remaining TTL unless a new
+     * `ttl` is given. Throws ERROR_BAD_REQUEST if the stored value is not an
+     * integer. Conflicts with concurrent updates are retried up to 10 times by
+     * default, see compareAndSwap.
+     * @example
+     * const visits = await state.incr('visits')
+     * @param key - state key identifier
+     * @param [delta = 1] - the integer to add, defaults to 1
+     * @param [options] - incr options
+     * @returns the new value
+     */
+    incr(key: string, delta?: number, options?: AdobeStateCompareAndSwapOptions): Promise<number>;
+    /**
+     * Atomically decrements an integer state value and returns the new value,
+     * see incr.
+     * @example
+     * const remaining = await state.decr('quota', 5)
+     * @param key - state key identifier
+     * @param [delta = 1] - the integer to subtract, defaults to 1
+     * @param [options] - decr options
+     * @returns the new value
+     */
+    decr(key: string, delta?: number, options?: AdobeStateCompareAndSwapOptions): Promise<number>;
+    /**
+     * Retrieves and parses a JSON state value set by putJSON.
+     * If the key doesn't exist returns undefined. Throws ERROR_INVALID_VALUE if
+     * the stored value is not JSON or does not match the schema, and
+     * ERROR_BAD_ARGUMENT if the schema is invalid.
+     * @example
+     * const { value } = await state.getJSON('config', { schema: { type: 'object' } })
+     * @param key - state key identifier
+     * @param [options] - getJSON options
+     * @returns get response holding the parsed value and additional info
+     */
+    getJSON(key: string, options?: AdobeStateGetJSONOptions): Promise<AdobeStateGetJSONReturnValue>;
+    /**
+     * Serializes a value to JSON and stores it, see put.
+     * @example
+     * await state.putJSON('config', { retries: 3 }, { ttl: 3600, schema: { type: 'object' } })
+     * @param key - state key identifier
+     * @param value - a JSON serializable value
+     * @param [options] - putJSON options
+     * @returns key
+     */
+    putJSON(key: string, value: any, options?: AdobeStatePutJSONOptions): Promise<string>;
     /**
      * Deletes a state key-value pair
      * @param key - state key identifier
+     * @param [options] - request options
      * @returns key of deleted state or `null` if state does not exist
      */
-    delete(key: string): Promise<string | null>;
+    delete(key: string, options?: AdobeStateRequestOptions): Promise<string | null>;
     /**
      * Deletes multiple key-values. The match option is required as a safeguard.
      * CAUTION: use `{ match: '*' }` to delete all key-values.
+     *
+     * Use `dryRun` to preview which keys match, and `confirmCount` to abort
+     * with ERROR_BAD_REQUEST if more keys match than expected. Keys are counted
+     * with list before deleting, keys written in the meantime are not counted.
+     * All the stored keys are counted, as they are all deleted: the chunks of
+     * chunked values, and the idempotency records and locks, count as keys, in
+     * a dry run and in the deleted count. They are not in the sample.
      * @example
      * await state.deleteAll({ match: 'abc*' })
+     * @example
+     * const { keys, sample } = await state.deleteAll({ match: 'abc*', dryRun: true })
+     *  await state.deleteAll({ match: 'abc*', confirmCount: keys })
      * @param options - deleteAll options.
      * @param options.match - REQUIRED, a glob pattern to specify which keys to delete.
-     * @returns returns an object with the number of deleted keys.
+     * @param [options.dryRun] - count the matching keys without deleting them,
+     *   the result holds a sample of up to 10 matching keys
+     * @param [options.confirmCount] - the maximum number of keys expected to match
+     * @param [options.retry] - the retry policy of the requests,
+     *   see {@link AdobeStateRequestOptions}
+     * @param [options.timeoutMs] - the timeout of each request in milliseconds,
+     *   see {@link AdobeStateRequestOptions}
+     * @param [options.signal] - aborts the requests of this call
+     * @returns returns an object with the number
+     *   of deleted keys, or of matching keys in a dry run. `sample` is only set in a dry run.
      */
     deleteAll(options: {
         match: string;
-    }): Promise<{ keys: number; }>;
+        dryRun?: boolean;
+        confirmCount?: number;
+        retry?: boolean | AdobeStateRetryOptions;
+        timeoutMs?: number;
+        signal?: AbortSignal;
+    }): Promise<{ keys: number; sample: string[]; }>;
     /**
-     * There exists key-values in the region.
+     * There exists key-values in the region. Idempotency records and locks
+     * are key-values too.
+     * @param [options] - request options
      * @returns true if exists, false if not
      */
-    any(): Promise<boolean>;
+    any(options?: AdobeStateRequestOptions): Promise<boolean>;
     /**
-     * Get stats.
+     * Get stats. The State service counts all the stored keys, including the
+     * chunks of chunked values, and idempotency records and locks.
+     * @param [options] - request options
      * @returns State container stats.
      */
-    stats(): Promise<{ bytesKeys: number; bytesValues: number; keys: number; }>;
+    stats(options?: AdobeStateRequestOptions): Promise<{ bytesKeys: number; bytesValues: number; keys: number; }>;
     /**
-     * List keys, returns an iterator. Every call scans 1000 keys.
+     * List keys, returns an iterator. Every call scans 1000 keys, or
+     * `pageSize` keys.
+     *
+     * Each page holds the `cursor` of the next page, 0 after the last page.
+     * Pass it to a later `list({ cursor })` call to resume the scan, e.g. in
+     * the next invocation of an action.
+     *
+     * With `includeValues` or `includeExpiration`, the iterator yields
+     * `{ entries }` instead, holding the requested fields for each key. The
+     * State service only lists keys, so values are fetched with one get per
+     * key, and expirations with one head per key if values are not requested.
+     * Keys that expire or are deleted meanwhile are left out.
+     *
+     * The keys of idempotency records and locks, which start with
+     * `__idempotent.` and `__lock.`, are reserved and never listed.
      * @example
      * for await (const { keys } of state.list({ match: 'abc*' })) {
      *    console.log(keys)
      *  }
+     * @example
+     * for await (const { entries } of state.list({ match: 'abc*', includeValues: true, includeExpiration: true })) {
+     *    entries.forEach(({ key, value, expiration }) => console.log(key, value, expiration))
+     *  }
+     * @example
+     * // scan one page per invocation, resuming from the previous one
+     *  const saved = await state.getJSON('scan-cursor')
+     *  const { value: page } = await state.list({ cursor: saved?.value ?? 0, pageSize: 100 }).next()
+     *  await state.putJSON('scan-cursor', page.cursor)
      * @param options - list options
      * @param options.match - a glob pattern that supports '*' to filter
      *   keys.
-     * @returns an async generator which yields a
-     *   { keys } object at every iteration.
+     * @param [options.cursor] - the cursor of a page yielded by a
+     *   previous list call to resume from, defaults to 0 to start a new scan
+     * @param [options.pageSize] - the number of keys scanned by each
+     *   call, from 1 to 1000, defaults to 1000
+     * @param [options.includeValues] - yield entries with values
+     * @param [options.includeExpiration] - yield entries with expirations
+     * @param [options.concurrency] - the maximum number of values or
+     *   expirations fetched at the same time, defaults to 10
+     * @param [options.retry] - the retry policy of the requests,
+     *   see {@link AdobeStateRequestOptions}
+     * @param [options.timeoutMs] - the timeout of each request in milliseconds,
+     *   see {@link AdobeStateRequestOptions}
+     * @param [options.signal] - aborts the requests of this call
+     * @returns an async generator which yields a { keys, cursor } or an
+     *   { entries, cursor } object at every iteration.
      */
     list(options: {
         match: string;
-    }): AsyncGenerator<{ keys: string[]; }>;
+        cursor?: number;
+        pageSize?: number;
+        includeValues?: boolean;
+        includeExpiration?: boolean;
+        concurrency?: number;
+        retry?: boolean | AdobeStateRetryOptions;
+        timeoutMs?: number;
+        signal?: AbortSignal;
+    }): AsyncGenerator<{ keys: string[]; cursor: number; } | { entries: AdobeStateListEntry[]; cursor: number; }>;
+    /**
+     * Retrieves the state values for multiple keys. All keys are validated
+     * before any request is sent.
+     * @example
+     * const results = await state.getMany(['a', 'b'])
+     *  results.forEach(({ key, value, error }) => console.log(key, value, error))
+     * @param keys - state key identifiers
+     * @param [options] - batch options
+     * @returns one `{ key, value, expiration }`
+     *   result per key, in the same order as the keys
+     */
+    getMany(keys: string[], options?: AdobeStateBatchOptions): Promise<AdobeStateBatchResult[]>;
+    /**
+     * Creates or updates multiple state key-value pairs. All keys and values
+     * are validated before any request is sent.
+     * @example
+     * const results = await state.putMany([{ key: 'a', value: '1' }, { key: 'b', value: '2' }], { ttl: 60 })
+     *  const failed = results.filter(({ error }) => error)
+     * @param entries - the key-value pairs
+     * @param [options] - put options
+     * @returns one `{ key }` result per
+     *   entry, in the same order as the entries
+     */
+    putMany(entries: { key: string; value: string; }[], options?: AdobeStatePutManyOptions): Promise<AdobeStateBatchResult[]>;
+    /**
+     * Deletes multiple state key-value pairs. All keys are validated before
+     * any request is sent.
+     * @example
+     * const results = await state.deleteMany(['a', 'b'])
+     * @param keys - state key identifiers
+     * @param [options] - batch options
+     * @returns one `{ key, deleted }`
+     *   result per key, in the same order as the keys
+     */
+    deleteMany(keys: string[], options?: AdobeStateBatchOptions): Promise<AdobeStateBatchResult[]>;
+    /**
+     * Exports key-values as a stream of JSON lines (NDJSON), one
+     * `{ key, value, ttl }` object per line, where `ttl` is the remaining
+     * Time-To-Live in seconds. Use importAll to write them back, in this or
+     * another namespace. Idempotency records and locks are not exported.
+     * @example
+     * await pipeline(state.exportAll({ match: 'config.*' }), fs.createWriteStream('backup.ndjson'))
+     * @param [options] - exportAll options
+     * @returns a readable stream of JSON lines
+     */
+    exportAll(options?: AdobeStateExportOptions): NodeJS.ReadableStream;
+    /**
+     * Imports key-values from a stream of JSON lines written by exportAll.
+     * Empty lines are ignored.
+     * @example
+     * await prodState.importAll(devState.exportAll(), { overwrite: true })
+     * @param stream - a readable stream of JSON lines
+     * @param [options] - importAll options
+     * @returns the number of imported and skipped entries
+     */
+    importAll(stream: NodeJS.ReadableStream, options?: AdobeStateImportOptions): Promise<AdobeStateImportResult>;
+    /**
+     * Encrypts the matching values with the current encryption key, e.g. after
+     * a key rotation. Values that are not encrypted yet are encrypted too. Keys
+     * keep their remaining TTL, and a key changed by another request meanwhile
+     * is reported as failed rather than overwritten.
+     * @example
+     * const { reencrypted, failed } = await state.reencrypt({ match: 'token.*' })
+     * @param [options] - reencrypt options
+     * @param [options.match] - a glob pattern that supports '*' to filter keys, defaults to all keys
+     * @param [options.concurrency] - the maximum number of keys reencrypted at the same time, defaults to 10
+     * @returns the number of reencrypted and unchanged values
+     */
+    reencrypt(options?: {
+        match?: string;
+        concurrency?: number;
+    }): Promise<AdobeStateReencryptResult>;
+    /**
+     * Returns the metrics of the rate limiter, e.g. to size the concurrency of
+     * batch operations.
+     * @example
+     * const { throttled, maxQueueDepth } = state.rateLimitMetrics()
+     * @returns the metrics, or undefined if the
+     *   rateLimit option is not set
+     */
+    rateLimitMetrics(): AdobeStateRateLimitMetrics;
+    /**
+     * Returns a view of this instance where every key is prefixed, e.g. to
+     * share a namespace between features without key collisions. Keys passed
+     * to the view are prefixed, keys returned by the view are stripped of the
+     * prefix, and list, deleteAll, any and stats only see the keys of the
+     * scope. Scopes can be nested, their prefixes add up. With a key encoding,
+     * the prefix and the keys are encoded separately, e.g. a key of a 'cart.'
+     * scope is stored as the encoded prefix followed by the encoded key, so
+     * that the keys of the scope can be listed with any key encoding.
+     * @example
+     * const cart = state.scope('cart.')
+     *  await cart.put('items', '[]') // stored in 'cart.items'
+     * @param prefix - the key prefix, allowed characters are alphanumerical with _ - .
+     * @returns the scoped view
+     */
+    scope(prefix: string): AdobeState;
+    /**
+     * Runs a function once per request id, e.g. to ignore the retries of a
+     * webhook. The result of the first call is stored as JSON in the
+     * `__idempotent.<requestId>` key and returned by the next calls with the
+     * same request id, without running the function again.
+     *
+     * While the function runs, calls with the same request id wait for its
+     * result, or fail with ERROR_IN_PROGRESS if `wait` is false. If the
+     * function throws, nothing is stored and the next call runs it again. The
+     * same goes for a result that is not JSON serializable, the call then
+     * fails with ERROR_BAD_ARGUMENT.
+     * @example
+     * const order = await state.idempotent(params.deliveryId, () => createOrder(params))
+     * @param requestId - the request id, allowed characters are alphanumerical with _ - .
+     * @param fn - the function, its result must be JSON serializable
+     * @param [options] - idempotent options
+     * @returns the result of the function, from this call or the first one
+     */
+    idempotent(requestId: string, fn: (...params: any[]) => any, options?: AdobeStateIdempotentOptions): Promise<any>;
+    /**
+     * Acquires a lock, e.g. to make sure that runs of a scheduled action
+     * never overlap. The lock is the `__lock.<name>` key, created with
+     * putIfAbsent and holding a token unique to its owner, so a lock never
+     * collides with a data key of the same name. The key expires after `ttl` seconds, so that
+     * a lock is never held forever by an action that crashed. Long tasks must
+     * extend the lock before it expires.
+     *
+     * Throws ERROR_LOCKED if the lock is still held by another owner after
+     * `waitMs`.
+     * @example
+     * const lock = await state.lock('nightly-sync', { ttl: 300 })
+     *  try {
+     *    await sync()
+     *  } finally {
+     *    await lock.release()
+     *  }
+     * @param name - the lock name, allowed characters are alphanumerical with _ - .
+     * @param [options] - lock options
+     * @returns the acquired lock
+     */
+    lock(name: string, options?: AdobeStateLockOptions): Promise<AdobeStateLock>;
+    /**
+     * Watches a key, or the keys matching a glob pattern, and calls `callback`
+     * with each change. Keys are polled every `intervalMs` with metadata
+     * requests comparing their versions and expirations, values are never
+     * downloaded. The first poll takes the initial state of the keys and emits
+     * no event. Touching a key does not emit an event.
+     *
+     * Watching stops with `unsubscribe` or when the signal is aborted. In a
+     * Runtime action, stop watching before the action returns, otherwise polls
+     * resume in the next activations of the container. Failed polls and
+     * callbacks are logged, and polling continues.
+     * @example
+     * const watcher = state.watch('job.42', ({ type }) => console.log(type), { intervalMs: 500 })
+     *  // ...
+     *  watcher.unsubscribe()
+     * @param keyOrPattern - a key, or a glob pattern that supports '*'
+     * @param callback - called
+     *   with each change, the next poll waits for it
+     * @param [options] - watch options
+     * @returns the watcher
+     */
+    watch(keyOrPattern: string, callback: (...params: any[]) => any, options?: AdobeStateWatchOptions): AdobeStateWatcher;
 }
 
 /**
@@ -127,6 +1036,20 @@ export type AdobeStateLibError = {
  * @property ERROR_INTERNAL - this error is thrown when an unknown error is thrown by the underlying
  * DB provider or TVM server for credential exchange. More details can be found in `e.sdkDetails._internal`.
  * @property ERROR_REQUEST_RATE_TOO_HIGH - this error is thrown when the request rate for accessing state is too high.
+ * @property ERROR_UNKNOWN_PROVIDER - this error is thrown when the provider passed to init is not supported.
+ * @property ERROR_PRECONDITION_FAILED - this error is thrown when a conditional put fails, because the key was
+ * modified, deleted or created by another request.
+ * @property ERROR_INVALID_VALUE - this error is thrown when a stored value cannot be parsed as JSON or does not
+ * match the expected schema.
+ * @property ERROR_DECRYPTION_FAILED - this error is thrown when a stored value cannot be decrypted, because it
+ * was tampered with or its encryption key is not available.
+ * @property ERROR_LOCKED - this error is thrown when a lock cannot be acquired, because another owner holds it.
+ * @property ERROR_LOCK_NOT_HELD - this error is thrown when releasing or extending a lock that is not held
+ * by the caller anymore.
+ * @property ERROR_IN_PROGRESS - this error is thrown by idempotent when another call with the same request id
+ * is running.
+ * @property ERROR_TIMEOUT - this error is thrown when a request to the State service takes longer than its
+ * `timeoutMs` option. `e.sdkDetails.requestId` identifies the request.
  */
 export type AdobeStateLibErrors = {
     ERROR_BAD_ARGUMENT: AdobeStateLibError;
@@ -136,6 +1059,14 @@ export type AdobeStateLibErrors = {
     ERROR_UNAUTHORIZED: AdobeStateLibError;
     ERROR_INTERNAL: AdobeStateLibError;
     ERROR_REQUEST_RATE_TOO_HIGH: AdobeStateLibError;
+    ERROR_UNKNOWN_PROVIDER: AdobeStateLibError;
+    ERROR_PRECONDITION_FAILED: AdobeStateLibError;
+    ERROR_INVALID_VALUE: AdobeStateLibError;
+    ERROR_DECRYPTION_FAILED: AdobeStateLibError;
+    ERROR_LOCKED: AdobeStateLibError;
+    ERROR_LOCK_NOT_HELD: AdobeStateLibError;
+    ERROR_IN_PROGRESS: AdobeStateLibError;
+    ERROR_TIMEOUT: AdobeStateLibError;
 };
 
 /**
@@ -156,6 +1087,10 @@ export type OpenWhiskCredentials = {
  * `config.ow` or your own
  *
  * OpenWhisk credentials can also be read from environment variables `__OW_NAMESPACE` and `__OW_API_KEY`.
+ *
+ * Set `config.provider` to `memory` to keep key-values in the process memory
+ * instead, e.g. to test actions without the State service, or to `file` to
+ * persist them in a local directory, e.g. when running actions with `aio app dev`.
  * @param [config] - used to init the sdk
  * @param [config.ow] - {@link OpenWhiskCredentials}. Set those if you want
  * to use ootb credentials to access the state management service. OpenWhisk
@@ -164,6 +1099,29 @@ export type OpenWhiskCredentials = {
  * @param [config.region] - optional region to use, accepted values: `amer` (default), `emea`, `apac`, `aus`
  * @param [config.logLevel] - optional log level for the HttpExponentialBackoff instance
  * @param [config.logRetryAfterSeconds] - Defaults to 10. if the request has to retry because of a 429, it will log the retry attempt as a warning if the Retry-After value is greater than this number. Set to 0 to disable.
+ * @param [config.provider] - optional provider to use, accepted values: `adobe` (default), `memory`, `file`.
+ * The `memory` and `file` providers do not require credentials, their namespace defaults to `__OW_NAMESPACE` or 'local'
+ * and may only hold alphanumerical characters, `-` and `_`.
+ * @param [config.dir] - optional root directory for the `file` provider, defaults to `.aio/state`. Key-values are
+ * stored in `<dir>/<namespace>/<region>`.
+ * @param [config.cache] - optional, enables an in-process cache of `get` results, e.g.
+ * `{ maxEntries: 100, maxAgeMs: 30000 }`. Use it for keys that are read often and rarely changed by other instances.
+ * @param [config.compression] - optional, compresses values larger than a threshold, e.g.
+ * `{ thresholdBytes: 4096, algorithm: 'brotli' }`. Compressed values are decompressed by get automatically.
+ * @param [config.encryption] - optional, encrypts values with AES-256-GCM before they are
+ * stored, e.g. `{ key: process.env.STATE_ENCRYPTION_KEY }`. Use `keyProvider` to rotate keys, see `reencrypt`.
+ * @param [config.chunking] - optional, stores values larger than 1MB in several keys, e.g.
+ * `{}`. Chunked values are reassembled by get automatically, delete and touch also apply to their chunks.
+ * @param [config.keyEncoding] - optional, encodes keys so that they can contain any
+ * character, e.g. `'escape'` to store 'user@example.com' as 'user_40example.com'. Listed keys are decoded.
+ * @param [config.rateLimit] - optional, queues requests to stay under a request rate, e.g.
+ * `{ requestsPerSecond: 20, burst: 50 }`. The queue and throttling are reported by `rateLimitMetrics` and `onThrottle`.
+ * @param [config.retry] - optional, the retry policy of all requests, e.g.
+ * `{ maxRetries: 1, maxDelayMs: 500 }`, or `false` to disable retries. Operations accept a `retry` option to override it.
+ * @param [config.timeoutMs] - optional, the maximum time in milliseconds of each request, retries included, e.g.
+ * `2000`. Requests that take longer fail with ERROR_TIMEOUT. Operations accept a `timeoutMs` option to override it.
+ * @param [config.telemetry] - optional, records requests as OpenTelemetry spans and metrics, e.g.
+ * `{ tracer: trace.getTracer('my-action') }`, or reports them to `onRequest` and `onResponse` hooks.
  * @returns An AdobeState instance
  */
 export function init(config?: {
@@ -171,5 +1129,69 @@ export function init(config?: {
     region?: string;
     logLevel?: string;
     logRetryAfterSeconds?: number;
+    provider?: 'adobe' | 'memory' | 'file';
+    dir?: string;
+    cache?: AdobeStateCacheOptions;
+    compression?: AdobeStateCompressionOptions;
+    encryption?: AdobeStateEncryptionOptions;
+    chunking?: AdobeStateChunkingOptions;
+    keyEncoding?: string | AdobeStateKeyEncoding;
+    rateLimit?: AdobeStateRateLimitOptions;
+    retry?: boolean | AdobeStateRetryOptions;
+    timeoutMs?: number;
+    telemetry?: AdobeStateTelemetryOptions;
 }): Promise<AdobeState>;
 
+/**
+ * Migration report
+ * @property dryRun - true if nothing was written
+ * @property copied - the copied keys, or the keys that would be copied in a dry run
+ * @property skipped - the keys that already exist in the target region
+ * @property failed - the keys that could not be copied
+ * @property deleted - the number of keys deleted from the source region
+ * @property stats - the stats of the source region before the
+ *   migration and of the target region after the migration
+ * @property verified - true if no key failed and, unless in a dry run, the target region
+ *   holds at least as many keys as were migrated
+ */
+export type MigrationReport = {
+    dryRun: boolean;
+    copied: string[];
+    skipped: string[];
+    failed: { key: string; error: Error; }[];
+    deleted: number;
+    stats: any;
+    verified: boolean;
+};
+
+/**
+ * Copies key-values from one region to another, with their remaining TTL.
+ * Keys that already exist in the target region are skipped, unless
+ * `config.overwrite` is set.
+ *
+ * After the copy, the key counts of both regions are checked with `stats()`.
+ * With `config.deleteSource`, the copied keys are deleted from the source
+ * region, only if the check passed. Keys written to the source region while
+ * the migration runs may not be copied.
+ * @example
+ * const report = await stateLib.migrate({ fromRegion: 'amer', toRegion: 'emea', dryRun: true })
+ * @param config - the migration config, also accepts the options of {@link init} except `region`
+ * @param config.fromRegion - the source region
+ * @param config.toRegion - the target region
+ * @param [config.match] - a glob pattern that supports '*' to filter keys, defaults to all keys
+ * @param [config.dryRun] - report what would be copied without writing anything, defaults to false
+ * @param [config.overwrite] - replace keys that exist in the target region, defaults to false
+ * @param [config.deleteSource] - delete the copied keys from the source region, defaults to false
+ * @param [config.concurrency] - the maximum number of keys copied at the same time, defaults to 10
+ * @returns the migration report
+ */
+export function migrate(config: {
+    fromRegion: string;
+    toRegion: string;
+    match?: string;
+    dryRun?: boolean;
+    overwrite?: boolean;
+    deleteSource?: boolean;
+    concurrency?: number;
+}): Promise<MigrationReport>;
+